@@ -7,7 +7,19 @@ import * as Storage from './modules/storage.js';
 import * as Chat from './modules/chat.js';
 import * as ImageGen from './modules/image.js';
 import * as Settings from './modules/settings.js';
+import * as Overrides from './modules/overrides.js';
+import * as Archive from './modules/archive.js';
 import * as Security from './modules/security.js';
+import * as Roles from './modules/roles.js';
+import * as Usage from './modules/usage.js';
+import * as Attachments from './modules/attachments.js';
+import * as Gallery from './modules/gallery.js';
+import * as ImageEdit from './modules/image-edit.js';
+import * as Templates from './modules/templates.js';
+import * as Personas from './modules/personas.js';
+import * as Tools from './modules/tools.js';
+import * as Offline from './modules/offline.js';
+import * as Shortcuts from './modules/shortcuts.js';
 import { showToast, debounce } from './modules/utils.js';
 import * as Cloud from './modules/cloud.js';
 
@@ -38,10 +50,7 @@ marked.use(markedHighlight.MarkedHighlight({
 marked.use({
     gfm: true, // GitHub Flavored Markdown
     breaks: true, // Render `\n` as `<br>`
-    sanitize: true, // Sanitize HTML output to prevent XSS (basic)
-    // For more robust XSS, a dedicated library like DOMPurify would be used,
-    // but the prompt explicitly forbids extra dependencies.
-    // We rely on marked's sanitize and our own input escaping.
+    // marked passes HTML through; every marked.parse() result goes through sanitize.js
 });
 
 
@@ -59,12 +68,20 @@ const elements = {
     conversationHistory: document.getElementById('conversation-history'),
     settingsBtn: document.getElementById('settings-btn'),
     clearAllChatsBtn: document.getElementById('clear-all-chats-btn'),
+    archiveBtn: document.getElementById('archive-btn'),
+    installAppBtn: document.getElementById('install-app-btn'),
+    galleryBtn: document.getElementById('gallery-btn'),
+    promptLibraryBtn: document.getElementById('prompt-library-btn'),
     userAvatar: document.getElementById('user-avatar'),
     userName: document.getElementById('user-name'),
     userEmail: document.getElementById('user-email'),
     adminBadge: document.getElementById('admin-badge'),
     chatTitle: document.getElementById('chat-title'),
+    offlineBanner: document.getElementById('offline-banner'),
+    offlineBannerText: document.getElementById('offline-banner-text'),
     modelBadge: document.getElementById('model-badge'),
+    modelMenu: document.getElementById('model-menu'),
+    conversationSettingsBtn: document.getElementById('conversation-settings-btn'),
     themeToggleBtn: document.getElementById('theme-toggle-btn'),
     logoutBtn: document.getElementById('logout-btn'),
     chatArea: document.getElementById('chat-area'),
@@ -77,32 +94,63 @@ const elements = {
     imageModeBtn: document.getElementById('image-mode-btn'),
     stopBtn: document.getElementById('stop-btn'),
     sendBtn: document.getElementById('send-btn'),
+    chatInputArea: document.querySelector('.chat-input-area'),
+    attachBtn: document.getElementById('attach-btn'),
+    toolsBtn: document.getElementById('tools-btn'),
+    attachInput: document.getElementById('attach-input'),
+    attachmentTray: document.getElementById('attachment-tray'),
+    imageOptions: document.getElementById('image-options'),
     settingsModal: document.getElementById('settings-modal'),
     confirmationModal: document.getElementById('confirmation-modal'),
     fullscreenImageModal: document.getElementById('fullscreen-image-modal'),
+    conversationSettingsModal: document.getElementById('conversation-settings-modal'),
+    archiveModal: document.getElementById('archive-modal'),
+    galleryModal: document.getElementById('gallery-modal'),
+    imageEditModal: document.getElementById('image-edit-modal'),
+    promptLibraryModal: document.getElementById('prompt-library-modal'),
+    templateFormModal: document.getElementById('template-form-modal'),
+    commandPalette: document.getElementById('command-palette'),
+    commandMenuModal: document.getElementById('command-menu-modal'),
+    shortcutsModal: document.getElementById('shortcuts-modal'),
+    personasModal: document.getElementById('personas-modal'),
+    personaPicker: document.getElementById('persona-picker'),
+    personaStarters: document.getElementById('persona-starters'),
 };
 
 // --- Initialization Function ---
 async function initializeApp() {
     log('info', 'Initializing JavaGoat App...');
 
-    // 1. Enforce HTTPS
+    // 1. Enforce HTTPS, then cache the app for offline starts
     Security.enforceHttps();
+    Offline.registerServiceWorker();
 
-    // 2. Initialize Firebase (Auth and DB)
+    // 2. Initialize Firebase (Auth and DB), switching to local emulators when requested
     Auth.initFirebase();
+    Cloud.connectEmulatorsIfEnabled();
 
     // 3. Initialize CSRF token
     Security.initCsrfToken();
 
     // 4. Load local state (conversations, settings fallback)
-    Storage.loadInitialState();
+    await Storage.loadInitialState();
 
     // 5. Setup UI event listeners
     UI.setupEventListeners(elements);
     Chat.setupEventListeners(elements);
     ImageGen.setupEventListeners(elements);
     Settings.setupEventListeners(elements);
+    Overrides.setupEventListeners(elements);
+    Archive.setupEventListeners(elements);
+    Usage.setupEventListeners(elements);
+    Attachments.setupEventListeners(elements);
+    Gallery.setupEventListeners(elements);
+    ImageEdit.setupEventListeners(elements);
+    Templates.setupEventListeners(elements);
+    Personas.setupEventListeners(elements);
+    Tools.setupEventListeners(elements);
+    Offline.setupEventListeners(elements);
+    Shortcuts.setupEventListeners(elements); // App-wide shortcuts and the Ctrl/Cmd+K palette
     Security.setupEventListeners(); // For security status UI
 
     // 6. Attach global event handlers
@@ -120,29 +168,28 @@ async function initializeApp() {
                 displayName: user.displayName,
                 photoURL: user.photoURL
             };
-            STATE.auth.isAdmin = (user.email === Auth.ADMIN_EMAIL);
-            log('info', 'User is admin:', STATE.auth.isAdmin);
-
-            // Fetch cloud settings for logged-in users
-            await Cloud.listenToCloudSettings();
-            await Settings.applySettingsToUI(); // Apply settings loaded from cloud
-
-            UI.renderApp(elements);
-            UI.updateUserProfile(elements);
-            UI.updateAdminBadge(elements);
-            UI.updateChatHeader(); // Update model badge
-            Settings.updateSettingsPanelState(elements); // Enable/disable settings based on admin status
-            Security.updateSecurityStatusUI(); // Update security status
+            // The database only answers once it is online, so an offline start shows the local
+            // copy (read-only) and renders again when the connection returns
+            const cloudSync = syncFromCloud();
+            if (Offline.isOffline()) {
+                Settings.applySettingsToUI(); // Local settings until the cloud ones arrive
+                cloudSync.then(renderSignedInApp, error => log('error', 'Cloud sync failed:', error));
+            } else {
+                await cloudSync;
+            }
+            renderSignedInApp();
         } else {
             // User logged out or is a guest
             STATE.auth.isLoggedIn = false;
             STATE.auth.user = null;
-            STATE.auth.isAdmin = false;
+            Roles.stopListeningToCurrentRole(); // Also clears the admin flag
+            Usage.stopListeningToUsage();
             Cloud.stopListeningToCloudSettings(); // Stop RTDB listener
+            Cloud.stopListeningToCloudConversations();
 
             if (!STATE.auth.isGuest) { // If it was a full logout, not just switching to guest
                 Storage.clearSensitiveGuestData(); // Clear only if not a guest
-                Storage.loadInitialState(); // Reload local settings/conversations for a clean state
+                await Storage.loadInitialState(); // Reload local settings/conversations for a clean state
             }
 
             // Fallback to local settings for guests/logged out
@@ -165,18 +212,64 @@ async function initializeApp() {
         UI.updateChatHeader();
         Settings.updateSettingsPanelState(elements);
         Security.updateSecurityStatusUI();
+        Chat.sendQueuedMessages(); // Messages queued while offline last time
     } else if (!Auth.isAuthChecked) {
         // Show loading or login screen until Firebase auth state is resolved
         UI.renderLogin(elements);
     }
 }
 
+/**
+ * Starts listening to the signed-in user's role, usage, settings and chats in the database.
+ * @returns {Promise<void>} Resolves once the first values have arrived.
+ */
+async function syncFromCloud() {
+    // Roles are read from the database and stay live, so a demotion applies immediately
+    await Roles.listenToCurrentRole(() => {
+        if (STATE.ui.mode === 'image' && !Roles.can('generateImages')) {
+            Chat.setMode('chat');
+        }
+        UI.updateAdminBadge(elements);
+        UI.updateChatInputArea();
+        UI.updateChatHeader();
+        Settings.updateSettingsPanelState(elements);
+        showToast('info', `Your role is now ${Roles.ROLE_LABELS[Roles.getCurrentRole()]}.`);
+    });
+
+    Usage.listenToUsage(); // Today's and this month's usage, for quota checks
+
+    // Fetch cloud settings for logged-in users
+    await Cloud.listenToCloudSettings();
+    await Settings.applySettingsToUI(); // Apply settings loaded from cloud
+
+    // Merge the user's synced chat history with the local cache and keep it live
+    await Cloud.listenToCloudConversations((conversationId) => {
+        UI.renderConversationHistory(elements.conversationHistory);
+        if (!conversationId || conversationId === STATE.ui.activeConversationId || !STATE.ui.activeConversationId) {
+            UI.renderChatArea();
+        }
+    });
+}
+
+/**
+ * Renders the app for a signed-in user and sends any messages queued while offline.
+ */
+function renderSignedInApp() {
+    UI.renderApp(elements);
+    UI.updateUserProfile(elements);
+    UI.updateAdminBadge(elements);
+    UI.updateChatHeader(); // Update model badge
+    Settings.updateSettingsPanelState(elements); // Enable/disable settings based on admin status
+    Security.updateSecurityStatusUI(); // Update security status
+    Chat.sendQueuedMessages();
+}
+
 function attachGlobalEventListeners() {
     // Chat Input Auto-Resize
     elements.chatInput.addEventListener('input', UI.autoResizeChatInput);
     UI.autoResizeChatInput(); // Initial resize
 
-    // Send on Enter (Shift+Enter for newline)
+    // Send on Enter (Shift+Enter for newline); the app-wide shortcuts are in shortcuts.js
     elements.chatInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -189,17 +282,6 @@ function attachGlobalEventListeners() {
         UI.renderConversationHistory(elements.conversationHistory, e.target.value);
     }, 300));
 
-    // Suggestion Card Clicks
-    elements.suggestionCardsGrid.addEventListener('click', (e) => {
-        const card = e.target.closest('.suggestion-card');
-        if (card) {
-            const prompt = card.dataset.prompt;
-            elements.chatInput.value = prompt;
-            UI.autoResizeChatInput();
-            elements.chatInput.focus();
-        }
-    });
-
     // Theme Toggle
     elements.themeToggleBtn.addEventListener('click', UI.toggleTheme);
 
@@ -224,9 +306,10 @@ function attachGlobalEventListeners() {
                     showToast('error', 'Security error: CSRF token mismatch.');
                     return;
                 }
-                Chat.clearAllConversations();
-                UI.renderApp(elements);
-                showToast('success', 'All conversations cleared.');
+                if (Chat.clearAllConversations()) {
+                    UI.renderApp(elements);
+                    showToast('success', 'All conversations cleared.');
+                }
             }
         );
     });
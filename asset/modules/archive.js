@@ -0,0 +1,396 @@
+// assets/modules/archive.js
+
+// Export of conversations to Markdown, a versioned JSON archive and a self-contained HTML
+// page, and import of JSON archives. Markdown and HTML contain the displayed branch only;
+// the JSON archive keeps every branch and can be imported again.
+
+import { STATE } from './state.js';
+import * as Storage from './storage.js';
+import * as Tree from './tree.js';
+import * as UI from './ui.js';
+import * as Sanitize from './sanitize.js';
+import * as Attachments from './attachments.js';
+import * as Personas from './personas.js';
+import { showToast, escapeHTML } from './utils.js';
+
+export const ARCHIVE_FORMAT = 'javagoat-archive';
+export const ARCHIVE_VERSION = 1;
+export const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    json: { label: 'JSON archive', extension: 'json', mimeType: 'application/json' },
+    html: { label: 'HTML page', extension: 'html', mimeType: 'text/html' },
+};
+const MAX_IMPORT_FILE_BYTES = 50 * 1024 * 1024;
+
+let appElements; // Store references to common DOM elements
+
+// Minimal styles for exported HTML, including an atom-one-dark-like palette for highlight.js classes
+const HTML_EXPORT_STYLES = `
+body { margin: 0; padding: 32px 16px; background: #1f1f1c; color: #e9e6da; font-family: 'DM Sans', system-ui, sans-serif; line-height: 1.6; }
+main { max-width: 820px; margin: 0 auto; }
+h1 { font-size: 1.6em; margin: 48px 0 4px; }
+.meta { color: #88887a; font-size: 0.85em; margin-bottom: 24px; }
+.message { margin: 16px 0; padding: 12px 16px; border-radius: 12px; background: #2a2a26; border: 1px solid #3a3a34; }
+.message.user { background: #2f2a1e; }
+.message header { color: #b8b4a6; font-size: 0.8em; font-weight: bold; margin-bottom: 6px; }
+.message.error { border-color: #e05d5d; }
+img { max-width: 100%; border-radius: 8px; }
+figcaption { color: #88887a; font-size: 0.85em; }
+.message-attachments { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+.attachment-thumbnail { max-width: 240px; max-height: 240px; }
+.attachment-chip { padding: 2px 10px; border-radius: 999px; background: #3a3a34; font-size: 0.85em; }
+.attachment-size { color: #88887a; }
+a { color: #f59e0b; }
+pre { background: #282c34; padding: 12px; border-radius: 8px; overflow-x: auto; }
+code { font-family: 'Fira Code', Consolas, monospace; font-size: 0.9em; }
+table { border-collapse: collapse; } th, td { border: 1px solid #3a3a34; padding: 4px 8px; }
+.hljs { color: #abb2bf; }
+.hljs-comment, .hljs-quote { color: #5c6370; font-style: italic; }
+.hljs-doctag, .hljs-keyword, .hljs-formula { color: #c678dd; }
+.hljs-section, .hljs-name, .hljs-selector-tag, .hljs-deletion, .hljs-subst { color: #e06c75; }
+.hljs-literal { color: #56b6c2; }
+.hljs-string, .hljs-regexp, .hljs-addition, .hljs-attribute, .hljs-meta .hljs-string { color: #98c379; }
+.hljs-attr, .hljs-variable, .hljs-template-variable, .hljs-type, .hljs-selector-class, .hljs-selector-attr, .hljs-selector-pseudo, .hljs-number { color: #d19a66; }
+.hljs-symbol, .hljs-bullet, .hljs-link, .hljs-meta, .hljs-selector-id, .hljs-title { color: #61aeee; }
+.hljs-built_in, .hljs-title.class_, .hljs-class .hljs-title { color: #e6c07b; }
+`;
+
+/**
+ * Sets up event listeners for the export/import modal.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    const modal = elements.archiveModal;
+
+    elements.archiveBtn.addEventListener('click', () => {
+        const hasActiveConversation = !!STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+        const currentScope = modal.querySelector('input[name="export-scope"][value="current"]');
+        currentScope.disabled = !hasActiveConversation;
+        modal.querySelector(`input[name="export-scope"][value="${hasActiveConversation ? 'current' : 'all'}"]`).checked = true;
+        UI.showSettingsModal(modal);
+    });
+    modal.querySelector('.close-modal-btn').addEventListener('click', () => {
+        UI.hideSettingsModal(modal);
+    });
+
+    modal.querySelectorAll('.export-format-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const scope = modal.querySelector('input[name="export-scope"]:checked').value;
+            const conversations = scope === 'all'
+                ? STATE.conversations
+                : STATE.conversations.filter(c => c.id === STATE.ui.activeConversationId);
+            exportConversations(conversations, btn.dataset.format);
+        });
+    });
+
+    const fileInput = modal.querySelector('#import-file-input');
+    modal.querySelector('#import-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow picking the same file again
+        if (!file) return;
+        if (await importArchiveFile(file)) {
+            UI.hideSettingsModal(modal);
+        }
+    });
+}
+
+/**
+ * Formats a timestamp for exported files.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string} The formatted date and time.
+ */
+function formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * Builds a file name for an export.
+ * @param {Object[]} conversations - The exported conversations.
+ * @param {string} extension - The file extension.
+ * @returns {string} The file name.
+ */
+function buildFileName(conversations, extension) {
+    const base = conversations.length === 1 ? conversations[0].title : 'conversations';
+    const slug = base.toLowerCase().replace(/&[a-z0-9#]+;/g, '').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').substring(0, 50) || 'chat';
+    return `javagoat-${slug}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+}
+
+/**
+ * Converts conversations to Markdown.
+ * @param {Object[]} conversations - The conversations to export.
+ * @returns {string} The Markdown document.
+ */
+export function exportToMarkdown(conversations) {
+    return conversations.map(conversation => {
+        const path = Tree.getActivePath(conversation);
+        const persona = Personas.getConversationPersona(conversation);
+        const lines = [`# ${conversation.title}`, '', `_Last updated ${formatTimestamp(conversation.lastUpdated)}_`, ''];
+        if (path.length < conversation.messages.length) {
+            lines.push('_Only the displayed branch is included. Export a JSON archive to keep every branch._', '');
+        }
+
+        path.forEach(message => {
+            lines.push(`### ${message.role === 'user' ? 'You' : persona.name} · ${formatTimestamp(message.timestamp)}`, '');
+            if (message.type === 'image') {
+                const alt = (message.prompt || 'Generated image').replace(/[[\]]/g, '');
+                (message.images?.length ? message.images : [{ url: message.content }]).forEach(image => lines.push(`![${alt}](${image.url})`));
+            } else if (message.error) {
+                lines.push(`> **Error:** ${message.errorMessage || message.content}`);
+            } else {
+                lines.push(message.content);
+            }
+            (message.attachments || []).forEach(attachment => {
+                lines.push(`- Attachment: ${attachment.name}${attachment.kind === 'image' ? '' : ` (${attachment.kind === 'pdf' ? 'PDF text' : 'text'} inlined)`}`);
+            });
+            lines.push('');
+        });
+        return lines.join('\n');
+    }).join('\n---\n\n');
+}
+
+/**
+ * Converts conversations to a versioned JSON archive containing every branch.
+ * @param {Object[]} conversations - The conversations to export.
+ * @returns {string} The JSON document.
+ */
+export function exportToJson(conversations) {
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: Date.now(),
+        conversations: conversations.map(conversation => {
+            const { cloudSynced, ...rest } = conversation; // Sync bookkeeping is device-specific
+            return rest;
+        }),
+    };
+    return JSON.stringify(archive, null, 2);
+}
+
+/**
+ * Converts conversations to a self-contained HTML page with rendered Markdown and highlighted code.
+ * @param {Object[]} conversations - The conversations to export.
+ * @returns {string} The HTML document.
+ */
+export function exportToHtml(conversations) {
+    const sections = conversations.map(conversation => {
+        const persona = Personas.getConversationPersona(conversation);
+        const messages = Tree.getActivePath(conversation).map(message => {
+            let body;
+            if (message.type === 'image') {
+                const images = (message.images?.length ? message.images : [{ url: message.content }])
+                    .map(image => `<img src="${escapeHTML(image.url)}" alt="${escapeHTML(message.prompt || 'Generated image')}">`);
+                body = `<figure>${images.join('')}<figcaption>${escapeHTML(message.prompt || '')}</figcaption></figure>`;
+            } else if (message.error) {
+                body = `<p>${escapeHTML(message.errorMessage || message.content)}</p>`;
+            } else {
+                body = Attachments.renderAttachmentsHtml(message.attachments)
+                    + (message.role === 'user' ? Sanitize.renderUserMarkdown(message.content) : Sanitize.renderMarkdown(message.content));
+            }
+            return `<article class="message ${message.role}${message.error ? ' error' : ''}">
+<header>${message.role === 'user' ? 'You' : escapeHTML(`${persona.avatar} ${persona.name}`)} · ${escapeHTML(formatTimestamp(message.timestamp))}</header>
+${body}
+</article>`;
+        }).join('\n');
+        return `<section>
+<h1>${escapeHTML(conversation.title)}</h1>
+<p class="meta">Last updated ${escapeHTML(formatTimestamp(conversation.lastUpdated))}</p>
+${messages}
+</section>`;
+    }).join('\n');
+
+    const title = conversations.length === 1 ? conversations[0].title : 'JavaGoat conversations';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src * data: blob:; style-src 'unsafe-inline'">
+<title>${escapeHTML(title)}</title>
+<style>${HTML_EXPORT_STYLES}</style>
+</head>
+<body>
+<main>
+${sections}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Exports conversations and downloads the result as a file.
+ * @param {Object[]} conversations - The conversations to export.
+ * @param {'markdown'|'json'|'html'} format - The export format.
+ */
+export function exportConversations(conversations, format) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        showToast('error', `Unknown export format: ${format}`);
+        return;
+    }
+    if (conversations.length === 0) {
+        showToast('info', 'There are no conversations to export.');
+        return;
+    }
+
+    try {
+        const content = format === 'markdown' ? exportToMarkdown(conversations)
+            : format === 'json' ? exportToJson(conversations)
+            : exportToHtml(conversations);
+        const url = URL.createObjectURL(new Blob([content], { type: `${exportFormat.mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = buildFileName(conversations, exportFormat.extension);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        log('info', `Exported ${conversations.length} conversations as ${format}.`);
+        showToast('success', `Exported ${conversations.length === 1 ? 'conversation' : `${conversations.length} conversations`} as ${exportFormat.label}.`);
+    } catch (error) {
+        log('error', 'Error exporting conversations:', error);
+        showToast('error', `Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Validates one conversation from an archive.
+ * @param {*} conversation - The candidate conversation.
+ * @returns {string|null} A description of the first problem, or null if it is valid.
+ */
+function validateConversation(conversation) {
+    if (!conversation || typeof conversation !== 'object') return 'not an object';
+    if (typeof conversation.id !== 'string' || !conversation.id) return 'missing id';
+    if (typeof conversation.title !== 'string') return 'missing title';
+    if (!Array.isArray(conversation.messages)) return 'missing messages';
+
+    const messageIds = new Set();
+    for (const message of conversation.messages) {
+        if (!message || typeof message !== 'object' || typeof message.id !== 'string' || !message.id) return 'message without id';
+        if (messageIds.has(message.id)) return `duplicate message id ${message.id}`;
+        messageIds.add(message.id);
+        if (!['user', 'ai'].includes(message.role)) return `message ${message.id} has an unknown role`;
+        if (!['text', 'image'].includes(message.type)) return `message ${message.id} has an unknown type`;
+        if (typeof message.content !== 'string') return `message ${message.id} has no content`;
+    }
+    for (const message of conversation.messages) {
+        const references = [message.parentId, message.activeChildId, ...(message.childIds || [])].filter(id => id !== undefined && id !== null);
+        if (references.some(id => !messageIds.has(id))) return `message ${message.id} points at a missing message`;
+    }
+    return null;
+}
+
+/**
+ * Gives a conversation and all of its messages fresh IDs, updating every tree reference.
+ * @param {Object} conversation - The conversation (modified in place).
+ */
+function remapConversationIds(conversation) {
+    const idMap = new Map(conversation.messages.map(message => [message.id, crypto.randomUUID()]));
+    const remap = (id) => (id === undefined || id === null ? id : idMap.get(id));
+
+    conversation.id = crypto.randomUUID();
+    conversation.messages.forEach(message => {
+        message.id = idMap.get(message.id);
+        message.parentId = remap(message.parentId);
+        message.activeChildId = remap(message.activeChildId);
+        if (message.childIds) message.childIds = message.childIds.map(remap);
+    });
+    conversation.currentLeafId = remap(conversation.currentLeafId);
+}
+
+/**
+ * Parses and validates archive text.
+ * A bare array of conversations (a copy of `javagoat_conversations`) is accepted as well.
+ * Invalid conversations are skipped; colliding conversation IDs are remapped and exact
+ * duplicates of existing conversations are dropped.
+ * @param {string} text - The file contents.
+ * @returns {{conversations: Object[], skipped: number, duplicates: number}} Conversations ready to merge.
+ * @throws {Error} If the file is not a JavaGoat archive or comes from a newer version.
+ */
+export function parseArchive(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    let candidates;
+    if (Array.isArray(data)) {
+        candidates = data;
+    } else if (data && data.format === ARCHIVE_FORMAT && Array.isArray(data.conversations)) {
+        if (!Number.isInteger(data.version) || data.version > ARCHIVE_VERSION) {
+            throw new Error(`This archive was made by a newer version of JavaGoat (format version ${data.version}).`);
+        }
+        candidates = data.conversations;
+    } else {
+        throw new Error('The file is not a JavaGoat archive.');
+    }
+
+    const existingById = new Map(STATE.conversations.map(c => [c.id, c]));
+    const importedIds = new Set();
+    const conversations = [];
+    let skipped = 0;
+    let duplicates = 0;
+
+    candidates.forEach((candidate, index) => {
+        const problem = validateConversation(candidate);
+        if (problem) {
+            log('warn', `Skipping archived conversation #${index + 1}: ${problem}`);
+            skipped++;
+            return;
+        }
+
+        const conversation = JSON.parse(JSON.stringify(candidate)); // Detach from the parsed file
+        delete conversation.cloudSynced;
+        conversation.lastUpdated = Number(conversation.lastUpdated) || Date.now();
+        Tree.migrateConversation(conversation);
+
+        const existing = existingById.get(conversation.id);
+        if (existing && existing.lastUpdated === conversation.lastUpdated && existing.messages.length === conversation.messages.length) {
+            duplicates++;
+            return;
+        }
+        if (existing || importedIds.has(conversation.id)) {
+            remapConversationIds(conversation);
+        }
+        importedIds.add(conversation.id);
+        conversations.push(conversation);
+    });
+
+    return { conversations, skipped, duplicates };
+}
+
+/**
+ * Reads an archive file and merges its conversations.
+ * @param {File} file - The selected file.
+ * @returns {Promise<boolean>} True if anything was imported.
+ */
+export async function importArchiveFile(file) {
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+        showToast('error', 'The file is too large to import.');
+        return false;
+    }
+
+    try {
+        const { conversations, skipped, duplicates } = parseArchive(await file.text());
+        if (conversations.length > 0) {
+            Storage.importConversations(conversations);
+            UI.renderConversationHistory(appElements.conversationHistory);
+        }
+
+        const notes = [
+            skipped > 0 ? `${skipped} invalid skipped` : '',
+            duplicates > 0 ? `${duplicates} already present` : '',
+        ].filter(Boolean).join(', ');
+        showToast(conversations.length > 0 ? 'success' : 'info', `Imported ${conversations.length} conversations${notes ? ` (${notes})` : ''}.`);
+        log('info', `Imported ${conversations.length} conversations from ${file.name}; skipped ${skipped}, duplicates ${duplicates}.`);
+        return conversations.length > 0;
+    } catch (error) {
+        log('error', 'Error importing archive:', error);
+        showToast('error', `Import failed: ${error.message}`);
+        return false;
+    }
+}
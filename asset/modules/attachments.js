@@ -0,0 +1,402 @@
+// assets/modules/attachments.js
+
+// Files attached to chat prompts, added with the paperclip button, by pasting or by dropping
+// them on the composer. They are stored on the user message so they survive reloads and sync:
+//   message.attachments = [{ id, kind: 'image'|'text'|'pdf', name, mimeType, size, imageId?, dataUrl?, text?, truncated? }]
+// Images are scaled down and, once sent, kept in IndexedDB like generated images (image-store.js),
+// so the synced message only carries their `imageId`; `dataUrl` remains for pending attachments,
+// browsers without IndexedDB and older messages. They are sent as OpenAI-style `image_url` parts,
+// so the model has to accept image input. Text and code files are inlined into the prompt, and
+// PDFs are inlined as their extracted text (pdf.js is loaded on first use). The text goes through
+// the input policy together with the prompt (policy.js), so it is stored as sent.
+
+import * as ImageStore from './image-store.js';
+import { showToast, escapeHTML, formatBytes } from './utils.js';
+
+export const MAX_ATTACHMENTS = 6;
+const MAX_FILE_BYTES = 20 * 1024 * 1024; // Largest file read at all
+const MAX_TEXT_CHARS = 60000; // Per file, after extraction; longer text is cut off
+const MAX_IMAGE_DIMENSION = 1568; // Longest side sent to the model
+const MAX_UNSCALED_IMAGE_BYTES = 1024 * 1024; // Smaller images within the dimension are kept as they are
+const IMAGE_JPEG_QUALITY = 0.85;
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/x-yaml', 'application/x-sh', 'application/sql'];
+const TEXT_EXTENSIONS = [
+    'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'jsonl', 'xml', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'log',
+    'html', 'htm', 'css', 'scss', 'less', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte',
+    'py', 'rb', 'php', 'java', 'kt', 'kts', 'scala', 'go', 'rs', 'c', 'h', 'cpp', 'hpp', 'cc', 'cs', 'swift', 'm',
+    'sh', 'bash', 'zsh', 'ps1', 'bat', 'sql', 'r', 'lua', 'pl', 'dart', 'ex', 'exs', 'erl', 'hs', 'clj', 'graphql', 'proto', 'tex',
+];
+const PDF_JS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
+const PDF_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+let elements; // Store references to the composer elements
+let pendingAttachments = []; // Attached to the next prompt
+let pdfJsPromise = null;
+
+/**
+ * Returns the lowercased extension of a file name.
+ * @param {string} name - The file name.
+ * @returns {string} The extension without the dot, or an empty string.
+ */
+function getExtension(name) {
+    const match = /\.([^.]+)$/.exec(name || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Decides how a file is attached.
+ * @param {File} file - The file.
+ * @returns {'image'|'pdf'|'text'|null} The attachment kind, or null if the file type is not supported.
+ */
+export function getAttachmentKind(file) {
+    const type = (file.type || '').toLowerCase();
+    const extension = getExtension(file.name);
+    if (IMAGE_MIME_TYPES.includes(type)) return 'image';
+    if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+    if (type.startsWith('text/') || TEXT_MIME_TYPES.includes(type) || TEXT_EXTENSIONS.includes(extension)) return 'text';
+    return null;
+}
+
+/**
+ * Reads a file as a data URL.
+ * @param {Blob} file - The file.
+ * @returns {Promise<string>} The data URL.
+ */
+function readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('The file could not be read.'));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Scales an image down to MAX_IMAGE_DIMENSION and returns it as a data URL.
+ * Small images are kept unchanged, so PNG transparency and GIFs survive.
+ * @param {File} file - The image file.
+ * @returns {Promise<string>} The data URL.
+ */
+async function prepareImage(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+        if (scale === 1 && file.size <= MAX_UNSCALED_IMAGE_BYTES) {
+            return await readAsDataUrl(file);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', IMAGE_JPEG_QUALITY);
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Loads pdf.js from the CDN once.
+ * @returns {Promise<Object>} The `pdfjsLib` global.
+ */
+function loadPdfJs() {
+    if (!pdfJsPromise) {
+        pdfJsPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDF_JS_URL;
+            script.onload = () => {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => {
+                pdfJsPromise = null; // Allow a retry
+                reject(new Error('The PDF reader could not be loaded. Check your connection.'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return pdfJsPromise;
+}
+
+/**
+ * Extracts the text of a PDF, page by page, stopping once MAX_TEXT_CHARS is reached.
+ * @param {File} file - The PDF file.
+ * @returns {Promise<string>} The text.
+ */
+async function extractPdfText(file) {
+    const pdfjsLib = await loadPdfJs();
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    try {
+        const pages = [];
+        let length = 0;
+        for (let pageNumber = 1; pageNumber <= pdf.numPages && length <= MAX_TEXT_CHARS; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const text = content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('').trim();
+            pages.push(`[Page ${pageNumber}]\n${text}`);
+            length += text.length;
+        }
+        return pages.join('\n\n');
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Reads a file into an attachment.
+ * @param {File} file - The file.
+ * @returns {Promise<Object>} The attachment.
+ * @throws {Error} If the file type is not supported, the file is too large or has no text.
+ */
+export async function createAttachment(file) {
+    const kind = getAttachmentKind(file);
+    if (!kind) {
+        throw new Error(`${file.name}: only images, PDFs and text or code files can be attached.`);
+    }
+    if (file.size > MAX_FILE_BYTES) {
+        throw new Error(`${file.name} is larger than ${formatBytes(MAX_FILE_BYTES)}.`);
+    }
+
+    const attachment = {
+        id: crypto.randomUUID(),
+        kind,
+        name: file.name || (kind === 'image' ? 'Pasted image' : 'Pasted file'),
+        mimeType: file.type || '',
+        size: file.size,
+    };
+
+    if (kind === 'image') {
+        attachment.dataUrl = await prepareImage(file);
+        return attachment;
+    }
+
+    const text = kind === 'pdf' ? await extractPdfText(file) : await file.text();
+    if (!text.trim()) {
+        throw new Error(kind === 'pdf' ? `${file.name} has no text to extract (it may be a scanned document).` : `${file.name} is empty.`);
+    }
+    attachment.text = text.length > MAX_TEXT_CHARS ? text.slice(0, MAX_TEXT_CHARS) : text;
+    attachment.truncated = text.length > MAX_TEXT_CHARS;
+    return attachment;
+}
+
+/**
+ * Checks whether any attachment is an image.
+ * @param {Object[]} [attachments] - The attachments.
+ * @returns {boolean} True if an image is attached.
+ */
+export function hasImageAttachments(attachments) {
+    return (attachments || []).some(attachment => attachment.kind === 'image');
+}
+
+/**
+ * Moves attached images into IndexedDB, so the message only keeps a reference to them.
+ * Images that cannot be stored (no IndexedDB, storage full) keep their data URL.
+ * @param {Object[]} attachments - The attachments of a prompt.
+ * @param {string} conversationId - The conversation the prompt is sent in; its images are deleted with it.
+ * @returns {Promise<Object[]>} The attachments, images with `imageId` instead of `dataUrl` where stored.
+ */
+export async function storeImageAttachments(attachments, conversationId) {
+    return Promise.all(attachments.map(async (attachment) => {
+        if (attachment.kind !== 'image' || attachment.imageId || !attachment.dataUrl) return attachment;
+        try {
+            const { dataUrl, ...reference } = attachment;
+            const blob = await ImageStore.fetchImageBlob(dataUrl);
+            return { ...reference, imageId: await ImageStore.saveImage(blob, { prompt: attachment.name, conversationId, messageId: null }) };
+        } catch (error) {
+            log('warn', 'Keeping an attached image as a data URL:', error);
+            return attachment;
+        }
+    }));
+}
+
+/**
+ * Returns the data URL of an attached image, reading stored images from IndexedDB.
+ * @param {Object} attachment - An image attachment.
+ * @returns {Promise<string|null>} The data URL, or null if the image is not stored on this device.
+ */
+async function getImageDataUrl(attachment) {
+    if (attachment.dataUrl) return attachment.dataUrl;
+    try {
+        return await readAsDataUrl(await ImageStore.getImageBlob({ imageId: attachment.imageId }));
+    } catch (error) {
+        log('warn', `Attached image ${attachment.name} is not available:`, error);
+        return null;
+    }
+}
+
+/**
+ * Builds the API `content` of a user message: the prompt with inlined files, plus image parts.
+ * Images that are not stored on this device are replaced by a note.
+ * @param {Object} message - The stored message.
+ * @returns {Promise<string|Object[]>} A string, or OpenAI-style content parts when images are attached.
+ */
+export async function buildMessageContent(message) {
+    const attachments = message.attachments || [];
+    const inlinedFiles = attachments
+        .filter(attachment => attachment.kind !== 'image')
+        .map(attachment => {
+            const fence = attachment.text.includes('```') ? '~~~~' : '```';
+            const note = attachment.truncated ? `\n(Only the first ${MAX_TEXT_CHARS.toLocaleString()} characters are included.)` : '';
+            return `File: ${attachment.name}${note}\n${fence}${attachment.kind === 'text' ? getExtension(attachment.name) : ''}\n${attachment.text}\n${fence}`;
+        });
+    const images = await Promise.all(attachments
+        .filter(attachment => attachment.kind === 'image')
+        .map(async (attachment) => ({ name: attachment.name, url: await getImageDataUrl(attachment) })));
+    const missingImages = images.filter(image => !image.url)
+        .map(image => `(Attached image ${image.name} is not available on this device and was not sent.)`);
+    const text = [message.content, ...inlinedFiles, ...missingImages].filter(Boolean).join('\n\n');
+
+    const availableImages = images.filter(image => image.url);
+    if (availableImages.length === 0) return text;
+    return [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...availableImages.map(image => ({ type: 'image_url', image_url: { url: image.url } })),
+    ];
+}
+
+/**
+ * Returns the text of API message content, which may be a string or content parts.
+ * @param {string|Object[]} content - The content.
+ * @returns {string} The text parts joined.
+ */
+export function getContentText(content) {
+    if (!Array.isArray(content)) return content || '';
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+/**
+ * Builds the attachment list shown under a message: thumbnails for images, chips for files.
+ * Stored images are loaded afterwards by ImageStore.hydrateImages.
+ * @param {Object[]} [attachments] - The attachments.
+ * @returns {string} The HTML, or an empty string without attachments.
+ */
+export function renderAttachmentsHtml(attachments) {
+    if (!attachments || attachments.length === 0) return '';
+    const items = attachments.map(attachment => {
+        if (attachment.kind === 'image' && attachment.imageId) {
+            return `<img data-image-id="${escapeHTML(attachment.imageId)}" data-remote-src="" alt="${escapeHTML(attachment.name)}" title="${escapeHTML(attachment.name)}" class="attachment-thumbnail" loading="lazy">`;
+        }
+        if (attachment.kind === 'image') {
+            return `<img src="${escapeHTML(attachment.dataUrl || '')}" alt="${escapeHTML(attachment.name)}" title="${escapeHTML(attachment.name)}" class="attachment-thumbnail" loading="lazy">`;
+        }
+        const icon = attachment.kind === 'pdf' ? '📕' : '📄';
+        const details = `${formatBytes(attachment.size)}${attachment.truncated ? ', truncated' : ''}`;
+        return `<span class="attachment-chip" title="${escapeHTML(attachment.name)}">${icon} <span class="attachment-name">${escapeHTML(attachment.name)}</span> <span class="attachment-size">${details}</span></span>`;
+    });
+    return `<div class="message-attachments">${items.join('')}</div>`;
+}
+
+/**
+ * Returns the attachments waiting to be sent with the next prompt.
+ * @returns {Object[]} The attachments.
+ */
+export function getPendingAttachments() {
+    return [...pendingAttachments];
+}
+
+/**
+ * Forgets the pending attachments, e.g. once the prompt was sent.
+ */
+export function clearPendingAttachments() {
+    pendingAttachments = [];
+    renderAttachmentTray();
+}
+
+/**
+ * Reads files and adds them to the pending attachments.
+ * @param {FileList|File[]} files - The files.
+ * @returns {Promise<void>} Resolves once every file was read or rejected.
+ */
+export async function addFiles(files) {
+    const fileList = Array.from(files || []);
+    if (fileList.length === 0) return;
+
+    const room = MAX_ATTACHMENTS - pendingAttachments.length;
+    if (fileList.length > room) {
+        showToast('warning', `You can attach up to ${MAX_ATTACHMENTS} files per message.`);
+    }
+    elements.attachmentTray.classList.add('loading');
+    try {
+        for (const file of fileList.slice(0, Math.max(room, 0))) {
+            try {
+                pendingAttachments.push(await createAttachment(file));
+                renderAttachmentTray();
+            } catch (error) {
+                log('warn', 'Attachment rejected:', error);
+                showToast('error', error.message);
+            }
+        }
+    } finally {
+        elements.attachmentTray.classList.remove('loading');
+    }
+}
+
+/**
+ * Shows the pending attachments above the composer, each with a remove button.
+ */
+function renderAttachmentTray() {
+    const tray = elements.attachmentTray;
+    tray.innerHTML = '';
+    tray.classList.toggle('hidden', pendingAttachments.length === 0);
+    pendingAttachments.forEach(attachment => {
+        const item = document.createElement('div');
+        item.className = 'attachment-tray-item';
+        item.innerHTML = renderAttachmentsHtml([attachment]);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'attachment-remove-btn';
+        removeBtn.title = `Remove ${attachment.name}`;
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+            pendingAttachments = pendingAttachments.filter(pending => pending.id !== attachment.id);
+            renderAttachmentTray();
+        });
+        item.appendChild(removeBtn);
+        tray.appendChild(item);
+    });
+}
+
+/**
+ * Sets up the file picker, paste and drag-and-drop handling of the composer.
+ * @param {Object} domElements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(domElements) {
+    elements = domElements;
+
+    elements.attachBtn.addEventListener('click', () => elements.attachInput.click());
+    elements.attachInput.addEventListener('change', async () => {
+        await addFiles(elements.attachInput.files);
+        elements.attachInput.value = ''; // Allow picking the same file again
+    });
+
+    elements.chatInput.addEventListener('paste', (e) => {
+        const files = Array.from(e.clipboardData?.files || []);
+        if (files.length > 0) {
+            e.preventDefault(); // Pasted files would otherwise insert their name as text
+            addFiles(files);
+        }
+    });
+
+    const dropZone = elements.chatInputArea;
+    let dragDepth = 0; // dragenter/dragleave also fire for children
+    dropZone.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        dragDepth++;
+        dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragover', (e) => {
+        if (e.dataTransfer?.types.includes('Files')) e.preventDefault(); // Allows dropping
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', (e) => {
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        dragDepth = 0;
+        dropZone.classList.remove('drag-over');
+        addFiles(e.dataTransfer.files);
+    });
+}
@@ -5,9 +5,24 @@ import * as UI from './ui.js';
 import * as Storage from './storage.js';
 import * as Security from './security.js';
 import * as ImageGen from './image.js';
-import { showToast, sanitizeInput, truncateText } from './utils.js';
+import * as Tree from './tree.js';
+import * as Context from './context.js';
+import * as Providers from './providers/index.js';
+import * as Overrides from './overrides.js';
+import * as Roles from './roles.js';
+import * as Usage from './usage.js';
+import * as Policy from './policy.js';
+import * as Attachments from './attachments.js';
+import * as Models from './models.js';
+import * as Personas from './personas.js';
+import * as Tools from './tools.js';
+import * as Offline from './offline.js';
+import { showToast, truncateText } from './utils.js';
+
+const MAX_TOOL_ROUNDS = 5; // Requests that may call tools per reply; the last one must answer in text
 
 let appElements; // Store references to common DOM elements
+let isSendingQueue = false; // sendQueuedMessages() is running
 
 /**
  * Sets up event listeners for chat functionality.
@@ -28,6 +43,10 @@ export function setupEventListeners(elements) {
  */
 export function setMode(mode) {
     if (STATE.ui.mode === mode) return; // No change
+    if (mode === 'image' && !Roles.can('generateImages')) {
+        showToast('error', 'Your role does not allow image generation.');
+        return;
+    }
 
     if (STATE.ui.isGenerating) {
         showToast('warning', 'Please wait for the current generation to complete or stop it.');
@@ -45,7 +64,8 @@ export function setMode(mode) {
  */
 async function handleSendMessage() {
     const prompt = appElements.chatInput.value.trim();
-    if (!prompt) {
+    const attachments = Attachments.getPendingAttachments();
+    if (!prompt && (attachments.length === 0 || STATE.ui.mode === 'image')) {
         showToast('warning', 'Please enter a message or prompt.');
         return;
     }
@@ -55,36 +75,154 @@ async function handleSendMessage() {
         return;
     }
 
-    try {
-        // Apply SQLi filter to user input
-        const sanitizedPrompt = Security.filterSQLi(prompt);
-        // HTML escape user input before displaying or sending to Markdown parser
-        const escapedPrompt = Security.preventXSS(sanitizedPrompt);
+    await submitPrompt(prompt, { clearInput: true, attachments });
+}
 
-        appElements.chatInput.value = ''; // Clear input
-        UI.autoResizeChatInput();
+/**
+ * Edits an earlier user message by sending the new text as a sibling version.
+ * The original message and everything after it stay available as another branch.
+ * @param {string} messageId - The ID of the user message to edit.
+ * @param {string} newContent - The edited prompt.
+ */
+export async function editMessage(messageId, newContent) {
+    if (STATE.ui.isGenerating) {
+        showToast('warning', 'Please wait for the current generation to complete or stop it.');
+        return;
+    }
+    if (!Offline.requireConnection('Editing a message')) return;
+
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const originalMessage = activeConversation && Tree.getMessage(activeConversation, messageId);
+    if (!originalMessage || originalMessage.role !== 'user') {
+        showToast('error', 'Message to edit was not found.');
+        return;
+    }
+
+    // The edited version keeps the original's attachments
+    const attachments = originalMessage.attachments || [];
+    const prompt = newContent.trim();
+    if (!prompt && attachments.length === 0) {
+        showToast('warning', 'Please enter a message or prompt.');
+        return;
+    }
+
+    // Resend in the mode the original prompt was answered in
+    const originalReply = originalMessage.activeChildId && Tree.getMessage(activeConversation, originalMessage.activeChildId);
+    if (originalReply?.sourceImage) {
+        // The prompt of an image edit: edit the same image again with the new prompt
+        await ImageGen.editImage(originalReply.sourceImage, { prompt });
+        return;
+    }
+    const mode = originalReply?.type === 'image' ? 'image' : 'chat';
+
+    await submitPrompt(prompt, { parentId: originalMessage.parentId ?? null, mode, attachments });
+}
+
+/**
+ * Runs a prompt and its attached files through the input policy and sends it as a chat message or image prompt.
+ * Prompts the policy warns about, and images for a model that may not read them, are only sent
+ * once the user confirms. While offline, chat prompts are queued instead (see sendQueuedMessages).
+ * @param {string} prompt - The raw prompt text.
+ * @param {Object} [options] - Submission options.
+ * @param {string|null} [options.parentId] - Message to attach the prompt to; defaults to the end of the displayed branch.
+ * @param {'chat'|'image'} [options.mode=STATE.ui.mode] - Whether to chat or generate an image.
+ * @param {boolean} [options.clearInput=false] - Clear the chat input and pending attachments once the prompt is accepted.
+ * @param {Object[]} [options.attachments=[]] - Files to send with a chat prompt (see attachments.js).
+ * @param {boolean} [options.warningsConfirmed=false] - The user already agreed to send despite policy warnings.
+ * @param {boolean} [options.imagesConfirmed=false] - The user already agreed to send images to a model without image input.
+ * @param {Object|null} [options.checkedPrompt=null] - The policy result when resubmitting after a confirmation, so the
+ *   policy (and its audit log) does not run twice for the same prompt.
+ */
+async function submitPrompt(prompt, { parentId, mode = STATE.ui.mode, clearInput = false, attachments = [], warningsConfirmed = false, imagesConfirmed = false, checkedPrompt = null } = {}) {
+    if (mode === 'image' && attachments.length > 0) {
+        showToast('error', 'Attachments can only be sent in chat mode.');
+        return;
+    }
+
+    if (!checkedPrompt) {
+        try {
+            checkedPrompt = Policy.applyInputPolicy(prompt, attachments);
+        } catch (error) {
+            showToast('error', error.message); // Keep the prompt in the input so it can be changed
+            return;
+        }
+    }
+    if (checkedPrompt.warnings.length > 0 && !warningsConfirmed) {
+        UI.showConfirmationModal(
+            'Send Sensitive Information?',
+            `Your message seems to contain: ${checkedPrompt.warnings.join(', ')}. Send it anyway?`,
+            () => submitPrompt(prompt, { parentId, mode, clearInput, attachments, warningsConfirmed: true, imagesConfirmed, checkedPrompt }),
+        );
+        return;
+    }
+    if (Attachments.hasImageAttachments(attachments) && !imagesConfirmed) {
+        const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+        const modelId = Overrides.getEffectiveChatSettings(activeConversation).modelId;
+        if (Models.supportsImageInput(modelId) === false) {
+            UI.showConfirmationModal(
+                'Send Images?',
+                `${modelId} does not seem to accept images, so the request may fail. Send it anyway?`,
+                () => submitPrompt(prompt, { parentId, mode, clearInput, attachments, warningsConfirmed: true, imagesConfirmed: true, checkedPrompt }),
+            );
+            return;
+        }
+    }
+    if (checkedPrompt.redactions.length > 0) {
+        showToast('info', `Redacted before sending: ${checkedPrompt.redactions.join(', ')}.`);
+    }
+    // Refuse before anything is stored, so a refused message leaves no images or conversation behind
+    if (Offline.isOffline()) {
+        if (mode === 'image') {
+            showToast('warning', "You're offline. Generating images needs a connection.");
+            return;
+        }
+        if (hasQueuedMessage(STATE.ui.activeConversationId)) {
+            showToast('warning', 'This conversation already has a message waiting for the connection.');
+            return;
+        }
+    }
+
+    // Attached images are stored on this device, so the synced message only references them
+    let checkedAttachments = checkedPrompt.attachments;
+    if (Attachments.hasImageAttachments(checkedAttachments)) {
+        const conversation = getConversationForPrompt(checkedPrompt.text || checkedAttachments.map(attachment => attachment.name).join(', '));
+        checkedAttachments = await Attachments.storeImageAttachments(checkedAttachments, conversation?.id);
+    }
+
+    if (Offline.isOffline() && mode === 'chat') {
+        queueChatMessage(checkedPrompt.text, { parentId, clearInput, attachments: checkedAttachments });
+        return;
+    }
+
+    try {
+        if (clearInput) {
+            appElements.chatInput.value = ''; // Clear input
+            UI.autoResizeChatInput();
+            Attachments.clearPendingAttachments();
+        }
 
         STATE.ui.isGenerating = true;
         UI.updateChatInputArea();
         UI.showTypingIndicator(true);
 
-        if (STATE.ui.mode === 'chat') {
-            await sendChatMessage(escapedPrompt);
-        } else if (STATE.ui.mode === 'image') {
-            await ImageGen.generateImage(escapedPrompt);
+        if (mode === 'chat') {
+            await sendChatMessage(checkedPrompt.text, parentId, checkedAttachments);
+        } else if (mode === 'image') {
+            await ImageGen.generateImage(checkedPrompt.text, parentId);
         }
     } catch (error) {
         log('error', 'Error handling message/image generation:', error);
         showToast('error', error.message);
         // Add user message with error state if it was a chat message
-        if (STATE.ui.mode === 'chat') {
+        if (mode === 'chat') {
             addMessageToConversation({
                 id: crypto.randomUUID(),
                 role: 'user',
                 type: 'text',
-                content: prompt, // Use original prompt here for user's view
+                content: checkedPrompt.text, // As sent: redacted text must not be stored or synced
+                ...(checkedAttachments.length > 0 ? { attachments: checkedAttachments } : {}),
                 timestamp: Date.now(),
-            });
+            }, parentId);
             addMessageToConversation({
                 id: crypto.randomUUID(),
                 role: 'ai',
@@ -104,38 +242,38 @@ async function handleSendMessage() {
 }
 
 /**
- * Sends a chat message to the OpenRouter API and handles streaming responses.
+ * Sends a chat message to the active LLM provider and handles streaming responses.
  * @param {string} prompt - The user's message.
+ * @param {string|null} [parentId] - Message to reply to; defaults to the end of the displayed branch.
+ * @param {Object[]} [attachments=[]] - Files sent with the message.
  */
-async function sendChatMessage(prompt) {
-    if (!STATE.settings.openrouterKey) {
-        showToast('error', 'OpenRouter API key is not configured in settings.');
-        log('error', 'API key missing for chat.');
+async function sendChatMessage(prompt, parentId, attachments = []) {
+    const title = prompt || attachments.map(attachment => attachment.name).join(', ');
+    const configurationError = Providers.getConfigurationError() || Usage.getQuotaError('tokens');
+    if (configurationError) {
+        showToast('error', configurationError);
+        log('error', 'Chat request refused:', configurationError);
         addMessageToConversation({
             id: crypto.randomUUID(),
             role: 'user',
             type: 'text',
             content: prompt,
+            ...(attachments.length > 0 ? { attachments } : {}),
             timestamp: Date.now(),
-        });
+        }, parentId);
         addMessageToConversation({
             id: crypto.randomUUID(),
             role: 'ai',
             type: 'text',
-            content: 'Error: OpenRouter API key is not configured. Please check settings.',
-            errorMessage: 'API key not configured.',
+            content: `Error: ${configurationError}`,
+            errorMessage: configurationError,
             error: true,
             timestamp: Date.now(),
         });
         return;
     }
 
-    // Create a new conversation if none is active or if the active one is empty
-    if (!STATE.ui.activeConversationId || STATE.conversations.find(c => c.id === STATE.ui.activeConversationId)?.messages.length === 0) {
-        startNewConversation(prompt);
-    }
-
-    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const activeConversation = getConversationForPrompt(title);
     if (!activeConversation) {
         showToast('error', 'No active conversation found.');
         return;
@@ -147,19 +285,162 @@ async function sendChatMessage(prompt) {
         role: 'user',
         type: 'text',
         content: prompt,
+        ...(attachments.length > 0 ? { attachments } : {}),
         timestamp: Date.now(),
     };
-    addMessageToConversation(userMessage);
-
-    // Prepare messages for API (system prompt + history)
-    const messagesForApi = [
-        { role: 'system', content: STATE.settings.systemPrompt },
-        ...activeConversation.messages.filter(m => m.type === 'text').map(m => ({
-            role: m.role,
-            content: m.content
-        })),
-        { role: 'user', content: prompt } // Add the current user prompt again for context
-    ];
+    addMessageToConversation(userMessage, parentId);
+
+    await streamAssistantReply(activeConversation);
+}
+
+/**
+ * Returns the conversation a new prompt goes to, creating one if none is active.
+ * An empty conversation is reused (so its chat settings are kept) and titled after the prompt.
+ * @param {string} title - Title for a new or empty conversation.
+ * @returns {Object|undefined} The active conversation.
+ */
+function getConversationForPrompt(title) {
+    if (!STATE.ui.activeConversationId) {
+        startNewConversation(title);
+    }
+
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    if (activeConversation && activeConversation.messages.length === 0) {
+        activeConversation.title = truncateText(title, APP_CONSTANTS.CONVERSATION_TITLE_MAX_LENGTH);
+        UI.updateChatHeader();
+    }
+    return activeConversation;
+}
+
+/**
+ * Checks whether a conversation already has a message waiting for the connection.
+ * @param {string|null} conversationId - The conversation.
+ * @returns {boolean} True if a message is queued in it.
+ */
+function hasQueuedMessage(conversationId) {
+    return getQueuedMessages().some(({ conversation }) => conversation.id === conversationId);
+}
+
+/**
+ * Adds a prompt written while offline to the conversation without sending it. The message is
+ * marked `queued` and answered by sendQueuedMessages() once the connection returns.
+ * A conversation holds at most one queued message, since each one is answered on its own branch;
+ * submitPrompt() refuses a second one before storing its attachments.
+ * @param {string} prompt - The checked prompt text.
+ * @param {Object} options - See submitPrompt.
+ * @param {string|null} [options.parentId] - Message to attach the prompt to.
+ * @param {boolean} options.clearInput - Clear the chat input and pending attachments.
+ * @param {Object[]} options.attachments - Files sent with the message.
+ */
+function queueChatMessage(prompt, { parentId, clearInput, attachments }) {
+    const activeConversation = getConversationForPrompt(prompt || attachments.map(attachment => attachment.name).join(', '));
+    if (!activeConversation) {
+        showToast('error', 'No active conversation found.');
+        return;
+    }
+    if (clearInput) {
+        appElements.chatInput.value = '';
+        UI.autoResizeChatInput();
+        Attachments.clearPendingAttachments();
+    }
+
+    addMessageToConversation({
+        id: crypto.randomUUID(),
+        role: 'user',
+        type: 'text',
+        content: prompt,
+        ...(attachments.length > 0 ? { attachments } : {}),
+        queued: true,
+        timestamp: Date.now(),
+    }, parentId);
+    Offline.updateOfflineBanner();
+    log('info', 'Queued a message while offline in:', activeConversation.id);
+    showToast('info', 'Message queued. It will be sent when the connection returns.');
+}
+
+/**
+ * Lists the messages waiting for the connection, oldest first.
+ * @returns {{conversation: Object, message: Object}[]} The queued messages with their conversations.
+ */
+export function getQueuedMessages() {
+    return STATE.conversations
+        .flatMap(conversation => conversation.messages
+            .filter(message => message.queued)
+            .map(message => ({ conversation, message })))
+        .sort((a, b) => a.message.timestamp - b.message.timestamp);
+}
+
+/**
+ * Sends the messages queued while offline, one after another. Each conversation is opened on
+ * the queued message's branch while its reply streams in.
+ */
+export async function sendQueuedMessages() {
+    if (isSendingQueue || Offline.isOffline()) return;
+    const queue = getQueuedMessages();
+    if (queue.length === 0) return;
+    if (STATE.ui.isGenerating) {
+        showToast('warning', 'Queued messages will be sent after the current generation.');
+        return;
+    }
+    const configurationError = Providers.getConfigurationError() || Usage.getQuotaError('tokens');
+    if (configurationError) {
+        showToast('error', `Queued messages were not sent: ${configurationError}`);
+        return;
+    }
+
+    isSendingQueue = true;
+    showToast('info', `Sending ${queue.length === 1 ? 'the queued message' : `${queue.length} queued messages`}...`);
+    try {
+        for (const { conversation, message } of queue) {
+            if (Offline.isOffline()) break; // Lost the connection again; the rest stay queued
+            if (!STATE.conversations.includes(conversation) || !message.queued) continue; // Deleted in the meantime
+
+            delete message.queued;
+            Tree.selectBranch(conversation, message.id);
+            Storage.saveConversation(conversation);
+            STATE.ui.activeConversationId = conversation.id;
+            UI.renderChatArea();
+            UI.renderConversationHistory(appElements.conversationHistory);
+
+            STATE.ui.isGenerating = true;
+            UI.updateChatInputArea();
+            UI.showTypingIndicator(true);
+            await streamAssistantReply(conversation); // Shows its own errors
+        }
+    } finally {
+        isSendingQueue = false;
+        Offline.updateOfflineBanner();
+    }
+}
+
+/**
+ * Streams an AI reply to the end of the displayed branch, which must end with the user's prompt.
+ * When the model calls tools, they are run and their results sent back in another request,
+ * until the model answers in text; all rounds stream into the same AI message.
+ * @param {Object} activeConversation - The conversation being replied in.
+ */
+async function streamAssistantReply(activeConversation) {
+    // Global settings with this conversation's overrides applied
+    const chatSettings = Overrides.getEffectiveChatSettings(activeConversation);
+
+    // Prepare messages for API (system prompt + as much of the displayed branch as fits the model)
+    let context;
+    try {
+        context = await Context.buildChatContext({
+            systemPrompt: chatSettings.systemPrompt,
+            history: Tree.getActivePath(activeConversation),
+            modelId: chatSettings.modelId,
+            ...(chatSettings.maxTokens ? { reserveTokens: chatSettings.maxTokens } : {}),
+        });
+    } catch (error) {
+        // Nothing was sent yet; unlock the input so the message can be sent again
+        log('error', 'Could not build the chat context:', error);
+        showToast('error', `The message could not be sent: ${error.message}`);
+        STATE.ui.isGenerating = false;
+        UI.updateChatInputArea();
+        UI.showTypingIndicator(false);
+        return;
+    }
 
     STATE.abortController = new AbortController();
     const signal = STATE.abortController.signal;
@@ -171,58 +452,60 @@ async function sendChatMessage(prompt) {
         role: 'ai',
         type: 'text',
         content: '',
+        contextOmitted: context.omittedCount, // Shown in the UI when earlier messages were left out
         timestamp: Date.now(),
     };
     addMessageToConversation(aiMessagePlaceholder); // Add placeholder for streaming
 
+    const tools = Tools.getToolDefinitions(chatSettings.modelId);
+    const toolMessages = []; // This reply's tool calls and results, sent after the context
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${STATE.settings.openrouterKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': window.location.origin, // Optional, for OpenRouter analytics
-                'X-Title': APP_CONSTANTS.APP_NAME, // Optional, for OpenRouter analytics
-            },
-            body: JSON.stringify({
-                model: STATE.settings.modelId,
-                messages: messagesForApi,
-                stream: true,
-            }),
-            signal,
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error ? errorData.error.message : response.statusText);
-        }
+        for (let round = 0; ; round++) {
+            const sendTools = tools.length > 0 && round < MAX_TOOL_ROUNDS - 1;
+            // Without tool definitions, earlier tool calls are only sent as text
+            const requestMessages = sendTools
+                ? [...context.messages, ...toolMessages]
+                : Context.flattenToolCalls([...context.messages, ...toolMessages]);
+            const earlierRoundsContent = aiMessageContent;
+            const result = await Providers.streamChat({
+                model: chatSettings.modelId,
+                messages: requestMessages,
+                temperature: chatSettings.temperature,
+                topP: chatSettings.topP,
+                maxTokens: chatSettings.maxTokens,
+                ...(sendTools ? { tools } : {}),
+                signal,
+            }, {
+                onDelta: (delta, content) => {
+                    aiMessageContent = earlierRoundsContent ? `${earlierRoundsContent}\n\n${content}` : content;
+                    // Update the last message in the UI with streaming content
+                    updateLastMessageContent(aiMessageId, aiMessageContent);
+                },
+            });
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            // OpenRouter sends data in 'data: {json}\n\n' format
-            chunk.split('\n\n').forEach(part => {
-                if (part.startsWith('data: ')) {
-                    const jsonStr = part.substring(6);
-                    if (jsonStr === '[DONE]') return;
-                    try {
-                        const data = JSON.parse(jsonStr);
-                        const delta = data.choices[0]?.delta?.content || '';
-                        if (delta) {
-                            aiMessageContent += delta;
-                            // Update the last message in the UI with streaming content
-                            updateLastMessageContent(aiMessageId, aiMessageContent);
-                        }
-                    } catch (e) {
-                        log('error', 'Error parsing streaming chunk:', e, jsonStr);
-                    }
+            // Keep the final chunk's metadata (finish reason, token usage) on the message
+            const aiMessage = activeConversation.messages.find(m => m.id === aiMessageId);
+            if (aiMessage) {
+                aiMessage.finishReason = result.finishReason;
+                aiMessage.usage = result.usage;
+            }
+            if (!aiMessage || !result.toolCalls?.length) {
+                if (result.finishReason === 'length') {
+                    showToast('warning', 'The response was cut off because it reached the maximum length.');
                 }
-            });
+                break;
+            }
+
+            toolMessages.push({ role: 'assistant', content: result.content, tool_calls: result.toolCalls });
+            for (const toolCall of result.toolCalls) {
+                const call = { id: toolCall.id, name: toolCall.function.name, arguments: toolCall.function.arguments, round };
+                aiMessage.toolCalls = [...(aiMessage.toolCalls || []), call];
+                UI.updateToolCalls(aiMessage); // Shows the call as running
+                Object.assign(call, await Tools.runToolCall(call, { signal }));
+                UI.updateToolCalls(aiMessage);
+                toolMessages.push({ role: 'tool', tool_call_id: call.id, content: call.result });
+            }
+            Storage.saveConversation(activeConversation);
         }
     } catch (error) {
         if (signal.aborted) {
@@ -234,14 +517,23 @@ async function sendChatMessage(prompt) {
             aiMessageContent += `\n\n**Error:** ${error.message}`;
             showToast('error', `AI chat error: ${error.message}`);
         }
-        // Ensure the last message is updated with any partial content and error info
-        updateLastMessageContent(aiMessageId, aiMessageContent, true, error.message);
+        // Calls that were still running when the reply ended never got a result
+        const aiMessage = activeConversation.messages.find(m => m.id === aiMessageId);
+        const unfinishedCalls = (aiMessage?.toolCalls || []).filter(call => call.result === undefined);
+        if (unfinishedCalls.length > 0) {
+            unfinishedCalls.forEach(call => Object.assign(call, { result: 'Error: The tool was stopped.', isError: true }));
+            UI.updateToolCalls(aiMessage);
+        }
+        // Ensure the last message is updated with any partial content; a reply the user stopped is kept as it is, not as an error
+        updateLastMessageContent(aiMessageId, aiMessageContent, !signal.aborted, signal.aborted ? '' : error.message);
     } finally {
         STATE.ui.isGenerating = false;
         UI.updateChatInputArea();
         UI.showTypingIndicator(false);
         STATE.abortController = null; // Clear controller after use
-        Storage.saveConversations(); // Save conversations after completion
+        const aiMessage = activeConversation.messages.find(m => m.id === aiMessageId);
+        if (aiMessage) UI.finishStreamingMessage(aiMessage);
+        Storage.flushPendingWrites(); // Write the finished reply without waiting for the next batch
     }
 }
 
@@ -249,12 +541,13 @@ async function sendChatMessage(prompt) {
  * Adds a message to the active conversation and updates the UI.
  * If no conversation is active, a new one is created.
  * @param {Object} message - The message object to add.
+ * @param {string|null} [parentId] - Parent message ID; defaults to the end of the displayed branch.
  */
-export function addMessageToConversation(message) {
+export function addMessageToConversation(message, parentId) {
     let activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
 
     if (!activeConversation) {
-        startNewConversation(message.type === 'text' ? message.content : 'Image Generation');
+        startNewConversation(message.type === 'text' ? message.content || 'New Chat' : 'Image Generation');
         activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
         if (!activeConversation) {
             log('error', 'Failed to create or find active conversation.');
@@ -263,11 +556,16 @@ export function addMessageToConversation(message) {
         }
     }
 
-    activeConversation.messages.push(message);
+    const previousLeafId = activeConversation.currentLeafId ?? null;
+    Tree.addMessage(activeConversation, message, parentId);
     activeConversation.lastUpdated = Date.now();
     Storage.saveConversation(activeConversation); // Save updated conversation
 
-    UI.appendMessageToChat(message); // Append to UI
+    if (message.parentId === previousLeafId) {
+        UI.appendMessageToChat(message); // Append to UI
+    } else {
+        UI.renderChatArea(); // A new branch was started; show its path
+    }
     UI.renderConversationHistory(appElements.conversationHistory); // Update sidebar history
     UI.scrollToBottom();
 }
@@ -305,6 +603,7 @@ export function startNewConversation(initialPrompt = 'New Chat') {
         messages: [],
         lastUpdated: Date.now(),
     };
+    Personas.applyPersonaToNewConversation(newConversation); // The assistant picked on the welcome screen
     STATE.conversations.unshift(newConversation); // Add to beginning
     STATE.ui.activeConversationId = newConversation.id;
     Storage.saveConversations(); // Save new list of conversations
@@ -325,6 +624,36 @@ export function loadConversation(conversationId) {
     log('info', 'Loaded conversation:', conversationId);
 }
 
+/**
+ * Opens a conversation at a search hit, switching to the branch that contains the message.
+ * @param {string} conversationId - The conversation containing the hit.
+ * @param {string} messageId - The matching message.
+ * @param {string[]} terms - The matched text fragments to highlight.
+ */
+export function openSearchResult(conversationId, messageId, terms) {
+    const conversation = STATE.conversations.find(c => c.id === conversationId);
+    if (!conversation || !Tree.getMessage(conversation, messageId)) {
+        showToast('error', 'That message no longer exists.');
+        return;
+    }
+
+    const isOnDisplayedBranch = Tree.getActivePath(conversation).some(m => m.id === messageId);
+    if (!isOnDisplayedBranch) {
+        if (STATE.ui.isGenerating && STATE.ui.activeConversationId === conversationId) {
+            showToast('warning', 'Please wait for the current generation to complete or stop it.');
+            return;
+        }
+        Tree.selectBranch(conversation, messageId);
+        Storage.saveConversation(conversation);
+    }
+
+    STATE.ui.activeConversationId = conversationId;
+    UI.renderChatArea();
+    UI.renderConversationHistory(appElements.conversationHistory, appElements.conversationSearch.value);
+    UI.highlightMessage(messageId, terms);
+    log('info', 'Opened search result:', conversationId, messageId);
+}
+
 /**
  * Deletes a conversation by ID.
  * @param {string} conversationId - The ID of the conversation to delete.
@@ -341,15 +670,21 @@ export function deleteConversation(conversationId) {
 
 /**
  * Clears all conversations.
+ * @returns {boolean} True if the conversations were cleared.
  */
 export function clearAllConversations() {
+    if (!Roles.can('clearChats')) {
+        showToast('error', 'Your role does not allow clearing all chats.');
+        return false;
+    }
     if (!Security.verifyCsrfToken('clear_all_chats')) {
         showToast('error', 'Security error: CSRF token mismatch.');
-        return;
+        return false;
     }
-    Storage.clearConversations();
+    Storage.clearConversations(true); // Also clears the user's synced chats
     UI.renderApp(appElements); // Re-render everything
     log('info', 'Cleared all conversations.');
+    return true;
 }
 
 /**
@@ -366,13 +701,34 @@ export function stopGenerating() {
 }
 
 /**
- * Regenerates the last AI response in the current conversation.
+ * Switches a message to its previous or next sibling version and shows that branch.
+ * @param {string} messageId - The ID of the message currently shown.
+ * @param {number} offset - -1 for the previous version, 1 for the next one.
+ */
+export function switchBranch(messageId, offset) {
+    if (STATE.ui.isGenerating) {
+        showToast('warning', 'Please wait for the current generation to complete or stop it.');
+        return;
+    }
+
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    if (activeConversation && Tree.switchSibling(activeConversation, messageId, offset)) {
+        Storage.saveConversation(activeConversation);
+        UI.renderChatArea();
+    }
+}
+
+/**
+ * Regenerates an AI response in the current conversation.
+ * The new answer is added as a sibling, so the previous one stays reachable.
+ * @param {string} [messageId] - The AI message to regenerate; defaults to the last one on the displayed branch.
  */
-export async function regenerateResponse() {
+export async function regenerateResponse(messageId) {
     if (STATE.ui.isGenerating) {
         showToast('warning', 'Please wait for the current generation to complete or stop it.');
         return;
     }
+    if (!Offline.requireConnection('Regenerating a response')) return;
 
     const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
     if (!activeConversation || activeConversation.messages.length < 2) {
@@ -380,34 +736,47 @@ export async function regenerateResponse() {
         return;
     }
 
-    // Find the last user message to regenerate from
-    const lastUserMessage = activeConversation.messages
-        .slice() // Create a shallow copy to reverse without modifying original
-        .reverse()
-        .find(msg => msg.role === 'user' && msg.type === 'text');
+    const targetMessage = messageId
+        ? Tree.getMessage(activeConversation, messageId)
+        : Tree.getActivePath(activeConversation).reverse().find(msg => msg.role === 'ai');
+    if (!targetMessage) {
+        showToast('info', 'No previous AI response to regenerate.');
+        return;
+    }
+    if (targetMessage.type === 'image' || targetMessage.imageParams) {
+        await ImageGen.regenerateImage(targetMessage.id);
+        return;
+    }
+
+    if (!Providers.isActiveProviderConfigured()) {
+        showToast('error', Providers.getConfigurationError());
+        return;
+    }
+    const quotaError = Usage.getQuotaError('tokens');
+    if (quotaError) {
+        showToast('error', quotaError);
+        return;
+    }
 
-    if (!lastUserMessage) {
+    // Find the user message the response answered
+    const promptMessage = targetMessage.parentId && Tree.getMessage(activeConversation, targetMessage.parentId);
+    if (!promptMessage || promptMessage.role !== 'user' || promptMessage.type !== 'text') {
         showToast('info', 'No user message found to regenerate from.');
         return;
     }
 
-    // Remove the last AI response (and its corresponding user prompt if it was a pair)
-    // For simplicity, we just remove the last AI response. The user prompt remains.
-    const lastAIMessageIndex = activeConversation.messages.findIndex(msg => msg.id === activeConversation.messages.at(-1)?.id && msg.role === 'ai');
-    if (lastAIMessageIndex !== -1) {
-        activeConversation.messages.splice(lastAIMessageIndex, 1);
-        Storage.saveConversation(activeConversation);
-        UI.renderChatArea(); // Re-render chat without the last AI message
-    }
+    // Show the branch up to the prompt; the new response becomes a sibling of the old one
+    activeConversation.currentLeafId = promptMessage.id;
+    UI.renderChatArea();
 
-    log('info', 'Regenerating response for:', lastUserMessage.content);
+    log('info', 'Regenerating response for:', promptMessage.content);
     showToast('info', 'Regenerating AI response...');
 
     try {
         STATE.ui.isGenerating = true;
         UI.updateChatInputArea();
         UI.showTypingIndicator(true);
-        await sendChatMessage(lastUserMessage.content);
+        await streamAssistantReply(activeConversation);
     } catch (error) {
         log('error', 'Error during regeneration:', error);
         showToast('error', `Regeneration failed: ${error.message}`);
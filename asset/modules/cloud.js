@@ -3,13 +3,43 @@
 import { STATE } from './state.js';
 import * as Firebase from './firebase.js';
 import * as Settings from './settings.js';
+import * as Storage from './storage.js';
+import * as Tree from './tree.js';
+import * as Roles from './roles.js';
 import { showToast } from './utils.js';
 
 const SETTINGS_PATH = 'settings'; // Path in Firebase Realtime Database
+const USERS_PATH = 'users'; // Per-user data lives under users/{uid}
+const CONVERSATION_SAVE_DELAY_MS = 1500; // Coalesces streamed token updates into one write
+const EMULATOR_FLAG_KEY = 'javagoat_use_emulator';
+const EMULATOR_PORTS = { database: 9000, auth: 9099 };
 
 let settingsRef;
 let settingsListenerDetached = true; // Flag to track listener status
 
+let conversationsRef;
+let conversationsListenerDetached = true;
+const pendingConversationSaves = new Map(); // conversationId -> timeout ID
+
+/**
+ * Points the Firebase SDK at the local emulator suite when running on localhost with
+ * `?emulator` in the URL or `localStorage.javagoat_use_emulator = 'true'`.
+ * Must be called right after Firebase is initialized and before any auth or database call.
+ * @returns {boolean} True if the emulators were connected.
+ */
+export function connectEmulatorsIfEnabled() {
+    const isLocalhost = location.hostname === 'localhost' || location.hostname === '127.0.0.1';
+    const requested = new URLSearchParams(location.search).has('emulator') || localStorage.getItem(EMULATOR_FLAG_KEY) === 'true';
+    if (!isLocalhost || !requested || !Firebase.getDatabase()) {
+        return false;
+    }
+
+    Firebase.getDatabase().useEmulator(location.hostname, EMULATOR_PORTS.database);
+    firebase.auth().useEmulator(`http://${location.hostname}:${EMULATOR_PORTS.auth}`);
+    log('warn', `Using Firebase emulators (database :${EMULATOR_PORTS.database}, auth :${EMULATOR_PORTS.auth}).`);
+    return true;
+}
+
 /**
  * Listens for real-time updates to global settings in Firebase Realtime Database.
  * Applies settings to STATE and updates UI.
@@ -28,8 +58,12 @@ export function listenToCloudSettings() {
             const cloudSettings = snapshot.val();
             if (cloudSettings) {
                 // Only update specific settings that are meant to be global
-                STATE.settings = { ...STATE.settings, ...cloudSettings };
+                // The database drops empty lists, so a missing `promptTemplates` or `personas` means all were deleted
+                STATE.settings = { ...STATE.settings, promptTemplates: [], personas: [], ...cloudSettings };
                 STATE.ui.theme = STATE.settings.theme; // Ensure UI theme matches
+                if (cloudSettings.provider === 'proxy') {
+                    Storage.saveLocalSettings(); // Overwrite any API key cached before the switch to the proxy
+                }
                 log('info', 'Cloud settings updated:', STATE.settings);
                 Settings.applySettingsToUI();
                 showToast('info', 'Settings synced from cloud.');
@@ -66,13 +100,24 @@ export function stopListeningToCloudSettings() {
     }
 }
 
+/**
+ * Returns the settings to publish. The `settings` node is readable by every signed-in user,
+ * so API keys are left out when the proxy server holds them.
+ * @param {Object} settings - The settings to publish.
+ * @returns {Object} The settings without keys the browser does not need.
+ */
+function toCloudSettings(settings) {
+    if (settings.provider !== 'proxy') return settings;
+    return { ...settings, openrouterKey: '', providerApiKey: '' };
+}
+
 /**
  * Saves the current STATE.settings to Firebase Realtime Database.
  * Only callable by admin.
  */
 export async function saveCloudSettings() {
-    if (!STATE.auth.isAdmin) {
-        showToast('error', 'Only administrators can save global settings.');
+    if (!Roles.can('editGlobalSettings')) {
+        showToast('error', 'Only owners and admins can save global settings.');
         log('warn', 'Attempted to save cloud settings without admin privileges.');
         return;
     }
@@ -84,7 +129,7 @@ export async function saveCloudSettings() {
     }
 
     try {
-        await Firebase.getDatabase().ref(SETTINGS_PATH).set(STATE.settings);
+        await Firebase.getDatabase().ref(SETTINGS_PATH).set(toCloudSettings(STATE.settings));
         log('info', 'Cloud settings saved successfully by admin.');
         showToast('success', 'Settings saved to cloud.');
     } catch (error) {
@@ -92,3 +137,186 @@ export async function saveCloudSettings() {
         showToast('error', `Failed to save settings to cloud: ${error.message}`);
     }
 }
+
+/**
+ * Checks whether conversations can be synced for the current user.
+ * @returns {boolean} True if a signed-in (non-guest) user and a database are available.
+ */
+export function isConversationSyncAvailable() {
+    return STATE.auth.isLoggedIn && !STATE.auth.isGuest && !!STATE.auth.user?.uid && !!Firebase.getDatabase();
+}
+
+/**
+ * Returns the database reference holding the current user's conversations.
+ * @returns {Object} Firebase database reference.
+ */
+function getUserConversationsRef() {
+    return Firebase.getDatabase().ref(`${USERS_PATH}/${STATE.auth.user.uid}/conversations`);
+}
+
+/**
+ * Converts a conversation to a value the Realtime Database accepts.
+ * Drops `undefined` fields (which make `set()` throw) and local-only bookkeeping.
+ * @param {Object} conversation - The conversation to serialize.
+ * @returns {Object} A plain JSON-safe copy.
+ */
+function toCloudConversation(conversation) {
+    const { cloudSynced, ...rest } = conversation;
+    return JSON.parse(JSON.stringify(rest));
+}
+
+/**
+ * Normalizes a conversation read from the database.
+ * The database drops empty arrays, so `messages` may be missing, and conversations
+ * written by older clients may still use the flat message format.
+ * @param {Object} value - Raw snapshot value.
+ * @returns {Object} The normalized conversation.
+ */
+function fromCloudConversation(value) {
+    const conversation = { ...value, messages: value.messages || [], lastUpdated: value.lastUpdated || 0 };
+    Tree.migrateConversation(conversation);
+    return conversation;
+}
+
+/**
+ * Loads the user's conversations from the cloud, merges them with the local cache
+ * (last write wins on `lastUpdated`), uploads local-only conversations and then
+ * keeps listening for changes made on other devices.
+ * @param {Function} [onChange] - Called with the conversation ID whenever a remote change is applied locally.
+ * @returns {Promise<void>} Resolves once the initial merge is done.
+ */
+export async function listenToCloudConversations(onChange = () => {}) {
+    if (!isConversationSyncAvailable() || !conversationsListenerDetached) {
+        log('warn', 'Not listening to cloud conversations: Not logged in, is guest, or listener already active.');
+        return;
+    }
+
+    log('info', 'Starting to listen to cloud conversations...');
+    conversationsRef = getUserConversationsRef();
+    conversationsListenerDetached = false;
+
+    try {
+        const snapshot = await conversationsRef.once('value');
+        const remoteConversations = snapshot.val() || {};
+
+        Object.values(remoteConversations).forEach(value => {
+            Storage.mergeConversation(fromCloudConversation(value));
+        });
+
+        // Local conversations missing remotely were either created offline (upload them)
+        // or deleted on another device after this device last synced (drop them).
+        STATE.conversations.slice().forEach(conversation => {
+            if (remoteConversations[conversation.id]) return;
+            if (conversation.cloudSynced) {
+                Storage.removeConversationLocally(conversation.id);
+            } else if (conversation.messages.length > 0) {
+                queueConversationSave(conversation, 0);
+            }
+        });
+        onChange(null);
+    } catch (error) {
+        log('error', 'Error loading cloud conversations:', error);
+        showToast('error', `Chat history sync error: ${error.message}`);
+    }
+
+    if (!conversationsRef) return; // Stopped while the initial load was in flight
+
+    const applyRemoteChange = (snapshot) => {
+        const remoteConversation = fromCloudConversation(snapshot.val());
+        // Never swap out the conversation that is streaming right now; the local copy wins anyway.
+        if (STATE.ui.isGenerating && remoteConversation.id === STATE.ui.activeConversationId) return;
+        if (Storage.mergeConversation(remoteConversation)) {
+            log('info', 'Conversation updated from cloud:', remoteConversation.id);
+            onChange(remoteConversation.id);
+        }
+    };
+    const handleError = (error) => {
+        log('error', 'Firebase Realtime Database error (conversations):', error);
+        showToast('error', `Chat history sync error: ${error.message}`);
+    };
+
+    conversationsRef.on('child_added', applyRemoteChange, handleError);
+    conversationsRef.on('child_changed', applyRemoteChange, handleError);
+    conversationsRef.on('child_removed', (snapshot) => {
+        if (Storage.removeConversationLocally(snapshot.key)) {
+            log('info', 'Conversation removed from cloud:', snapshot.key);
+            onChange(snapshot.key);
+        }
+    }, handleError);
+}
+
+/**
+ * Stops listening to conversation changes and drops any queued uploads.
+ */
+export function stopListeningToCloudConversations() {
+    pendingConversationSaves.forEach(timeoutId => clearTimeout(timeoutId));
+    pendingConversationSaves.clear();
+
+    if (conversationsRef && !conversationsListenerDetached) {
+        conversationsRef.off();
+        log('info', 'Stopped listening to cloud conversations.');
+    }
+    conversationsRef = null;
+    conversationsListenerDetached = true;
+}
+
+/**
+ * Schedules an upload of a conversation. Repeated calls for the same conversation
+ * (e.g. one per streamed token) are coalesced into a single write of its latest state.
+ * @param {Object} conversation - The conversation to upload.
+ * @param {number} [delay=CONVERSATION_SAVE_DELAY_MS] - Delay before writing, in milliseconds.
+ */
+export function queueConversationSave(conversation, delay = CONVERSATION_SAVE_DELAY_MS) {
+    if (!isConversationSyncAvailable()) return;
+
+    clearTimeout(pendingConversationSaves.get(conversation.id));
+    pendingConversationSaves.set(conversation.id, setTimeout(async () => {
+        pendingConversationSaves.delete(conversation.id);
+        // Read the latest state at write time, not at queue time
+        const latest = STATE.conversations.find(c => c.id === conversation.id);
+        if (!latest || !isConversationSyncAvailable()) return;
+        try {
+            await getUserConversationsRef().child(latest.id).set(toCloudConversation(latest));
+            latest.cloudSynced = true;
+            log('info', 'Conversation saved to cloud:', latest.id);
+        } catch (error) {
+            log('error', 'Error saving conversation to cloud:', error);
+            showToast('error', `Failed to sync conversation: ${error.message}`);
+        }
+    }, delay));
+}
+
+/**
+ * Deletes a conversation from the cloud.
+ * @param {string} conversationId - The ID of the conversation to delete.
+ */
+export async function deleteCloudConversation(conversationId) {
+    if (!isConversationSyncAvailable()) return;
+
+    clearTimeout(pendingConversationSaves.get(conversationId));
+    pendingConversationSaves.delete(conversationId);
+    try {
+        await getUserConversationsRef().child(conversationId).remove();
+        log('info', 'Conversation deleted from cloud:', conversationId);
+    } catch (error) {
+        log('error', 'Error deleting conversation from cloud:', error);
+        showToast('error', `Failed to delete conversation from cloud: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes all of the current user's conversations from the cloud.
+ */
+export async function clearCloudConversations() {
+    if (!isConversationSyncAvailable()) return;
+
+    pendingConversationSaves.forEach(timeoutId => clearTimeout(timeoutId));
+    pendingConversationSaves.clear();
+    try {
+        await getUserConversationsRef().remove();
+        log('info', 'All conversations deleted from cloud.');
+    } catch (error) {
+        log('error', 'Error clearing conversations from cloud:', error);
+        showToast('error', `Failed to clear conversations from cloud: ${error.message}`);
+    }
+}
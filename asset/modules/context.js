@@ -0,0 +1,253 @@
+// assets/modules/context.js
+
+// Builds the message list sent to the model so that long conversations stay within the
+// model's context window. Token counts are estimated locally (no tokenizer download), so
+// a safety margin is kept on top of the space reserved for the response.
+
+import * as Attachments from './attachments.js';
+
+const CHARS_PER_TOKEN = 4; // Rough average for English text with GPT-style tokenizers
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role and separator tokens added per message
+const IMAGE_TOKENS = 1000; // Rough cost of one attached image; varies by model and resolution
+const DEFAULT_CONTEXT_LENGTH = 8192; // Used for models we know nothing about
+const RESPONSE_RESERVE_TOKENS = 1024; // Left free for the model's answer
+const SAFETY_MARGIN = 0.9; // Only fill 90% of the window to absorb estimation error
+const SUMMARY_MAX_ITEMS = 8;
+const SUMMARY_ITEM_MAX_LENGTH = 120;
+
+// Known context lengths; entries from the live model catalog take precedence.
+const KNOWN_CONTEXT_LENGTHS = {
+    'openai/gpt-4o-mini': 128000,
+    'openai/gpt-4o': 128000,
+    'openai/gpt-4-turbo': 128000,
+    'openai/gpt-3.5-turbo': 16385,
+    'anthropic/claude-3.5-sonnet': 200000,
+    'anthropic/claude-3-haiku': 200000,
+    'google/gemini-flash-1.5': 1000000,
+    'google/gemini-pro-1.5': 2000000,
+    'meta-llama/llama-3.1-8b-instruct': 131072,
+    'meta-llama/llama-3.1-70b-instruct': 131072,
+    'mistralai/mistral-7b-instruct': 32768,
+};
+const catalogContextLengths = new Map();
+
+/**
+ * Estimates the number of tokens in a piece of text.
+ * Characters outside the Latin range (CJK, emoji, etc.) usually cost about one token each.
+ * @param {string} text - The text to measure.
+ * @returns {number} Estimated token count.
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    const nonLatinCount = (text.match(/[^\u0000-\u024F]/gu) || []).length;
+    return Math.ceil((text.length - nonLatinCount) / CHARS_PER_TOKEN) + nonLatinCount;
+}
+
+/**
+ * Estimates the tokens in API message content, which may be a string or content parts.
+ * @param {string|Object[]} content - The content.
+ * @returns {number} Estimated token count.
+ */
+export function estimateContentTokens(content) {
+    if (!Array.isArray(content)) return estimateTokens(content);
+    return content.reduce((total, part) => total + (part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text)), 0);
+}
+
+/**
+ * Estimates the tokens used by one API message, including per-message overhead.
+ * @param {{role: string, content: string|Object[], tool_calls?: Object[]}} message - The API message.
+ * @returns {number} Estimated token count.
+ */
+function estimateMessageTokens(message) {
+    const toolCallTokens = (message.tool_calls || []).reduce((total, call) => total + estimateTokens(call.function.name + call.function.arguments), 0);
+    return estimateContentTokens(message.content) + toolCallTokens + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Estimates the tokens of a turn (the API messages of one conversation message).
+ * @param {Object[]} turn - The API messages.
+ * @returns {number} Estimated token count.
+ */
+function estimateTurnTokens(turn) {
+    return turn.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Converts a conversation message to API messages. An answer that used tools becomes the
+ * assistant's tool calls and their results, round by round, followed by the answer itself.
+ * @param {Object} message - A text message.
+ * @returns {Promise<Object[]>} The API messages.
+ */
+async function toApiMessages(message) {
+    const content = message.attachments?.length ? await Attachments.buildMessageContent(message) : message.content;
+    if (message.role !== 'ai' || !message.toolCalls?.length) {
+        return [{ role: message.role === 'ai' ? 'assistant' : message.role, content }];
+    }
+
+    const messages = [];
+    const rounds = Array.from(new Set(message.toolCalls.map(call => call.round)));
+    rounds.forEach(round => {
+        const calls = message.toolCalls.filter(call => call.round === round);
+        messages.push({
+            role: 'assistant',
+            content: '',
+            tool_calls: calls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } })),
+        });
+        calls.forEach(call => messages.push({ role: 'tool', tool_call_id: call.id, content: call.result ?? '' }));
+    });
+    if (content) messages.push({ role: 'assistant', content });
+    return messages;
+}
+
+/**
+ * Turns tool calls and their results into assistant text, for requests sent without tool
+ * definitions: providers reject `tool_calls` and `tool` messages then. The calls, results and
+ * answer of one reply are merged into a single assistant message.
+ * @param {Object[]} messages - API messages.
+ * @returns {Object[]} The messages without tool calls (the input is not changed).
+ */
+export function flattenToolCalls(messages) {
+    const toolNames = new Map();
+    const flattened = [];
+    messages.forEach(message => {
+        let text;
+        if (message.role === 'tool') {
+            text = `[Result of ${toolNames.get(message.tool_call_id) || 'tool'}]\n${message.content}`;
+        } else if (message.role === 'assistant' && message.tool_calls?.length) {
+            message.tool_calls.forEach(call => toolNames.set(call.id, call.function.name));
+            const calls = message.tool_calls.map(call => `[Called ${call.function.name} with ${call.function.arguments}]`);
+            text = [message.content, ...calls].filter(Boolean).join('\n');
+        } else if (message.role === 'assistant' && flattened[flattened.length - 1]?.isFlattened) {
+            text = message.content;
+        } else {
+            flattened.push(message);
+            return;
+        }
+
+        const previous = flattened[flattened.length - 1];
+        if (previous?.isFlattened) {
+            previous.content = [previous.content, text].filter(Boolean).join('\n\n');
+        } else {
+            flattened.push({ role: 'assistant', content: text, isFlattened: true });
+        }
+    });
+    return flattened.map(({ isFlattened, ...message }) => message);
+}
+
+/**
+ * Records a model's context length (e.g. from the provider's model catalog).
+ * @param {string} modelId - The model ID.
+ * @param {number} contextLength - The context length in tokens.
+ */
+export function registerModelContextLength(modelId, contextLength) {
+    if (modelId && contextLength > 0) {
+        catalogContextLengths.set(modelId, contextLength);
+    }
+}
+
+/**
+ * Returns the context length for a model.
+ * @param {string} modelId - The model ID (variants like `:free` resolve to the base model).
+ * @returns {number} Context length in tokens.
+ */
+export function getModelContextLength(modelId) {
+    const baseModelId = (modelId || '').split(':')[0];
+    return catalogContextLengths.get(modelId)
+        || catalogContextLengths.get(baseModelId)
+        || KNOWN_CONTEXT_LENGTHS[baseModelId]
+        || DEFAULT_CONTEXT_LENGTH;
+}
+
+/**
+ * Builds a short extractive summary of omitted turns from the user's own prompts.
+ * @param {Object[][]} omittedTurns - The turns (API messages of one conversation message each) left out of the request.
+ * @returns {string} The summary note.
+ */
+function summarizeOmittedMessages(omittedTurns) {
+    const userPrompts = omittedTurns
+        .map(turn => turn[0])
+        .filter(m => m.role === 'user')
+        .slice(-SUMMARY_MAX_ITEMS)
+        .map(m => {
+            const singleLine = Attachments.getContentText(m.content).replace(/\s+/g, ' ').trim();
+            return `- ${singleLine.length > SUMMARY_ITEM_MAX_LENGTH ? singleLine.substring(0, SUMMARY_ITEM_MAX_LENGTH - 3) + '...' : singleLine}`;
+        });
+
+    let summary = `${omittedTurns.length} earlier messages of this conversation were omitted to fit the context window.`;
+    if (userPrompts.length > 0) {
+        summary += ` Earlier, the user asked about:\n${userPrompts.join('\n')}`;
+    }
+    return summary;
+}
+
+/**
+ * Builds the messages to send for a chat completion.
+ * The system prompt and the latest user turn are always kept; older turns are dropped
+ * oldest-first until the estimate fits, and are replaced by a short summary note.
+ * @param {Object} options - Build options.
+ * @param {string} options.systemPrompt - The system prompt.
+ * @param {Object[]} options.history - Conversation messages on the displayed branch, ending with the latest user turn.
+ * @param {string} options.modelId - The model the request is for.
+ * @param {number} [options.reserveTokens=RESPONSE_RESERVE_TOKENS] - Tokens to leave free for the response.
+ * @returns {Promise<{messages: Object[], omittedCount: number, estimatedTokens: number, budget: number}>} The request messages and trimming details.
+ */
+export async function buildChatContext({ systemPrompt, history, modelId, reserveTokens = RESPONSE_RESERVE_TOKENS }) {
+    const budget = Math.floor(getModelContextLength(modelId) * SAFETY_MARGIN) - reserveTokens;
+
+    const systemMessage = { role: 'system', content: systemPrompt || '' };
+    // One turn per conversation message, so an answer is kept or dropped together with its tool calls
+    const turns = await Promise.all(history
+        .filter(m => m.type === 'text' && !m.error && (m.content || m.attachments?.length || m.toolCalls?.length))
+        .map(toApiMessages));
+
+    const latestTurn = turns.pop();
+    let usedTokens = estimateMessageTokens(systemMessage) + (latestTurn ? estimateTurnTokens(latestTurn) : 0);
+    if (usedTokens > budget) {
+        log('warn', `System prompt and latest message alone (~${usedTokens} tokens) exceed the budget of ${budget} tokens.`);
+    }
+
+    // Keep the most recent turns that still fit
+    const keptTurns = [];
+    let index = turns.length - 1;
+    for (; index >= 0; index--) {
+        const cost = estimateTurnTokens(turns[index]);
+        if (usedTokens + cost > budget) break;
+        keptTurns.unshift(turns[index]);
+        usedTokens += cost;
+    }
+    const dropOldestKeptTurn = () => {
+        usedTokens -= estimateTurnTokens(keptTurns.shift());
+        index++;
+    };
+    // Don't start the kept history with an orphaned answer
+    while (keptTurns.length > 0 && keptTurns[0][0].role === 'assistant') {
+        dropOldestKeptTurn();
+    }
+
+    const messages = [systemMessage];
+    if (index >= 0) {
+        // Make room for the summary note by giving up further old turns if needed
+        let summaryMessage = { role: 'system', content: summarizeOmittedMessages(turns.slice(0, index + 1)) };
+        while (usedTokens + estimateMessageTokens(summaryMessage) > budget && keptTurns.length > 0) {
+            dropOldestKeptTurn();
+            while (keptTurns.length > 0 && keptTurns[0][0].role === 'assistant') {
+                dropOldestKeptTurn();
+            }
+            summaryMessage = { role: 'system', content: summarizeOmittedMessages(turns.slice(0, index + 1)) };
+        }
+        if (usedTokens + estimateMessageTokens(summaryMessage) <= budget) {
+            messages.push(summaryMessage);
+            usedTokens += estimateMessageTokens(summaryMessage);
+        }
+        log('info', `Context trimmed: ${index + 1} earlier messages omitted (budget ${budget} tokens).`);
+    }
+    messages.push(...keptTurns.flat());
+    if (latestTurn) messages.push(...latestTurn);
+
+    return {
+        messages,
+        omittedCount: index + 1,
+        estimatedTokens: usedTokens,
+        budget,
+    };
+}
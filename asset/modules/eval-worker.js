@@ -0,0 +1,69 @@
+// assets/modules/eval-worker.js
+
+// Runs code for the `run_javascript` tool (tools.js). Every run gets a fresh worker, started from
+// a blob inside a sandboxed iframe (eval-sandbox.html) that is removed afterwards, or when the code
+// runs too long. The worker has no access to the page, its DOM or its storage, and the sandbox's
+// CSP blocks every connection and script load. Network and storage APIs are also removed below
+// before the code runs, so the code can only compute and print.
+
+'use strict';
+
+const MAX_OUTPUT_LENGTH = 4000;
+const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts', 'Worker', 'SharedWorker',
+    'BroadcastChannel', 'indexedDB', 'caches', 'navigator',
+];
+
+const post = self.postMessage.bind(self);
+const logs = [];
+
+/**
+ * Shadows a global on the worker scope and every prototype it inherits from.
+ * @param {string} name - The global's name.
+ */
+function blockGlobal(name) {
+    for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+        if (Object.prototype.hasOwnProperty.call(scope, name) || scope === self) {
+            try {
+                Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+            } catch (e) {
+                // Not configurable in this browser; the code can still not reach the page
+            }
+        }
+    }
+}
+
+/**
+ * Formats a value for the model: strings as they are, everything else as JSON where possible.
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+function formatValue(value) {
+    if (typeof value === 'string') return value;
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') {
+        return String(value);
+    }
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    try {
+        return JSON.stringify(value, null, 2) ?? String(value);
+    } catch (e) {
+        return String(value);
+    }
+}
+
+['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+    console[level] = (...args) => {
+        logs.push(args.map(formatValue).join(' ').slice(0, MAX_OUTPUT_LENGTH));
+    };
+});
+BLOCKED_GLOBALS.forEach(blockGlobal);
+
+self.onmessage = async ({ data }) => {
+    try {
+        // Indirect eval runs in the global scope and returns the value of the last expression
+        const value = await (0, eval)(data.code);
+        post({ result: formatValue(value).slice(0, MAX_OUTPUT_LENGTH), logs });
+    } catch (error) {
+        post({ error: error instanceof Error ? `${error.name}: ${error.message}` : formatValue(error), logs });
+    }
+};
@@ -0,0 +1,96 @@
+// assets/modules/gallery.js
+
+// Gallery of every generated image across all conversations, newest first. Entries are read
+// from the conversations themselves, so images without a local copy (older messages, other
+// devices) are listed too; they load from their remote URL. Clicking an image opens it full
+// size, "Open Chat" jumps to the message that produced it.
+
+import { STATE } from './state.js';
+import * as UI from './ui.js';
+import * as Chat from './chat.js';
+import * as ImageStore from './image-store.js';
+import { showToast, escapeHTML } from './utils.js';
+
+let appElements; // Store references to common DOM elements
+
+/**
+ * Sets up event listeners for the gallery modal.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    const modal = elements.galleryModal;
+
+    elements.galleryBtn.addEventListener('click', () => {
+        renderGallery();
+        UI.showSettingsModal(modal);
+    });
+    modal.querySelector('.close-modal-btn').addEventListener('click', () => {
+        UI.hideSettingsModal(modal);
+    });
+}
+
+/**
+ * Lists every generated image of every conversation, including other branches.
+ * @returns {Object[]} `{ conversation, message, image, index }` entries, newest first.
+ */
+export function listGalleryImages() {
+    const entries = [];
+    STATE.conversations.forEach(conversation => {
+        conversation.messages
+            .filter(message => message.type === 'image' && !message.error)
+            .forEach(message => {
+                const images = message.images?.length ? message.images : [{ url: message.content, seed: null }];
+                images.forEach((image, index) => entries.push({ conversation, message, image, index: images.length > 1 ? index : undefined }));
+            });
+    });
+    return entries.sort((a, b) => (b.message.timestamp || 0) - (a.message.timestamp || 0));
+}
+
+/**
+ * Renders the gallery grid.
+ */
+function renderGallery() {
+    const modal = appElements.galleryModal;
+    const grid = modal.querySelector('#gallery-grid');
+    const entries = listGalleryImages();
+
+    modal.querySelector('#gallery-count').textContent = entries.length === 1 ? '1 image' : `${entries.length} images`;
+    if (entries.length === 0) {
+        grid.innerHTML = '<p class="setting-hint">No images yet. Switch to image mode and describe what you want to see.</p>';
+        return;
+    }
+
+    grid.innerHTML = entries.map(({ conversation, message, image }, entryIndex) => `
+        <figure class="gallery-item" data-entry="${entryIndex}">
+            <img ${image.imageId ? `data-image-id="${escapeHTML(image.imageId)}" data-thumbnail="true" data-remote-src="${escapeHTML(image.url)}"` : `src="${escapeHTML(image.url)}"`} alt="${escapeHTML(message.prompt || 'Generated image')}" class="gallery-thumbnail" loading="lazy">
+            <figcaption>
+                <span class="gallery-prompt" title="${escapeHTML(message.prompt || '')}">${escapeHTML(message.prompt || 'Generated image')}</span>
+                <span class="gallery-meta">${escapeHTML(conversation.title)} · ${escapeHTML(new Date(message.timestamp).toLocaleDateString())}</span>
+            </figcaption>
+            <div class="gallery-item-actions">
+                <button class="action-btn secondary-btn gallery-open-btn">Open Chat</button>
+                <button class="action-btn secondary-btn gallery-download-btn">Download</button>
+            </div>
+        </figure>
+    `).join('');
+    ImageStore.hydrateImages(grid);
+
+    grid.querySelectorAll('.gallery-item').forEach(item => {
+        const { conversation, message, image, index } = entries[Number(item.dataset.entry)];
+        item.querySelector('.gallery-thumbnail').addEventListener('click', async () => {
+            const fullUrl = image.imageId ? await ImageStore.getImageUrl(image.imageId).catch(() => null) : null;
+            UI.showFullscreenImageModal(fullUrl || image.url, { image, prompt: message.prompt });
+        });
+        item.querySelector('.gallery-open-btn').addEventListener('click', () => {
+            UI.hideSettingsModal(appElements.galleryModal);
+            Chat.openSearchResult(conversation.id, message.id, []);
+        });
+        item.querySelector('.gallery-download-btn').addEventListener('click', () => {
+            ImageStore.downloadImage(image, message.prompt, index).catch(error => {
+                log('error', 'Image download failed:', error);
+                showToast('error', `Download failed: ${error.message}`);
+            });
+        });
+    });
+}
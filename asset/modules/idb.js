@@ -0,0 +1,198 @@
+// assets/modules/idb.js
+
+// Thin promise wrapper around the IndexedDB database that stores conversations.
+// Each conversation is one record (without its messages, but with `messageIds` to keep
+// their order) and each message is its own record keyed by [conversationId, id], so a
+// streamed token only rewrites the message it belongs to. Generated images are kept as Blobs
+// in their own store (see image-store.js) and removed with their conversation.
+
+const DB_NAME = 'javagoat';
+const DB_VERSION = 2; // 2: images store
+const CONVERSATIONS_STORE = 'conversations';
+const MESSAGES_STORE = 'messages';
+const IMAGES_STORE = 'images';
+
+let dbPromise = null;
+
+/**
+ * Checks whether IndexedDB can be used in this browser.
+ * @returns {boolean} True if IndexedDB exists.
+ */
+export function isIndexedDbSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction commits, rejecting with its error (e.g. QuotaExceededError).
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves on completion.
+ */
+function whenComplete(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+    });
+}
+
+/**
+ * Opens (and on first use creates) the database. The connection is reused.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONVERSATIONS_STORE)) {
+                    db.createObjectStore(CONVERSATIONS_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+                    const messages = db.createObjectStore(MESSAGES_STORE, { keyPath: ['conversationId', 'id'] });
+                    messages.createIndex('conversationId', 'conversationId');
+                }
+                if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+                    const images = db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+                    images.createIndex('conversationId', 'conversationId');
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close(); // Let a newer tab upgrade the schema
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => log('warn', 'IndexedDB upgrade is blocked by another open tab.');
+        }).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Reads every conversation with its messages.
+ * @returns {Promise<Object[]>} The conversations, messages in their saved order.
+ */
+export async function readAllConversations() {
+    const db = await openDatabase();
+    const transaction = db.transaction([CONVERSATIONS_STORE, MESSAGES_STORE], 'readonly');
+    const [records, messageRecords] = await Promise.all([
+        promisifyRequest(transaction.objectStore(CONVERSATIONS_STORE).getAll()),
+        promisifyRequest(transaction.objectStore(MESSAGES_STORE).getAll()),
+    ]);
+
+    const messagesByConversation = new Map();
+    messageRecords.forEach(({ conversationId, ...message }) => {
+        if (!messagesByConversation.has(conversationId)) messagesByConversation.set(conversationId, new Map());
+        messagesByConversation.get(conversationId).set(message.id, message);
+    });
+
+    return records.map(({ messageIds, ...conversation }) => {
+        const messages = messagesByConversation.get(conversation.id) || new Map();
+        return {
+            ...conversation,
+            messages: (messageIds || []).map(id => messages.get(id)).filter(Boolean),
+        };
+    });
+}
+
+/**
+ * Applies a batch of changes in one transaction.
+ * @param {Object} changes - The changes to write.
+ * @param {Object[]} [changes.conversations=[]] - Conversations whose record should be (re)written; their `messages` are not written.
+ * @param {Object[]} [changes.messages=[]] - `{ conversationId, message }` pairs to (re)write.
+ * @param {string[][]} [changes.deletedMessages=[]] - `[conversationId, messageId]` keys to delete.
+ * @param {string[]} [changes.deletedConversations=[]] - Conversations to delete with all their messages.
+ * @returns {Promise<void>} Resolves when the transaction commits.
+ */
+export async function writeChanges({ conversations = [], messages = [], deletedMessages = [], deletedConversations = [] }) {
+    const db = await openDatabase();
+    const transaction = db.transaction([CONVERSATIONS_STORE, MESSAGES_STORE, IMAGES_STORE], 'readwrite');
+    const conversationStore = transaction.objectStore(CONVERSATIONS_STORE);
+    const messageStore = transaction.objectStore(MESSAGES_STORE);
+    const imageIndex = transaction.objectStore(IMAGES_STORE).index('conversationId');
+
+    conversations.forEach(conversation => {
+        const { messages: conversationMessages, ...record } = conversation;
+        conversationStore.put({ ...record, messageIds: (conversationMessages || []).map(m => m.id) });
+    });
+    messages.forEach(({ conversationId, message }) => {
+        messageStore.put({ ...message, conversationId });
+    });
+    deletedMessages.forEach(key => messageStore.delete(key));
+    deletedConversations.forEach(conversationId => {
+        conversationStore.delete(conversationId);
+        messageStore.delete(IDBKeyRange.bound([conversationId], [conversationId, []]));
+        imageIndex.openCursor(IDBKeyRange.only(conversationId)).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    });
+
+    await whenComplete(transaction);
+}
+
+/**
+ * Deletes every conversation, message and image.
+ * @returns {Promise<void>} Resolves when the stores are empty.
+ */
+export async function clearAll() {
+    const db = await openDatabase();
+    const transaction = db.transaction([CONVERSATIONS_STORE, MESSAGES_STORE, IMAGES_STORE], 'readwrite');
+    transaction.objectStore(CONVERSATIONS_STORE).clear();
+    transaction.objectStore(MESSAGES_STORE).clear();
+    transaction.objectStore(IMAGES_STORE).clear();
+    await whenComplete(transaction);
+}
+
+/**
+ * Writes an image record.
+ * @param {Object} image - `{ id, blob, thumbnail, mimeType, size, width, height, prompt, conversationId, messageId, createdAt }`.
+ * @returns {Promise<void>} Resolves when the transaction commits.
+ */
+export async function putImage(image) {
+    const db = await openDatabase();
+    const transaction = db.transaction(IMAGES_STORE, 'readwrite');
+    transaction.objectStore(IMAGES_STORE).put(image);
+    await whenComplete(transaction);
+}
+
+/**
+ * Reads an image record.
+ * @param {string} imageId - The image ID.
+ * @returns {Promise<Object|undefined>} The record, if stored.
+ */
+export async function getImage(imageId) {
+    const db = await openDatabase();
+    return promisifyRequest(db.transaction(IMAGES_STORE, 'readonly').objectStore(IMAGES_STORE).get(imageId));
+}
+
+/**
+ * Returns the browser's estimate of storage used by this site and the quota.
+ * @returns {Promise<{usage: number, quota: number}|null>} The estimate, or null if unsupported.
+ */
+export async function estimateStorage() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+}
@@ -0,0 +1,270 @@
+// assets/modules/image-edit.js
+
+// Dialogs for editing generated images. "Edit" and "Variations" (on an image card, or in the
+// fullscreen view for any image of a grid) ask for a prompt in a small modal. "Inpaint" in the
+// fullscreen view lays a canvas over the image to paint the area to change. The canvas has the
+// image's full resolution, so the mask lines up with the image pixel for pixel whatever size the
+// image is shown at; painted areas become transparent in the mask, as `/images/edits` expects.
+// The requests themselves are made by image.js.
+
+import { STATE } from './state.js';
+import * as UI from './ui.js';
+import * as Tree from './tree.js';
+import * as ImageGen from './image.js';
+import * as ImageStore from './image-store.js';
+import * as Offline from './offline.js';
+import { showToast } from './utils.js';
+
+const MASK_PAINT_COLOR = '#F59E0B'; // Shown half transparent over the image (see .inpaint-canvas)
+
+let appElements; // Store references to common DOM elements
+let editorSource = null; // `{ messageId, index, mode }` of the open edit dialog
+let fullscreenSource = null; // `{ messageId, index }` of the image in the fullscreen view, if it can be edited
+let inpainting = null; // `{ context, hasStrokes, lastPoint }` while a mask is being painted
+
+/**
+ * Sets up event listeners for the edit dialog and the inpainting tools of the fullscreen view.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    const editModal = elements.imageEditModal;
+    const fullscreenModal = elements.fullscreenImageModal;
+    const canvas = fullscreenModal.querySelector('#inpaint-canvas');
+
+    editModal.querySelector('.close-modal-btn').addEventListener('click', () => UI.hideSettingsModal(editModal));
+    editModal.querySelector('#image-edit-cancel-btn').addEventListener('click', () => UI.hideSettingsModal(editModal));
+    editModal.querySelector('#image-edit-submit-btn').addEventListener('click', submitImageEditor);
+    editModal.querySelector('#image-edit-prompt-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submitImageEditor();
+        }
+    });
+
+    fullscreenModal.querySelectorAll('[data-edit-mode]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (!fullscreenSource) return;
+            if (btn.dataset.editMode === 'inpaint') {
+                startInpainting();
+            } else {
+                fullscreenModal.classList.remove('active');
+                openImageEditor(fullscreenSource.messageId, fullscreenSource.index, btn.dataset.editMode);
+            }
+        });
+    });
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!inpainting) return;
+        canvas.setPointerCapture(e.pointerId);
+        inpainting.lastPoint = null;
+        paintTo(getCanvasPoint(e));
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (inpainting?.lastPoint) paintTo(getCanvasPoint(e));
+    });
+    ['pointerup', 'pointercancel'].forEach(type => canvas.addEventListener(type, () => {
+        if (inpainting) inpainting.lastPoint = null;
+    }));
+
+    fullscreenModal.querySelector('#inpaint-clear-btn').addEventListener('click', () => {
+        if (!inpainting) return;
+        inpainting.context.clearRect(0, 0, canvas.width, canvas.height);
+        inpainting.hasStrokes = false;
+    });
+    fullscreenModal.querySelector('#inpaint-cancel-btn').addEventListener('click', stopInpainting);
+    fullscreenModal.querySelector('#inpaint-apply-btn').addEventListener('click', applyInpainting);
+    fullscreenModal.querySelector('#inpaint-prompt-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyInpainting();
+        }
+    });
+}
+
+/**
+ * Opens the dialog for editing an image or creating variations of it.
+ * @param {string} messageId - The image message in the active conversation.
+ * @param {number} index - The image's position in the message.
+ * @param {'edit'|'variation'} mode - What to do with the image.
+ */
+export async function openImageEditor(messageId, index, mode) {
+    if (!Offline.requireConnection('Editing images')) return;
+    const modal = appElements.imageEditModal;
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const message = activeConversation && Tree.getMessage(activeConversation, messageId);
+    const image = message?.type === 'image' && ImageGen.getMessageImages(message)[index];
+    if (!image) {
+        showToast('error', 'That image no longer exists.');
+        return;
+    }
+
+    editorSource = { messageId, index, mode };
+    const count = ImageGen.getImageOptions().count;
+    modal.querySelector('#image-edit-title').textContent = mode === 'variation' ? 'Image Variations' : 'Edit Image';
+    modal.querySelector('#image-edit-prompt-label').textContent = mode === 'variation' ? 'Steer the variations (optional):' : 'Describe the change:';
+    modal.querySelector('#image-edit-hint').textContent = mode === 'variation'
+        ? `Creates ${count === 1 ? 'a new version' : `${count} new versions`} of the image with ${STATE.settings.imageModel || 'the image model'}. The number comes from the image options.`
+        : `The image and your prompt are sent to ${STATE.settings.imageModel || 'the image model'}.`;
+    modal.querySelector('#image-edit-submit-btn').textContent = mode === 'variation' ? 'Create Variations' : 'Edit Image';
+    const promptInput = modal.querySelector('#image-edit-prompt-input');
+    promptInput.value = '';
+
+    const preview = modal.querySelector('#image-edit-preview');
+    preview.src = (image.imageId && await ImageStore.getImageUrl(image.imageId).catch(() => null)) || image.url;
+
+    UI.showSettingsModal(modal);
+    promptInput.focus();
+}
+
+/**
+ * Sends the edit dialog's prompt.
+ */
+function submitImageEditor() {
+    const modal = appElements.imageEditModal;
+    const prompt = modal.querySelector('#image-edit-prompt-input').value.trim();
+    if (!prompt && editorSource.mode !== 'variation') {
+        showToast('warning', 'Please describe the change.');
+        return;
+    }
+    UI.hideSettingsModal(modal);
+    ImageGen.editImage(editorSource, { prompt });
+}
+
+/**
+ * Prepares the fullscreen view for a newly shown image: leaves inpainting and shows the edit
+ * actions if the image belongs to the active conversation.
+ * @param {{messageId: string, index: number}|null} source - The image, or null if it cannot be edited from here.
+ */
+export function prepareFullscreenModal(source) {
+    stopInpainting();
+    fullscreenSource = source;
+    appElements.fullscreenImageModal.querySelector('#fullscreen-edit-actions').classList.toggle('hidden', !source);
+}
+
+/**
+ * Switches the fullscreen view to painting a mask over the image.
+ */
+function startInpainting() {
+    const modal = appElements.fullscreenImageModal;
+    const image = modal.querySelector('#fullscreen-image');
+    if (!image.complete || !image.naturalWidth) {
+        showToast('info', 'Please wait for the image to load.');
+        return;
+    }
+
+    const canvas = modal.querySelector('#inpaint-canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.strokeStyle = MASK_PAINT_COLOR;
+    context.fillStyle = MASK_PAINT_COLOR;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    inpainting = { context, hasStrokes: false, lastPoint: null };
+
+    canvas.classList.remove('hidden');
+    modal.querySelector('.image-modal-actions').classList.add('hidden');
+    modal.querySelector('#inpaint-toolbar').classList.remove('hidden');
+    modal.querySelector('#inpaint-prompt-input').value = '';
+}
+
+/**
+ * Leaves inpainting and discards the painted mask.
+ */
+function stopInpainting() {
+    const modal = appElements.fullscreenImageModal;
+    inpainting = null;
+    modal.querySelector('#inpaint-canvas').classList.add('hidden');
+    modal.querySelector('#inpaint-toolbar').classList.add('hidden');
+    modal.querySelector('.image-modal-actions').classList.remove('hidden');
+}
+
+/**
+ * Converts a pointer position to canvas pixels.
+ * @param {PointerEvent} e - The pointer event.
+ * @returns {{x: number, y: number}} The position in image pixels.
+ */
+function getCanvasPoint(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * (e.currentTarget.width / rect.width),
+        y: (e.clientY - rect.top) * (e.currentTarget.height / rect.height),
+    };
+}
+
+/**
+ * Paints a brush stroke from the last pointer position (or a dot when a stroke starts).
+ * The brush size is set in screen pixels, so it is scaled to the image's resolution.
+ * @param {{x: number, y: number}} point - The position in image pixels.
+ */
+function paintTo(point) {
+    const canvas = inpainting.context.canvas;
+    const brushSize = Number(appElements.fullscreenImageModal.querySelector('#inpaint-brush-size').value);
+    const radius = (brushSize * (canvas.width / canvas.getBoundingClientRect().width)) / 2;
+    const context = inpainting.context;
+
+    if (inpainting.lastPoint) {
+        context.lineWidth = radius * 2;
+        context.beginPath();
+        context.moveTo(inpainting.lastPoint.x, inpainting.lastPoint.y);
+        context.lineTo(point.x, point.y);
+        context.stroke();
+    } else {
+        context.beginPath();
+        context.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        context.fill();
+    }
+    inpainting.lastPoint = point;
+    inpainting.hasStrokes = true;
+}
+
+/**
+ * Builds the mask from the painted canvas: opaque where the image stays, transparent where it was painted.
+ * @param {HTMLCanvasElement} paintCanvas - The canvas the user painted on.
+ * @returns {Promise<Blob>} The mask as PNG.
+ */
+async function buildMask(paintCanvas) {
+    const mask = document.createElement('canvas');
+    mask.width = paintCanvas.width;
+    mask.height = paintCanvas.height;
+    const context = mask.getContext('2d');
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, mask.width, mask.height);
+    context.globalCompositeOperation = 'destination-out';
+    context.drawImage(paintCanvas, 0, 0);
+
+    const blob = await new Promise(resolve => mask.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('Could not create the mask.');
+    return blob;
+}
+
+/**
+ * Sends the painted mask and the prompt as an inpainting request.
+ */
+async function applyInpainting() {
+    if (!inpainting || !fullscreenSource) return;
+    const modal = appElements.fullscreenImageModal;
+    const prompt = modal.querySelector('#inpaint-prompt-input').value.trim();
+    if (!inpainting.hasStrokes) {
+        showToast('warning', 'Paint over the area you want to change first.');
+        return;
+    }
+    if (!prompt) {
+        showToast('warning', 'Please describe what to paint in the marked area.');
+        return;
+    }
+
+    let mask;
+    try {
+        mask = await buildMask(modal.querySelector('#inpaint-canvas'));
+    } catch (error) {
+        log('error', 'Building the inpainting mask failed:', error);
+        showToast('error', error.message);
+        return;
+    }
+    const source = { ...fullscreenSource, mode: 'inpaint' };
+    stopInpainting();
+    modal.classList.remove('active');
+    ImageGen.editImage(source, { prompt, mask });
+}
@@ -0,0 +1,249 @@
+// assets/modules/image-store.js
+
+// Local copies of generated images. Remote image URLs are not stable: Pollinations renders the
+// prompt again when the URL is loaded later and LoremFlickr may serve another photo, so every
+// generated image is downloaded once and kept as a Blob in IndexedDB, with a small thumbnail.
+// Image messages point at their copies with `images[].imageId`; the UI shows them through
+// object URLs and falls back to the remote `url` when there is no local copy (older messages,
+// another device, or a browser without IndexedDB).
+
+import * as Idb from './idb.js';
+
+const THUMBNAIL_SIZE = 256; // Longest side in pixels
+const THUMBNAIL_QUALITY = 0.8;
+const DOWNLOAD_NAME_MAX_LENGTH = 60;
+const FILE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+const objectUrls = new Map(); // `${imageId}:full` or `${imageId}:thumbnail` -> object URL
+
+/**
+ * Decodes a data URL without fetch(), which the CSP's connect-src does not allow for data: URLs.
+ * @param {string} dataUrl - The data URL.
+ * @returns {Blob} The decoded data.
+ */
+function dataUrlToBlob(dataUrl) {
+    const commaIndex = dataUrl.indexOf(',');
+    const header = dataUrl.slice(0, commaIndex);
+    const data = dataUrl.slice(commaIndex + 1);
+    const mimeType = /^data:([^;,]+)/.exec(header)?.[1] || '';
+    const bytes = header.includes(';base64')
+        ? Uint8Array.from(atob(data), char => char.charCodeAt(0))
+        : new TextEncoder().encode(decodeURIComponent(data));
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Downloads an image.
+ * @param {string} url - The image URL (http(s) or data:).
+ * @param {Object} [options] - Fetch options.
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation.
+ * @returns {Promise<Blob>} The image.
+ * @throws {Error} If the request fails or does not return an image.
+ */
+export async function fetchImageBlob(url, { signal } = {}) {
+    let blob;
+    if (url.startsWith('data:')) {
+        blob = dataUrlToBlob(url);
+    } else {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Image download failed with status ${response.status}`);
+        }
+        blob = await response.blob();
+    }
+    if (!blob.type.startsWith('image/')) {
+        throw new Error('The download is not an image.');
+    }
+    return blob;
+}
+
+/**
+ * Returns the data of a message's image, using the local copy when there is one.
+ * @param {{url?: string, imageId?: string}} image - The image entry of a message.
+ * @param {Object} [options] - Fetch options.
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation.
+ * @returns {Promise<Blob>} The image.
+ * @throws {Error} If there is no local copy and the remote image cannot be downloaded.
+ */
+export async function getImageBlob(image, { signal } = {}) {
+    const record = image.imageId && Idb.isIndexedDbSupported() ? await Idb.getImage(image.imageId) : null;
+    if (record) return record.blob;
+    if (!image.url) {
+        throw new Error('The image is not stored on this device.');
+    }
+    return fetchImageBlob(image.url, { signal });
+}
+
+/**
+ * Converts an image to PNG at its full size, as image edit endpoints expect.
+ * @param {Blob} blob - The image.
+ * @returns {Promise<Blob>} The PNG image.
+ */
+export async function convertToPng(blob) {
+    if (blob.type === 'image/png') return blob;
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!png) throw new Error('Could not convert the image to PNG.');
+        return png;
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Scales an image down to a thumbnail.
+ * @param {Blob} blob - The image.
+ * @returns {Promise<{thumbnail: Blob, width: number, height: number}>} The thumbnail and the full image's size.
+ */
+async function createThumbnail(blob) {
+    const bitmap = await createImageBitmap(blob);
+    try {
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', THUMBNAIL_QUALITY));
+        return { thumbnail: thumbnail || blob, width: bitmap.width, height: bitmap.height };
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Stores an image and its thumbnail.
+ * @param {Blob} blob - The image.
+ * @param {Object} details - Where the image belongs.
+ * @param {string} details.prompt - The prompt it was generated from.
+ * @param {string} details.conversationId - The conversation it was generated in.
+ * @param {string} details.messageId - The image message.
+ * @returns {Promise<string>} The image ID.
+ */
+export async function saveImage(blob, { prompt, conversationId, messageId }) {
+    const { thumbnail, width, height } = await createThumbnail(blob);
+    const id = crypto.randomUUID();
+    await Idb.putImage({
+        id,
+        blob,
+        thumbnail,
+        mimeType: blob.type,
+        size: blob.size,
+        width,
+        height,
+        prompt,
+        conversationId,
+        messageId,
+        createdAt: Date.now(),
+    });
+    return id;
+}
+
+/**
+ * Stores local copies of freshly generated images. Images that cannot be stored (e.g. the host
+ * does not allow cross-origin downloads) keep only their remote URL.
+ * @param {Object[]} images - `{ url, seed, blob? }` entries; `blob` is used instead of downloading when present.
+ * @param {Object} details - Where the images belong (see saveImage).
+ * @returns {Promise<Object[]>} The entries without `blob`, with `imageId` where a copy was stored.
+ */
+export async function storeGeneratedImages(images, details) {
+    if (!Idb.isIndexedDbSupported()) {
+        return images.map(({ blob, ...image }) => image);
+    }
+    return Promise.all(images.map(async ({ blob, ...image }) => {
+        try {
+            const imageBlob = blob || await fetchImageBlob(image.url);
+            return { ...image, imageId: await saveImage(imageBlob, details) };
+        } catch (error) {
+            log('warn', 'Keeping only the remote URL of a generated image:', error);
+            return image;
+        }
+    }));
+}
+
+/**
+ * Returns an object URL for a stored image; URLs are created once and reused.
+ * @param {string} imageId - The image ID.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.thumbnail=false] - Return the thumbnail instead of the full image.
+ * @returns {Promise<string|null>} The object URL, or null if the image is not stored here.
+ */
+export async function getImageUrl(imageId, { thumbnail = false } = {}) {
+    const key = `${imageId}:${thumbnail ? 'thumbnail' : 'full'}`;
+    if (objectUrls.has(key)) return objectUrls.get(key);
+    if (!Idb.isIndexedDbSupported()) return null;
+
+    const record = await Idb.getImage(imageId);
+    if (!record) return null;
+    const url = URL.createObjectURL(thumbnail ? record.thumbnail : record.blob);
+    objectUrls.set(key, url);
+    return url;
+}
+
+/**
+ * Loads the images below an element: `<img data-image-id>` gets the local copy, or its
+ * `data-remote-src` when there is none. `data-thumbnail="true"` loads the thumbnail.
+ * @param {HTMLElement} root - The element containing the images.
+ */
+export function hydrateImages(root) {
+    root.querySelectorAll('img[data-image-id]').forEach(async (img) => {
+        let url = null;
+        try {
+            url = await getImageUrl(img.dataset.imageId, { thumbnail: img.dataset.thumbnail === 'true' });
+        } catch (error) {
+            log('warn', 'Could not read a stored image:', error);
+        }
+        img.src = url || img.dataset.remoteSrc;
+    });
+}
+
+/**
+ * Revokes every object URL, e.g. after all conversations were deleted.
+ */
+export function revokeObjectUrls() {
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    objectUrls.clear();
+}
+
+/**
+ * Builds a file name from a prompt, e.g. `javagoat-a-goat-on-a-mountain-2.jpg`.
+ * @param {string} prompt - The image prompt.
+ * @param {string} mimeType - The image type, which picks the extension.
+ * @param {number} [index] - The image's position in a grid; omitted for single images.
+ * @returns {string} The file name.
+ */
+export function buildDownloadName(prompt, mimeType, index) {
+    const slug = (prompt || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Drop accents
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, DOWNLOAD_NAME_MAX_LENGTH)
+        .replace(/^-+|-+$/g, '') || 'image';
+    return `javagoat-${slug}${index !== undefined ? `-${index + 1}` : ''}.${FILE_EXTENSIONS[mimeType] || 'png'}`;
+}
+
+/**
+ * Saves an image as a file, using the local copy when there is one.
+ * @param {{url: string, imageId?: string}} image - The image entry of a message.
+ * @param {string} prompt - The prompt, used for the file name.
+ * @param {number} [index] - The image's position in a grid.
+ * @returns {Promise<void>} Resolves once the download was started.
+ * @throws {Error} If there is no local copy and the remote image cannot be downloaded.
+ */
+export async function downloadImage(image, prompt, index) {
+    const blob = await getImageBlob(image);
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = buildDownloadName(prompt, blob.type, index);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,11 +1,81 @@
 // assets/modules/image.js
 
-import { STATE, APP_CONSTANTS } from './state.js';
+// Image generation with Pollinations.ai (LoremFlickr as fallback) or the LLM provider's image
+// endpoint. The options panel above the input (shown in image mode) sets the size, number of
+// images, seed, negative prompt, quality and Pollinations' model/enhance/nologo flags; the
+// choice is kept on this device. Every image message stores the parameters it was made with
+// (`imageParams`, with the seed actually used) and its images (`images: [{ url, seed, imageId }]`),
+// so "Regenerate" can repeat a request exactly and "Vary Seed" can repeat it with a new seed.
+// The images themselves are kept locally (see image-store.js); `url` is the remote original.
+// Existing images can be edited, varied or inpainted (see image-edit.js for the dialogs). Edits
+// always go to the LLM provider, since Pollinations cannot take an image; the prompt becomes a
+// reply to the image message and the result records where it came from in `sourceImage`.
+
+import { STATE } from './state.js';
 import * as UI from './ui.js';
 import * as Chat from './chat.js';
-import { showToast } from './utils.js';
+import * as Storage from './storage.js';
+import * as Tree from './tree.js';
+import * as Providers from './providers/index.js';
+import * as Roles from './roles.js';
+import * as Usage from './usage.js';
+import * as ImageStore from './image-store.js';
+import * as Policy from './policy.js';
+import * as Offline from './offline.js';
+import { showToast, escapeHTML } from './utils.js';
+
+const IMAGE_OPTIONS_KEY = 'javagoat_image_options';
+const POLLINATIONS_MODELS_URL = 'https://image.pollinations.ai/models';
+const FALLBACK_POLLINATIONS_MODELS = ['flux', 'turbo'];
+const MIN_IMAGE_DIMENSION = 256;
+const MAX_IMAGE_DIMENSION = 2048;
+const MAX_IMAGE_COUNT = 4;
+const MAX_SEED = 2147483647;
+const MAX_NEGATIVE_PROMPT_LENGTH = 500;
+const VARIATION_PROMPT = 'Create a variation of this image.';
+
+export const ASPECT_PRESETS = {
+    '1:1': { label: 'Square (1:1)', width: 1024, height: 1024 },
+    '4:3': { label: 'Landscape (4:3)', width: 1152, height: 896 },
+    '3:4': { label: 'Portrait (3:4)', width: 896, height: 1152 },
+    '3:2': { label: 'Photo (3:2)', width: 1216, height: 832 },
+    '2:3': { label: 'Tall photo (2:3)', width: 832, height: 1216 },
+    '16:9': { label: 'Widescreen (16:9)', width: 1344, height: 768 },
+    '9:16': { label: 'Story (9:16)', width: 768, height: 1344 },
+    '21:9': { label: 'Banner (21:9)', width: 1536, height: 640 },
+};
+
+export const DEFAULT_IMAGE_PARAMS = {
+    aspect: '1:1',
+    width: 1024,
+    height: 1024,
+    count: 1,
+    seed: null, // null picks a random seed per request
+    negativePrompt: '',
+    quality: 'standard',
+    model: 'flux',
+    enhance: false,
+    nologo: false,
+};
+
+export const EDIT_MODES = {
+    edit: { label: 'Edit', progress: 'Editing image...', sourceLabel: 'Edited from' },
+    variation: { label: 'Variations', progress: 'Creating variations...', sourceLabel: 'Variation of' },
+    inpaint: { label: 'Inpaint', progress: 'Inpainting image...', sourceLabel: 'Inpainted from' },
+};
 
 let appElements;
+let pollinationsModelsLoaded = false;
+
+/**
+ * Checks whether image generation is routed to the configured LLM provider rather than Pollinations.
+ * `'openrouter'` is the value saved before providers became pluggable.
+ * @param {string} imageProvider - The `STATE.settings.imageProvider` value.
+ * @returns {boolean} True if the LLM provider generates images.
+ */
+export function usesLlmProviderForImages(imageProvider = STATE.settings.imageProvider) {
+    return imageProvider === 'provider' || imageProvider === 'openrouter';
+}
 
 /**
  * Sets up event listeners for image generation functionality.
@@ -13,13 +83,220 @@ let appElements;
  */
 export function setupEventListeners(elements) {
     appElements = elements;
+    const panel = elements.imageOptions;
+
+    panel.querySelector('#image-aspect-select').innerHTML = [
+        ...Object.entries(ASPECT_PRESETS).map(([aspect, preset]) => `<option value="${aspect}">${preset.label}</option>`),
+        '<option value="custom">Custom</option>',
+    ].join('');
+    panel.querySelector('#image-model-select').innerHTML = FALLBACK_POLLINATIONS_MODELS.map(model => `<option value="${model}">${model}</option>`).join('');
+    renderImageOptions(getImageOptions());
+
+    panel.querySelector('#image-aspect-select').addEventListener('change', (e) => {
+        const preset = ASPECT_PRESETS[e.target.value];
+        if (preset) {
+            panel.querySelector('#image-width-input').value = preset.width;
+            panel.querySelector('#image-height-input').value = preset.height;
+        }
+        saveImageOptions();
+    });
+    ['#image-width-input', '#image-height-input'].forEach(selector => {
+        panel.querySelector(selector).addEventListener('change', () => {
+            panel.querySelector('#image-aspect-select').value = findAspectPreset(
+                Number(panel.querySelector('#image-width-input').value),
+                Number(panel.querySelector('#image-height-input').value),
+            );
+            saveImageOptions();
+        });
+    });
+    panel.addEventListener('change', (e) => {
+        if (!e.target.matches('#image-aspect-select, #image-width-input, #image-height-input')) saveImageOptions();
+    });
+    panel.querySelector('#image-seed-random-btn').addEventListener('click', () => {
+        panel.querySelector('#image-seed-input').value = '';
+        saveImageOptions();
+    });
+    panel.addEventListener('toggle', () => {
+        if (panel.open) loadPollinationsModels();
+    });
+}
+
+/**
+ * Returns the aspect preset matching a size.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @returns {string} The ASPECT_PRESETS key, or `'custom'`.
+ */
+function findAspectPreset(width, height) {
+    const match = Object.entries(ASPECT_PRESETS).find(([, preset]) => preset.width === width && preset.height === height);
+    return match ? match[0] : 'custom';
+}
+
+/**
+ * Fills in defaults and clamps image parameters to supported values.
+ * @param {Object} [params] - Parameters as stored or entered.
+ * @returns {Object} Complete parameters (see DEFAULT_IMAGE_PARAMS).
+ */
+export function normalizeImageParams(params = {}) {
+    const clampInteger = (value, min, max, fallback) => {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) && value !== '' && value !== null ? Math.min(max, Math.max(min, number)) : fallback;
+    };
+    const width = clampInteger(params.width, MIN_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, DEFAULT_IMAGE_PARAMS.width);
+    const height = clampInteger(params.height, MIN_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, DEFAULT_IMAGE_PARAMS.height);
+    return {
+        aspect: findAspectPreset(width, height),
+        width,
+        height,
+        count: clampInteger(params.count, 1, MAX_IMAGE_COUNT, DEFAULT_IMAGE_PARAMS.count),
+        seed: clampInteger(params.seed, 0, MAX_SEED, null),
+        negativePrompt: String(params.negativePrompt || '').trim().slice(0, MAX_NEGATIVE_PROMPT_LENGTH),
+        quality: params.quality === 'hd' ? 'hd' : 'standard',
+        model: params.model || DEFAULT_IMAGE_PARAMS.model,
+        enhance: !!params.enhance,
+        nologo: !!params.nologo,
+    };
+}
+
+/**
+ * Returns the image options saved on this device.
+ * @returns {Object} The options (see DEFAULT_IMAGE_PARAMS).
+ */
+export function getImageOptions() {
+    try {
+        return normalizeImageParams(JSON.parse(localStorage.getItem(IMAGE_OPTIONS_KEY) || '{}'));
+    } catch (e) {
+        log('warn', 'Ignoring unreadable image options:', e);
+        return normalizeImageParams();
+    }
+}
+
+/**
+ * Shows options in the panel.
+ * @param {Object} params - Normalized parameters.
+ */
+function renderImageOptions(params) {
+    const panel = appElements.imageOptions;
+    const modelSelect = panel.querySelector('#image-model-select');
+    if (!Array.from(modelSelect.options).some(option => option.value === params.model)) {
+        modelSelect.add(new Option(params.model, params.model));
+    }
+
+    panel.querySelector('#image-aspect-select').value = params.aspect;
+    panel.querySelector('#image-width-input').value = params.width;
+    panel.querySelector('#image-height-input').value = params.height;
+    panel.querySelector('#image-count-select').value = String(params.count);
+    panel.querySelector('#image-seed-input').value = params.seed ?? '';
+    panel.querySelector('#image-negative-prompt-input').value = params.negativePrompt;
+    panel.querySelector('#image-quality-select').value = params.quality;
+    modelSelect.value = params.model;
+    panel.querySelector('#image-enhance-checkbox').checked = params.enhance;
+    panel.querySelector('#image-nologo-checkbox').checked = params.nologo;
+    panel.querySelector('#image-options-summary').textContent = [
+        `${params.width}×${params.height}`,
+        params.count > 1 && `${params.count} images`,
+        params.seed !== null && `seed ${params.seed}`,
+    ].filter(Boolean).join(' · ');
 }
 
 /**
- * Generates an image based on the provided prompt and current settings.
+ * Reads the panel, normalizes the values, shows them back and saves them on this device.
+ */
+function saveImageOptions() {
+    const panel = appElements.imageOptions;
+    const params = normalizeImageParams({
+        width: panel.querySelector('#image-width-input').value,
+        height: panel.querySelector('#image-height-input').value,
+        count: panel.querySelector('#image-count-select').value,
+        seed: panel.querySelector('#image-seed-input').value,
+        negativePrompt: panel.querySelector('#image-negative-prompt-input').value,
+        quality: panel.querySelector('#image-quality-select').value,
+        model: panel.querySelector('#image-model-select').value,
+        enhance: panel.querySelector('#image-enhance-checkbox').checked,
+        nologo: panel.querySelector('#image-nologo-checkbox').checked,
+    });
+    renderImageOptions(params);
+    localStorage.setItem(IMAGE_OPTIONS_KEY, JSON.stringify(params));
+}
+
+/**
+ * Loads Pollinations' model list into the model select once; the built-in list is kept on failure.
+ */
+async function loadPollinationsModels() {
+    if (pollinationsModelsLoaded) return;
+    pollinationsModelsLoaded = true;
+    try {
+        const response = await fetch(POLLINATIONS_MODELS_URL);
+        if (!response.ok) throw new Error(`Pollinations.ai returned status ${response.status}`);
+        const models = (await response.json()).filter(model => typeof model === 'string');
+        if (models.length === 0) return;
+
+        const modelSelect = appElements.imageOptions.querySelector('#image-model-select');
+        const selectedModel = modelSelect.value;
+        modelSelect.innerHTML = Array.from(new Set([...models, selectedModel]))
+            .map(model => `<option value="${escapeHTML(model)}">${escapeHTML(model)}</option>`)
+            .join('');
+        modelSelect.value = selectedModel;
+    } catch (error) {
+        log('warn', `Could not load Pollinations models, using ${FALLBACK_POLLINATIONS_MODELS.join(', ')}:`, error);
+    }
+}
+
+/**
+ * Describes image parameters in one line, e.g. `1344×768 · 4 images · seed 42 · flux`.
+ * @param {Object} params - Image parameters (as stored on a message or entered in the panel).
+ * @returns {string} The description.
+ */
+export function describeImageParams(params) {
+    const isPollinations = !params.provider || params.provider === 'pollinations';
+    return [
+        `${params.width}×${params.height}`,
+        params.count > 1 && `${params.count} images`,
+        params.provider !== 'provider' && (params.seed !== null && params.seed !== undefined ? `seed ${params.seed}` : 'random seed'),
+        isPollinations && params.model,
+        isPollinations && params.enhance && 'enhanced',
+        params.provider === 'provider' && params.quality === 'hd' && 'HD',
+        params.negativePrompt && `without: ${params.negativePrompt}`,
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Returns the images of an image message.
+ * Messages from before multiple images were supported only have `content` (the URL).
+ * @param {Object} message - An image message.
+ * @returns {{url: string, seed: number|null, imageId?: string}[]} The images.
+ */
+export function getMessageImages(message) {
+    return message.images?.length ? message.images : [{ url: message.content, seed: null }];
+}
+
+/**
+ * Checks the role and image quota before a request.
+ * @param {number} count - Number of images requested.
+ * @returns {boolean} True if the request may be made; otherwise a toast explains why not.
+ */
+function canGenerateImages(count) {
+    if (!Roles.can('generateImages')) {
+        showToast('error', 'Your role does not allow image generation.');
+        return false;
+    }
+    const quotaError = Usage.getQuotaError('images', count);
+    if (quotaError) {
+        showToast('error', quotaError);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Generates images for a prompt with the options from the panel.
  * @param {string} prompt - The image generation prompt.
+ * @param {string|null} [parentId] - Message to attach the prompt to; defaults to the end of the displayed branch.
  */
-export async function generateImage(prompt) {
+export async function generateImage(prompt, parentId) {
+    const params = getImageOptions();
+    if (!canGenerateImages(params.count)) return;
+
     // Add user prompt as a message
     Chat.addMessageToConversation({
         id: crypto.randomUUID(),
@@ -27,36 +304,238 @@ export async function generateImage(prompt) {
         type: 'text',
         content: prompt,
         timestamp: Date.now(),
-    });
+    }, parentId);
+
+    await runImageGeneration(prompt, params);
+}
+
+/**
+ * Generates the images of an earlier image message again, as a new version next to it.
+ * @param {string} messageId - The image message (or a failed attempt that kept its parameters).
+ * @param {Object} [options] - Regeneration options.
+ * @param {boolean} [options.varySeed=false] - Use a new random seed instead of the stored one.
+ */
+export async function regenerateImage(messageId, { varySeed = false } = {}) {
+    if (STATE.ui.isGenerating) {
+        showToast('warning', 'Please wait for the current generation to complete or stop it.');
+        return;
+    }
+    if (!Offline.requireConnection('Generating images')) return;
+
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const targetMessage = activeConversation && Tree.getMessage(activeConversation, messageId);
+    const promptMessage = targetMessage?.parentId && Tree.getMessage(activeConversation, targetMessage.parentId);
+    if (!promptMessage || promptMessage.role !== 'user') {
+        showToast('info', 'No prompt found to regenerate the image from.');
+        return;
+    }
+
+    // Images made before parameters were stored get the defaults
+    const params = normalizeImageParams(targetMessage.imageParams);
+    if (varySeed) params.seed = null;
+    if (!canGenerateImages(params.count)) return;
+
+    let edit = null;
+    if (targetMessage.sourceImage) {
+        const editError = getImageEditError();
+        const mask = editError ? null : await loadEditMask(targetMessage.sourceImage);
+        if (editError || mask === undefined) {
+            showToast('error', editError || 'The mask of this inpainting is not stored on this device, so it cannot be repeated.');
+            return;
+        }
+        edit = { sourceImage: targetMessage.sourceImage, mask };
+    }
+
+    // Show the branch up to the prompt; the new images become a sibling of the old ones
+    activeConversation.currentLeafId = promptMessage.id;
+    UI.renderChatArea();
+
+    STATE.ui.isGenerating = true;
+    UI.updateChatInputArea();
+    UI.showTypingIndicator(true);
+    await runImageGeneration(targetMessage.prompt || promptMessage.content, params, edit);
+}
+
+/**
+ * Explains why images cannot be edited with the current settings.
+ * @returns {string|null} The problem, or null if an edit can be attempted.
+ */
+function getImageEditError() {
+    const provider = Providers.getActiveProvider();
+    if (!provider.supportsImageEdits) {
+        return `${provider.label} cannot edit images. Choose another LLM provider in settings.`;
+    }
+    if (!Providers.isActiveProviderConfigured()) {
+        return Providers.getConfigurationError();
+    }
+    if (!STATE.settings.imageModel) {
+        return 'Image model ID is not configured.';
+    }
+    return null;
+}
+
+/**
+ * Loads the stored mask of an inpainting.
+ * @param {Object} sourceImage - The `sourceImage` of an edit.
+ * @returns {Promise<Blob|null|undefined>} The mask, null if the edit has none, or undefined if it is not stored here.
+ */
+async function loadEditMask(sourceImage) {
+    if (sourceImage.mode !== 'inpaint') return null;
+    if (!sourceImage.maskId) return undefined;
+    try {
+        return await ImageStore.getImageBlob({ imageId: sourceImage.maskId });
+    } catch (error) {
+        log('warn', 'Could not read an inpainting mask:', error);
+        return undefined;
+    }
+}
+
+/**
+ * Edits one image of an image message with the LLM provider. The prompt is added as a reply to
+ * the image message and the result as a reply to the prompt, linked to its source image.
+ * @param {Object} source - The image to edit.
+ * @param {string} source.messageId - The image message in the active conversation.
+ * @param {number} source.index - The image's position in the message.
+ * @param {'edit'|'variation'|'inpaint'} source.mode - What to do with the image.
+ * @param {string} [source.maskId] - Stored mask of an earlier inpainting, used when no mask is given.
+ * @param {Object} options - Edit options.
+ * @param {string} [options.prompt] - What to change; variations fall back to a generic prompt.
+ * @param {Blob} [options.mask] - For inpainting: a PNG of the image's size, transparent where the image may change.
+ * @param {boolean} [options.warningsConfirmed=false] - The user already agreed to send despite policy warnings.
+ * @param {Object|null} [options.checkedPrompt=null] - The policy result when resending after a confirmation.
+ */
+export async function editImage({ messageId, index, mode, maskId }, { prompt = '', mask = null, warningsConfirmed = false, checkedPrompt = null } = {}) {
+    if (STATE.ui.isGenerating) {
+        showToast('warning', 'Please wait for the current generation to complete or stop it.');
+        return;
+    }
+    if (!Offline.requireConnection('Editing images')) return;
+
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const sourceMessage = activeConversation && Tree.getMessage(activeConversation, messageId);
+    const image = sourceMessage?.type === 'image' && getMessageImages(sourceMessage)[index];
+    if (!image) {
+        showToast('error', 'That image no longer exists.');
+        return;
+    }
+    if (!prompt.trim() && mode !== 'variation') {
+        showToast('warning', 'Please describe the change.');
+        return;
+    }
+    const editError = getImageEditError();
+    if (editError) {
+        showToast('error', editError);
+        return;
+    }
+    if (mode === 'inpaint' && !mask) {
+        mask = await loadEditMask({ mode, maskId });
+        if (!mask) {
+            showToast('error', 'The mask of this inpainting is not stored on this device. Paint it again in the image view.');
+            return;
+        }
+    }
+
+    if (!checkedPrompt) {
+        try {
+            checkedPrompt = Policy.applyInputPolicy(prompt.trim() || VARIATION_PROMPT);
+        } catch (error) {
+            showToast('error', error.message);
+            return;
+        }
+    }
+    if (checkedPrompt.warnings.length > 0 && !warningsConfirmed) {
+        UI.showConfirmationModal(
+            'Send Sensitive Information?',
+            `Your prompt seems to contain: ${checkedPrompt.warnings.join(', ')}. Send it anyway?`,
+            () => editImage({ messageId, index, mode, maskId }, { prompt, mask, warningsConfirmed: true, checkedPrompt }),
+        );
+        return;
+    }
+    if (checkedPrompt.redactions.length > 0) {
+        showToast('info', `Redacted before sending: ${checkedPrompt.redactions.join(', ')}.`);
+    }
+
+    const params = {
+        ...normalizeImageParams(sourceMessage.imageParams),
+        count: mode === 'variation' ? getImageOptions().count : 1,
+        seed: null,
+        negativePrompt: '',
+    };
+    if (!canGenerateImages(params.count)) return;
+
+    const sourceImage = { messageId, index, mode, imageId: image.imageId || null, url: image.url, maskId: null };
+    if (mask) {
+        // Kept so the inpainting can be repeated; without a copy only a new mask can be painted
+        sourceImage.maskId = maskId || await ImageStore.saveImage(mask, {
+            prompt: checkedPrompt.text,
+            conversationId: activeConversation.id,
+            messageId,
+        }).catch(error => {
+            log('warn', 'Could not store the inpainting mask:', error);
+            return null;
+        });
+    }
+
+    Chat.addMessageToConversation({
+        id: crypto.randomUUID(),
+        role: 'user',
+        type: 'text',
+        content: checkedPrompt.text,
+        timestamp: Date.now(),
+    }, messageId);
+
+    STATE.ui.isGenerating = true;
+    UI.updateChatInputArea();
+    UI.showTypingIndicator(true);
+    await runImageGeneration(checkedPrompt.text, params, { sourceImage, mask });
+}
+
+/**
+ * Adds a placeholder reply, generates the images and replaces the placeholder with them.
+ * Resets the generating state when done.
+ * @param {string} prompt - The image generation prompt.
+ * @param {Object} requestedParams - Normalized parameters; a null seed is replaced by a random one.
+ * @param {Object|null} [edit] - Set to edit an image instead: `{ sourceImage, mask }`.
+ */
+async function runImageGeneration(prompt, requestedParams, edit = null) {
+    const params = {
+        ...requestedParams,
+        seed: edit ? null : requestedParams.seed ?? Math.floor(Math.random() * MAX_SEED),
+        provider: edit || usesLlmProviderForImages() ? 'provider' : 'pollinations',
+    };
+    const progressText = edit ? EDIT_MODES[edit.sourceImage.mode].progress : params.count > 1 ? `Generating ${params.count} images...` : 'Generating image...';
 
     const aiImageMessageId = crypto.randomUUID();
     const aiImagePlaceholder = {
         id: aiImageMessageId,
         role: 'ai',
         type: 'text', // Temporarily text, will be updated to image
-        content: 'Generating image...',
+        content: progressText,
         timestamp: Date.now(),
     };
     Chat.addMessageToConversation(aiImagePlaceholder); // Add placeholder message
+    const conversationId = STATE.ui.activeConversationId;
 
-    let imageUrl = '';
+    let images = [];
     let errorOccurred = false;
     let errorMessage = '';
 
-    try {
-        showToast('info', 'Generating image...');
-        log('info', `Image generation requested using provider: ${STATE.settings.imageProvider}`);
+    STATE.abortController = new AbortController();
+    const signal = STATE.abortController.signal;
 
-        STATE.abortController = new AbortController();
-        const signal = STATE.abortController.signal;
+    try {
+        showToast('info', progressText);
+        log('info', `Image ${edit ? edit.sourceImage.mode : 'generation'} requested using provider: ${edit ? 'provider' : STATE.settings.imageProvider}`, params);
 
-        if (STATE.settings.imageProvider === 'pollinations') {
-            imageUrl = await generateWithPollinations(prompt, signal);
-        } else if (STATE.settings.imageProvider === 'openrouter') {
-            imageUrl = await generateWithOpenRouter(prompt, signal);
+        if (edit) {
+            images = await editWithProvider(prompt, params, edit, signal);
+        } else if (STATE.settings.imageProvider === 'pollinations') {
+            images = await generateWithPollinations(prompt, params, signal);
+        } else if (usesLlmProviderForImages()) {
+            images = await generateWithProvider(prompt, params, signal);
         }
 
-        if (!imageUrl) {
+        if (images.length === 0) {
             throw new Error('Image generation failed or returned no URL.');
         }
 
@@ -66,12 +545,13 @@ export async function generateImage(prompt) {
         log('error', 'Image generation failed:', error);
         showToast('error', `Image generation failed: ${error.message}`);
 
-        // Fallback to LoremFlickr for Pollinations if it's the selected provider
-        if (STATE.settings.imageProvider === 'pollinations') {
+        // Fallback to LoremFlickr for Pollinations if it's the selected provider (not after Stop)
+        if (STATE.settings.imageProvider === 'pollinations' && !edit && !signal.aborted) {
             log('info', 'Falling back to LoremFlickr...');
             showToast('info', 'Pollinations.ai failed, falling back to LoremFlickr...');
             try {
-                imageUrl = generateWithLoremFlickr();
+                images = generateWithLoremFlickr(params);
+                params.provider = 'loremflickr';
                 errorOccurred = false; // Fallback was successful
                 errorMessage = '';
             } catch (fallbackError) {
@@ -81,20 +561,26 @@ export async function generateImage(prompt) {
             }
         }
     } finally {
-        // Update the placeholder message with the actual image or error
-        const activeConversation = Chat.STATE.conversations.find(c => c.id === Chat.STATE.ui.activeConversationId);
+        if (!errorOccurred && images.length > 0) {
+            images = await ImageStore.storeGeneratedImages(images, { prompt, conversationId, messageId: aiImageMessageId });
+        }
+        // Update the placeholder message with the images or the error; the parameters are kept either way
+        const activeConversation = STATE.conversations.find(c => c.id === conversationId);
         if (activeConversation) {
             const messageIndex = activeConversation.messages.findIndex(m => m.id === aiImageMessageId);
             if (messageIndex !== -1) {
                 activeConversation.messages[messageIndex] = {
                     ...activeConversation.messages[messageIndex],
                     type: errorOccurred ? 'text' : 'image',
-                    content: errorOccurred ? `Image generation failed: ${errorMessage}` : imageUrl,
+                    content: errorOccurred ? `Image generation failed: ${errorMessage}` : images[0].url,
+                    images: errorOccurred ? [] : images,
                     prompt: prompt,
+                    imageParams: params,
+                    ...(edit ? { sourceImage: edit.sourceImage } : {}),
                     error: errorOccurred,
                     errorMessage: errorMessage,
                 };
-                Chat.Storage.saveConversation(activeConversation);
+                Storage.saveConversation(activeConversation);
                 UI.renderChatArea(); // Re-render to show the image or error text
             }
         }
@@ -106,94 +592,132 @@ export async function generateImage(prompt) {
 }
 
 /**
- * Generates an image using Pollinations.ai.
+ * Builds a Pollinations.ai image URL.
+ * @param {string} prompt - The image generation prompt.
+ * @param {Object} params - Image parameters.
+ * @param {number} seed - The seed of this image.
+ * @returns {string} The URL.
+ */
+function buildPollinationsUrl(prompt, params, seed) {
+    const query = new URLSearchParams({
+        width: params.width,
+        height: params.height,
+        seed,
+        model: params.model,
+    });
+    if (params.negativePrompt) query.set('negative_prompt', params.negativePrompt);
+    if (params.enhance) query.set('enhance', 'true');
+    if (params.nologo) query.set('nologo', 'true');
+    return `https://image.pollinations.ai/prompt/${encodeURIComponent(prompt)}?${query}`;
+}
+
+/**
+ * Generates images using Pollinations.ai, one request per image with consecutive seeds.
+ * Requests run one after another, since Pollinations limits concurrent requests.
  * @param {string} prompt - The image generation prompt.
+ * @param {Object} params - Image parameters with a seed.
  * @param {AbortSignal} signal - Abort signal for cancellation.
- * @returns {Promise<string>} The URL of the generated image.
+ * @returns {Promise<{url: string, seed: number, blob: Blob}[]>} The generated images.
  */
-async function generateWithPollinations(prompt, signal) {
-    const encodedPrompt = encodeURIComponent(prompt);
-    const url = `https://image.pollinations.ai/prompt/${encodedPrompt}?width=1024&height=1024`;
-    log('info', 'Pollinations.ai URL:', url);
+async function generateWithPollinations(prompt, params, signal) {
+    const images = [];
+    for (let index = 0; index < params.count; index++) {
+        const seed = (params.seed + index) % (MAX_SEED + 1);
+        const url = buildPollinationsUrl(prompt, params, seed);
+        log('info', 'Pollinations.ai URL:', url);
 
-    // Pollinations.ai directly returns the image, so we just need its URL.
-    // We can fetch it to ensure it's valid, but the URL itself is the "result".
-    try {
-        const response = await fetch(url, { signal });
-        if (!response.ok) {
-            throw new Error(`Pollinations.ai returned status ${response.status}`);
-        }
-        // Check if the response content-type is an image
-        const contentType = response.headers.get('Content-Type');
-        if (!contentType || !contentType.startsWith('image/')) {
-            throw new Error('Pollinations.ai did not return an image. It might be an error page.');
+        // Pollinations.ai directly returns the image.
+        // The download is checked and kept, so the stored copy is exactly the image that was generated.
+        try {
+            const response = await fetch(url, { signal });
+            if (!response.ok) {
+                throw new Error(`Pollinations.ai returned status ${response.status}`);
+            }
+            // Check if the response content-type is an image
+            const contentType = response.headers.get('Content-Type');
+            if (!contentType || !contentType.startsWith('image/')) {
+                throw new Error('Pollinations.ai did not return an image. It might be an error page.');
+            }
+            images.push({ url, seed, blob: await response.blob() });
+        } catch (error) {
+            log('error', 'Error fetching image from Pollinations.ai:', error);
+            if (images.length === 0 || signal.aborted) throw error;
+            showToast('warning', `Only ${images.length} of ${params.count} images could be generated: ${error.message}`);
+            break;
         }
-        return url; // The URL itself is the image
-    } catch (error) {
-        log('error', 'Error fetching image from Pollinations.ai:', error);
-        throw error;
     }
+    return images;
 }
 
 /**
- * Generates an image using LoremFlickr (fallback).
- * @returns {string} The URL of a random image from LoremFlickr.
+ * Generates images using LoremFlickr (fallback). The seed picks the photo, so results are repeatable.
+ * @param {Object} params - Image parameters with a seed.
+ * @returns {{url: string, seed: number}[]} Random images from LoremFlickr.
  */
-function generateWithLoremFlickr() {
-    const size = APP_CONSTANTS.IMAGE_DEFAULT_SIZE.split('x'); // e.g., "1024x1024"
-    const width = size[0];
-    const height = size[1];
-    const url = `https://loremflickr.com/${width}/${height}/abstract,random`;
-    log('info', 'LoremFlickr URL:', url);
-    return url;
+function generateWithLoremFlickr(params) {
+    return Array.from({ length: params.count }, (_, index) => {
+        const seed = (params.seed + index) % (MAX_SEED + 1);
+        const url = `https://loremflickr.com/${params.width}/${params.height}/abstract,random?lock=${seed}`;
+        log('info', 'LoremFlickr URL:', url);
+        return { url, seed };
+    });
 }
 
 /**
- * Generates an image using OpenRouter API.
+ * Generates images using the configured LLM provider's image endpoint.
+ * The endpoint has no seed or negative prompt, so the negative prompt is added to the prompt.
  * @param {string} prompt - The image generation prompt.
+ * @param {Object} params - Image parameters.
  * @param {AbortSignal} signal - Abort signal for cancellation.
- * @returns {Promise<string>} The URL of the generated image.
+ * @returns {Promise<{url: string, seed: null}[]>} The generated images.
  */
-async function generateWithOpenRouter(prompt, signal) {
-    if (!STATE.settings.openrouterKey) {
-        throw new Error('OpenRouter API key is not configured for image generation.');
+async function generateWithProvider(prompt, params, signal) {
+    const provider = Providers.getActiveProvider();
+    if (!Providers.isActiveProviderConfigured()) {
+        throw new Error(Providers.getConfigurationError());
     }
     if (!STATE.settings.imageModel) {
-        throw new Error('OpenRouter image model ID is not configured.');
+        throw new Error('Image model ID is not configured.');
     }
 
     try {
-        const response = await fetch('https://openrouter.ai/api/v1/images/generations', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${STATE.settings.openrouterKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': window.location.origin,
-                'X-Title': APP_CONSTANTS.APP_NAME,
-            },
-            body: JSON.stringify({
-                prompt: prompt,
-                model: STATE.settings.imageModel,
-                size: APP_CONSTANTS.IMAGE_DEFAULT_SIZE, // e.g., "1024x1024"
-                quality: 'standard', // or 'hd'
-                n: 1, // Number of images
-            }),
+        const urls = await Providers.generateImage({
+            prompt: params.negativePrompt ? `${prompt}\n\nAvoid: ${params.negativePrompt}` : prompt,
+            model: STATE.settings.imageModel,
+            size: `${params.width}x${params.height}`,
+            quality: params.quality,
+            n: params.count,
             signal,
         });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error ? errorData.error.message : response.statusText);
-        }
-
-        const data = await response.json();
-        if (data.data && data.data.length > 0 && data.data[0].url) {
-            return data.data[0].url;
-        } else {
-            throw new Error('OpenRouter did not return an image URL.');
-        }
+        return urls.map(url => ({ url, seed: null }));
     } catch (error) {
-        log('error', 'Error generating image with OpenRouter:', error);
+        log('error', `Error generating image with ${provider.label}:`, error);
         throw error;
     }
 }
+
+/**
+ * Edits an image using the configured LLM provider's image model.
+ * @param {string} prompt - What to change.
+ * @param {Object} params - Image parameters; `count` is the number of results.
+ * @param {Object} edit - `{ sourceImage, mask }`.
+ * @param {AbortSignal} signal - Abort signal for cancellation.
+ * @returns {Promise<{url: string, seed: null}[]>} The edited images.
+ */
+async function editWithProvider(prompt, params, { sourceImage, mask }, signal) {
+    const editError = getImageEditError();
+    if (editError) {
+        throw new Error(editError);
+    }
+
+    const image = await ImageStore.convertToPng(await ImageStore.getImageBlob(sourceImage, { signal }));
+    const urls = await Providers.editImage({
+        prompt: sourceImage.mode === 'variation' && prompt !== VARIATION_PROMPT ? `${VARIATION_PROMPT} ${prompt}` : prompt,
+        image,
+        mask,
+        model: STATE.settings.imageModel,
+        n: params.count,
+        signal,
+    });
+    return urls.map(url => ({ url, seed: null }));
+}
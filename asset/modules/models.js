@@ -0,0 +1,240 @@
+// assets/modules/models.js
+
+// Model catalog fetched from the active provider's `/models` endpoint. The list is cached
+// in localStorage per provider so the picker opens instantly and settings can be validated
+// without a round trip; it is refreshed once the cache is older than MODEL_CATALOG_TTL_MS.
+// The model a user picks from the header badge is kept locally and only honoured while the
+// admin still allows it.
+
+import { STATE } from './state.js';
+import * as Providers from './providers/index.js';
+import * as Context from './context.js';
+import * as Roles from './roles.js';
+
+const MODEL_CATALOG_CACHE_KEY = 'javagoat_model_catalog';
+const SELECTED_MODEL_KEY = 'javagoat_selected_model';
+const MODEL_CATALOG_TTL_MS = 60 * 60 * 1000; // 1 hour
+const TOKENS_PER_PRICE_UNIT = 1000000; // Prices are shown per million tokens
+
+let catalog = null; // { key, fetchedAt, models }
+let pendingRequest = null;
+
+/**
+ * Returns the cache key for the active provider, so switching providers never mixes lists.
+ * @returns {string} The cache key.
+ */
+function getCatalogKey() {
+    const provider = Providers.getActiveProvider();
+    return provider.id === 'openrouter' ? provider.id : `${provider.id}|${STATE.settings.providerBaseUrl || provider.defaultBaseUrl}`;
+}
+
+/**
+ * Reads the cached catalog for the active provider from memory or localStorage.
+ * @returns {Object|null} The cached catalog (`{ key, fetchedAt, models }`), if any.
+ */
+function readCachedCatalog() {
+    const key = getCatalogKey();
+    if (catalog && catalog.key === key) return catalog;
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(MODEL_CATALOG_CACHE_KEY) || 'null');
+        if (stored && stored.key === key && Array.isArray(stored.models)) {
+            catalog = stored;
+            catalog.models.forEach(model => Context.registerModelContextLength(model.id, model.contextLength));
+            return catalog;
+        }
+    } catch (e) {
+        log('warn', 'Ignoring unreadable model catalog cache:', e);
+    }
+    return null;
+}
+
+/**
+ * Returns the cached model list for the active provider without fetching.
+ * @returns {Object[]|null} The models, or null if nothing is cached yet.
+ */
+export function getCachedModels() {
+    const cached = readCachedCatalog();
+    return cached ? cached.models : null;
+}
+
+/**
+ * Returns the model list for the active provider, fetching it when the cache is missing or stale.
+ * Concurrent callers share one request.
+ * @param {Object} [options] - Fetch options.
+ * @param {boolean} [options.forceRefresh=false] - Ignore the cache.
+ * @returns {Promise<Object[]>} The normalized models, sorted by name.
+ * @throws {Error} If the catalog cannot be fetched and nothing is cached.
+ */
+export async function getModelCatalog({ forceRefresh = false } = {}) {
+    const cached = readCachedCatalog();
+    if (cached && !forceRefresh && Date.now() - cached.fetchedAt < MODEL_CATALOG_TTL_MS) {
+        return cached.models;
+    }
+
+    const key = getCatalogKey();
+    if (!pendingRequest || pendingRequest.key !== key) {
+        const promise = Providers.listModels()
+            .then(models => {
+                const sortedModels = models
+                    .filter(model => model.id)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                catalog = { key, fetchedAt: Date.now(), models: sortedModels };
+                sortedModels.forEach(model => Context.registerModelContextLength(model.id, model.contextLength));
+                try {
+                    localStorage.setItem(MODEL_CATALOG_CACHE_KEY, JSON.stringify(catalog));
+                } catch (e) {
+                    log('warn', 'Could not cache model catalog:', e);
+                }
+                log('info', `Model catalog loaded: ${sortedModels.length} models.`);
+                return sortedModels;
+            })
+            .finally(() => {
+                if (pendingRequest && pendingRequest.promise === promise) pendingRequest = null;
+            });
+        pendingRequest = { key, promise };
+    }
+
+    try {
+        return await pendingRequest.promise;
+    } catch (error) {
+        if (cached) {
+            log('warn', 'Model catalog refresh failed, using cached list:', error);
+            return cached.models;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Finds a model in a list by ID.
+ * @param {Object[]} models - The models to search.
+ * @param {string} modelId - The model ID.
+ * @returns {Object|undefined} The model, if found.
+ */
+export function findModel(models, modelId) {
+    return (models || []).find(model => model.id === modelId);
+}
+
+/**
+ * Checks whether a model accepts images, according to the cached catalog.
+ * @param {string} modelId - The model ID.
+ * @returns {boolean|null} Whether the model takes image input, or null if the model is not in the catalog.
+ */
+export function supportsImageInput(modelId) {
+    const model = findModel(getCachedModels(), modelId);
+    return model ? model.inputModalities.includes('image') : null;
+}
+
+/**
+ * Checks whether a model can call tools, according to the cached catalog.
+ * @param {string} modelId - The model ID.
+ * @returns {boolean|null} Whether the model accepts `tools`, or null if the catalog does not say.
+ */
+export function supportsTools(modelId) {
+    const model = findModel(getCachedModels(), modelId);
+    return typeof model?.supportsTools === 'boolean' ? model.supportsTools : null;
+}
+
+/**
+ * Filters models by a search query; every word must appear in the ID, name or modalities.
+ * @param {Object[]} models - The models to filter.
+ * @param {string} query - The search query.
+ * @returns {Object[]} The matching models.
+ */
+export function searchModels(models, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return models;
+    return models.filter(model => {
+        const haystack = `${model.id} ${model.name} ${model.inputModalities.join(' ')} ${model.outputModalities.join(' ')}`.toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+}
+
+/**
+ * Checks a model ID against the catalog.
+ * @param {Object[]} models - The catalog.
+ * @param {string} modelId - The model ID to check.
+ * @param {string} [outputModality='text'] - The modality the model must be able to produce.
+ * @returns {string|null} An error message, or null if the model is valid.
+ */
+export function validateModelId(models, modelId, outputModality = 'text') {
+    if (!modelId) return 'No model selected.';
+    const model = findModel(models, modelId);
+    if (!model) return `"${modelId}" is not offered by ${Providers.getActiveProvider().label}.`;
+    if (!model.outputModalities.includes(outputModality)) {
+        return `"${modelId}" cannot produce ${outputModality} output.`;
+    }
+    return null;
+}
+
+/**
+ * Formats a context length for display (e.g. `128K`).
+ * @param {number|null} contextLength - Context length in tokens.
+ * @returns {string} The formatted length, or an empty string if unknown.
+ */
+export function formatContextLength(contextLength) {
+    if (!contextLength) return '';
+    if (contextLength >= 1000000) return `${+(contextLength / 1000000).toFixed(1)}M`;
+    if (contextLength >= 1000) return `${Math.round(contextLength / 1000)}K`;
+    return String(contextLength);
+}
+
+/**
+ * Formats per-token prices as input/output prices per million tokens.
+ * @param {Object|null} pricing - The model pricing (`{ prompt, completion }` in USD per token).
+ * @returns {string} The formatted pricing, or an empty string if unknown.
+ */
+export function formatPricing(pricing) {
+    if (!pricing) return '';
+    const prompt = parseFloat(pricing.prompt);
+    const completion = parseFloat(pricing.completion);
+    if (isNaN(prompt) && isNaN(completion)) return '';
+    if (prompt === 0 && completion === 0) return 'Free';
+    const format = (price) => isNaN(price) ? '?' : `$${+(price * TOKENS_PER_PRICE_UNIT).toFixed(2)}`;
+    return `${format(prompt)} / ${format(completion)} per 1M tokens`;
+}
+
+/**
+ * Formats a model's modalities (e.g. `text+image → text`).
+ * @param {Object} model - The model.
+ * @returns {string} The formatted modalities.
+ */
+export function formatModalities(model) {
+    return `${model.inputModalities.join('+')} → ${model.outputModalities.join('+')}`;
+}
+
+/**
+ * Returns the models users may pick from the header: the default model plus the admin's allowlist.
+ * Roles without the `chooseModels` capability only get the default model.
+ * @returns {string[]} The allowed model IDs.
+ */
+export function getAllowedModelIds() {
+    if (!Roles.can('chooseModels')) return [STATE.settings.modelId].filter(Boolean);
+    const allowed = [STATE.settings.modelId, ...(STATE.settings.allowedModels || [])].filter(Boolean);
+    return Array.from(new Set(allowed));
+}
+
+/**
+ * Returns the model used for chat: the user's pick if it is still allowed, else the default model.
+ * @returns {string} The model ID.
+ */
+export function getSelectedModelId() {
+    const selectedModelId = localStorage.getItem(SELECTED_MODEL_KEY);
+    return selectedModelId && getAllowedModelIds().includes(selectedModelId) ? selectedModelId : STATE.settings.modelId;
+}
+
+/**
+ * Remembers the user's model pick on this device.
+ * @param {string} modelId - The model ID (must be allowed).
+ * @returns {boolean} True if the pick was stored.
+ */
+export function setSelectedModelId(modelId) {
+    if (!getAllowedModelIds().includes(modelId)) {
+        log('warn', 'Rejected model selection that is not allowed:', modelId);
+        return false;
+    }
+    localStorage.setItem(SELECTED_MODEL_KEY, modelId);
+    log('info', 'Selected model:', modelId);
+    return true;
+}
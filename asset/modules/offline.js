@@ -0,0 +1,116 @@
+// assets/modules/offline.js
+
+// Offline support and installing the app. The service worker (sw.js at the site root) caches
+// the app and its vendor scripts, so JavaGoat starts without a connection. While offline,
+// conversations are read-only: nothing is generated, regenerated or edited, and a chat prompt
+// is kept on its conversation as a queued message (chat.js) that is sent when the connection
+// returns. A banner above the chat says so. Browsers that support it get an "Install App"
+// button in the sidebar; others install from their own menu (Safari: Share → Add to Home Screen).
+
+import * as Chat from './chat.js';
+import { showToast } from './utils.js';
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+let appElements; // Store references to common DOM elements
+let installPrompt = null; // The deferred `beforeinstallprompt` event, while the app can be installed
+
+/**
+ * Registers the service worker once the page has loaded, so caching does not slow down startup.
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        log('warn', 'Service workers are not supported; the app needs a connection to start.');
+        return;
+    }
+    const register = () => {
+        navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .then(registration => log('info', 'Service worker registered for', registration.scope))
+            .catch(error => log('error', 'Service worker registration failed:', error));
+    };
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
+}
+
+/**
+ * Whether the browser has no network connection.
+ * @returns {boolean} True if offline.
+ */
+export function isOffline() {
+    return navigator.onLine === false;
+}
+
+/**
+ * Checks that an action needing the network can run, and tells the user if it cannot.
+ * @param {string} action - What the user tried to do, e.g. 'Regenerating a response'.
+ * @returns {boolean} True if online.
+ */
+export function requireConnection(action) {
+    if (!isOffline()) return true;
+    showToast('warning', `You're offline. ${action} needs a connection.`);
+    return false;
+}
+
+/**
+ * Sets up the online/offline handling and the install button.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+
+    window.addEventListener('offline', () => {
+        log('warn', 'Connection lost.');
+        updateOfflineBanner();
+    });
+    window.addEventListener('online', () => {
+        log('info', 'Connection restored.');
+        updateOfflineBanner();
+        showToast('success', 'Back online.');
+        Chat.sendQueuedMessages();
+    });
+    updateOfflineBanner();
+
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault(); // Offer installing from the sidebar instead of the browser's mini-infobar
+        installPrompt = e;
+        elements.installAppBtn.classList.remove('hidden');
+    });
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        elements.installAppBtn.classList.add('hidden');
+        showToast('success', 'JavaGoat was installed.');
+    });
+    elements.installAppBtn.addEventListener('click', installApp);
+}
+
+/**
+ * Shows or hides the offline banner and the read-only state, with the number of queued messages.
+ */
+export function updateOfflineBanner() {
+    if (!appElements) return;
+    const offline = isOffline();
+    document.body.classList.toggle('is-offline', offline);
+    appElements.offlineBanner.classList.toggle('hidden', !offline);
+    if (!offline) return;
+
+    const queuedCount = Chat.getQueuedMessages().length;
+    appElements.offlineBannerText.textContent = queuedCount > 0
+        ? `You're offline. ${queuedCount === 1 ? '1 message is' : `${queuedCount} messages are`} waiting to be sent when the connection returns.`
+        : "You're offline. Conversations are read-only; messages you send are queued until the connection returns.";
+}
+
+/**
+ * Shows the browser's install dialog.
+ */
+async function installApp() {
+    if (!installPrompt) {
+        showToast('info', "Use your browser's menu to install JavaGoat (on iOS: Share → Add to Home Screen).");
+        return;
+    }
+    const prompt = installPrompt;
+    installPrompt = null; // The event can only be used once
+    appElements.installAppBtn.classList.add('hidden');
+    prompt.prompt();
+    const { outcome } = await prompt.userChoice;
+    log('info', 'Install prompt:', outcome);
+}
@@ -0,0 +1,219 @@
+// assets/modules/overrides.js
+
+// Per-conversation overrides for the model, system prompt and sampling parameters.
+// Overrides live on `conversation.overrides`, so they sync with the rest of the chat, and apply
+// on top of the conversation's assistant (personas.js), which applies on top of the global settings.
+// The admin can lock fields via `STATE.settings.lockedOverrides`; locked fields are
+// read-only for non-admins and ignored when a request is built.
+
+import { STATE } from './state.js';
+import * as Chat from './chat.js';
+import * as UI from './ui.js';
+import * as Storage from './storage.js';
+import * as Roles from './roles.js';
+import * as Models from './models.js';
+import * as Personas from './personas.js';
+import { showToast } from './utils.js';
+
+export const OVERRIDE_FIELDS = {
+    modelId: { label: 'Model', inputId: 'override-model' },
+    systemPrompt: { label: 'System prompt', inputId: 'override-system-prompt' },
+    temperature: { label: 'Temperature', inputId: 'override-temperature', min: 0, max: 2 },
+    topP: { label: 'Top P', inputId: 'override-top-p', min: 0, max: 1 },
+    maxTokens: { label: 'Max tokens', inputId: 'override-max-tokens', min: 1, max: 200000, integer: true },
+};
+
+let elements; // Store references to the conversation settings elements
+
+/**
+ * Sets up event listeners for the conversation settings modal.
+ * @param {Object} domElements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(domElements) {
+    elements = domElements;
+
+    elements.conversationSettingsBtn.addEventListener('click', openConversationSettings);
+    elements.conversationSettingsModal.querySelector('.close-modal-btn').addEventListener('click', () => {
+        UI.hideSettingsModal(elements.conversationSettingsModal);
+    });
+    elements.conversationSettingsModal.querySelector('#save-overrides-btn').addEventListener('click', saveConversationSettings);
+    elements.conversationSettingsModal.querySelector('#reset-overrides-btn').addEventListener('click', () => {
+        Object.keys(OVERRIDE_FIELDS).forEach(field => {
+            const input = elements.conversationSettingsModal.querySelector(`#${OVERRIDE_FIELDS[field].inputId}`);
+            if (!input.disabled) input.value = '';
+        });
+    });
+}
+
+/**
+ * Checks whether the current user may not override a field.
+ * @param {string} field - The override field (a key of OVERRIDE_FIELDS).
+ * @returns {boolean} True if the field is locked for this user.
+ */
+export function isOverrideLocked(field) {
+    if (field === 'modelId' && !Roles.can('chooseModels')) return true;
+    return !Roles.can('editGlobalSettings') && (STATE.settings.lockedOverrides || []).includes(field);
+}
+
+/**
+ * Returns the settings of a conversation's assistant on top of the global settings.
+ * Team assistants are published by owners and admins, so their settings apply even where
+ * overrides are locked; private assistants follow the same rules as overrides.
+ * @param {Object|undefined} conversation - The conversation; none means the chat about to be started.
+ * @returns {{modelId: string, systemPrompt: string, temperature: (number|undefined)}} The assistant's settings.
+ */
+export function getPersonaChatSettings(conversation) {
+    const persona = Personas.getConversationPersona(conversation);
+    const isApplied = (field) => persona[field] !== null && persona[field] !== '' && (persona.scope === 'team' || !isOverrideLocked(field));
+    const modelAllowed = persona.scope === 'team' || Roles.can('editGlobalSettings') || Models.getAllowedModelIds().includes(persona.modelId);
+    return {
+        modelId: isApplied('modelId') && modelAllowed ? persona.modelId : Models.getSelectedModelId(),
+        systemPrompt: isApplied('systemPrompt') ? persona.systemPrompt : STATE.settings.systemPrompt,
+        temperature: isApplied('temperature') ? persona.temperature : undefined,
+    };
+}
+
+/**
+ * Returns the settings a chat request in this conversation should use:
+ * its unlocked overrides on top of the assistant's settings.
+ * @param {Object|undefined} conversation - The conversation.
+ * @returns {{modelId: string, systemPrompt: string, temperature: (number|undefined), topP: (number|undefined), maxTokens: (number|undefined)}} The effective settings.
+ */
+export function getEffectiveChatSettings(conversation) {
+    const overrides = conversation?.overrides || {};
+    const isApplied = (field) => overrides[field] !== undefined && overrides[field] !== null && overrides[field] !== '' && !isOverrideLocked(field);
+    const defaults = getPersonaChatSettings(conversation);
+
+    // A model the admin has since removed from the allowlist falls back to the default
+    const modelAllowed = Roles.can('editGlobalSettings') || Models.getAllowedModelIds().includes(overrides.modelId);
+    return {
+        modelId: isApplied('modelId') && modelAllowed ? overrides.modelId : defaults.modelId,
+        systemPrompt: isApplied('systemPrompt') ? overrides.systemPrompt : defaults.systemPrompt,
+        temperature: isApplied('temperature') ? overrides.temperature : defaults.temperature,
+        topP: isApplied('topP') ? overrides.topP : undefined,
+        maxTokens: isApplied('maxTokens') ? overrides.maxTokens : undefined,
+    };
+}
+
+/**
+ * Checks whether a conversation has any override in effect.
+ * @param {Object|undefined} conversation - The conversation.
+ * @returns {boolean} True if at least one unlocked override is set.
+ */
+export function hasActiveOverrides(conversation) {
+    const overrides = conversation?.overrides || {};
+    return Object.keys(OVERRIDE_FIELDS).some(field => overrides[field] !== undefined && overrides[field] !== '' && !isOverrideLocked(field));
+}
+
+/**
+ * Validates raw form values and converts them into an overrides object.
+ * Empty values mean "use the default" and are left out.
+ * @param {Object} values - Raw values keyed by field.
+ * @returns {Object} The cleaned overrides.
+ * @throws {Error} If a value is out of range.
+ */
+export function parseOverrides(values) {
+    const overrides = {};
+    Object.entries(OVERRIDE_FIELDS).forEach(([field, definition]) => {
+        const rawValue = typeof values[field] === 'string' ? values[field].trim() : values[field];
+        if (rawValue === undefined || rawValue === null || rawValue === '') return;
+
+        if (definition.min === undefined) {
+            overrides[field] = rawValue;
+            return;
+        }
+        const number = Number(rawValue);
+        if (isNaN(number) || number < definition.min || number > definition.max || (definition.integer && !Number.isInteger(number))) {
+            throw new Error(`${definition.label} must be ${definition.integer ? 'a whole number' : 'a number'} between ${definition.min} and ${definition.max}.`);
+        }
+        overrides[field] = number;
+    });
+    return overrides;
+}
+
+/**
+ * Replaces a conversation's overrides and saves it.
+ * Locked fields keep their previous value so a non-admin cannot change them.
+ * @param {Object} conversation - The conversation (modified in place).
+ * @param {Object} overrides - The new overrides.
+ */
+export function setConversationOverrides(conversation, overrides) {
+    const merged = {};
+    Object.keys(OVERRIDE_FIELDS).forEach(field => {
+        const value = isOverrideLocked(field) ? conversation.overrides?.[field] : overrides[field];
+        if (value !== undefined && value !== '') merged[field] = value;
+    });
+
+    if (Object.keys(merged).length > 0) {
+        conversation.overrides = merged;
+    } else {
+        delete conversation.overrides;
+    }
+    conversation.lastUpdated = Date.now();
+    Storage.saveConversation(conversation);
+    log('info', 'Conversation overrides updated:', conversation.id, merged);
+}
+
+/**
+ * Opens the conversation settings modal filled with the active conversation's overrides.
+ */
+function openConversationSettings() {
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const overrides = activeConversation?.overrides || {};
+    const modal = elements.conversationSettingsModal;
+
+    const modelSelect = modal.querySelector('#override-model');
+    modelSelect.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = `Default (${getPersonaChatSettings(activeConversation).modelId})`;
+    modelSelect.appendChild(defaultOption);
+    const modelIds = Models.getAllowedModelIds();
+    if (overrides.modelId && !modelIds.includes(overrides.modelId)) modelIds.push(overrides.modelId);
+    modelIds.forEach(modelId => {
+        const model = Models.findModel(Models.getCachedModels(), modelId);
+        const option = document.createElement('option');
+        option.value = modelId;
+        option.textContent = model ? `${model.name} (${modelId})` : modelId;
+        modelSelect.appendChild(option);
+    });
+
+    Object.entries(OVERRIDE_FIELDS).forEach(([field, definition]) => {
+        const input = modal.querySelector(`#${definition.inputId}`);
+        const locked = isOverrideLocked(field);
+        input.value = overrides[field] ?? '';
+        input.disabled = locked;
+        input.closest('.setting-item').querySelector('.override-lock-note').classList.toggle('hidden', !locked);
+    });
+
+    UI.showSettingsModal(modal);
+}
+
+/**
+ * Saves the modal's values as overrides of the active conversation, starting one if needed.
+ */
+function saveConversationSettings() {
+    const modal = elements.conversationSettingsModal;
+    const values = {};
+    Object.entries(OVERRIDE_FIELDS).forEach(([field, definition]) => {
+        values[field] = modal.querySelector(`#${definition.inputId}`).value;
+    });
+
+    let overrides;
+    try {
+        overrides = parseOverrides(values);
+    } catch (error) {
+        showToast('error', error.message);
+        return;
+    }
+
+    if (!STATE.conversations.find(c => c.id === STATE.ui.activeConversationId)) {
+        Chat.startNewConversation();
+    }
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    setConversationOverrides(activeConversation, overrides);
+
+    UI.updateChatHeader();
+    UI.hideSettingsModal(modal);
+    showToast('success', hasActiveOverrides(activeConversation) ? 'Chat settings saved for this conversation.' : 'This conversation now uses the default settings.');
+}
@@ -0,0 +1,407 @@
+// assets/modules/personas.js
+
+// Assistants ("personas"): a name, an avatar emoji, a system prompt, a default model and
+// temperature, and a few starter prompts. Team assistants are published by owners and admins
+// with the cloud settings (`settings.personas`); private ones are kept on this device. The
+// built-in JavaGoat assistant uses the global settings.
+//
+// A new chat starts on the welcome screen, where the assistant is picked. The conversation keeps
+// a copy of the assistant (`conversation.persona`), so it still answers the same way on a device
+// that does not know a private assistant; while the assistant exists its current version is used.
+// Conversation overrides (overrides.js) take precedence over the assistant's settings.
+
+import { STATE } from './state.js';
+import * as UI from './ui.js';
+import * as Cloud from './cloud.js';
+import * as Storage from './storage.js';
+import * as Roles from './roles.js';
+import * as Security from './security.js';
+import * as Models from './models.js';
+import * as Overrides from './overrides.js';
+import { showToast, escapeHTML, truncateText } from './utils.js';
+
+const PRIVATE_PERSONAS_KEY = 'javagoat_personas';
+const LAST_PERSONA_KEY = 'javagoat_last_persona';
+const MAX_NAME_LENGTH = 40;
+const MAX_AVATAR_LENGTH = 8; // Room for emoji made of several code points
+const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+const MAX_STARTER_PROMPTS = 4;
+const MAX_STARTER_PROMPT_LENGTH = 500;
+
+export const DEFAULT_PERSONA = {
+    id: 'javagoat',
+    name: 'JavaGoat',
+    avatar: '🐐',
+    systemPrompt: '', // Empty fields fall back to the global settings
+    modelId: '',
+    temperature: null,
+    starterPrompts: [],
+};
+
+const SCOPE_LABELS = { team: 'Team', private: 'Private', 'built-in': 'Built-in' };
+
+let appElements; // Store references to common DOM elements
+let editingPersona = null; // Assistant being edited, or null for a new one
+
+/**
+ * Checks and completes a stored assistant, dropping it if it has no name.
+ * @param {Object} persona - The stored assistant.
+ * @returns {Object|null} `{ id, name, avatar, systemPrompt, modelId, temperature, starterPrompts }`, or null.
+ */
+export function normalizePersona(persona) {
+    const name = String(persona?.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return null;
+    const temperature = persona.temperature === '' || persona.temperature === null || persona.temperature === undefined ? null : Number(persona.temperature);
+    const { min, max } = Overrides.OVERRIDE_FIELDS.temperature;
+    return {
+        id: String(persona.id || crypto.randomUUID()),
+        name,
+        avatar: Array.from(String(persona.avatar || '').trim()).slice(0, MAX_AVATAR_LENGTH).join('') || DEFAULT_PERSONA.avatar,
+        systemPrompt: String(persona.systemPrompt || '').trim().slice(0, MAX_SYSTEM_PROMPT_LENGTH),
+        modelId: String(persona.modelId || '').trim(),
+        temperature: Number.isFinite(temperature) ? Math.min(max, Math.max(min, temperature)) : null,
+        starterPrompts: Object.values(persona.starterPrompts || {})
+            .map(prompt => String(prompt).trim().slice(0, MAX_STARTER_PROMPT_LENGTH))
+            .filter(Boolean)
+            .slice(0, MAX_STARTER_PROMPTS),
+    };
+}
+
+/**
+ * Returns the team assistants from the cloud settings.
+ * The Realtime Database may hand arrays back as objects, so both are accepted.
+ * @returns {Object[]} The assistants.
+ */
+export function getTeamPersonas() {
+    return Object.values(STATE.settings.personas || {}).map(normalizePersona).filter(Boolean);
+}
+
+/**
+ * Returns the private assistants saved on this device.
+ * @returns {Object[]} The assistants.
+ */
+export function getPrivatePersonas() {
+    try {
+        const personas = JSON.parse(localStorage.getItem(PRIVATE_PERSONAS_KEY) || '[]');
+        return Array.isArray(personas) ? personas.map(normalizePersona).filter(Boolean) : [];
+    } catch (e) {
+        log('warn', 'Ignoring unreadable private assistants:', e);
+        return [];
+    }
+}
+
+/**
+ * Lists every assistant: the built-in one, then team, then private assistants.
+ * @returns {Object[]} The assistants, each with its `scope`.
+ */
+export function listPersonas() {
+    return [
+        { ...DEFAULT_PERSONA, scope: 'built-in' },
+        ...getTeamPersonas().map(persona => ({ ...persona, scope: 'team' })),
+        ...getPrivatePersonas().map(persona => ({ ...persona, scope: 'private' })),
+    ];
+}
+
+/**
+ * Returns the assistant picked for the next new chat (the last one picked on this device).
+ * @returns {Object} The assistant, with its `scope`.
+ */
+export function getSelectedPersona() {
+    const personas = listPersonas();
+    return personas.find(persona => persona.id === localStorage.getItem(LAST_PERSONA_KEY)) || personas[0];
+}
+
+/**
+ * Returns the assistant of a conversation. Only assistants found in the team list count as team
+ * assistants, so a copy stored in a conversation cannot claim to be one.
+ * @param {Object|undefined} conversation - The conversation; none means the chat about to be started.
+ * @returns {Object} The assistant, with its `scope`.
+ */
+export function getConversationPersona(conversation) {
+    if (!conversation) return getSelectedPersona();
+    const stored = conversation.persona;
+    if (!stored) return { ...DEFAULT_PERSONA, scope: 'built-in' };
+    const current = listPersonas().find(persona => persona.id === stored.id);
+    if (current) return current;
+    return { ...(normalizePersona(stored) || DEFAULT_PERSONA), scope: 'private' };
+}
+
+/**
+ * Stores a copy of an assistant on a conversation; the built-in assistant is not stored.
+ * @param {Object} conversation - The conversation (modified in place).
+ * @param {Object} persona - The assistant.
+ */
+function setConversationPersona(conversation, persona) {
+    if (persona.id === DEFAULT_PERSONA.id) {
+        delete conversation.persona;
+        return;
+    }
+    const { scope, starterPrompts, ...copy } = persona;
+    conversation.persona = copy;
+}
+
+/**
+ * Gives a new conversation the assistant picked on the welcome screen.
+ * @param {Object} conversation - The new conversation (modified in place).
+ */
+export function applyPersonaToNewConversation(conversation) {
+    setConversationPersona(conversation, getSelectedPersona());
+}
+
+/**
+ * Sets up event listeners for the assistant picker and the assistants modal.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    const modal = elements.personasModal;
+
+    elements.personaPicker.addEventListener('click', (e) => {
+        const option = e.target.closest('.persona-option');
+        if (!option) return;
+        if (option.dataset.personaId) {
+            pickPersona(option.dataset.personaId);
+        } else {
+            openPersonasModal();
+        }
+    });
+    elements.personaStarters.addEventListener('click', (e) => {
+        const starter = e.target.closest('.persona-starter');
+        if (!starter) return;
+        elements.chatInput.value = starter.dataset.prompt;
+        UI.autoResizeChatInput();
+        elements.chatInput.focus();
+    });
+
+    modal.querySelector('.close-modal-btn').addEventListener('click', () => UI.hideSettingsModal(modal));
+    modal.querySelector('#new-persona-btn').addEventListener('click', () => showPersonaEditor(null));
+    modal.querySelector('#persona-editor-cancel-btn').addEventListener('click', showPersonaList);
+    modal.querySelector('#persona-editor-save-btn').addEventListener('click', savePersonaFromEditor);
+}
+
+/**
+ * Renders the welcome screen's assistant picker, avatar, greeting and starter prompts.
+ */
+export function renderPersonaPicker() {
+    if (!appElements) return;
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const current = getConversationPersona(activeConversation);
+
+    appElements.personaPicker.innerHTML = `
+        ${listPersonas().map(persona => `
+        <button class="persona-option${persona.id === current.id ? ' active' : ''}" data-persona-id="${escapeHTML(persona.id)}" role="radio" aria-checked="${persona.id === current.id}" title="${escapeHTML(persona.systemPrompt ? truncateText(persona.systemPrompt, 200) : 'Uses the default settings')}">
+            <span class="persona-avatar">${escapeHTML(persona.avatar)}</span>
+            <span>${escapeHTML(persona.name)}</span>
+        </button>`).join('')}
+        <button class="persona-option persona-manage-option" title="Create and edit assistants">+ Assistants</button>
+    `;
+
+    appElements.welcomeScreen.querySelector('#welcome-avatar').textContent = current.avatar;
+    appElements.welcomeScreen.querySelector('#welcome-title').textContent = current.id === DEFAULT_PERSONA.id
+        ? 'Hello, how can I help?'
+        : `Hi, I'm ${current.name}. How can I help?`;
+    appElements.personaStarters.classList.toggle('hidden', current.starterPrompts.length === 0);
+    appElements.personaStarters.innerHTML = current.starterPrompts.map(prompt => `
+        <button class="persona-starter" data-prompt="${escapeHTML(prompt)}">${escapeHTML(truncateText(prompt, 80))}</button>
+    `).join('');
+}
+
+/**
+ * Picks the assistant for the new chat and remembers it for the next one.
+ * @param {string} personaId - The assistant's ID.
+ */
+function pickPersona(personaId) {
+    const persona = listPersonas().find(p => p.id === personaId);
+    if (!persona) return;
+    localStorage.setItem(LAST_PERSONA_KEY, persona.id);
+
+    // The empty conversation left by "New Chat" takes the assistant right away
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    if (activeConversation && activeConversation.messages.length === 0) {
+        setConversationPersona(activeConversation, persona);
+        Storage.saveConversation(activeConversation);
+    }
+    UI.renderChatArea(); // Updates the picker, the greeting and the model badge
+}
+
+// --- Assistants modal ---
+
+/**
+ * Opens the assistants modal on its list.
+ */
+export function openPersonasModal() {
+    showPersonaList();
+    UI.showSettingsModal(appElements.personasModal);
+}
+
+/**
+ * Checks whether an assistant can be changed by the current user.
+ * @param {Object} persona - An assistant from listPersonas.
+ * @returns {boolean} True for private assistants, and team ones for owners and admins.
+ */
+function canEditPersona(persona) {
+    return persona.scope === 'private' || (persona.scope === 'team' && Roles.can('editGlobalSettings'));
+}
+
+/**
+ * Describes an assistant's settings in one line, e.g. `openai/gpt-4o · temperature 0.2`.
+ * @param {Object} persona - The assistant.
+ * @returns {string} The description.
+ */
+function describePersona(persona) {
+    return [
+        persona.modelId || 'default model',
+        persona.temperature !== null && `temperature ${persona.temperature}`,
+        persona.starterPrompts.length > 0 && `${persona.starterPrompts.length} starter ${persona.starterPrompts.length === 1 ? 'prompt' : 'prompts'}`,
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Shows the modal's list of assistants.
+ */
+function showPersonaList() {
+    const modal = appElements.personasModal;
+    const list = modal.querySelector('#persona-list');
+    const personas = listPersonas();
+
+    modal.querySelector('#persona-editor').classList.add('hidden');
+    modal.querySelector('#persona-list-view').classList.remove('hidden');
+    list.innerHTML = personas.map((persona, index) => `
+        <div class="template-item" data-index="${index}">
+            <div class="template-item-main">
+                <span class="persona-avatar">${escapeHTML(persona.avatar)}</span>
+                <span class="template-item-name">${escapeHTML(persona.name)}</span>
+                <span class="template-scope-badge">${SCOPE_LABELS[persona.scope]}</span>
+                <p class="template-item-text">${escapeHTML(persona.id === DEFAULT_PERSONA.id ? 'Uses the system prompt and model from Settings.' : describePersona(persona))}</p>
+            </div>
+            ${canEditPersona(persona) ? `
+            <div class="template-item-actions">
+                <button class="action-btn secondary-btn persona-edit-btn">Edit</button>
+                <button class="action-btn secondary-btn danger-btn persona-delete-btn">Delete</button>
+            </div>` : ''}
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.template-item').forEach(item => {
+        const persona = personas[Number(item.dataset.index)];
+        item.querySelector('.persona-edit-btn')?.addEventListener('click', () => showPersonaEditor(persona));
+        item.querySelector('.persona-delete-btn')?.addEventListener('click', () => {
+            UI.showConfirmationModal(
+                'Delete Assistant',
+                `Delete the assistant "${persona.name}"?${persona.scope === 'team' ? ' It is removed for everyone.' : ''} Existing chats keep answering the way it did.`,
+                () => deletePersona(persona),
+            );
+        });
+    });
+}
+
+/**
+ * Shows the editor for an assistant.
+ * @param {Object|null} persona - The assistant to edit, or null for a new one.
+ */
+function showPersonaEditor(persona) {
+    const modal = appElements.personasModal;
+    const scopeSelect = modal.querySelector('#persona-scope-select');
+    const modelSelect = modal.querySelector('#persona-model-select');
+    editingPersona = persona;
+
+    const modelIds = Models.getAllowedModelIds();
+    if (persona?.modelId && !modelIds.includes(persona.modelId)) modelIds.push(persona.modelId);
+    modelSelect.innerHTML = `<option value="">Default (${escapeHTML(Models.getSelectedModelId())})</option>`
+        + modelIds.map(modelId => `<option value="${escapeHTML(modelId)}">${escapeHTML(modelId)}</option>`).join('');
+
+    modal.querySelector('#persona-list-view').classList.add('hidden');
+    modal.querySelector('#persona-editor').classList.remove('hidden');
+    modal.querySelector('#persona-name-input').value = persona?.name || '';
+    modal.querySelector('#persona-avatar-input').value = persona?.avatar || '';
+    modal.querySelector('#persona-system-prompt-input').value = persona?.systemPrompt || '';
+    modelSelect.value = persona?.modelId || '';
+    modal.querySelector('#persona-temperature-input').value = persona?.temperature ?? '';
+    modal.querySelector('#persona-starters-input').value = (persona?.starterPrompts || []).join('\n');
+    scopeSelect.value = persona?.scope || 'private';
+    // Only owners and admins publish assistants; the scope of an existing assistant stays as it is
+    scopeSelect.disabled = !!persona || !Roles.can('editGlobalSettings');
+    modal.querySelector('#persona-name-input').focus();
+}
+
+/**
+ * Saves the assistant in the editor.
+ */
+async function savePersonaFromEditor() {
+    const modal = appElements.personasModal;
+    const rawTemperature = modal.querySelector('#persona-temperature-input').value.trim();
+    const { min, max } = Overrides.OVERRIDE_FIELDS.temperature;
+    if (rawTemperature !== '' && !(Number(rawTemperature) >= min && Number(rawTemperature) <= max)) {
+        showToast('error', `Temperature must be a number between ${min} and ${max}.`);
+        return;
+    }
+    const persona = normalizePersona({
+        id: editingPersona?.id,
+        name: modal.querySelector('#persona-name-input').value,
+        avatar: modal.querySelector('#persona-avatar-input').value,
+        systemPrompt: modal.querySelector('#persona-system-prompt-input').value,
+        modelId: modal.querySelector('#persona-model-select').value,
+        temperature: rawTemperature,
+        starterPrompts: modal.querySelector('#persona-starters-input').value.split('\n'),
+    });
+    if (!persona) {
+        showToast('warning', 'Please give the assistant a name.');
+        return;
+    }
+
+    const scope = modal.querySelector('#persona-scope-select').value;
+    const replace = (personas) => editingPersona
+        ? personas.map(existing => (existing.id === persona.id ? persona : existing))
+        : [...personas, persona];
+    if (scope === 'team') {
+        if (!await saveTeamPersonas(replace(getTeamPersonas()))) return;
+    } else {
+        savePrivatePersonas(replace(getPrivatePersonas()));
+        showToast('success', 'Assistant saved on this device.');
+    }
+    showPersonaList();
+    UI.renderChatArea();
+}
+
+/**
+ * Deletes an assistant. Conversations that used it keep their copy.
+ * @param {Object} persona - An assistant from listPersonas.
+ */
+async function deletePersona(persona) {
+    if (persona.scope === 'team') {
+        if (!await saveTeamPersonas(getTeamPersonas().filter(p => p.id !== persona.id))) return;
+    } else {
+        savePrivatePersonas(getPrivatePersonas().filter(p => p.id !== persona.id));
+        showToast('success', 'Assistant deleted.');
+    }
+    showPersonaList();
+    UI.renderChatArea();
+}
+
+/**
+ * Saves the private assistants on this device.
+ * @param {Object[]} personas - The assistants.
+ */
+function savePrivatePersonas(personas) {
+    localStorage.setItem(PRIVATE_PERSONAS_KEY, JSON.stringify(personas));
+}
+
+/**
+ * Publishes the team assistants with the cloud settings. Owners and admins only.
+ * @param {Object[]} personas - The assistants.
+ * @returns {Promise<boolean>} True if the assistants were saved.
+ */
+async function saveTeamPersonas(personas) {
+    if (!Roles.can('editGlobalSettings')) {
+        showToast('error', 'Only owners and admins can change team assistants.');
+        return false;
+    }
+    if (!Security.verifyCsrfToken('save_personas')) {
+        showToast('error', 'Security error: CSRF token mismatch. Please refresh and try again.');
+        return false;
+    }
+    STATE.settings.personas = personas;
+    await Cloud.saveCloudSettings(); // Shows its own success or error toast
+    Storage.saveLocalSettings();
+    return true;
+}
@@ -0,0 +1,239 @@
+// assets/modules/policy.js
+
+// Input policy applied to every prompt before it is sent. Rules run in order:
+//   1. Maximum length - longer prompts are refused.
+//   2. Blocked patterns - admin-defined regular expressions; a match refuses the prompt.
+//   3. Detectors - API keys, email addresses and card numbers are redacted or warned about.
+// Fenced and inline code pass through intact: blocked patterns ignore them and a detector set to
+// redact only warns about matches inside code. The policy is part of the global settings
+// (`STATE.settings.inputPolicy`). The text of attached files is inlined into the same request, so
+// it is checked too: as a whole rather than split into code, and counted towards the length limit.
+// Each time a rule fires an audit entry is written to `audit/policy` (signed-in users only; the
+// matched text itself is never stored).
+
+import { STATE } from './state.js';
+import * as Firebase from './firebase.js';
+
+const AUDIT_PATH = 'audit/policy';
+const AUDIT_LIST_LIMIT = 20;
+
+export const POLICY_ACTIONS = ['redact', 'warn', 'off'];
+
+export const DETECTORS = {
+    apiKeys: {
+        label: 'API keys and private keys',
+        replacement: '[redacted API key]',
+        patterns: [
+            /\bsk-(?:or-v1-|proj-|ant-)?[A-Za-z0-9_-]{20,}/g, // OpenAI, OpenRouter, Anthropic
+            /\bAKIA[0-9A-Z]{16}\b/g, // AWS access key ID
+            /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google API key
+            /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, // GitHub token
+            /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, // Slack token
+            /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+        ],
+    },
+    emails: {
+        label: 'Email addresses',
+        replacement: '[redacted email]',
+        patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+    },
+    cardNumbers: {
+        label: 'Card numbers',
+        replacement: '[redacted card number]',
+        patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+        isMatch: (match) => passesLuhnCheck(match.replace(/\D/g, '')),
+    },
+};
+
+export const DEFAULT_INPUT_POLICY = {
+    maxLength: 20000,
+    detectors: { apiKeys: 'redact', emails: 'warn', cardNumbers: 'redact' },
+    blockedPatterns: [],
+};
+
+/**
+ * Checks a digit string with the Luhn algorithm used by card numbers.
+ * @param {string} digits - The digits.
+ * @returns {boolean} True if the checksum is valid.
+ */
+function passesLuhnCheck(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Returns the configured policy with defaults filled in.
+ * The database drops empty arrays, so missing fields are normal.
+ * @returns {{maxLength: number, detectors: Object, blockedPatterns: string[]}} The policy.
+ */
+export function getInputPolicy() {
+    const policy = STATE.settings.inputPolicy || {};
+    return {
+        maxLength: Number.isFinite(policy.maxLength) ? policy.maxLength : DEFAULT_INPUT_POLICY.maxLength,
+        detectors: { ...DEFAULT_INPUT_POLICY.detectors, ...(policy.detectors || {}) },
+        blockedPatterns: policy.blockedPatterns || [],
+    };
+}
+
+/**
+ * Checks whether any rule of the policy is enabled.
+ * @returns {boolean} True if at least one rule can fire.
+ */
+export function isInputPolicyActive() {
+    const policy = getInputPolicy();
+    return policy.maxLength > 0 || policy.blockedPatterns.length > 0 || Object.values(policy.detectors).some(action => action !== 'off');
+}
+
+/**
+ * Parses a blocked pattern written as `regex` or `/regex/flags`.
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp} The expression (always global and, without explicit flags, case-insensitive).
+ * @throws {Error} If the pattern is not a valid regular expression.
+ */
+export function parseBlockedPattern(pattern) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    try {
+        if (literal) {
+            return new RegExp(literal[1], literal[2].includes('g') ? literal[2] : `${literal[2]}g`);
+        }
+        return new RegExp(pattern, 'gi');
+    } catch (error) {
+        throw new Error(`Invalid blocked pattern "${pattern}": ${error.message}`);
+    }
+}
+
+/**
+ * Splits text into prose and code segments (fenced blocks and inline code).
+ * An unclosed fence runs to the end of the text, as in Markdown.
+ * @param {string} text - The text.
+ * @returns {{text: string, isCode: boolean}[]} Segments that join back into the text.
+ */
+export function splitCodeSegments(text) {
+    const segments = [];
+    const codePattern = /(^|\n)(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n\2[^\S\n]*(?=\n|$)|$)|`[^`\n]+`/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = codePattern.exec(text)) !== null) {
+        const start = match.index + (match[1] ? match[1].length : 0);
+        if (start > lastIndex) segments.push({ text: text.slice(lastIndex, start), isCode: false });
+        segments.push({ text: text.slice(start, codePattern.lastIndex), isCode: true });
+        lastIndex = codePattern.lastIndex;
+    }
+    if (lastIndex < text.length) segments.push({ text: text.slice(lastIndex), isCode: false });
+    return segments;
+}
+
+/**
+ * Runs a prompt and the text of its attached files through the input policy.
+ * @param {string} text - The prompt as typed.
+ * @param {Object[]} [attachments=[]] - Attached files (see attachments.js); those with `text` are checked.
+ * @returns {{text: string, attachments: Object[], redactions: string[], warnings: string[]}} The prompt
+ *   and attachments to send (with redactions applied) and human-readable notes about what was
+ *   redacted or needs confirming.
+ * @throws {Error} If the prompt and files are too long or one of them matches a blocked pattern.
+ */
+export function applyInputPolicy(text, attachments = []) {
+    const policy = getInputPolicy();
+
+    const length = attachments.reduce((total, attachment) => total + (attachment.text?.length || 0), text.length);
+    if (policy.maxLength > 0 && length > policy.maxLength) {
+        recordAuditEntry('maxLength', 'block');
+        const subject = length > text.length ? 'Your message and its attached files are' : 'Your message is';
+        throw new Error(`${subject} ${length.toLocaleString()} characters long; the limit is ${policy.maxLength.toLocaleString()}.`);
+    }
+
+    // The prompt may contain Markdown code; attached files are checked as a whole
+    const texts = [
+        splitCodeSegments(text),
+        ...attachments.map(attachment => typeof attachment.text === 'string' ? [{ text: attachment.text, isCode: false }] : []),
+    ];
+    policy.blockedPatterns.forEach((pattern, index) => {
+        texts.forEach((segments, textIndex) => {
+            const prose = segments.filter(segment => !segment.isCode).map(segment => segment.text).join('\n');
+            if (parseBlockedPattern(pattern).test(prose)) {
+                recordAuditEntry(`blockedPattern:${index + 1}`, 'block');
+                throw new Error(textIndex === 0
+                    ? 'Your message contains content that is not allowed here. Please rephrase it.'
+                    : `${attachments[textIndex - 1].name} contains content that is not allowed here.`);
+            }
+        });
+    });
+
+    const redactions = [];
+    const warnings = [];
+    Object.entries(DETECTORS).forEach(([id, detector]) => {
+        const action = policy.detectors[id];
+        if (action === 'off') return;
+
+        let redactedCount = 0;
+        let warnedCount = 0;
+        texts.flat().forEach(segment => {
+            detector.patterns.forEach(pattern => {
+                segment.text = segment.text.replace(pattern, (match) => {
+                    if (detector.isMatch && !detector.isMatch(match)) return match;
+                    if (action === 'redact' && !segment.isCode) {
+                        redactedCount++;
+                        return detector.replacement;
+                    }
+                    warnedCount++;
+                    return match;
+                });
+            });
+        });
+
+        if (redactedCount > 0) {
+            redactions.push(`${detector.label} (${redactedCount})`);
+            recordAuditEntry(id, 'redact');
+        }
+        if (warnedCount > 0) {
+            warnings.push(`${detector.label} (${warnedCount})`);
+            recordAuditEntry(id, 'warn');
+        }
+    });
+
+    const [promptSegments, ...attachmentSegments] = texts;
+    return {
+        text: promptSegments.map(segment => segment.text).join(''),
+        attachments: attachments.map((attachment, index) => (
+            typeof attachment.text === 'string' ? { ...attachment, text: attachmentSegments[index][0].text } : attachment
+        )),
+        redactions,
+        warnings,
+    };
+}
+
+/**
+ * Records that a policy rule fired. Failures are only logged, so they never block a prompt.
+ * @param {string} rule - The rule (`maxLength`, `blockedPattern:<n>` or a DETECTORS key).
+ * @param {'block'|'redact'|'warn'} action - What the rule did.
+ */
+function recordAuditEntry(rule, action) {
+    log('warn', `Input policy: ${rule} (${action}).`);
+    if (!STATE.auth.isLoggedIn || STATE.auth.isGuest || !STATE.auth.user?.uid || !Firebase.getDatabase()) return;
+
+    Firebase.getDatabase().ref(AUDIT_PATH).push({
+        uid: STATE.auth.user.uid,
+        email: STATE.auth.user.email,
+        rule,
+        action,
+        conversationId: STATE.ui.activeConversationId || null,
+        timestamp: firebase.database.ServerValue.TIMESTAMP,
+    }).catch(error => log('error', 'Could not write audit entry:', error));
+}
+
+/**
+ * Reads the most recent audit entries. Owners and admins only (see database.rules.json).
+ * @returns {Promise<Object[]>} Entries, newest first.
+ */
+export async function listAuditEntries() {
+    const snapshot = await Firebase.getDatabase().ref(AUDIT_PATH).orderByChild('timestamp').limitToLast(AUDIT_LIST_LIMIT).once('value');
+    return Object.values(snapshot.val() || {}).sort((a, b) => b.timestamp - a.timestamp);
+}
@@ -0,0 +1,138 @@
+// assets/modules/providers/index.js
+
+// Registry of LLM providers. Every adapter implements the same interface:
+//   id, label, defaultBaseUrl, requiresApiKey, requiresSignIn, supportsImages, supportsImageEdits,
+//   streamChat(config, { model, messages, signal, temperature, topP, maxTokens, tools }, { onDelta })
+//     -> { content, toolCalls, finishReason, usage, model }
+//   generateImage(config, { prompt, model, size, quality, n, signal }) -> string[]
+//   editImage(config, { prompt, image, mask, model, n, signal }) -> string[]
+//   listModels(config, { signal }) -> [{ id, name, contextLength, pricing, inputModalities, outputModalities, supportsTools }]
+// `config` is `{ baseUrl, apiKey }`, resolved from STATE.settings at call time.
+
+import { STATE } from '../state.js';
+import { openRouterProvider } from './openrouter.js';
+import { openAICompatibleProvider } from './openai-compatible.js';
+import { ollamaProvider } from './ollama.js';
+import { proxyProvider } from './proxy.js';
+
+export const DEFAULT_PROVIDER_ID = 'openrouter';
+
+const providers = new Map();
+
+/**
+ * Registers a provider adapter, replacing any adapter with the same ID.
+ * @param {Object} provider - The provider adapter.
+ */
+export function registerProvider(provider) {
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Returns a registered provider.
+ * @param {string} providerId - The provider ID.
+ * @returns {Object|undefined} The provider adapter.
+ */
+export function getProvider(providerId) {
+    return providers.get(providerId);
+}
+
+/**
+ * Lists all registered providers.
+ * @returns {Object[]} The provider adapters, in registration order.
+ */
+export function listProviders() {
+    return Array.from(providers.values());
+}
+
+/**
+ * Returns the provider selected in settings, falling back to OpenRouter.
+ * @returns {Object} The provider adapter.
+ */
+export function getActiveProvider() {
+    return providers.get(STATE.settings.provider) || providers.get(DEFAULT_PROVIDER_ID);
+}
+
+/**
+ * Resolves the configuration for a provider from STATE.settings.
+ * OpenRouter keeps using the original `openrouterKey` setting.
+ * @param {Object} provider - The provider adapter.
+ * @returns {{baseUrl: string, apiKey: string}} The configuration.
+ */
+function getProviderConfig(provider) {
+    if (provider.id === 'openrouter') {
+        return { baseUrl: provider.defaultBaseUrl, apiKey: STATE.settings.openrouterKey };
+    }
+    return {
+        baseUrl: STATE.settings.providerBaseUrl || provider.defaultBaseUrl,
+        apiKey: STATE.settings.providerApiKey || '',
+    };
+}
+
+/**
+ * Explains why the active provider cannot make requests yet.
+ * @returns {string|null} The problem, or null if requests can be attempted.
+ */
+export function getConfigurationError() {
+    const provider = getActiveProvider();
+    if (provider.requiresSignIn && (!STATE.auth.isLoggedIn || STATE.auth.isGuest)) {
+        return `Sign in with Google to use ${provider.label}.`;
+    }
+    if (provider.requiresApiKey && !getProviderConfig(provider).apiKey) {
+        return `${provider.label} API key is not configured in settings.`;
+    }
+    return null;
+}
+
+/**
+ * Checks whether the active provider has what it needs to make requests.
+ * @returns {boolean} True if requests can be attempted.
+ */
+export function isActiveProviderConfigured() {
+    return getConfigurationError() === null;
+}
+
+/**
+ * Streams a chat completion from the active provider.
+ * @param {Object} request - `{ model, messages, signal, temperature, topP, maxTokens, tools }`; `tools` are OpenAI-style function definitions.
+ * @param {Object} [handlers] - `{ onDelta }` stream callbacks.
+ * @returns {Promise<Object>} `{ content, toolCalls, finishReason, usage, model }`.
+ */
+export function streamChat(request, handlers) {
+    const provider = getActiveProvider();
+    return provider.streamChat(getProviderConfig(provider), request, handlers);
+}
+
+/**
+ * Generates images with the active provider.
+ * @param {Object} request - `{ prompt, model, size, quality, n, signal }`.
+ * @returns {Promise<string[]>} Image URLs.
+ */
+export function generateImage(request) {
+    const provider = getActiveProvider();
+    return provider.generateImage(getProviderConfig(provider), request);
+}
+
+/**
+ * Edits an image with the active provider.
+ * @param {Object} request - `{ prompt, image, mask, model, n, signal }`; `image` and `mask` are PNG Blobs.
+ * @returns {Promise<string[]>} Image URLs.
+ */
+export function editImage(request) {
+    const provider = getActiveProvider();
+    return provider.editImage(getProviderConfig(provider), request);
+}
+
+/**
+ * Lists models offered by a provider.
+ * @param {Object} [request] - `{ signal }`.
+ * @param {Object} [provider=getActiveProvider()] - The provider to query.
+ * @returns {Promise<Object[]>} Normalized models.
+ */
+export function listModels(request = {}, provider = getActiveProvider()) {
+    return provider.listModels(getProviderConfig(provider), request);
+}
+
+registerProvider(openRouterProvider);
+registerProvider(openAICompatibleProvider);
+registerProvider(ollamaProvider);
+registerProvider(proxyProvider);
@@ -0,0 +1,184 @@
+// assets/modules/providers/ollama.js
+
+import { readErrorMessage } from './openai-compatible.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Reads a newline-delimited JSON stream, calling `onObject` for each complete line.
+ * Partial lines are carried over between reads.
+ * @param {ReadableStream} body - The response body stream.
+ * @param {Function} onObject - Called with each parsed object.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+async function readNdjsonStream(body, onObject) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+
+    const processLines = (flush) => {
+        const lines = buffer.split('\n');
+        buffer = flush ? '' : lines.pop();
+        lines.map(line => line.trim()).filter(Boolean).forEach(line => onObject(JSON.parse(line)));
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            processLines(false);
+        }
+        buffer += decoder.decode();
+        processLines(true);
+    } catch (error) {
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Converts an OpenAI-style message to Ollama's format, where images are a separate list of
+ * base64 strings next to the text and tool call arguments are objects instead of JSON text.
+ * @param {Object} message - `{ role, content, tool_calls? }` with string content or content parts.
+ * @returns {Object} `{ role, content, images?, tool_calls? }`.
+ */
+function toOllamaMessage(message) {
+    if (message.tool_calls) {
+        return {
+            role: message.role,
+            content: message.content || '',
+            tool_calls: message.tool_calls.map(call => ({
+                function: { name: call.function.name, arguments: parseToolArguments(call.function.arguments) },
+            })),
+        };
+    }
+    if (!Array.isArray(message.content)) return message;
+    return {
+        role: message.role,
+        content: message.content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+        images: message.content
+            .filter(part => part.type === 'image_url')
+            .map(part => part.image_url.url.replace(/^data:[^,]*,/, '')),
+    };
+}
+
+/**
+ * Parses the JSON arguments of a tool call, which Ollama expects as an object.
+ * @param {string} text - The arguments as sent by the model.
+ * @returns {Object} The arguments, or an empty object if they are not valid JSON.
+ */
+function parseToolArguments(text) {
+    try {
+        const value = JSON.parse(text || '{}');
+        return value && typeof value === 'object' ? value : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Adapter for Ollama's native API (`/api/chat`, `/api/tags`).
+ */
+export const ollamaProvider = {
+    id: 'ollama',
+    label: 'Ollama',
+    defaultBaseUrl: DEFAULT_BASE_URL,
+    requiresApiKey: false,
+    supportsImages: false,
+    supportsImageEdits: false,
+
+    /**
+     * Streams a chat completion from `/api/chat`.
+     * @param {Object} config - Resolved provider configuration `{ baseUrl }`.
+     * @param {Object} request - `{ model, messages, signal, temperature, topP, maxTokens, tools }`.
+     * @param {Object} [handlers] - `{ onDelta }` stream callbacks.
+     * @returns {Promise<Object>} `{ content, toolCalls, finishReason, usage, model }`.
+     */
+    async streamChat(config, { model, messages, signal, temperature, topP, maxTokens, tools }, { onDelta } = {}) {
+        const options = {
+            ...(temperature !== undefined ? { temperature } : {}),
+            ...(topP !== undefined ? { top_p: topP } : {}),
+            ...(maxTokens !== undefined ? { num_predict: maxTokens } : {}),
+        };
+        const response = await fetch(`${(config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model, messages: messages.map(toOllamaMessage), stream: true, options, ...(tools?.length ? { tools } : {}) }),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+
+        const result = { content: '', toolCalls: [], finishReason: null, usage: null, model };
+        await readNdjsonStream(response.body, (chunk) => {
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+            const delta = chunk.message?.content || '';
+            if (delta) {
+                result.content += delta;
+                if (onDelta) onDelta(delta, result.content);
+            }
+            // Ollama sends each tool call whole, with object arguments and without an ID
+            (chunk.message?.tool_calls || []).forEach(call => {
+                result.toolCalls.push({
+                    id: `call_${crypto.randomUUID()}`,
+                    type: 'function',
+                    function: { name: call.function?.name || '', arguments: JSON.stringify(call.function?.arguments || {}) },
+                });
+            });
+            if (chunk.done) {
+                result.finishReason = chunk.done_reason || 'stop';
+                result.usage = {
+                    prompt_tokens: chunk.prompt_eval_count || 0,
+                    completion_tokens: chunk.eval_count || 0,
+                    total_tokens: (chunk.prompt_eval_count || 0) + (chunk.eval_count || 0),
+                };
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Ollama has no image generation endpoint.
+     * @throws {Error} Always.
+     */
+    async generateImage() {
+        throw new Error('Ollama does not support image generation. Choose Pollinations.ai as the image provider.');
+    },
+
+    /**
+     * Ollama has no image editing endpoint.
+     * @throws {Error} Always.
+     */
+    async editImage() {
+        throw new Error('Ollama does not support image editing.');
+    },
+
+    /**
+     * Lists locally installed models from `/api/tags`.
+     * @param {Object} config - Resolved provider configuration.
+     * @param {Object} [request] - `{ signal }`.
+     * @returns {Promise<Object[]>} Normalized models.
+     */
+    async listModels(config, { signal } = {}) {
+        const response = await fetch(`${(config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/api/tags`, { signal });
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+
+        const data = await response.json();
+        return (data.models || []).map(model => ({
+            id: model.name,
+            name: model.name,
+            contextLength: null,
+            pricing: null,
+            inputModalities: (model.details?.families || []).includes('clip') ? ['text', 'image'] : ['text'],
+            outputModalities: ['text'],
+            supportsTools: null, // `/api/tags` does not list capabilities
+        }));
+    },
+};
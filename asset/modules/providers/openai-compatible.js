@@ -0,0 +1,258 @@
+// assets/modules/providers/openai-compatible.js
+
+import { readChatCompletionStream } from '../sse.js';
+
+/**
+ * Reads an error message from a failed API response.
+ * OpenAI-style servers return `{ error: { message } }`, but proxies may return plain text.
+ * @param {Response} response - The failed fetch response.
+ * @returns {Promise<string>} The error message.
+ */
+export async function readErrorMessage(response) {
+    const text = await response.text().catch(() => '');
+    try {
+        const errorData = JSON.parse(text);
+        return errorData.error?.message || errorData.error || errorData.message || response.statusText;
+    } catch (e) {
+        return text || response.statusText || `HTTP ${response.status}`;
+    }
+}
+
+/**
+ * Normalizes a model entry from an OpenAI-style `/models` response.
+ * OpenRouter adds context length, pricing and modality details; plain servers only send `id`.
+ * @param {Object} model - Raw model entry.
+ * @returns {Object} Normalized model `{ id, name, contextLength, pricing, inputModalities, outputModalities, supportsTools }`.
+ */
+export function normalizeModel(model) {
+    const architecture = model.architecture || {};
+    return {
+        id: model.id,
+        name: model.name || model.id,
+        contextLength: model.context_length || model.top_provider?.context_length || null,
+        pricing: model.pricing || null,
+        inputModalities: architecture.input_modalities || (architecture.modality ? architecture.modality.split('->')[0].split('+') : ['text']),
+        outputModalities: architecture.output_modalities || (architecture.modality ? architecture.modality.split('->')[1].split('+') : ['text']),
+        supportsTools: Array.isArray(model.supported_parameters) ? model.supported_parameters.includes('tools') : null,
+    };
+}
+
+/**
+ * Reads a Blob as a data URL.
+ * @param {Blob} blob - The data.
+ * @returns {Promise<string>} The data URL.
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('Could not read the image.'));
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Creates an adapter for servers that implement the OpenAI REST API
+ * (`/chat/completions`, `/images/generations`, `/images/edits`, `/models`).
+ * @param {Object} options - Adapter options.
+ * @param {string} options.id - Registry ID.
+ * @param {string} options.label - Human-readable name.
+ * @param {string} options.defaultBaseUrl - Base URL used when none is configured (including the `/v1` part).
+ * @param {boolean} [options.requiresApiKey=false] - Whether requests fail without an API key.
+ * @param {boolean} [options.requiresSignIn=false] - Whether requests fail for guests.
+ * @param {Function} [options.getBearerToken] - Returns (a promise of) the bearer token to send instead of the API key.
+ * @param {Function} [options.extraHeaders] - Returns additional request headers.
+ * @param {Object} [options.extraChatBody] - Additional fields merged into chat request bodies.
+ * @param {'endpoint'|'chat'} [options.imageEdits='endpoint'] - How images are edited: multipart uploads to
+ *   `/images/edits`, or a chat completion that sends the image to a multimodal model and asks for an image back.
+ * @returns {Object} The provider adapter.
+ */
+export function createOpenAICompatibleProvider({ id, label, defaultBaseUrl, requiresApiKey = false, requiresSignIn = false, getBearerToken = (config) => config.apiKey, extraHeaders = () => ({}), extraChatBody = {}, imageEdits = 'endpoint' }) {
+    const buildHeaders = async (config) => {
+        const token = await getBearerToken(config);
+        return {
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            ...extraHeaders(config),
+        };
+    };
+    const buildUrl = (config, path) => `${(config.baseUrl || defaultBaseUrl).replace(/\/+$/, '')}${path}`;
+
+    /**
+     * Edits an image with a multimodal model: the image (and mask) go in as image parts of a chat
+     * message and the reply's `images` are the result. Chat completions return one image per
+     * request, so `n` images take `n` requests.
+     * @param {Object} config - Resolved provider configuration.
+     * @param {Object} request - See editImage.
+     * @returns {Promise<string[]>} Image URLs (usually `data:` URLs).
+     */
+    const editImageWithChat = async (config, { prompt, image, mask, model, n, signal }) => {
+        const content = [
+            { type: 'text', text: mask ? `${prompt}\n\nThe second image is a mask of the same size. Only change the areas that are transparent in the mask and keep everything else exactly as it is.` : prompt },
+            { type: 'image_url', image_url: { url: await blobToDataUrl(image) } },
+        ];
+        if (mask) content.push({ type: 'image_url', image_url: { url: await blobToDataUrl(mask) } });
+
+        const urls = [];
+        for (let index = 0; index < n; index++) {
+            const response = await fetch(buildUrl(config, '/chat/completions'), {
+                method: 'POST',
+                headers: await buildHeaders(config),
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: 'user', content }],
+                    modalities: ['image', 'text'],
+                    ...extraChatBody,
+                }),
+                signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(await readErrorMessage(response));
+            }
+
+            const data = await response.json();
+            urls.push(...(data.choices?.[0]?.message?.images || []).map(result => result.image_url?.url).filter(Boolean));
+        }
+        if (urls.length === 0) {
+            throw new Error(`${model} did not return an image. Choose a model that can output images.`);
+        }
+        return urls;
+    };
+
+    return {
+        id,
+        label,
+        defaultBaseUrl,
+        requiresApiKey,
+        requiresSignIn,
+        supportsImages: true,
+        supportsImageEdits: true,
+
+        /**
+         * Streams a chat completion.
+         * @param {Object} config - Resolved provider configuration `{ baseUrl, apiKey }`.
+         * @param {Object} request - `{ model, messages, signal, temperature, topP, maxTokens, tools }`.
+         * @param {Object} [handlers] - `{ onDelta }` stream callbacks.
+         * @returns {Promise<Object>} `{ content, toolCalls, finishReason, usage, model }`.
+         */
+        async streamChat(config, { model, messages, signal, temperature, topP, maxTokens, tools }, handlers = {}) {
+            const response = await fetch(buildUrl(config, '/chat/completions'), {
+                method: 'POST',
+                headers: await buildHeaders(config),
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    stream: true,
+                    ...(temperature !== undefined ? { temperature } : {}),
+                    ...(topP !== undefined ? { top_p: topP } : {}),
+                    ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {}),
+                    ...(tools?.length ? { tools, tool_choice: 'auto' } : {}),
+                    ...extraChatBody,
+                }),
+                signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(await readErrorMessage(response));
+            }
+            return readChatCompletionStream(response.body, handlers);
+        },
+
+        /**
+         * Generates images.
+         * @param {Object} config - Resolved provider configuration.
+         * @param {Object} request - `{ prompt, model, size, quality, n, signal }`.
+         * @returns {Promise<string[]>} Image URLs (remote or `data:` URLs).
+         */
+        async generateImage(config, { prompt, model, size, quality = 'standard', n = 1, signal }) {
+            const response = await fetch(buildUrl(config, '/images/generations'), {
+                method: 'POST',
+                headers: await buildHeaders(config),
+                body: JSON.stringify({ prompt, model, size, quality, n }),
+                signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(await readErrorMessage(response));
+            }
+
+            const data = await response.json();
+            const urls = (data.data || [])
+                .map(image => image.url || (image.b64_json ? `data:image/png;base64,${image.b64_json}` : null))
+                .filter(Boolean);
+            if (urls.length === 0) {
+                throw new Error(`${label} did not return an image.`);
+            }
+            return urls;
+        },
+
+        /**
+         * Edits an image. Without a mask the whole image may change (edits and variations); with a
+         * mask only its transparent areas are painted again (inpainting).
+         * @param {Object} config - Resolved provider configuration.
+         * @param {Object} request - `{ prompt, image, mask, model, n, signal }`; `image` and `mask` are PNG Blobs of the same size.
+         * @returns {Promise<string[]>} Image URLs (remote or `data:` URLs).
+         */
+        async editImage(config, { prompt, image, mask = null, model, n = 1, signal }) {
+            if (imageEdits === 'chat') {
+                return editImageWithChat(config, { prompt, image, mask, model, n, signal });
+            }
+
+            const form = new FormData();
+            form.append('image', image, 'image.png');
+            if (mask) form.append('mask', mask, 'mask.png');
+            form.append('prompt', prompt);
+            form.append('model', model);
+            form.append('n', String(n));
+
+            const headers = await buildHeaders(config);
+            delete headers['Content-Type']; // fetch sets the multipart boundary
+            const response = await fetch(buildUrl(config, '/images/edits'), {
+                method: 'POST',
+                headers,
+                body: form,
+                signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(await readErrorMessage(response));
+            }
+
+            const data = await response.json();
+            const urls = (data.data || [])
+                .map(result => result.url || (result.b64_json ? `data:image/png;base64,${result.b64_json}` : null))
+                .filter(Boolean);
+            if (urls.length === 0) {
+                throw new Error(`${label} did not return an image.`);
+            }
+            return urls;
+        },
+
+        /**
+         * Lists the models the server offers.
+         * @param {Object} config - Resolved provider configuration.
+         * @param {Object} [request] - `{ signal }`.
+         * @returns {Promise<Object[]>} Normalized models.
+         */
+        async listModels(config, { signal } = {}) {
+            const response = await fetch(buildUrl(config, '/models'), {
+                headers: await buildHeaders(config),
+                signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(await readErrorMessage(response));
+            }
+
+            const data = await response.json();
+            return (data.data || []).map(normalizeModel);
+        },
+    };
+}
+
+export const openAICompatibleProvider = createOpenAICompatibleProvider({
+    id: 'openai-compatible',
+    label: 'OpenAI-compatible server',
+    defaultBaseUrl: 'http://localhost:8080/v1',
+});
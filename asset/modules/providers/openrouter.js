@@ -0,0 +1,19 @@
+// assets/modules/providers/openrouter.js
+
+import { APP_CONSTANTS } from '../state.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+export const openRouterProvider = createOpenAICompatibleProvider({
+    id: 'openrouter',
+    label: 'OpenRouter',
+    defaultBaseUrl: 'https://openrouter.ai/api/v1',
+    requiresApiKey: true,
+    extraHeaders: () => ({
+        'HTTP-Referer': window.location.origin, // Optional, for OpenRouter analytics
+        'X-Title': APP_CONSTANTS.APP_NAME, // Optional, for OpenRouter analytics
+    }),
+    extraChatBody: {
+        usage: { include: true }, // Ask OpenRouter to report token usage in the final chunk
+    },
+    imageEdits: 'chat', // OpenRouter has no /images/edits; image-output models take the image in the chat
+});
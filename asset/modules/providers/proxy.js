@@ -0,0 +1,22 @@
+// assets/modules/providers/proxy.js
+
+// Adapter for the JavaGoat API proxy (server/proxy.mjs). The proxy keeps the upstream API
+// key on the server and speaks the OpenAI REST API, so the browser only sends the signed-in
+// user's Firebase ID token (refreshed by the SDK when it is about to expire).
+
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+export const proxyProvider = createOpenAICompatibleProvider({
+    id: 'proxy',
+    label: 'JavaGoat proxy server',
+    defaultBaseUrl: 'http://localhost:8787/v1',
+    requiresSignIn: true,
+    getBearerToken: () => {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Sign in with Google to use the JavaGoat proxy server.');
+        }
+        return user.getIdToken();
+    },
+    imageEdits: 'chat', // The proxy only forwards JSON requests
+});
@@ -0,0 +1,198 @@
+// assets/modules/roles.js
+
+// Role-based access control. Roles live in the Realtime Database under `roles/{emailKey}`
+// (the lowercased email with dots replaced by commas, since keys cannot contain dots), so
+// owners can invite people before they first sign in. Signed-in users without an entry are
+// members; local guests are guests. The owner email in auth.js is always an owner, so the
+// app cannot be locked out. database.rules.json enforces the same matrix on the server.
+
+import { STATE } from './state.js';
+import * as Firebase from './firebase.js';
+import * as Auth from './auth.js';
+
+const ROLES_PATH = 'roles';
+const DEFAULT_SIGNED_IN_ROLE = 'member';
+
+export const ROLES = ['owner', 'admin', 'member', 'guest'];
+
+export const ROLE_LABELS = {
+    owner: 'Owner',
+    admin: 'Admin',
+    member: 'Member',
+    guest: 'Guest',
+};
+
+// Capability -> roles that have it
+export const CAPABILITIES = {
+    editGlobalSettings: { label: 'Edit global settings', roles: ['owner', 'admin'] },
+    manageRoles: { label: 'Invite and demote users', roles: ['owner'] },
+    manageUsage: { label: 'See everyone\'s usage and set quotas', roles: ['owner', 'admin'] },
+    generateImages: { label: 'Generate images', roles: ['owner', 'admin', 'member'] },
+    chooseModels: { label: 'Choose models', roles: ['owner', 'admin', 'member'] },
+    clearChats: { label: 'Clear all chats', roles: ['owner', 'admin', 'member'] },
+};
+
+let roleRef = null;
+
+/**
+ * Converts an email into the database key its role is stored under.
+ * @param {string} email - The email address.
+ * @returns {string} The key.
+ */
+export function toEmailKey(email) {
+    return email.trim().toLowerCase().replace(/\./g, ',');
+}
+
+/**
+ * Checks whether an email belongs to the built-in owner.
+ * @param {string|null|undefined} email - The email address.
+ * @returns {boolean} True for the owner email configured in auth.js.
+ */
+function isBuiltInOwner(email) {
+    return !!email && email.trim().toLowerCase() === Auth.ADMIN_EMAIL.toLowerCase();
+}
+
+/**
+ * Returns the current user's role.
+ * @returns {string} One of ROLES.
+ */
+export function getCurrentRole() {
+    if (!STATE.auth.isLoggedIn || STATE.auth.isGuest) return 'guest';
+    return STATE.auth.role || DEFAULT_SIGNED_IN_ROLE;
+}
+
+/**
+ * Checks whether the current user has a capability.
+ * @param {string} capability - A key of CAPABILITIES.
+ * @returns {boolean} True if the user's role grants it.
+ */
+export function can(capability) {
+    const definition = CAPABILITIES[capability];
+    if (!definition) {
+        log('warn', 'Unknown capability checked:', capability);
+        return false;
+    }
+    return definition.roles.includes(getCurrentRole());
+}
+
+/**
+ * Stores the current user's role and keeps the legacy admin flag in step with it.
+ * @param {string} role - The role.
+ */
+function applyRole(role) {
+    STATE.auth.role = ROLES.includes(role) ? role : DEFAULT_SIGNED_IN_ROLE;
+    STATE.auth.isAdmin = can('editGlobalSettings');
+    log('info', 'Current role:', getCurrentRole());
+}
+
+/**
+ * Loads the signed-in user's role and keeps it live, so a demotion applies without a reload.
+ * @param {Function} [onChange] - Called after the role changes (not for the first value).
+ * @returns {Promise<void>} Resolves once the first value is known.
+ */
+export function listenToCurrentRole(onChange) {
+    stopListeningToCurrentRole();
+    const email = STATE.auth.user?.email;
+    if (isBuiltInOwner(email)) {
+        applyRole('owner');
+        return Promise.resolve();
+    }
+    if (!email || !Firebase.getDatabase()) {
+        applyRole(DEFAULT_SIGNED_IN_ROLE);
+        return Promise.resolve();
+    }
+
+    roleRef = Firebase.getDatabase().ref(`${ROLES_PATH}/${toEmailKey(email)}`);
+    let isFirstValue = true;
+    return new Promise((resolve) => {
+        roleRef.on('value', (snapshot) => {
+            const previousRole = STATE.auth.role;
+            applyRole(snapshot.val()?.role || DEFAULT_SIGNED_IN_ROLE);
+            if (isFirstValue) {
+                isFirstValue = false;
+                resolve();
+            } else if (previousRole !== STATE.auth.role && onChange) {
+                onChange(STATE.auth.role);
+            }
+        }, (error) => {
+            log('error', 'Could not read role, using the default:', error);
+            applyRole(DEFAULT_SIGNED_IN_ROLE);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Stops listening to the current user's role and resets it.
+ */
+export function stopListeningToCurrentRole() {
+    if (roleRef) {
+        roleRef.off('value');
+        roleRef = null;
+    }
+    STATE.auth.role = null;
+    STATE.auth.isAdmin = false;
+}
+
+/**
+ * Lists every role assignment. Owner only.
+ * @returns {Promise<{email: string, role: string, updatedBy: string, updatedAt: number}[]>} Assignments sorted by email.
+ */
+export async function listRoleAssignments() {
+    if (!can('manageRoles')) {
+        throw new Error('Only owners can manage roles.');
+    }
+    const snapshot = await Firebase.getDatabase().ref(ROLES_PATH).once('value');
+    const assignments = Object.values(snapshot.val() || {}).filter(entry => entry && entry.email);
+    return assignments.sort((a, b) => a.email.localeCompare(b.email));
+}
+
+/**
+ * Gives an email a role, inviting the user if they have not signed in yet. Owner only.
+ * @param {string} email - The user's email.
+ * @param {string} role - One of ROLES.
+ * @returns {Promise<void>} Resolves once saved.
+ * @throws {Error} If the email or role is invalid or the change is not allowed.
+ */
+export async function assignRole(email, role) {
+    if (!can('manageRoles')) {
+        throw new Error('Only owners can manage roles.');
+    }
+    const normalizedEmail = (email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+        throw new Error('Enter a valid email address.');
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}".`);
+    }
+    if (isBuiltInOwner(normalizedEmail)) {
+        throw new Error('The built-in owner always keeps the owner role.');
+    }
+    if (normalizedEmail === STATE.auth.user.email.toLowerCase()) {
+        throw new Error('You cannot change your own role.');
+    }
+
+    await Firebase.getDatabase().ref(`${ROLES_PATH}/${toEmailKey(normalizedEmail)}`).set({
+        email: normalizedEmail,
+        role,
+        updatedBy: STATE.auth.user.email,
+        updatedAt: Date.now(),
+    });
+    log('info', `Role of ${normalizedEmail} set to ${role}.`);
+}
+
+/**
+ * Removes an email's role assignment, so the user falls back to member. Owner only.
+ * @param {string} email - The user's email.
+ * @returns {Promise<void>} Resolves once removed.
+ */
+export async function removeRoleAssignment(email) {
+    if (!can('manageRoles')) {
+        throw new Error('Only owners can manage roles.');
+    }
+    if (email.trim().toLowerCase() === STATE.auth.user.email.toLowerCase()) {
+        throw new Error('You cannot change your own role.');
+    }
+    await Firebase.getDatabase().ref(`${ROLES_PATH}/${toEmailKey(email)}`).remove();
+    log('info', `Role assignment of ${email} removed.`);
+}
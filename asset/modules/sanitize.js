@@ -0,0 +1,157 @@
+// assets/modules/sanitize.js
+
+// Allowlist HTML sanitizer for rendered Markdown. marked passes raw HTML in its input straight
+// through, so everything it produces is parsed into an inert <template> (scripts do not run and
+// images do not load there) and rebuilt from allowed tags and attributes only:
+//   - script, style, iframe, form and similar elements are removed with their content;
+//   - other unknown elements are replaced by their children, so their text survives;
+//   - event handlers, inline styles and any attribute not listed below are dropped;
+//   - classes are limited to highlight.js's, so the output cannot borrow app styles to draw fake UI;
+//   - URLs must be http(s), mailto or relative (images may also be raster data: URLs);
+//   - links open in a new tab with rel="noopener noreferrer".
+// User prompts are stored as typed; renderUserMarkdown escapes their HTML outside code first.
+// The XSS payload corpus in test/sanitize.test.html checks these rules in a real browser.
+
+import { splitCodeSegments } from './policy.js';
+
+const ALLOWED_TAGS = new Set([
+    'a', 'b', 'blockquote', 'br', 'code', 'del', 'details', 'div', 'em', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'hr', 'i', 'img', 'input', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'span',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul',
+]);
+
+// Removed together with everything inside them
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'textarea',
+    'select', 'button', 'noscript', 'template', 'svg', 'math', 'link', 'meta', 'base', 'title', 'head',
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(['title', 'lang', 'dir']);
+
+// Classes added by marked-highlight (`hljs language-js`) and highlight.js (`hljs-keyword`)
+const HIGHLIGHT_CLASS_TAGS = new Set(['code', 'span']);
+const HIGHLIGHT_CLASS = /^(?:hljs(?:-[a-z0-9_-]+)?|language-[a-z0-9_+#.-]+)$/i;
+
+const TAG_ATTRIBUTES = {
+    a: new Set(['href']),
+    img: new Set(['src', 'alt', 'width', 'height']),
+    input: new Set(['type', 'checked', 'disabled']),
+    ol: new Set(['start']),
+    td: new Set(['align', 'colspan', 'rowspan']),
+    th: new Set(['align', 'colspan', 'rowspan']),
+    details: new Set(['open']),
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const SAFE_IMAGE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Checks whether a URL may be used in a link or image.
+ * Control characters and whitespace are removed first, since browsers ignore them in schemes
+ * (`java\tscript:` is still `javascript:`).
+ * @param {string} value - The attribute value.
+ * @param {string} attributeName - `href` or `src`.
+ * @returns {boolean} True for http(s), mailto and relative URLs (and raster data URLs in `src`).
+ */
+export function isSafeUrl(value, attributeName) {
+    const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    if (!scheme) return true; // Relative URL or fragment
+    if (SAFE_URL_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`)) return true;
+    return attributeName === 'src' && SAFE_IMAGE_DATA_URL.test(value.trim());
+}
+
+/**
+ * Copies the allowed attributes of an element.
+ * @param {Element} source - The parsed element.
+ * @param {Element} target - The clean element.
+ */
+function copyAllowedAttributes(source, target) {
+    const tagName = target.localName;
+    Array.from(source.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        if (name === 'class') {
+            const classes = attribute.value.split(/\s+/).filter(className => HIGHLIGHT_CLASS.test(className));
+            if (HIGHLIGHT_CLASS_TAGS.has(tagName) && classes.length > 0) target.setAttribute('class', classes.join(' '));
+            return;
+        }
+        if (!GLOBAL_ATTRIBUTES.has(name) && !TAG_ATTRIBUTES[tagName]?.has(name)) return;
+        if (URL_ATTRIBUTES.has(name) && !isSafeUrl(attribute.value, name)) return;
+        target.setAttribute(name, attribute.value);
+    });
+
+    if (tagName === 'a' && target.hasAttribute('href')) {
+        target.setAttribute('target', '_blank');
+        target.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (tagName === 'input') {
+        // Only Markdown task-list checkboxes, and never editable
+        if ((target.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+            target.setAttribute('type', 'checkbox');
+        }
+        target.setAttribute('disabled', '');
+    }
+}
+
+/**
+ * Appends clean copies of a node's children to a target node.
+ * @param {Node} source - The parsed node.
+ * @param {Node} target - The node receiving clean copies.
+ */
+function copyAllowedChildren(source, target) {
+    Array.from(source.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(child.textContent));
+            return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return; // Comments, processing instructions
+
+        const tagName = child.localName;
+        if (DROPPED_TAGS.has(tagName)) return;
+        if (!ALLOWED_TAGS.has(tagName)) {
+            copyAllowedChildren(child, target); // Keep the text, lose the element
+            return;
+        }
+
+        const clean = document.createElement(tagName);
+        copyAllowedAttributes(child, clean);
+        copyAllowedChildren(child, clean);
+        target.appendChild(clean);
+    });
+}
+
+/**
+ * Sanitizes an HTML string against the allowlist.
+ * @param {string} html - Untrusted HTML.
+ * @returns {string} HTML containing only allowed tags, attributes and URLs.
+ */
+export function sanitizeHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const container = document.createElement('div');
+    copyAllowedChildren(template.content, container);
+    return container.innerHTML;
+}
+
+/**
+ * Renders Markdown (e.g. model output) to sanitized HTML.
+ * @param {string} markdown - The Markdown.
+ * @returns {string} Safe HTML.
+ */
+export function renderMarkdown(markdown) {
+    return sanitizeHTML(marked.parse(markdown || ''));
+}
+
+/**
+ * Renders a user's prompt. Markdown formatting works, but HTML the user typed is shown as text;
+ * code is left alone because Markdown already escapes it.
+ * @param {string} text - The prompt as typed.
+ * @returns {string} Safe HTML.
+ */
+export function renderUserMarkdown(text) {
+    const escaped = splitCodeSegments(text || '')
+        .map(segment => segment.isCode ? segment.text : segment.text.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+        .join('');
+    return renderMarkdown(escaped);
+}
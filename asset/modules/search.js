@@ -0,0 +1,277 @@
+// assets/modules/search.js
+
+// In-memory inverted index over the text of every message in every branch.
+// The index is built lazily on the first search and then kept current by the storage
+// module, which re-indexes a conversation whenever it is saved; only messages whose text
+// changed are re-tokenized.
+//
+// Query syntax:
+//   stack trace         every word must appear (in any order)
+//   "stack trace"       exact phrase
+//   trace*              prefix
+//   role:user|ai|image  only messages of that kind (`image` matches image prompts)
+
+import { STATE } from './state.js';
+
+const SNIPPET_CONTEXT_CHARS = 60;
+const MAX_RESULTS = 50;
+const ROLE_FILTERS = ['user', 'ai', 'image'];
+
+const postings = new Map(); // term -> Map(docKey -> positions[])
+const documents = new Map(); // docKey -> { conversationId, messageId, role, text, tokens }
+const conversationDocs = new Map(); // conversationId -> Set(docKey)
+let isBuilt = false;
+
+/**
+ * Splits text into lowercase word tokens with their character offsets.
+ * @param {string} text - The text to tokenize.
+ * @returns {{term: string, start: number, end: number}[]} The tokens.
+ */
+export function tokenize(text) {
+    const tokens = [];
+    const wordPattern = /[\p{L}\p{N}_]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Returns the searchable text and role of a message.
+ * @param {Object} message - The message.
+ * @returns {{role: string, text: string}|null} The indexable parts, or null if there is nothing to index.
+ */
+function getIndexableMessage(message) {
+    if (message.error) return null;
+    if (message.type === 'image') {
+        return message.prompt ? { role: 'image', text: message.prompt } : null;
+    }
+    return message.content ? { role: message.role, text: message.content } : null;
+}
+
+/**
+ * Removes a document and its postings from the index.
+ * @param {string} docKey - The document key.
+ */
+function removeDocument(docKey) {
+    const doc = documents.get(docKey);
+    if (!doc) return;
+    new Set(doc.tokens.map(token => token.term)).forEach(term => {
+        const termPostings = postings.get(term);
+        if (!termPostings) return;
+        termPostings.delete(docKey);
+        if (termPostings.size === 0) postings.delete(term);
+    });
+    documents.delete(docKey);
+}
+
+/**
+ * Adds a document to the index.
+ * @param {string} docKey - The document key.
+ * @param {Object} doc - `{ conversationId, messageId, role, text }`.
+ */
+function addDocument(docKey, doc) {
+    doc.tokens = tokenize(doc.text);
+    doc.tokens.forEach((token, position) => {
+        if (!postings.has(token.term)) postings.set(token.term, new Map());
+        const termPostings = postings.get(token.term);
+        if (!termPostings.has(docKey)) termPostings.set(docKey, []);
+        termPostings.get(docKey).push(position);
+    });
+    documents.set(docKey, doc);
+}
+
+/**
+ * Brings the index up to date for one conversation. Unchanged messages are skipped.
+ * @param {Object} conversation - The conversation to index.
+ */
+export function indexConversation(conversation) {
+    if (!isBuilt) return; // Built from scratch on first search
+
+    const previousKeys = conversationDocs.get(conversation.id) || new Set();
+    const currentKeys = new Set();
+    (conversation.messages || []).forEach(message => {
+        const indexable = getIndexableMessage(message);
+        if (!indexable) return;
+
+        const docKey = `${conversation.id}/${message.id}`;
+        currentKeys.add(docKey);
+        const existing = documents.get(docKey);
+        if (existing && existing.text === indexable.text && existing.role === indexable.role) return;
+
+        removeDocument(docKey);
+        addDocument(docKey, { conversationId: conversation.id, messageId: message.id, ...indexable });
+    });
+
+    previousKeys.forEach(docKey => {
+        if (!currentKeys.has(docKey)) removeDocument(docKey);
+    });
+    conversationDocs.set(conversation.id, currentKeys);
+}
+
+/**
+ * Removes a conversation from the index.
+ * @param {string} conversationId - The conversation ID.
+ */
+export function removeConversation(conversationId) {
+    (conversationDocs.get(conversationId) || []).forEach(removeDocument);
+    conversationDocs.delete(conversationId);
+}
+
+/**
+ * Discards the index; it is rebuilt on the next search.
+ */
+export function resetIndex() {
+    postings.clear();
+    documents.clear();
+    conversationDocs.clear();
+    isBuilt = false;
+}
+
+/**
+ * Builds the index from all conversations if it has not been built yet.
+ */
+function ensureIndex() {
+    if (isBuilt) return;
+    isBuilt = true;
+    STATE.conversations.forEach(indexConversation);
+    log('info', `Search index built: ${documents.size} messages, ${postings.size} terms.`);
+}
+
+/**
+ * Parses a query string into clauses.
+ * @param {string} query - The raw query.
+ * @returns {{roles: string[], clauses: {type: string, terms: string[]}[]}} The parsed query.
+ */
+export function parseQuery(query) {
+    const roles = [];
+    const clauses = [];
+    const partPattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = partPattern.exec(query || '')) !== null) {
+        if (match[1] !== undefined) {
+            const terms = tokenize(match[1]).map(token => token.term);
+            if (terms.length > 0) clauses.push({ type: terms.length > 1 ? 'phrase' : 'term', terms });
+            continue;
+        }
+
+        const word = match[2];
+        const roleMatch = /^role:(\w+)$/i.exec(word);
+        if (roleMatch && ROLE_FILTERS.includes(roleMatch[1].toLowerCase())) {
+            roles.push(roleMatch[1].toLowerCase());
+            continue;
+        }
+
+        const isPrefix = word.endsWith('*');
+        const terms = tokenize(word).map(token => token.term);
+        if (terms.length === 0) continue;
+        if (terms.length > 1) {
+            // Punctuated words such as "foo.bar" or "don't" are matched as phrases
+            clauses.push({ type: 'phrase', terms, prefixLast: isPrefix });
+        } else {
+            clauses.push({ type: isPrefix ? 'prefix' : 'term', terms });
+        }
+    }
+    return { roles, clauses };
+}
+
+/**
+ * Returns the positions at which a single term (or prefix) occurs, per document.
+ * @param {string} term - The term.
+ * @param {boolean} isPrefix - Match every indexed term starting with `term`.
+ * @returns {Map<string, number[]>} Positions keyed by document.
+ */
+function lookupTerm(term, isPrefix) {
+    if (!isPrefix) return postings.get(term) || new Map();
+
+    const merged = new Map();
+    postings.forEach((termPostings, indexedTerm) => {
+        if (!indexedTerm.startsWith(term)) return;
+        termPostings.forEach((positions, docKey) => {
+            merged.set(docKey, (merged.get(docKey) || []).concat(positions));
+        });
+    });
+    return merged;
+}
+
+/**
+ * Finds the documents matching a clause with the token span of each match.
+ * @param {Object} clause - The parsed clause.
+ * @returns {Map<string, {start: number, length: number}[]>} Matches keyed by document.
+ */
+function matchClause(clause) {
+    const matches = new Map();
+    if (clause.type !== 'phrase') {
+        lookupTerm(clause.terms[0], clause.type === 'prefix').forEach((positions, docKey) => {
+            matches.set(docKey, positions.map(start => ({ start, length: 1 })));
+        });
+        return matches;
+    }
+
+    const lastIndex = clause.terms.length - 1;
+    const termPositions = clause.terms.map((term, i) => lookupTerm(term, i === lastIndex && clause.prefixLast));
+    termPositions[0].forEach((firstPositions, docKey) => {
+        const hits = firstPositions
+            .filter(start => termPositions.every((positions, offset) => (positions.get(docKey) || []).includes(start + offset)))
+            .map(start => ({ start, length: clause.terms.length }));
+        if (hits.length > 0) matches.set(docKey, hits);
+    });
+    return matches;
+}
+
+/**
+ * Builds a snippet around a hit, split into the parts before, inside and after the match.
+ * @param {Object} doc - The indexed document.
+ * @param {{start: number, length: number}} hit - The matched token span.
+ * @returns {{before: string, match: string, after: string}} The snippet.
+ */
+function buildSnippet(doc, hit) {
+    const startChar = doc.tokens[hit.start].start;
+    const endChar = doc.tokens[hit.start + hit.length - 1].end;
+    const snippetStart = Math.max(0, startChar - SNIPPET_CONTEXT_CHARS);
+    const snippetEnd = Math.min(doc.text.length, endChar + SNIPPET_CONTEXT_CHARS);
+    const clean = (text) => text.replace(/\s+/g, ' ');
+    return {
+        before: (snippetStart > 0 ? '…' : '') + clean(doc.text.substring(snippetStart, startChar)).trimStart(),
+        match: clean(doc.text.substring(startChar, endChar)),
+        after: clean(doc.text.substring(endChar, snippetEnd)).trimEnd() + (snippetEnd < doc.text.length ? '…' : ''),
+    };
+}
+
+/**
+ * Searches every message of every conversation.
+ * @param {string} query - The query (see the syntax at the top of this module).
+ * @returns {{conversationId: string, messageId: string, role: string, snippet: Object, hitCount: number, terms: string[]}[]}
+ *     Matches, best first (most hits, then newest conversation).
+ */
+export function searchMessages(query) {
+    const { roles, clauses } = parseQuery(query);
+    if (clauses.length === 0) return [];
+    ensureIndex();
+
+    // Intersect the clauses, starting with the one that matches the fewest documents
+    const clauseMatches = clauses.map(matchClause).sort((a, b) => a.size - b.size);
+    const results = [];
+    clauseMatches[0].forEach((hits, docKey) => {
+        if (!clauseMatches.every(matches => matches.has(docKey))) return;
+        const doc = documents.get(docKey);
+        if (roles.length > 0 && !roles.includes(doc.role)) return;
+
+        const allHits = clauseMatches.flatMap(matches => matches.get(docKey));
+        const firstHit = allHits.reduce((first, hit) => (hit.start < first.start ? hit : first));
+        results.push({
+            conversationId: doc.conversationId,
+            messageId: doc.messageId,
+            role: doc.role,
+            snippet: buildSnippet(doc, firstHit),
+            hitCount: allHits.length,
+            terms: allHits.map(hit => doc.text.substring(doc.tokens[hit.start].start, doc.tokens[hit.start + hit.length - 1].end)),
+        });
+    });
+
+    const lastUpdated = new Map(STATE.conversations.map(c => [c.id, c.lastUpdated || 0]));
+    return results
+        .sort((a, b) => (b.hitCount - a.hitCount) || (lastUpdated.get(b.conversationId) - lastUpdated.get(a.conversationId)))
+        .slice(0, MAX_RESULTS);
+}
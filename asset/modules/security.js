@@ -1,8 +1,10 @@
 // assets/modules/security.js
 
 import { STATE, APP_CONSTANTS } from './state.js';
-import { generateCsrfToken, showToast, escapeHTML, sanitizeInput } from './utils.js';
+import { generateCsrfToken, showToast } from './utils.js';
 import * as UI from './ui.js';
+import * as Roles from './roles.js';
+import * as Policy from './policy.js';
 
 let csrfTokenInMemory = null;
 
@@ -53,30 +55,12 @@ export function enforceHttps() {
 }
 
 /**
- * Filters user input for potential SQL injection patterns.
- * @param {string} input - The user input string.
- * @returns {string} The sanitized input.
- * @throws {Error} if a SQLi pattern is detected.
- */
-export function filterSQLi(input) {
-    return sanitizeInput(input); // Uses the utility function
-}
-
-/**
- * Escapes HTML in a string to prevent XSS.
- * @param {string} input - The input string.
- * @returns {string} The HTML-escaped string.
- */
-export function preventXSS(input) {
-    return escapeHTML(input); // Uses the utility function
-}
-
-/**
- * Checks if the current user is an admin.
+ * Checks if the current user is an admin, i.e. may edit global settings (owners and admins).
+ * Prefer `Roles.can()` with a specific capability.
  * @returns {boolean} True if the user is an admin, false otherwise.
  */
 export function isAdmin() {
-    return STATE.auth.isAdmin;
+    return Roles.can('editGlobalSettings');
 }
 
 /**
@@ -85,7 +69,7 @@ export function isAdmin() {
 export function updateSecurityStatusUI() {
     const statusCloudSync = document.getElementById('status-cloud-sync');
     const statusAdminProtection = document.getElementById('status-admin-protection');
-    const statusAntiSqli = document.getElementById('status-anti-sqli');
+    const statusInputPolicy = document.getElementById('status-input-policy');
     const statusCsrfTokens = document.getElementById('status-csrf-tokens');
 
     if (statusCloudSync) {
@@ -94,8 +78,8 @@ export function updateSecurityStatusUI() {
     if (statusAdminProtection) {
         statusAdminProtection.classList.toggle('active', STATE.security.adminProtectionActive);
     }
-    if (statusAntiSqli) {
-        statusAntiSqli.classList.toggle('active', STATE.security.antiSqliFilterActive);
+    if (statusInputPolicy) {
+        statusInputPolicy.classList.toggle('active', Policy.isInputPolicyActive());
     }
     if (statusCsrfTokens) {
         statusCsrfTokens.classList.toggle('active', STATE.security.csrfTokensActive);
@@ -5,10 +5,31 @@ import * as Cloud from './cloud.js';
 import * as Storage from './storage.js';
 import * as Security from './security.js';
 import * as UI from './ui.js';
-import { showToast } from './utils.js';
+import * as Chat from './chat.js';
+import * as Providers from './providers/index.js';
+import * as Models from './models.js';
+import * as Roles from './roles.js';
+import * as Policy from './policy.js';
+import * as Shortcuts from './shortcuts.js';
+import { usesLlmProviderForImages } from './image.js';
+import { showToast, formatBytes } from './utils.js';
 
 let elements; // Store references to settings panel elements
 
+// Maps sensitive input IDs to the STATE.settings keys they edit
+const SENSITIVE_FIELDS = {
+    'openrouter-api-key': 'openrouterKey',
+    'provider-api-key': 'providerApiKey',
+    'model-id': 'modelId',
+    'system-prompt': 'systemPrompt',
+};
+const MODEL_PICKER_MAX_ITEMS = 200; // Rendering thousands of rows makes search sluggish
+const STORAGE_LARGEST_CONVERSATIONS = 5;
+
+let pickerTargetId = null; // Input the model picker fills in
+let pickerModality = 'text';
+let pendingAllowedModels = []; // Header menu allowlist being edited, saved with the other settings
+
 /**
  * Sets up event listeners for the settings panel.
  * @param {Object} domElements - Object containing references to relevant DOM elements.
@@ -21,6 +42,10 @@ export function setupEventListeners(domElements) {
         loadSettingsToUI(); // Load current settings to modal fields
         updateSettingsPanelState(); // Set field enable/disable/masking
         Security.updateSecurityStatusUI(); // Ensure security status is up-to-date
+        renderStorageUsage();
+        Shortcuts.renderShortcutSettings();
+        if (Roles.can('manageRoles')) renderRoleAssignments();
+        if (Roles.can('editGlobalSettings')) renderPolicyAudit();
     });
 
     elements.settingsModal.querySelector('.close-modal-btn').addEventListener('click', () => {
@@ -51,6 +76,42 @@ export function setupEventListeners(domElements) {
         }
     });
 
+    const providerSelect = elements.settingsModal.querySelector('#llm-provider');
+    Providers.listProviders().forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+    });
+    providerSelect.addEventListener('change', updateProviderSettingsVisibility);
+
+    elements.settingsModal.querySelectorAll('.model-browse-btn').forEach(btn => {
+        btn.addEventListener('click', () => openModelPicker(btn.dataset.target, btn.dataset.modality));
+    });
+
+    const modelPickerModal = document.getElementById('model-picker-modal');
+    modelPickerModal.querySelector('.close-modal-btn').addEventListener('click', () => {
+        UI.hideSettingsModal(modelPickerModal);
+    });
+    modelPickerModal.querySelector('#model-picker-search').addEventListener('input', () => {
+        renderModelPicker(Models.getCachedModels() || []);
+    });
+    modelPickerModal.querySelector('#model-picker-refresh-btn').addEventListener('click', () => {
+        loadModelPicker(true);
+    });
+
+    const inviteRoleSelect = elements.settingsModal.querySelector('#invite-role');
+    Roles.ROLES.forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = Roles.ROLE_LABELS[role];
+        inviteRoleSelect.appendChild(option);
+    });
+    inviteRoleSelect.value = 'member';
+    elements.settingsModal.querySelector('#invite-btn').addEventListener('click', handleInvite);
+    renderCapabilityMatrix();
+    renderPolicyDetectors();
+
     elements.settingsModal.querySelector('#image-provider').addEventListener('change', (e) => {
         const provider = e.target.value;
         STATE.settings.imageProvider = provider;
@@ -75,17 +136,262 @@ export function setupEventListeners(domElements) {
     });
 }
 
+/**
+ * Shows storage usage against the quota and the largest conversations, each with a delete button.
+ * Available to every user, since conversations are stored per device.
+ */
+async function renderStorageUsage() {
+    const meterFill = elements.settingsModal.querySelector('#storage-meter-fill');
+    const usageText = elements.settingsModal.querySelector('#storage-usage-text');
+    const list = elements.settingsModal.querySelector('#largest-conversations');
+
+    usageText.textContent = 'Calculating...';
+    const usage = await Storage.getStorageUsage();
+    if (usage && usage.quota > 0) {
+        const ratio = Math.min(usage.usage / usage.quota, 1);
+        meterFill.style.width = `${(ratio * 100).toFixed(1)}%`;
+        meterFill.classList.toggle('warning', ratio >= 0.9);
+        usageText.textContent = `${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} used (${usage.backend}).`;
+    } else {
+        meterFill.style.width = '0';
+        usageText.textContent = 'This browser does not report storage usage.';
+    }
+
+    list.innerHTML = '';
+    Storage.getLargestConversations(STORAGE_LARGEST_CONVERSATIONS).forEach(conv => {
+        const item = document.createElement('li');
+        const title = document.createElement('span');
+        title.className = 'largest-conversation-title';
+        title.textContent = conv.title;
+        title.title = conv.title;
+        const size = document.createElement('span');
+        size.className = 'largest-conversation-size';
+        size.textContent = formatBytes(conv.bytes);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'action-btn secondary-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            UI.showConfirmationModal(
+                'Delete Conversation',
+                `Delete "${conv.title}"? This action cannot be undone.`,
+                async () => {
+                    Chat.deleteConversation(conv.id);
+                    await Storage.flushPendingWrites(); // Update the usage figures right away
+                    renderStorageUsage();
+                }
+            );
+        });
+        item.append(title, size, deleteBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Renders the read-only table of which role has which capability.
+ */
+function renderCapabilityMatrix() {
+    const table = elements.settingsModal.querySelector('#capability-matrix');
+    const headerRow = document.createElement('tr');
+    ['', ...Roles.ROLES.map(role => Roles.ROLE_LABELS[role])].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    const head = document.createElement('thead');
+    head.appendChild(headerRow);
+
+    const body = document.createElement('tbody');
+    Object.values(Roles.CAPABILITIES).forEach(capability => {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = capability.label;
+        row.appendChild(label);
+        Roles.ROLES.forEach(role => {
+            const cell = document.createElement('td');
+            cell.textContent = capability.roles.includes(role) ? '✓' : '–';
+            cell.classList.toggle('capability-granted', capability.roles.includes(role));
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    });
+    table.replaceChildren(head, body);
+}
+
+/**
+ * Renders an action picker for each input policy detector.
+ */
+function renderPolicyDetectors() {
+    const container = elements.settingsModal.querySelector('#policy-detectors');
+    Object.entries(Policy.DETECTORS).forEach(([id, detector]) => {
+        const label = document.createElement('label');
+        label.textContent = detector.label;
+        const select = document.createElement('select');
+        select.dataset.detector = id;
+        Policy.POLICY_ACTIONS.forEach(action => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = action.charAt(0).toUpperCase() + action.slice(1);
+            select.appendChild(option);
+        });
+        label.appendChild(select);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Lists the most recent input policy events. Owners and admins only.
+ */
+async function renderPolicyAudit() {
+    const list = elements.settingsModal.querySelector('#policy-audit');
+    list.innerHTML = '<tr><td colspan="4" class="setting-hint">Loading...</td></tr>';
+
+    let entries;
+    try {
+        entries = await Policy.listAuditEntries();
+    } catch (error) {
+        log('error', 'Could not load policy events:', error);
+        list.innerHTML = '<tr><td colspan="4" class="setting-hint">Could not load policy events.</td></tr>';
+        return;
+    }
+
+    list.innerHTML = '';
+    if (entries.length === 0) {
+        list.innerHTML = '<tr><td colspan="4" class="setting-hint">No policy rule has fired yet.</td></tr>';
+        return;
+    }
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        [new Date(entry.timestamp).toLocaleString(), entry.email || entry.uid, entry.rule, entry.action].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Lists role assignments with a role picker and a remove button each. Owner only.
+ */
+async function renderRoleAssignments() {
+    const list = elements.settingsModal.querySelector('#role-assignments');
+    list.innerHTML = '<tr><td colspan="3" class="setting-hint">Loading...</td></tr>';
+
+    let assignments;
+    try {
+        assignments = await Roles.listRoleAssignments();
+    } catch (error) {
+        log('error', 'Could not load role assignments:', error);
+        list.innerHTML = '';
+        showToast('error', `Could not load roles: ${error.message}`);
+        return;
+    }
+
+    list.innerHTML = '';
+    if (assignments.length === 0) {
+        list.innerHTML = '<tr><td colspan="3" class="setting-hint">No roles assigned yet. Everyone who signs in is a member.</td></tr>';
+        return;
+    }
+    assignments.forEach(assignment => {
+        const row = document.createElement('tr');
+        const email = document.createElement('td');
+        email.textContent = assignment.email;
+        email.title = assignment.updatedBy ? `Set by ${assignment.updatedBy}` : '';
+
+        const roleCell = document.createElement('td');
+        const roleSelect = document.createElement('select');
+        Roles.ROLES.forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = Roles.ROLE_LABELS[role];
+            roleSelect.appendChild(option);
+        });
+        roleSelect.value = assignment.role;
+        roleSelect.addEventListener('change', async () => {
+            try {
+                await Roles.assignRole(assignment.email, roleSelect.value);
+                showToast('success', `${assignment.email} is now ${Roles.ROLE_LABELS[roleSelect.value]}.`);
+            } catch (error) {
+                roleSelect.value = assignment.role;
+                showToast('error', `Role not changed: ${error.message}`);
+            }
+        });
+        roleCell.appendChild(roleSelect);
+
+        const actionCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'action-btn secondary-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            UI.showConfirmationModal(
+                'Remove Role',
+                `Remove the role of ${assignment.email}? They will be a member the next time they use the app.`,
+                async () => {
+                    try {
+                        await Roles.removeRoleAssignment(assignment.email);
+                        showToast('success', `${assignment.email} is now a member.`);
+                        renderRoleAssignments();
+                    } catch (error) {
+                        showToast('error', `Role not removed: ${error.message}`);
+                    }
+                }
+            );
+        });
+        actionCell.appendChild(removeBtn);
+
+        row.append(email, roleCell, actionCell);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Assigns the role chosen in the invite form to the entered email.
+ */
+async function handleInvite() {
+    if (!Security.verifyCsrfToken('assign_role')) {
+        showToast('error', 'Security error: CSRF token mismatch. Please refresh and try again.');
+        return;
+    }
+    const emailInput = elements.settingsModal.querySelector('#invite-email');
+    const role = elements.settingsModal.querySelector('#invite-role').value;
+    try {
+        await Roles.assignRole(emailInput.value, role);
+        showToast('success', `${emailInput.value.trim()} is now ${Roles.ROLE_LABELS[role]}.`);
+        emailInput.value = '';
+        renderRoleAssignments();
+    } catch (error) {
+        log('error', 'Role assignment failed:', error);
+        showToast('error', `Role not saved: ${error.message}`);
+    }
+}
+
 /**
  * Loads current settings from STATE to the settings modal UI.
  */
 export function loadSettingsToUI() {
     if (!elements) return;
 
+    elements.settingsModal.querySelector('#llm-provider').value = Providers.getActiveProvider().id;
+    elements.settingsModal.querySelector('#provider-base-url').value = STATE.settings.providerBaseUrl || '';
+    elements.settingsModal.querySelector('#provider-api-key').value = STATE.settings.providerApiKey || '';
     elements.settingsModal.querySelector('#openrouter-api-key').value = STATE.settings.openrouterKey;
     elements.settingsModal.querySelector('#model-id').value = STATE.settings.modelId;
     elements.settingsModal.querySelector('#system-prompt').value = STATE.settings.systemPrompt;
-    elements.settingsModal.querySelector('#image-provider').value = STATE.settings.imageProvider;
+    elements.settingsModal.querySelector('#image-provider').value = usesLlmProviderForImages() ? 'provider' : STATE.settings.imageProvider;
     elements.settingsModal.querySelector('#openrouter-image-model').value = STATE.settings.imageModel;
+    pendingAllowedModels = [...(STATE.settings.allowedModels || [])];
+    updateAllowedModelsSummary();
+    elements.settingsModal.querySelectorAll('#override-permissions input').forEach(checkbox => {
+        checkbox.checked = !(STATE.settings.lockedOverrides || []).includes(checkbox.dataset.field);
+    });
+    const inputPolicy = Policy.getInputPolicy();
+    elements.settingsModal.querySelector('#policy-max-length').value = inputPolicy.maxLength;
+    elements.settingsModal.querySelectorAll('#policy-detectors select').forEach(select => {
+        select.value = inputPolicy.detectors[select.dataset.detector];
+    });
+    elements.settingsModal.querySelector('#policy-blocked-patterns').value = inputPolicy.blockedPatterns.join('\n');
 
     // Set active theme button
     elements.settingsModal.querySelectorAll('.theme-btn').forEach(btn => {
@@ -96,6 +402,7 @@ export function loadSettingsToUI() {
         }
     });
 
+    updateProviderSettingsVisibility();
     updateOpenRouterImageModelVisibility();
     updateApiStatus();
     log('info', 'Settings loaded into UI.');
@@ -120,34 +427,30 @@ export function applySettingsToUI() {
 
     // Update model badge (if elements are available)
     if (elements && elements.modelBadge) {
-        elements.modelBadge.textContent = `${STATE.settings.modelId} `;
-        const dot = document.createElement('span');
-        dot.classList.add('pulsing-dot');
-        elements.modelBadge.appendChild(dot);
+        UI.updateChatHeader();
     }
 
     log('info', 'Settings applied to UI.');
 }
 
 /**
- * Updates the state of settings panel elements (disabled, masked) based on admin status.
+ * Updates the state of settings panel elements (disabled, masked) based on the user's role.
  */
 export function updateSettingsPanelState() {
     if (!elements) return;
 
-    const isAdminUser = Security.isAdmin();
-    log('info', 'Updating settings panel state. Is Admin:', isAdminUser);
+    const isAdminUser = Roles.can('editGlobalSettings');
+    log('info', 'Updating settings panel state. Role:', Roles.getCurrentRole());
 
-    const sensitiveInputs = [
-        elements.settingsModal.querySelector('#openrouter-api-key'),
-        elements.settingsModal.querySelector('#model-id'),
-        elements.settingsModal.querySelector('#system-prompt'),
-    ];
+    const sensitiveInputs = Object.keys(SENSITIVE_FIELDS).map(id => elements.settingsModal.querySelector(`#${id}`));
+    const providerSelect = elements.settingsModal.querySelector('#llm-provider');
+    const providerBaseUrlInput = elements.settingsModal.querySelector('#provider-base-url');
     const imageProviderSelect = elements.settingsModal.querySelector('#image-provider');
     const openrouterImageModelInput = elements.settingsModal.querySelector('#openrouter-image-model');
     const saveButton = elements.settingsModal.querySelector('#save-settings-btn');
     const toggleButtons = elements.settingsModal.querySelectorAll('.toggle-password-visibility');
     const themeButtons = elements.settingsModal.querySelectorAll('.theme-btn');
+    const browseButtons = elements.settingsModal.querySelectorAll('.model-browse-btn');
 
     sensitiveInputs.forEach(input => {
         input.disabled = !isAdminUser;
@@ -156,12 +459,14 @@ export function updateSettingsPanelState() {
             input.value = '********'; // Show masked value
         } else {
             // Restore actual value if admin, and ensure type is correct based on original state
-            if (input.id === 'openrouter-api-key' || input.id === 'model-id') input.type = 'password';
+            if (input.id !== 'system-prompt' && input.id !== 'model-id') input.type = 'password';
             else input.type = 'text'; // System prompt is textarea, but this handles input type correctly
-            input.value = STATE.settings[input.id] || '';
+            input.value = STATE.settings[SENSITIVE_FIELDS[input.id]] || '';
         }
     });
 
+    providerSelect.disabled = !isAdminUser;
+    providerBaseUrlInput.disabled = !isAdminUser;
     imageProviderSelect.disabled = !isAdminUser;
     openrouterImageModelInput.disabled = !isAdminUser;
     saveButton.classList.toggle('hidden', !isAdminUser);
@@ -179,19 +484,201 @@ export function updateSettingsPanelState() {
         btn.disabled = !isAdminUser;
     });
 
+    browseButtons.forEach(btn => {
+        btn.classList.toggle('hidden', !isAdminUser);
+    });
+    elements.settingsModal.querySelectorAll('#override-permissions input').forEach(checkbox => {
+        checkbox.disabled = !isAdminUser;
+    });
+    elements.settingsModal.querySelector('#allowed-models-summary').classList.toggle('hidden', !isAdminUser);
+    elements.settingsModal.querySelectorAll('#policy-section input, #policy-section select, #policy-section textarea').forEach(input => {
+        input.disabled = !isAdminUser;
+    });
+    elements.settingsModal.querySelector('#policy-audit-setting').classList.toggle('hidden', !isAdminUser);
+    elements.settingsModal.querySelector('#roles-section').classList.toggle('hidden', !Roles.can('manageRoles'));
+
+    updateProviderSettingsVisibility();
     updateOpenRouterImageModelVisibility(); // Re-evaluate visibility after admin status changes
     updateApiStatus(); // Re-evaluate API status based on key presence
 }
 
 /**
- * Toggles visibility of OpenRouter image model input based on selected image provider.
+ * Shows the OpenRouter key field or the base URL/API key fields depending on the selected provider.
+ */
+function updateProviderSettingsVisibility() {
+    if (!elements) return;
+    const providerId = elements.settingsModal.querySelector('#llm-provider').value;
+    const provider = Providers.getProvider(providerId) || Providers.getActiveProvider();
+    elements.settingsModal.querySelector('#openrouter-key-setting').classList.toggle('hidden', provider.id !== 'openrouter');
+    elements.settingsModal.querySelector('#provider-connection-settings').classList.toggle('hidden', provider.id === 'openrouter');
+    elements.settingsModal.querySelector('#provider-base-url').placeholder = provider.defaultBaseUrl;
+    // The proxy authenticates users itself, so there is no key to enter
+    elements.settingsModal.querySelector('#provider-api-key-group').classList.toggle('hidden', provider.id === 'proxy');
+    elements.settingsModal.querySelector('#proxy-setting-hint').classList.toggle('hidden', provider.id !== 'proxy');
+}
+
+/**
+ * Toggles visibility of the image model input based on selected image provider.
  */
 function updateOpenRouterImageModelVisibility() {
     if (!elements) return;
     const openrouterImageModelSetting = elements.settingsModal.querySelector('#openrouter-image-model-setting');
-    const isVisible = STATE.settings.imageProvider === 'openrouter';
+    const isVisible = usesLlmProviderForImages();
     openrouterImageModelSetting.classList.toggle('hidden', !isVisible);
-    log('info', 'OpenRouter image model input visibility updated:', isVisible);
+    log('info', 'Image model input visibility updated:', isVisible);
+}
+
+/**
+ * Shows how many extra models users can pick from the header menu.
+ */
+function updateAllowedModelsSummary() {
+    const summary = elements.settingsModal.querySelector('#allowed-models-summary');
+    const extraModels = pendingAllowedModels.filter(id => id !== elements.settingsModal.querySelector('#model-id').value);
+    summary.textContent = extraModels.length > 0
+        ? `Header menu also offers: ${extraModels.join(', ')}`
+        : 'Only the default model is offered in the header menu. Tick "Header" in Browse to allow more.';
+}
+
+/**
+ * Opens the model picker for one of the model ID inputs.
+ * @param {string} targetId - ID of the input to fill in.
+ * @param {string} modality - Output modality the model must support (`text` or `image`).
+ */
+function openModelPicker(targetId, modality) {
+    pickerTargetId = targetId;
+    pickerModality = modality;
+
+    const modelPickerModal = document.getElementById('model-picker-modal');
+    modelPickerModal.querySelector('#model-picker-title').textContent = modality === 'image' ? 'Choose an Image Model' : 'Choose a Chat Model';
+    modelPickerModal.querySelector('#model-picker-search').value = '';
+    UI.showSettingsModal(modelPickerModal);
+    modelPickerModal.querySelector('#model-picker-search').focus();
+    loadModelPicker(false);
+}
+
+/**
+ * Loads the catalog into the model picker, showing cached models while a refresh runs.
+ * @param {boolean} forceRefresh - Ignore the cached catalog.
+ */
+async function loadModelPicker(forceRefresh) {
+    const status = document.getElementById('model-picker-status');
+    const cachedModels = Models.getCachedModels();
+    if (cachedModels) renderModelPicker(cachedModels);
+    status.textContent = `Loading models from ${Providers.getActiveProvider().label}...`;
+
+    try {
+        const models = await Models.getModelCatalog({ forceRefresh });
+        renderModelPicker(models);
+    } catch (error) {
+        log('error', 'Error loading model catalog:', error);
+        status.textContent = `Could not load models: ${error.message}`;
+        showToast('error', `Could not load models: ${error.message}`);
+    }
+}
+
+/**
+ * Renders the models matching the picker's search box.
+ * @param {Object[]} models - The catalog.
+ */
+function renderModelPicker(models) {
+    const modelPickerModal = document.getElementById('model-picker-modal');
+    const list = modelPickerModal.querySelector('#model-picker-list');
+    const status = modelPickerModal.querySelector('#model-picker-status');
+    const query = modelPickerModal.querySelector('#model-picker-search').value;
+    const currentModelId = elements.settingsModal.querySelector(`#${pickerTargetId}`).value;
+
+    const capableModels = models.filter(model => model.outputModalities.includes(pickerModality));
+    const matches = Models.searchModels(capableModels, query);
+
+    list.innerHTML = '';
+    matches.slice(0, MODEL_PICKER_MAX_ITEMS).forEach(model => {
+        const item = document.createElement('li');
+        item.classList.add('model-picker-item');
+        item.classList.toggle('selected', model.id === currentModelId);
+        item.setAttribute('role', 'option');
+
+        const info = document.createElement('div');
+        info.classList.add('model-picker-info');
+        const name = document.createElement('strong');
+        name.textContent = model.name;
+        const id = document.createElement('code');
+        id.textContent = model.id;
+        const details = document.createElement('span');
+        details.classList.add('model-picker-details');
+        details.textContent = [
+            Models.formatContextLength(model.contextLength) && `${Models.formatContextLength(model.contextLength)} context`,
+            Models.formatPricing(model.pricing),
+            Models.formatModalities(model),
+        ].filter(Boolean).join(' · ');
+        info.append(name, id, details);
+        item.appendChild(info);
+
+        if (pickerModality === 'text') {
+            const allowLabel = document.createElement('label');
+            allowLabel.classList.add('model-picker-allow');
+            allowLabel.title = 'Offer this model in the header menu';
+            const allowCheckbox = document.createElement('input');
+            allowCheckbox.type = 'checkbox';
+            allowCheckbox.checked = pendingAllowedModels.includes(model.id);
+            allowCheckbox.addEventListener('change', () => {
+                pendingAllowedModels = allowCheckbox.checked
+                    ? [...pendingAllowedModels, model.id]
+                    : pendingAllowedModels.filter(allowedId => allowedId !== model.id);
+                updateAllowedModelsSummary();
+            });
+            allowLabel.append(allowCheckbox, ' Header');
+            allowLabel.addEventListener('click', (e) => e.stopPropagation());
+            item.appendChild(allowLabel);
+        }
+
+        item.addEventListener('click', () => {
+            elements.settingsModal.querySelector(`#${pickerTargetId}`).value = model.id;
+            updateAllowedModelsSummary();
+            UI.hideSettingsModal(modelPickerModal);
+        });
+        list.appendChild(item);
+    });
+
+    if (capableModels.length === 0) {
+        status.textContent = `${Providers.getActiveProvider().label} offers no models with ${pickerModality} output.`;
+    } else if (matches.length > MODEL_PICKER_MAX_ITEMS) {
+        status.textContent = `Showing ${MODEL_PICKER_MAX_ITEMS} of ${matches.length} models. Refine your search to see more.`;
+    } else {
+        status.textContent = `${matches.length} of ${capableModels.length} models`;
+    }
+}
+
+/**
+ * Validates the chosen model IDs against the provider's catalog.
+ * If the catalog cannot be loaded, saving is allowed with a warning.
+ * @param {string} modelId - The default chat model.
+ * @param {string} imageModel - The image model (only checked when images use the chat provider).
+ * @param {string[]} allowedModels - Models offered in the header menu.
+ * @returns {Promise<boolean>} True if the settings may be saved.
+ */
+async function validateModelSettings(modelId, imageModel, allowedModels) {
+    let models;
+    try {
+        models = await Models.getModelCatalog();
+    } catch (error) {
+        log('warn', 'Model IDs not validated, catalog unavailable:', error);
+        showToast('warning', `Could not load the model list, so model IDs were not checked: ${error.message}`);
+        return true;
+    }
+
+    const errors = [Models.validateModelId(models, modelId)];
+    if (usesLlmProviderForImages()) {
+        errors.push(Models.validateModelId(models, imageModel, 'image'));
+    }
+    allowedModels.forEach(allowedId => errors.push(Models.validateModelId(models, allowedId)));
+
+    const firstError = errors.find(Boolean);
+    if (firstError) {
+        showToast('error', `Settings not saved. ${firstError}`);
+        log('warn', 'Model validation failed:', errors.filter(Boolean));
+        return false;
+    }
+    return true;
 }
 
 /**
@@ -215,7 +702,7 @@ function updateApiStatus() {
  * Saves settings from the UI to STATE and then to storage (cloud/local).
  */
 async function saveSettings() {
-    if (!Security.isAdmin()) {
+    if (!Roles.can('editGlobalSettings')) {
         showToast('error', 'You do not have permission to save settings.');
         log('warn', 'Non-admin attempted to save settings.');
         return;
@@ -227,12 +714,43 @@ async function saveSettings() {
         return;
     }
 
-    // Capture values from UI (only if not masked)
+    // Capture values from UI (only if not masked). The connection settings come first because
+    // the model IDs are validated against the catalog of the provider being saved.
+    const previousSettings = { ...STATE.settings };
+    STATE.settings.provider = elements.settingsModal.querySelector('#llm-provider').value;
+    STATE.settings.providerBaseUrl = elements.settingsModal.querySelector('#provider-base-url').value.trim();
+    STATE.settings.providerApiKey = elements.settingsModal.querySelector('#provider-api-key').value === '********' ? STATE.settings.providerApiKey : elements.settingsModal.querySelector('#provider-api-key').value;
     STATE.settings.openrouterKey = elements.settingsModal.querySelector('#openrouter-api-key').value === '********' ? STATE.settings.openrouterKey : elements.settingsModal.querySelector('#openrouter-api-key').value;
-    STATE.settings.modelId = elements.settingsModal.querySelector('#model-id').value === '********' ? STATE.settings.modelId : elements.settingsModal.querySelector('#model-id').value;
-    STATE.settings.systemPrompt = elements.settingsModal.querySelector('#system-prompt').value === '********' ? STATE.settings.systemPrompt : elements.settingsModal.querySelector('#system-prompt').value;
     STATE.settings.imageProvider = elements.settingsModal.querySelector('#image-provider').value;
-    STATE.settings.imageModel = elements.settingsModal.querySelector('#openrouter-image-model').value;
+    const modelId = elements.settingsModal.querySelector('#model-id').value === '********' ? STATE.settings.modelId : elements.settingsModal.querySelector('#model-id').value.trim();
+    const imageModel = elements.settingsModal.querySelector('#openrouter-image-model').value.trim();
+    const allowedModels = pendingAllowedModels.filter(id => id !== modelId);
+    if (!await validateModelSettings(modelId, imageModel, allowedModels)) {
+        STATE.settings = previousSettings;
+        return;
+    }
+    let inputPolicy;
+    try {
+        inputPolicy = readInputPolicy();
+    } catch (error) {
+        showToast('error', error.message);
+        STATE.settings = previousSettings;
+        return;
+    }
+
+    if (STATE.settings.provider === 'proxy') {
+        // The proxy holds the key server-side; stop publishing it to every signed-in browser
+        STATE.settings.openrouterKey = '';
+        STATE.settings.providerApiKey = '';
+    }
+    STATE.settings.modelId = modelId;
+    STATE.settings.systemPrompt = elements.settingsModal.querySelector('#system-prompt').value === '********' ? STATE.settings.systemPrompt : elements.settingsModal.querySelector('#system-prompt').value;
+    STATE.settings.imageModel = imageModel;
+    STATE.settings.allowedModels = allowedModels;
+    STATE.settings.lockedOverrides = Array.from(elements.settingsModal.querySelectorAll('#override-permissions input'))
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.dataset.field);
+    STATE.settings.inputPolicy = inputPolicy;
 
     STATE.ui.theme = STATE.settings.theme; // Ensure UI theme is consistent
 
@@ -246,6 +764,29 @@ async function saveSettings() {
     UI.hideSettingsModal(elements.settingsModal);
 }
 
+/**
+ * Reads the input policy fields of the settings modal.
+ * @returns {{maxLength: number, detectors: Object, blockedPatterns: string[]}} The policy.
+ * @throws {Error} If the length or a blocked pattern is invalid.
+ */
+function readInputPolicy() {
+    const rawMaxLength = elements.settingsModal.querySelector('#policy-max-length').value.trim();
+    const maxLength = rawMaxLength === '' ? 0 : Number(rawMaxLength);
+    if (!Number.isInteger(maxLength) || maxLength < 0) {
+        throw new Error('Maximum prompt length must be a whole number (0 for no limit).');
+    }
+    const blockedPatterns = elements.settingsModal.querySelector('#policy-blocked-patterns').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    blockedPatterns.forEach(pattern => Policy.parseBlockedPattern(pattern)); // Throws on invalid patterns
+    const detectors = {};
+    elements.settingsModal.querySelectorAll('#policy-detectors select').forEach(select => {
+        detectors[select.dataset.detector] = select.value;
+    });
+    return { maxLength, detectors, blockedPatterns };
+}
+
 /**
  * Public function to load local settings (used by auth module for guests/logout).
  */
@@ -0,0 +1,459 @@
+// assets/modules/shortcuts.js
+
+// Keyboard shortcuts. Every app-wide action is a command in COMMANDS with a default key
+// combination; users can rebind them in Settings → Keyboard Shortcuts (kept on this device).
+// Combinations are written like 'Mod+Shift+K', where Mod is Cmd on macOS and Ctrl elsewhere,
+// and letters are matched by their key position so Alt/Option combinations work on a Mac.
+// Ctrl/Cmd+K opens the command palette, which runs commands and switches conversations; the
+// help overlay lists all bindings. (The `/` palette in the chat input is the prompt library,
+// see templates.js.)
+//
+// Shortcuts are ignored while a dialog is open. Plain keys (without Mod, Ctrl or Alt) do not
+// fire while typing in a text field, except for commands marked `inTextFields`.
+
+import { STATE } from './state.js';
+import * as UI from './ui.js';
+import * as Chat from './chat.js';
+import * as Tree from './tree.js';
+import * as Offline from './offline.js';
+import { showToast, escapeHTML, truncateText } from './utils.js';
+
+const BINDINGS_KEY = 'javagoat_shortcuts';
+const IS_MAC = /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent);
+const MAX_PALETTE_CONVERSATIONS = 20;
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+const KEY_LABELS = IS_MAC
+    ? { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc', Enter: '↩' }
+    : { Mod: 'Ctrl', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+
+// Keys handled by the chat input itself; listed in the help overlay but not rebindable
+const FIXED_BINDINGS = [
+    { label: 'Send message', keys: 'Enter' },
+    { label: 'New line', keys: 'Shift+Enter' },
+    { label: 'Prompt templates (at the start of the message)', keys: '/' },
+];
+
+const COMMANDS = [
+    { id: 'command-palette', label: 'Open command palette', keys: 'Mod+K', run: () => openCommandPalette() },
+    { id: 'shortcut-help', label: 'Show keyboard shortcuts', keys: 'Mod+/', run: () => openShortcutHelp() },
+    { id: 'new-chat', label: 'New chat', keys: 'Alt+Shift+N', run: () => appElements.newChatBtn.click() },
+    { id: 'search', label: 'Search chats', keys: 'Alt+Shift+F', run: () => focusSearch() },
+    { id: 'switch-conversation', label: 'Switch conversation', keys: 'Alt+Shift+O', run: () => openCommandPalette({ conversationsOnly: true }) },
+    { id: 'stop-generating', label: 'Stop generating', keys: 'Escape', inTextFields: true, when: () => STATE.ui.isGenerating, run: () => Chat.stopGenerating() },
+    { id: 'regenerate', label: 'Regenerate last answer', keys: 'Alt+Shift+R', run: () => Chat.regenerateResponse() },
+    { id: 'edit-last-prompt', label: 'Edit last prompt', keys: 'ArrowUp', inTextFields: true, onlyInEmptyInput: true, run: () => editLastPrompt() },
+    { id: 'toggle-mode', label: 'Switch between chat and image mode', keys: 'Alt+Shift+M', run: () => Chat.setMode(STATE.ui.mode === 'chat' ? 'image' : 'chat') },
+    { id: 'toggle-theme', label: 'Toggle dark / light theme', keys: 'Alt+Shift+T', run: () => UI.toggleTheme() },
+    { id: 'open-settings', label: 'Open settings', keys: 'Mod+,', run: () => appElements.settingsBtn.click() },
+    { id: 'copy-last-answer', label: 'Copy last answer', keys: 'Alt+Shift+C', run: () => copyLastAnswer() },
+];
+
+let appElements; // Store references to common DOM elements
+let customBindings = {}; // Command ID -> combination ('' for none), only where changed from the default
+let capturingCommandId = null; // Command whose new keys are being recorded in settings
+let paletteEntries = []; // Entries listed in the command palette
+let paletteIndex = 0; // Highlighted palette entry
+let paletteConversationsOnly = false;
+
+/**
+ * Reads the user's rebound shortcuts.
+ * @returns {Object<string, string>} Command ID -> combination.
+ */
+function loadCustomBindings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BINDINGS_KEY) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+        log('warn', 'Could not read keyboard shortcuts:', error);
+        return {};
+    }
+}
+
+/**
+ * Returns the key combination a command is bound to.
+ * @param {string} commandId - The command.
+ * @returns {string} The combination, or '' if the command has no shortcut.
+ */
+function getBinding(commandId) {
+    if (typeof customBindings[commandId] === 'string') return customBindings[commandId];
+    return COMMANDS.find(command => command.id === commandId)?.keys || '';
+}
+
+/**
+ * Binds a command to a key combination, or restores its default.
+ * @param {string} commandId - The command.
+ * @param {string|null} keys - The combination, '' for none, or null for the default.
+ */
+function setBinding(commandId, keys) {
+    const command = COMMANDS.find(c => c.id === commandId);
+    if (keys === null || keys === command.keys) {
+        delete customBindings[commandId];
+    } else {
+        customBindings[commandId] = keys;
+    }
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(customBindings));
+}
+
+/**
+ * Describes a keydown event as a key combination, e.g. 'Mod+Shift+K'.
+ * @param {KeyboardEvent} e - The event.
+ * @returns {string|null} The combination, or null if only a modifier was pressed.
+ */
+function getEventCombo(e) {
+    if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+    let key;
+    if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+    else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+    else if (e.key === ' ') key = 'Space';
+    else if (e.key === '+') key = 'Plus';
+    else key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+
+    const parts = [];
+    if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+    if (IS_MAC && e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * Renders a key combination as `<kbd>` elements for this platform.
+ * @param {string} keys - The combination.
+ * @returns {string} The HTML, or a dash for no shortcut.
+ */
+function renderKeys(keys) {
+    if (!keys) return '<span class="shortcut-none">—</span>';
+    return keys.split('+').map(key => `<kbd>${escapeHTML(KEY_LABELS[key] || (key === 'Plus' ? '+' : key))}</kbd>`).join('');
+}
+
+/**
+ * Writes a key combination as text for this platform, e.g. 'Ctrl+K' or '⌘K'.
+ * @param {string} keys - The combination.
+ * @returns {string} The text.
+ */
+function formatKeys(keys) {
+    return keys.split('+').map(key => KEY_LABELS[key] || (key === 'Plus' ? '+' : key)).join(IS_MAC ? '' : '+');
+}
+
+/**
+ * Checks whether an element takes typed text.
+ * @param {Element} element - The element.
+ * @returns {boolean} True for text inputs, textareas, selects and editable content.
+ */
+function isTextField(element) {
+    if (!element) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'range', 'color', 'file'].includes(element.type);
+}
+
+/**
+ * Sets up the shortcut listener, the command palette, the help overlay and the settings section.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    customBindings = loadCustomBindings();
+
+    document.addEventListener('keydown', handleKeydown);
+
+    const paletteModal = elements.commandMenuModal;
+    const paletteInput = paletteModal.querySelector('#command-menu-input');
+    paletteInput.addEventListener('input', () => {
+        paletteIndex = 0;
+        renderCommandPalette();
+    });
+    paletteInput.addEventListener('keydown', handlePaletteKeydown);
+    paletteModal.addEventListener('click', (e) => {
+        const item = e.target.closest('.command-menu-item');
+        if (item) runPaletteEntry(Number(item.dataset.index));
+        else if (e.target === paletteModal) UI.hideSettingsModal(paletteModal); // Click on the backdrop
+    });
+
+    const helpModal = elements.shortcutsModal;
+    helpModal.querySelector('.close-modal-btn').addEventListener('click', () => UI.hideSettingsModal(helpModal));
+    helpModal.querySelector('#edit-shortcuts-btn').addEventListener('click', () => {
+        UI.hideSettingsModal(helpModal);
+        appElements.settingsBtn.click();
+        appElements.settingsModal.querySelector('#shortcuts-section').scrollIntoView({ block: 'start' });
+    });
+    helpModal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') UI.hideSettingsModal(helpModal);
+    });
+
+    const bindingsList = elements.settingsModal.querySelector('#shortcut-bindings');
+    bindingsList.addEventListener('click', (e) => {
+        const bindButton = e.target.closest('.shortcut-bind-btn');
+        const resetButton = e.target.closest('.shortcut-reset-btn');
+        if (bindButton) startCapture(bindButton.dataset.command);
+        else if (resetButton) {
+            setBinding(resetButton.dataset.command, null);
+            renderShortcutSettings();
+        }
+    });
+    bindingsList.addEventListener('focusout', () => {
+        if (capturingCommandId) stopCapture();
+    });
+    elements.settingsModal.querySelector('#reset-shortcuts-btn').addEventListener('click', () => {
+        customBindings = {};
+        localStorage.removeItem(BINDINGS_KEY);
+        renderShortcutSettings();
+        showToast('success', 'Keyboard shortcuts reset to their defaults.');
+    });
+    renderShortcutSettings();
+}
+
+/**
+ * Runs the command bound to a pressed key combination, or records it while rebinding.
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handleKeydown(e) {
+    if (capturingCommandId) {
+        captureBinding(e);
+        return;
+    }
+    if (e.defaultPrevented || e.isComposing || appElements.mainApp.classList.contains('hidden')) return;
+
+    const combo = getEventCombo(e);
+    const command = combo && COMMANDS.find(c => getBinding(c.id) === combo);
+    if (!command || document.querySelector('.modal.active')) return;
+
+    if (isTextField(e.target) && !/^(Mod|Ctrl|Alt)\+/.test(combo) && !command.inTextFields) return;
+    if (command.onlyInEmptyInput && (e.target !== appElements.chatInput || appElements.chatInput.value)) return;
+    if (command.when && !command.when()) return;
+
+    e.preventDefault();
+    log('info', 'Shortcut:', combo, command.id);
+    command.run();
+}
+
+// --- Commands ---
+
+/**
+ * Opens the sidebar search, also on small screens where the sidebar is hidden.
+ */
+function focusSearch() {
+    if (window.matchMedia('(max-width: 768px)').matches && !STATE.ui.sidebarOpen) {
+        UI.toggleSidebar();
+    }
+    appElements.conversationSearch.focus();
+    appElements.conversationSearch.select();
+}
+
+/**
+ * Opens the editor of the last prompt on the displayed branch.
+ */
+function editLastPrompt() {
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const lastPrompt = activeConversation && Tree.getActivePath(activeConversation).reverse().find(m => m.role === 'user');
+    if (!lastPrompt) {
+        showToast('info', 'There is no prompt to edit yet.');
+        return;
+    }
+    if (!Offline.requireConnection('Editing a message')) return;
+    UI.editMessageInChat(lastPrompt.id);
+}
+
+/**
+ * Copies the last text answer on the displayed branch.
+ */
+function copyLastAnswer() {
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const lastAnswer = activeConversation && Tree.getActivePath(activeConversation).reverse()
+        .find(m => m.role === 'ai' && m.type === 'text' && m.content && !m.error);
+    if (!lastAnswer) {
+        showToast('info', 'There is no answer to copy yet.');
+        return;
+    }
+    UI.copyToClipboard(lastAnswer.content);
+    showToast('success', 'Answer copied!');
+}
+
+// --- Command palette ---
+
+/**
+ * Opens the command palette.
+ * @param {Object} [options] - Palette options.
+ * @param {boolean} [options.conversationsOnly=false] - List only conversations, for switching.
+ */
+export function openCommandPalette({ conversationsOnly = false } = {}) {
+    const modal = appElements.commandMenuModal;
+    const input = modal.querySelector('#command-menu-input');
+    paletteConversationsOnly = conversationsOnly;
+    paletteIndex = 0;
+    input.value = '';
+    input.placeholder = conversationsOnly ? 'Switch to conversation…' : 'Type a command or a conversation title…';
+    renderCommandPalette();
+    UI.showSettingsModal(modal);
+    input.focus();
+}
+
+/**
+ * Lists the commands and conversations matching the palette's filter.
+ * @param {string} query - The filter text.
+ * @returns {{label: string, detail: string, keys: string, run: Function}[]} The entries.
+ */
+function getPaletteEntries(query) {
+    const filter = query.trim().toLowerCase();
+    const matches = text => !filter || text.toLowerCase().includes(filter);
+
+    const commands = paletteConversationsOnly ? [] : COMMANDS
+        .filter(command => command.id !== 'command-palette' && matches(command.label) && (!command.when || command.when()))
+        .map(command => ({ label: command.label, detail: 'Command', keys: getBinding(command.id), run: command.run }));
+    const conversations = [...STATE.conversations]
+        .sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0))
+        .filter(conversation => conversation.id !== STATE.ui.activeConversationId && matches(conversation.title || ''))
+        .slice(0, MAX_PALETTE_CONVERSATIONS)
+        .map(conversation => ({
+            label: conversation.title || 'New Chat',
+            detail: 'Conversation',
+            keys: '',
+            run: () => Chat.loadConversation(conversation.id),
+        }));
+    return [...commands, ...conversations];
+}
+
+/**
+ * Renders the palette's entries.
+ */
+function renderCommandPalette() {
+    const modal = appElements.commandMenuModal;
+    const list = modal.querySelector('#command-menu-list');
+    paletteEntries = getPaletteEntries(modal.querySelector('#command-menu-input').value);
+    paletteIndex = Math.min(paletteIndex, Math.max(paletteEntries.length - 1, 0));
+
+    list.innerHTML = paletteEntries.length === 0
+        ? '<li class="command-menu-empty">Nothing found.</li>'
+        : paletteEntries.map((entry, index) => `
+            <li class="command-menu-item${index === paletteIndex ? ' active' : ''}" data-index="${index}" role="option" aria-selected="${index === paletteIndex}">
+                <span class="command-menu-label">${escapeHTML(truncateText(entry.label, 80))}</span>
+                <span class="command-menu-detail">${entry.keys ? renderKeys(entry.keys) : escapeHTML(entry.detail)}</span>
+            </li>
+        `).join('');
+    list.querySelector('.command-menu-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Handles arrow keys, Enter and Escape in the palette's input.
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handlePaletteKeydown(e) {
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && paletteEntries.length > 0) {
+        paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + paletteEntries.length) % paletteEntries.length;
+        renderCommandPalette();
+    } else if (e.key === 'Enter') {
+        runPaletteEntry(paletteIndex);
+    } else if (e.key === 'Escape') {
+        UI.hideSettingsModal(appElements.commandMenuModal);
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+/**
+ * Closes the palette and runs one of its entries.
+ * @param {number} index - The entry's position.
+ */
+function runPaletteEntry(index) {
+    const entry = paletteEntries[index];
+    if (!entry) return;
+    UI.hideSettingsModal(appElements.commandMenuModal);
+    entry.run();
+}
+
+// --- Help overlay and settings ---
+
+/**
+ * Opens the overlay listing every shortcut.
+ */
+export function openShortcutHelp() {
+    const rows = [
+        ...COMMANDS.map(command => ({ label: command.label, keys: getBinding(command.id) })),
+        ...FIXED_BINDINGS,
+    ];
+    appElements.shortcutsModal.querySelector('#shortcuts-help-list').innerHTML = rows.map(row => `
+        <tr><td>${escapeHTML(row.label)}</td><td class="shortcut-keys">${renderKeys(row.keys)}</td></tr>
+    `).join('');
+    UI.showSettingsModal(appElements.shortcutsModal);
+    appElements.shortcutsModal.querySelector('.close-modal-btn').focus(); // So Escape reaches the overlay
+}
+
+/**
+ * Renders the rebinding table in the settings panel.
+ */
+export function renderShortcutSettings() {
+    const list = appElements.settingsModal.querySelector('#shortcut-bindings');
+    list.innerHTML = COMMANDS.map(command => {
+        const keys = getBinding(command.id);
+        const isCapturing = command.id === capturingCommandId;
+        return `
+            <tr>
+                <td>${escapeHTML(command.label)}</td>
+                <td>
+                    <button type="button" class="shortcut-bind-btn${isCapturing ? ' capturing' : ''}" data-command="${command.id}" title="Click, then press the new keys">
+                        ${isCapturing ? 'Press keys…' : renderKeys(keys)}
+                    </button>
+                </td>
+                <td>${keys !== command.keys ? `<button type="button" class="action-btn secondary-btn shortcut-reset-btn" data-command="${command.id}" title="Restore ${escapeHTML(formatKeys(command.keys))}">Reset</button>` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Starts recording new keys for a command.
+ * @param {string} commandId - The command to rebind.
+ */
+function startCapture(commandId) {
+    // The button is updated in place; re-rendering would take its focus and end the recording
+    const button = appElements.settingsModal.querySelector(`.shortcut-bind-btn[data-command="${commandId}"]`);
+    capturingCommandId = commandId;
+    button.classList.add('capturing');
+    button.textContent = 'Press keys…';
+    button.focus();
+}
+
+/**
+ * Stops recording keys without changing the binding.
+ */
+function stopCapture() {
+    capturingCommandId = null;
+    renderShortcutSettings();
+}
+
+/**
+ * Records the keys pressed while rebinding. Escape cancels, Backspace or Delete removes the shortcut.
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function captureBinding(e) {
+    const combo = getEventCombo(e);
+    if (!combo) return; // Wait for the key that goes with the modifiers
+    e.preventDefault();
+    e.stopPropagation();
+
+    const commandId = capturingCommandId;
+    if (combo === 'Escape') {
+        stopCapture();
+        return;
+    }
+    if (combo === 'Backspace' || combo === 'Delete') {
+        setBinding(commandId, '');
+        stopCapture();
+        return;
+    }
+    if (combo === 'Enter' || combo === 'Shift+Enter' || combo === 'Tab' || combo === 'Shift+Tab') {
+        showToast('warning', 'Enter and Tab are needed for typing and moving around, so they cannot be shortcuts.');
+        return;
+    }
+
+    const conflict = COMMANDS.find(command => command.id !== commandId && getBinding(command.id) === combo);
+    if (conflict) {
+        showToast('warning', `${formatKeys(combo)} is already used for "${conflict.label}".`);
+        return;
+    }
+    setBinding(commandId, combo);
+    stopCapture();
+    log('info', 'Shortcut rebound:', commandId, combo);
+}
@@ -0,0 +1,199 @@
+// assets/modules/sse.js
+
+/**
+ * Creates an incremental Server-Sent Events parser.
+ * Text may be fed in arbitrarily sized pieces; partial lines are buffered until
+ * their line terminator arrives, so events split across network chunks are preserved.
+ * @param {Object} handlers - Parser callbacks.
+ * @param {Function} handlers.onEvent - Called with `{ event, data, id, retry }` for each dispatched event.
+ * @param {Function} [handlers.onComment] - Called with the text of each comment line (lines starting with `:`).
+ * @returns {{feed: Function, flush: Function}} Parser controls.
+ */
+export function createSseParser({ onEvent, onComment } = {}) {
+    let buffer = '';
+    let dataLines = [];
+    let eventType = '';
+    let lastEventId = '';
+    let retry = null;
+
+    const dispatchEvent = () => {
+        if (dataLines.length > 0 && onEvent) {
+            onEvent({
+                event: eventType || 'message',
+                data: dataLines.join('\n'),
+                id: lastEventId,
+                retry,
+            });
+        }
+        dataLines = [];
+        eventType = '';
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatchEvent();
+            return;
+        }
+        if (line.startsWith(':')) {
+            if (onComment) onComment(line.substring(1).replace(/^ /, ''));
+            return;
+        }
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.substring(0, colonIndex);
+        const value = colonIndex === -1 ? '' : line.substring(colonIndex + 1).replace(/^ /, '');
+
+        switch (field) {
+            case 'data':
+                dataLines.push(value);
+                break;
+            case 'event':
+                eventType = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) retry = parseInt(value, 10);
+                break;
+            default:
+                // Unknown fields are ignored, as required by the SSE specification.
+                break;
+        }
+    };
+
+    return {
+        /**
+         * Feeds a chunk of decoded text into the parser.
+         * @param {string} text - The decoded text chunk.
+         */
+        feed(text) {
+            buffer += text;
+            let match;
+            while ((match = /\r\n|\r|\n/.exec(buffer)) !== null) {
+                // A trailing '\r' may be the first half of a '\r\n' split across chunks.
+                if (match[0] === '\r' && match.index === buffer.length - 1) break;
+                const line = buffer.substring(0, match.index);
+                buffer = buffer.substring(match.index + match[0].length);
+                processLine(line);
+            }
+        },
+
+        /**
+         * Processes any buffered text at end of stream and dispatches a pending event.
+         * Servers occasionally omit the final blank line, so the last event is not discarded.
+         */
+        flush() {
+            if (buffer.length > 0) {
+                processLine(buffer.replace(/\r$/, ''));
+                buffer = '';
+            }
+            dispatchEvent();
+        },
+    };
+}
+
+/**
+ * Reads a fetch response body as an SSE stream.
+ * Bytes are decoded in streaming mode so multi-byte characters split across reads stay intact.
+ * @param {ReadableStream} body - The response body stream.
+ * @param {Object} handlers - Handlers passed through to `createSseParser`.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export async function readSseStream(body, handlers) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    const parser = createSseParser(handlers);
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.feed(decoder.decode(value, { stream: true }));
+        }
+        parser.feed(decoder.decode());
+        parser.flush();
+    } catch (error) {
+        reader.cancel().catch(() => {}); // Release the connection; the original error is what matters
+        throw error;
+    }
+}
+
+/**
+ * Reads an OpenAI-style chat completion stream (as sent by OpenRouter).
+ * Handles keep-alive comments, mid-stream error payloads and the final `[DONE]` marker.
+ * @param {ReadableStream} body - The response body stream.
+ * @param {Object} [handlers] - Stream callbacks.
+ * @param {Function} [handlers.onDelta] - Called with each content delta string.
+ * @param {Function} [handlers.onKeepAlive] - Called with the comment text of keep-alive lines (e.g. `OPENROUTER PROCESSING`).
+ * @returns {Promise<{content: string, toolCalls: Object[], finishReason: (string|null), usage: (Object|null), model: (string|null), id: (string|null)}>}
+ *     The aggregated result. `toolCalls` holds the complete `{ id, type, function: { name, arguments } }` calls
+ *     assembled from the streamed fragments; `arguments` is the JSON text as sent by the model.
+ * @throws {Error} If the stream carries an `error` payload.
+ */
+export async function readChatCompletionStream(body, { onDelta, onKeepAlive } = {}) {
+    const result = {
+        content: '',
+        toolCalls: [],
+        finishReason: null,
+        usage: null,
+        model: null,
+        id: null,
+    };
+    let done = false;
+
+    await readSseStream(body, {
+        onComment: (comment) => {
+            if (onKeepAlive) onKeepAlive(comment);
+        },
+        onEvent: ({ data }) => {
+            if (done) return;
+            if (data === '[DONE]') {
+                done = true;
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(data);
+            } catch (e) {
+                log('error', 'Error parsing streaming event:', e, data);
+                return;
+            }
+
+            if (payload.error) {
+                // Thrown from inside the parser so `readSseStream` cancels the reader right away.
+                const streamError = new Error(payload.error.message || 'The provider reported an error mid-stream.');
+                streamError.code = payload.error.code;
+                throw streamError;
+            }
+
+            result.id = payload.id || result.id;
+            result.model = payload.model || result.model;
+            if (payload.usage) result.usage = payload.usage;
+
+            const choice = payload.choices?.[0];
+            if (!choice) return;
+            if (choice.finish_reason) result.finishReason = choice.finish_reason;
+
+            const delta = choice.delta?.content || '';
+            if (delta) {
+                result.content += delta;
+                if (onDelta) onDelta(delta, result.content);
+            }
+
+            // Tool calls arrive in fragments: the first one of a call carries its ID and name,
+            // later ones (matched by `index`) append to the arguments
+            (choice.delta?.tool_calls || []).forEach(fragment => {
+                const index = fragment.index ?? result.toolCalls.length;
+                const call = result.toolCalls[index] || (result.toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function?.name) call.function.name += fragment.function.name;
+                if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+            });
+        },
+    });
+
+    result.toolCalls = result.toolCalls.filter(Boolean).map(call => ({ ...call, id: call.id || `call_${crypto.randomUUID()}` }));
+    return result;
+}
@@ -1,36 +1,122 @@
 // assets/modules/storage.js
 
+// Conversations live in IndexedDB (see idb.js): one record per conversation and one per
+// message. STATE stays the source of truth; saves only mark a conversation dirty and the
+// changes are written in one batch after FLUSH_DELAY_MS, so a streamed reply costs one
+// write per batch instead of one per token, and only messages that changed are rewritten.
+// Browsers without IndexedDB fall back to the single localStorage key used before.
+
 import { STATE } from './state.js';
+import * as Cloud from './cloud.js';
+import * as Tree from './tree.js';
+import * as Search from './search.js';
+import * as Idb from './idb.js';
+import * as ImageStore from './image-store.js';
 import { showToast } from './utils.js';
 
 const CONVERSATIONS_KEY = 'javagoat_conversations';
 const LOCAL_SETTINGS_KEY = 'javagoat_local_settings';
+const FLUSH_DELAY_MS = 500;
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024; // Typical per-origin limit; browsers do not report it
+const STORAGE_WARNING_RATIO = 0.9;
+const QUOTA_CHECK_INTERVAL_MS = 60 * 1000;
+
+let useIndexedDb = Idb.isIndexedDbSupported();
+const dirtyConversationIds = new Set();
+const deletedConversationIds = new Set();
+let fullSyncPending = false; // Every conversation must be compared with what was written
+const writtenMessageHashes = new Map(); // conversationId -> Map(messageId -> hash)
+let flushTimer = null;
+let dbQueue = Promise.resolve(); // Serializes database operations
+let flushHandlersAttached = false;
+let lastQuotaCheck = 0;
+let quotaWarningShown = false;
 
 /**
- * Loads initial state from localStorage.
+ * Loads initial state: conversations from IndexedDB (or localStorage) and local settings.
  * For guests, this is their primary storage. For logged-in users, it's a fallback/cache.
+ * @returns {Promise<void>} Resolves once conversations are loaded.
  */
-export function loadInitialState() {
-    log('info', 'Loading initial state from localStorage...');
-    loadConversations();
+export async function loadInitialState() {
+    log('info', `Loading initial state from ${useIndexedDb ? 'IndexedDB' : 'localStorage'}...`);
+    attachFlushHandlers();
+    await loadConversations();
     loadLocalSettings();
 }
 
 /**
- * Loads conversations from localStorage into STATE.
+ * Writes pending changes when the page is hidden or closed, so the last batch is not lost.
+ */
+function attachFlushHandlers() {
+    if (flushHandlersAttached) return;
+    flushHandlersAttached = true;
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushPendingWrites();
+    });
+    window.addEventListener('pagehide', () => flushPendingWrites());
+}
+
+/**
+ * Runs a database task after every task queued before it.
+ * @param {Function} task - Returns a promise.
+ * @returns {Promise<*>} The task's result.
+ */
+function enqueue(task) {
+    const run = dbQueue.then(task);
+    dbQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Hashes a string (32-bit FNV-1a); used to tell which messages changed since the last write.
+ * @param {string} str - The string to hash.
+ * @returns {number} The hash.
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hashes every message of a conversation.
+ * @param {Object} conversation - The conversation.
+ * @returns {Map<string, number>} Hashes keyed by message ID.
  */
-export function loadConversations() {
+function hashMessages(conversation) {
+    return new Map((conversation.messages || []).map(message => [message.id, hashString(JSON.stringify(message))]));
+}
+
+/**
+ * Loads conversations into STATE, moving any left in localStorage by older versions into IndexedDB.
+ * @returns {Promise<void>} Resolves once STATE.conversations is set.
+ */
+export async function loadConversations() {
+    Search.resetIndex(); // STATE.conversations is replaced below
+    await flushPendingWrites();
+    if (useIndexedDb) {
+        try {
+            STATE.conversations = await enqueue(() => Idb.readAllConversations());
+            writtenMessageHashes.clear();
+            STATE.conversations.forEach(conv => writtenMessageHashes.set(conv.id, hashMessages(conv)));
+            if (localStorage.getItem(CONVERSATIONS_KEY)) {
+                await migrateFromLocalStorage();
+            }
+            finishLoadingConversations();
+            return;
+        } catch (e) {
+            log('error', 'IndexedDB is unavailable, falling back to localStorage:', e);
+            useIndexedDb = false;
+        }
+    }
+
     try {
         const storedConversations = localStorage.getItem(CONVERSATIONS_KEY);
-        if (storedConversations) {
-            STATE.conversations = JSON.parse(storedConversations);
-            log('info', `Loaded ${STATE.conversations.length} conversations.`);
-            // Sort conversations by lastUpdated descending
-            STATE.conversations.sort((a, b) => b.lastUpdated - a.lastUpdated);
-        } else {
-            STATE.conversations = [];
-            log('info', 'No conversations found in localStorage.');
-        }
+        STATE.conversations = storedConversations ? JSON.parse(storedConversations) : [];
+        finishLoadingConversations();
     } catch (e) {
         log('error', 'Error loading conversations from localStorage:', e);
         showToast('error', 'Failed to load conversations from local storage.');
@@ -39,30 +125,240 @@ export function loadConversations() {
 }
 
 /**
- * Saves all conversations from STATE to localStorage.
+ * Upgrades freshly loaded conversations to the current format and sorts them.
  */
-export function saveConversations() {
+function finishLoadingConversations() {
+    log('info', `Loaded ${STATE.conversations.length} conversations.`);
+    // Older versions saved flat message lists and HTML-escaped prompts; upgrade them
+    const migratedCount = STATE.conversations.filter(conv => Tree.migrateConversation(conv)).length;
+    if (migratedCount > 0) {
+        log('info', `Migrated ${migratedCount} conversations to the current format.`);
+        saveConversations();
+    }
+    // Sort conversations by lastUpdated descending
+    STATE.conversations.sort((a, b) => b.lastUpdated - a.lastUpdated);
+}
+
+/**
+ * Copies conversations stored in localStorage by older versions into IndexedDB, then removes them
+ * from localStorage. Conversations already in IndexedDB are kept when IDs collide.
+ * @returns {Promise<void>} Resolves once the copy is written.
+ */
+async function migrateFromLocalStorage() {
+    const legacyConversations = JSON.parse(localStorage.getItem(CONVERSATIONS_KEY));
+    const existingIds = new Set(STATE.conversations.map(c => c.id));
+    const newConversations = (Array.isArray(legacyConversations) ? legacyConversations : [])
+        .filter(conv => conv && conv.id && !existingIds.has(conv.id));
+
+    await enqueue(() => Idb.writeChanges({
+        conversations: newConversations,
+        messages: newConversations.flatMap(conv => (conv.messages || []).map(message => ({ conversationId: conv.id, message }))),
+    }));
+    newConversations.forEach(conv => {
+        STATE.conversations.push(conv);
+        writtenMessageHashes.set(conv.id, hashMessages(conv));
+    });
+    localStorage.removeItem(CONVERSATIONS_KEY);
+    log('info', `Moved ${newConversations.length} conversations from localStorage to IndexedDB.`);
+}
+
+/**
+ * Schedules a batched write of the pending changes.
+ */
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushPendingWrites, FLUSH_DELAY_MS);
+}
+
+/**
+ * Drops pending changes without writing them.
+ */
+function cancelPendingWrites() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    dirtyConversationIds.clear();
+    deletedConversationIds.clear();
+    fullSyncPending = false;
+}
+
+/**
+ * Writes every pending change now instead of waiting for the batch delay.
+ * @returns {Promise<void>} Resolves once the batch is written (or has failed).
+ */
+export async function flushPendingWrites() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!fullSyncPending && dirtyConversationIds.size === 0 && deletedConversationIds.size === 0) return;
+
+    if (!useIndexedDb) {
+        cancelPendingWrites();
+        writeConversationsToLocalStorage();
+        return;
+    }
+
+    const ids = fullSyncPending ? STATE.conversations.map(c => c.id) : Array.from(dirtyConversationIds);
+    const deletedIds = new Set(deletedConversationIds);
+    if (fullSyncPending) {
+        const currentIds = new Set(ids);
+        writtenMessageHashes.forEach((_, id) => {
+            if (!currentIds.has(id)) deletedIds.add(id);
+        });
+    }
+    cancelPendingWrites();
+
+    const changes = { conversations: [], messages: [], deletedMessages: [], deletedConversations: Array.from(deletedIds) };
+    const newHashes = new Map();
+    ids.forEach(id => {
+        const conversation = STATE.conversations.find(c => c.id === id);
+        if (!conversation) return;
+        const previousHashes = writtenMessageHashes.get(id) || new Map();
+        const currentHashes = hashMessages(conversation);
+        changes.conversations.push(conversation);
+        (conversation.messages || []).forEach(message => {
+            if (previousHashes.get(message.id) !== currentHashes.get(message.id)) {
+                changes.messages.push({ conversationId: id, message });
+            }
+        });
+        previousHashes.forEach((_, messageId) => {
+            if (!currentHashes.has(messageId)) changes.deletedMessages.push([id, messageId]);
+        });
+        newHashes.set(id, currentHashes);
+    });
+
+    try {
+        await enqueue(() => Idb.writeChanges(changes));
+        deletedIds.forEach(id => writtenMessageHashes.delete(id));
+        newHashes.forEach((hashes, id) => writtenMessageHashes.set(id, hashes));
+        log('info', `Saved ${changes.conversations.length} conversations (${changes.messages.length} messages) to IndexedDB.`);
+        checkStorageQuota();
+    } catch (e) {
+        // Keep the changes pending so the next save retries them
+        ids.forEach(id => dirtyConversationIds.add(id));
+        deletedIds.forEach(id => deletedConversationIds.add(id));
+        log('error', 'Error saving conversations to IndexedDB:', e);
+        if (e && e.name === 'QuotaExceededError') {
+            showToast('error', 'Storage is full. Delete old conversations in Settings → Storage to keep saving.');
+        } else {
+            showToast('error', 'Failed to save conversations to local storage.');
+        }
+    }
+}
+
+/**
+ * Writes all conversations to localStorage (used when IndexedDB is unavailable).
+ */
+function writeConversationsToLocalStorage() {
     try {
         localStorage.setItem(CONVERSATIONS_KEY, JSON.stringify(STATE.conversations));
         log('info', `Saved ${STATE.conversations.length} conversations to localStorage.`);
     } catch (e) {
         log('error', 'Error saving conversations to localStorage:', e);
-        showToast('error', 'Failed to save conversations to local storage.');
+        showToast('error', e && e.name === 'QuotaExceededError'
+            ? 'Storage is full. Delete old conversations in Settings → Storage to keep saving.'
+            : 'Failed to save conversations to local storage.');
     }
 }
 
 /**
- * Clears all conversations from localStorage and STATE.
+ * Saves all conversations from STATE (batched; see flushPendingWrites).
  */
-export function clearConversations() {
+export function saveConversations() {
+    fullSyncPending = true;
+    scheduleFlush();
+}
+
+/**
+ * Marks one conversation as changed (batched; see flushPendingWrites).
+ * @param {string} conversationId - The conversation ID.
+ */
+function markConversationDirty(conversationId) {
+    dirtyConversationIds.add(conversationId);
+    scheduleFlush();
+}
+
+/**
+ * Marks one conversation as deleted (batched; see flushPendingWrites).
+ * @param {string} conversationId - The conversation ID.
+ */
+function markConversationDeleted(conversationId) {
+    dirtyConversationIds.delete(conversationId);
+    deletedConversationIds.add(conversationId);
+    scheduleFlush();
+}
+
+/**
+ * Clears all conversations from local storage and STATE.
+ * @param {boolean} [includeCloud=false] - Also delete the signed-in user's synced conversations.
+ * @returns {Promise<void>} Resolves once local storage is cleared.
+ */
+export function clearConversations(includeCloud = false) {
+    if (includeCloud) {
+        Cloud.clearCloudConversations();
+    }
+    cancelPendingWrites();
+    writtenMessageHashes.clear();
+    STATE.conversations = [];
+    STATE.ui.activeConversationId = null;
+    Search.resetIndex();
+    ImageStore.revokeObjectUrls();
     try {
         localStorage.removeItem(CONVERSATIONS_KEY);
-        STATE.conversations = [];
-        STATE.ui.activeConversationId = null;
-        log('info', 'All conversations cleared from localStorage and state.');
     } catch (e) {
         log('error', 'Error clearing conversations from localStorage:', e);
-        showToast('error', 'Failed to clear conversations from local storage.');
+    }
+    if (!useIndexedDb) {
+        log('info', 'All conversations cleared from localStorage and state.');
+        return Promise.resolve();
+    }
+    return enqueue(() => Idb.clearAll())
+        .then(() => log('info', 'All conversations cleared from IndexedDB and state.'))
+        .catch(e => {
+            log('error', 'Error clearing conversations from IndexedDB:', e);
+            showToast('error', 'Failed to clear conversations from local storage.');
+        });
+}
+
+/**
+ * Returns how much storage is used and available.
+ * @returns {Promise<{usage: number, quota: number, backend: string}|null>} The usage in bytes, or null if unknown.
+ */
+export async function getStorageUsage() {
+    if (!useIndexedDb) {
+        // localStorage keeps UTF-16 strings, two bytes per character
+        const usage = Object.keys(localStorage).reduce((total, key) => total + (key.length + (localStorage.getItem(key) || '').length) * 2, 0);
+        return { usage, quota: LOCAL_STORAGE_QUOTA_BYTES, backend: 'localStorage' };
+    }
+    try {
+        const estimate = await Idb.estimateStorage();
+        return estimate ? { ...estimate, backend: 'IndexedDB' } : null;
+    } catch (e) {
+        log('warn', 'Could not estimate storage usage:', e);
+        return null;
+    }
+}
+
+/**
+ * Returns the conversations taking the most space, largest first.
+ * @param {number} [limit=5] - How many to return.
+ * @returns {{id: string, title: string, bytes: number}[]} Approximate sizes in bytes.
+ */
+export function getLargestConversations(limit = 5) {
+    return STATE.conversations
+        .map(conv => ({ id: conv.id, title: conv.title, bytes: new Blob([JSON.stringify(conv)]).size }))
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, limit);
+}
+
+/**
+ * Warns once per session when storage is almost full, so users can prune before writes fail.
+ */
+async function checkStorageQuota() {
+    if (quotaWarningShown || Date.now() - lastQuotaCheck < QUOTA_CHECK_INTERVAL_MS) return;
+    lastQuotaCheck = Date.now();
+    const usage = await getStorageUsage();
+    if (usage && usage.quota > 0 && usage.usage / usage.quota >= STORAGE_WARNING_RATIO) {
+        quotaWarningShown = true;
+        showToast('warning', `Storage is ${Math.round(usage.usage / usage.quota * 100)}% full. Delete old conversations in Settings → Storage.`);
     }
 }
 
@@ -79,7 +375,74 @@ export function saveConversation(conversation) {
         STATE.conversations.unshift(conversation); // Add new conversation to the top
     }
     conversation.lastUpdated = Date.now(); // Update timestamp
-    saveConversations();
+    markConversationDirty(conversation.id);
+    Search.indexConversation(conversation); // Only changed messages are re-indexed
+    Cloud.queueConversationSave(conversation); // No-op for guests
+}
+
+/**
+ * Merges a conversation received from the cloud using last-write-wins on `lastUpdated`.
+ * Unlike `saveConversation`, the remote timestamp is kept so the change is not echoed back.
+ * The existing object is updated in place so references held elsewhere stay valid.
+ * @param {Object} remoteConversation - The conversation read from the cloud.
+ * @returns {boolean} True if the local copy was changed.
+ */
+export function mergeConversation(remoteConversation) {
+    const localConversation = STATE.conversations.find(c => c.id === remoteConversation.id);
+    if (localConversation && localConversation.lastUpdated > remoteConversation.lastUpdated) {
+        Cloud.queueConversationSave(localConversation, 0); // Local copy is newer; push it up
+        return false;
+    }
+    if (localConversation && localConversation.lastUpdated === remoteConversation.lastUpdated) {
+        localConversation.cloudSynced = true;
+        return false;
+    }
+
+    if (localConversation) {
+        Object.assign(localConversation, remoteConversation, { cloudSynced: true });
+        Search.indexConversation(localConversation);
+    } else {
+        const mergedConversation = { ...remoteConversation, cloudSynced: true };
+        STATE.conversations.push(mergedConversation);
+        Search.indexConversation(mergedConversation);
+    }
+    STATE.conversations.sort((a, b) => b.lastUpdated - a.lastUpdated);
+    markConversationDirty(remoteConversation.id);
+    return true;
+}
+
+/**
+ * Adds imported conversations, keeping their timestamps, and uploads them for signed-in users.
+ * IDs must already be unique (see `Archive.parseArchive`).
+ * @param {Object[]} conversations - The conversations to add.
+ */
+export function importConversations(conversations) {
+    conversations.forEach(conversation => {
+        STATE.conversations.push(conversation);
+        markConversationDirty(conversation.id);
+        Search.indexConversation(conversation);
+        Cloud.queueConversationSave(conversation); // No-op for guests
+    });
+    STATE.conversations.sort((a, b) => b.lastUpdated - a.lastUpdated);
+}
+
+/**
+ * Removes a conversation from STATE and the local cache without touching the cloud.
+ * Used when a conversation was deleted on another device.
+ * @param {string} conversationId - The ID of the conversation to remove.
+ * @returns {boolean} True if a conversation was removed.
+ */
+export function removeConversationLocally(conversationId) {
+    const countBefore = STATE.conversations.length;
+    STATE.conversations = STATE.conversations.filter(c => c.id !== conversationId);
+    if (STATE.conversations.length === countBefore) return false;
+    Search.removeConversation(conversationId);
+
+    if (STATE.ui.activeConversationId === conversationId) {
+        STATE.ui.activeConversationId = null;
+    }
+    markConversationDeleted(conversationId);
+    return true;
 }
 
 /**
@@ -91,7 +454,9 @@ export function deleteConversation(conversationId) {
     if (STATE.ui.activeConversationId === conversationId) {
         STATE.ui.activeConversationId = null; // Clear active if deleted
     }
-    saveConversations();
+    Search.removeConversation(conversationId);
+    markConversationDeleted(conversationId);
+    Cloud.deleteCloudConversation(conversationId); // No-op for guests
 }
 
 /**
@@ -137,6 +502,9 @@ export function clearLocalSettings() {
         localStorage.removeItem(LOCAL_SETTINGS_KEY);
         // Reset to default settings defined in state.js
         STATE.settings = {
+            provider: 'openrouter',
+            providerBaseUrl: '',
+            providerApiKey: '',
             openrouterKey: '',
             modelId: 'openai/gpt-4o-mini',
             systemPrompt: 'You are JavaGoat, a helpful and secure AI assistant. Provide concise and accurate responses, format code blocks with markdown, and be friendly.',
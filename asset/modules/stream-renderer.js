@@ -0,0 +1,134 @@
+// assets/modules/stream-renderer.js
+
+// Incremental Markdown rendering for streamed replies. Re-parsing and re-highlighting the whole
+// reply for every token gets slower as the answer grows and makes the page flicker, so the
+// renderer splits the text into top-level blocks with `marked.lexer`:
+//   - every block except the last is finished; it is rendered once and then left in the DOM;
+//   - only the last (possibly unfinished) block is rendered again when more text arrives.
+// Updates are batched to one per animation frame. The chat only follows the new text while the
+// user is at the bottom, so scrolling up to re-read something is not interrupted.
+
+import * as Sanitize from './sanitize.js';
+
+const STICK_TO_BOTTOM_THRESHOLD_PX = 48;
+
+/**
+ * Checks whether a scroll container is scrolled (almost) to the bottom.
+ * @param {HTMLElement} scroller - The scroll container.
+ * @returns {boolean} True if the end of the content is in view.
+ */
+export function isScrolledToBottom(scroller) {
+    return scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight <= STICK_TO_BOTTOM_THRESHOLD_PX;
+}
+
+/**
+ * Creates a renderer that keeps an element in step with a growing Markdown text.
+ * @param {HTMLElement} target - The element to render into; its current content is replaced.
+ * @param {Object} options - Renderer options.
+ * @param {HTMLElement} options.scroller - The scroll container to keep at the bottom.
+ * @param {Function} [options.decorate] - Called with a container of freshly rendered nodes before they are inserted (e.g. to add copy buttons).
+ * @returns {{target: HTMLElement, update: Function, finish: Function, replace: Function}} The renderer.
+ */
+export function createStreamRenderer(target, { scroller, decorate = () => {} }) {
+    let committedText = ''; // Start of the text already rendered as finished blocks
+    let tailNodes = []; // Nodes of the last, still changing block
+    let pendingText = null;
+    let frameId = null;
+
+    target.replaceChildren();
+
+    /**
+     * Renders Markdown and appends the nodes to the target.
+     * @param {string} markdown - The Markdown.
+     * @returns {Node[]} The appended nodes.
+     */
+    const insertRendered = (markdown) => {
+        const container = document.createElement('div');
+        container.innerHTML = Sanitize.renderMarkdown(markdown);
+        decorate(container);
+        const nodes = Array.from(container.childNodes);
+        target.append(...nodes);
+        return nodes;
+    };
+
+    /**
+     * Renders the text, committing finished blocks.
+     * @param {string} text - The full text so far.
+     * @param {boolean} isFinal - Render everything as finished.
+     */
+    const render = (text, isFinal) => {
+        const followBottom = isScrolledToBottom(scroller);
+
+        if (!text.startsWith(committedText)) {
+            // The text was replaced rather than extended; start over
+            target.replaceChildren();
+            committedText = '';
+            tailNodes = [];
+        }
+
+        const rest = text.slice(committedText.length);
+        const tokens = marked.lexer(rest);
+        let lastBlockIndex = tokens.length - 1;
+        while (lastBlockIndex > 0 && tokens[lastBlockIndex].type === 'space') lastBlockIndex--;
+        const finishedRaw = tokens.slice(0, isFinal ? tokens.length : Math.max(lastBlockIndex, 0)).map(token => token.raw).join('');
+
+        // Remove the old tail first; nothing is painted until this function returns
+        tailNodes.forEach(node => node.remove());
+        // marked normalizes some whitespace; only commit when the raw text lines up with the source
+        if (finishedRaw && rest.startsWith(finishedRaw)) {
+            insertRendered(finishedRaw);
+            committedText += finishedRaw;
+        }
+        const tail = text.slice(committedText.length);
+        tailNodes = tail.trim() ? insertRendered(tail) : [];
+
+        if (followBottom) scroller.scrollTop = scroller.scrollHeight;
+    };
+
+    const cancelScheduledFrame = () => {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    };
+
+    return {
+        target,
+
+        /**
+         * Schedules rendering of the latest text on the next animation frame.
+         * @param {string} text - The full text so far.
+         */
+        update(text) {
+            pendingText = text;
+            if (frameId !== null) return;
+            frameId = requestAnimationFrame(() => {
+                frameId = null;
+                render(pendingText, false);
+            });
+        },
+
+        /**
+         * Renders the final text immediately and cancels any scheduled frame.
+         * @param {string} text - The complete text.
+         */
+        finish(text) {
+            cancelScheduledFrame();
+            render(text, true);
+        },
+
+        /**
+         * Cancels any scheduled frame and replaces the rendered text with other markup, such as the
+         * error notice of a reply that failed.
+         * @param {string} html - The sanitized HTML to show instead.
+         */
+        replace(html) {
+            cancelScheduledFrame();
+            const followBottom = isScrolledToBottom(scroller);
+            target.innerHTML = html;
+            committedText = '';
+            tailNodes = [];
+            if (followBottom) scroller.scrollTop = scroller.scrollHeight;
+        },
+    };
+}
@@ -0,0 +1,515 @@
+// assets/modules/templates.js
+
+// Prompt library. A template is a named prompt with `{{variables}}`, which are filled in through
+// a small form before the prompt is used. Templates come from three places, listed in this order:
+//   - shared templates, published by owners and admins with the cloud settings (`settings.promptTemplates`);
+//   - personal templates, kept on this device;
+//   - the built-in starters.
+// Typing `/` at the start of the chat input opens a palette of all templates (the text after the
+// slash filters it), and the welcome screen's suggestion cards are the templates marked "Show on
+// the welcome screen".
+
+import { STATE } from './state.js';
+import * as UI from './ui.js';
+import * as Cloud from './cloud.js';
+import * as Storage from './storage.js';
+import * as Roles from './roles.js';
+import * as Security from './security.js';
+import { showToast, escapeHTML, truncateText } from './utils.js';
+
+const PERSONAL_TEMPLATES_KEY = 'javagoat_prompt_templates';
+const MAX_WELCOME_CARDS = 4;
+const MAX_NAME_LENGTH = 80;
+const MAX_TEMPLATE_LENGTH = 8000; // Same as the chat input
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const ICONS = {
+    layers: '<path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"></path>',
+    code: '<polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline>',
+    check: '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"></path>',
+    mail: '<path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path><polyline points="22,6 12,13 2,6"></polyline>',
+    note: '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="8" y1="13" x2="16" y2="13"></line><line x1="8" y1="17" x2="13" y2="17"></line>',
+};
+
+export const BUILT_IN_TEMPLATES = [
+    { id: 'builtin-explain', name: 'Explain a concept', text: 'Explain {{concept}} in simple terms.', icon: 'layers', featured: true },
+    { id: 'builtin-function', name: 'Write a function', text: 'Write a {{language}} function to {{task}}.', icon: 'code', featured: true },
+    { id: 'builtin-ideas', name: 'Creative business ideas', text: 'Generate 5 creative business ideas for {{theme}}.', icon: 'check', featured: true },
+    { id: 'builtin-email', name: 'Professional email', text: 'Draft a professional email for {{situation}}.', icon: 'mail', featured: true },
+];
+
+const SCOPE_LABELS = { shared: 'Shared', personal: 'Personal', 'built-in': 'Built-in' };
+
+let appElements; // Store references to common DOM elements
+let paletteMatches = []; // Templates listed in the palette
+let paletteIndex = 0; // Highlighted palette entry
+let paletteDismissedFor = null; // Input value the palette was closed for with Escape
+let formTemplate = null; // Template of the open variables form
+let editingTemplate = null; // Template being edited, or null for a new one
+
+/**
+ * Lists the variables of a template, each once, in order of appearance.
+ * @param {string} text - The template text.
+ * @returns {string[]} The variable names.
+ */
+export function extractVariables(text) {
+    return Array.from(new Set(Array.from(text.matchAll(VARIABLE_PATTERN), match => match[1])));
+}
+
+/**
+ * Replaces the variables of a template with their values. Variables without a value are left as they are.
+ * @param {string} text - The template text.
+ * @param {Object<string, string>} values - Variable name -> value.
+ * @returns {string} The prompt.
+ */
+export function fillTemplate(text, values) {
+    return text.replace(VARIABLE_PATTERN, (placeholder, name) => (values[name] ? values[name] : placeholder));
+}
+
+/**
+ * Checks and completes a stored template, dropping it if it has no usable name or text.
+ * @param {Object} template - The stored template.
+ * @returns {Object|null} `{ id, name, text, icon, featured }`, or null.
+ */
+function normalizeTemplate(template) {
+    const name = String(template?.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    const text = String(template?.text || '').trim().slice(0, MAX_TEMPLATE_LENGTH);
+    if (!name || !text) return null;
+    return {
+        id: String(template.id || crypto.randomUUID()),
+        name,
+        text,
+        icon: ICONS[template.icon] ? template.icon : 'note',
+        featured: !!template.featured,
+    };
+}
+
+/**
+ * Returns the shared templates from the cloud settings.
+ * The Realtime Database may hand arrays back as objects, so both are accepted.
+ * @returns {Object[]} The templates.
+ */
+export function getSharedTemplates() {
+    return Object.values(STATE.settings.promptTemplates || {}).map(normalizeTemplate).filter(Boolean);
+}
+
+/**
+ * Returns the personal templates saved on this device.
+ * @returns {Object[]} The templates.
+ */
+export function getPersonalTemplates() {
+    try {
+        const templates = JSON.parse(localStorage.getItem(PERSONAL_TEMPLATES_KEY) || '[]');
+        return Array.isArray(templates) ? templates.map(normalizeTemplate).filter(Boolean) : [];
+    } catch (e) {
+        log('warn', 'Ignoring unreadable personal templates:', e);
+        return [];
+    }
+}
+
+/**
+ * Lists every template: shared, then personal, then built-in.
+ * @returns {Object[]} The templates, each with its `scope`.
+ */
+export function listTemplates() {
+    return [
+        ...getSharedTemplates().map(template => ({ ...template, scope: 'shared' })),
+        ...getPersonalTemplates().map(template => ({ ...template, scope: 'personal' })),
+        ...BUILT_IN_TEMPLATES.map(template => ({ ...template, scope: 'built-in' })),
+    ];
+}
+
+/**
+ * Sets up event listeners for the slash palette, the welcome cards and the library modals.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    const libraryModal = elements.promptLibraryModal;
+    const formModal = elements.templateFormModal;
+
+    // Registered before the input's Enter-to-send handler in app.js, so the palette can take the key
+    elements.chatInput.addEventListener('keydown', handlePaletteKeydown);
+    elements.chatInput.addEventListener('input', updatePalette);
+    elements.chatInput.addEventListener('blur', () => hidePalette());
+    elements.commandPalette.addEventListener('mousedown', (e) => e.preventDefault()); // Keep the input focused
+    elements.commandPalette.addEventListener('click', (e) => {
+        const item = e.target.closest('.command-palette-item');
+        if (item) selectPaletteItem(Number(item.dataset.index));
+    });
+
+    elements.suggestionCardsGrid.addEventListener('click', (e) => {
+        const card = e.target.closest('.suggestion-card');
+        const template = card && listTemplates().find(t => t.id === card.dataset.templateId);
+        if (template) useTemplate(template);
+    });
+    renderSuggestionCards();
+
+    elements.promptLibraryBtn.addEventListener('click', () => openPromptLibrary());
+    libraryModal.querySelector('.close-modal-btn').addEventListener('click', () => UI.hideSettingsModal(libraryModal));
+    libraryModal.querySelector('#new-template-btn').addEventListener('click', () => showTemplateEditor(null));
+    libraryModal.querySelector('#template-editor-cancel-btn').addEventListener('click', showTemplateList);
+    libraryModal.querySelector('#template-editor-save-btn').addEventListener('click', saveTemplateFromEditor);
+    libraryModal.querySelector('#template-text-input').addEventListener('input', updateVariablesHint);
+
+    formModal.querySelector('.close-modal-btn').addEventListener('click', () => UI.hideSettingsModal(formModal));
+    formModal.querySelector('#template-form-insert-btn').addEventListener('click', () => submitTemplateForm(false));
+    formModal.querySelector('#template-form-send-btn').addEventListener('click', () => submitTemplateForm(true));
+    formModal.querySelector('#template-form-fields').addEventListener('input', updateFormPreview);
+    formModal.querySelector('#template-form-fields').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submitTemplateForm(true);
+        }
+    });
+}
+
+/**
+ * Renders the welcome screen's suggestion cards from the templates marked for it.
+ */
+export function renderSuggestionCards() {
+    if (!appElements) return;
+    const templates = listTemplates().filter(template => template.featured).slice(0, MAX_WELCOME_CARDS);
+    appElements.suggestionCardsGrid.innerHTML = templates.map(template => `
+        <div class="suggestion-card" data-template-id="${escapeHTML(template.id)}" title="${escapeHTML(template.text)}">
+            <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${ICONS[template.icon] || ICONS.note}</svg>
+            <span>${escapeHTML(template.name)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Uses a template: asks for its variables first, or puts it straight into the chat input.
+ * @param {Object} template - The template.
+ */
+export function useTemplate(template) {
+    if (extractVariables(template.text).length > 0) {
+        openTemplateForm(template);
+    } else {
+        insertPrompt(template.text);
+    }
+}
+
+/**
+ * Puts a prompt into the chat input, ready to be reviewed and sent.
+ * @param {string} prompt - The prompt.
+ */
+function insertPrompt(prompt) {
+    appElements.chatInput.value = prompt;
+    UI.autoResizeChatInput();
+    appElements.chatInput.focus();
+}
+
+// --- Slash palette ---
+
+/**
+ * Shows the palette while the input is a slash command (`/` followed by an optional filter).
+ */
+function updatePalette() {
+    const value = appElements.chatInput.value;
+    if (!value.startsWith('/') || value.includes('\n') || value === paletteDismissedFor) {
+        hidePalette();
+        return;
+    }
+    paletteDismissedFor = null;
+
+    const query = value.slice(1).trim().toLowerCase();
+    paletteMatches = listTemplates().filter(template => !query
+        || template.name.toLowerCase().includes(query)
+        || template.text.toLowerCase().includes(query));
+    paletteIndex = 0;
+    renderPalette();
+}
+
+/**
+ * Renders the palette entries; the last entry opens the library.
+ */
+function renderPalette() {
+    const palette = appElements.commandPalette;
+    palette.innerHTML = `
+        ${paletteMatches.length === 0 ? '<p class="command-palette-empty">No matching templates.</p>' : ''}
+        ${paletteMatches.map((template, index) => `
+        <div class="command-palette-item${index === paletteIndex ? ' active' : ''}" data-index="${index}" role="option" aria-selected="${index === paletteIndex}">
+            <span class="command-palette-name">/${escapeHTML(template.name)}</span>
+            <span class="command-palette-text">${escapeHTML(truncateText(template.text, 90))}</span>
+            ${template.scope !== 'built-in' ? `<span class="template-scope-badge">${SCOPE_LABELS[template.scope]}</span>` : ''}
+        </div>`).join('')}
+        <div class="command-palette-item command-palette-manage${paletteIndex === paletteMatches.length ? ' active' : ''}" data-index="${paletteMatches.length}" role="option">
+            <span class="command-palette-name">Manage prompt library…</span>
+        </div>
+    `;
+    palette.classList.remove('hidden');
+    palette.querySelector('.command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Hides the palette.
+ */
+function hidePalette() {
+    appElements.commandPalette.classList.add('hidden');
+    paletteMatches = [];
+}
+
+/**
+ * Handles arrow keys, Enter, Tab and Escape while the palette is open.
+ * @param {KeyboardEvent} e - The keydown event of the chat input.
+ */
+function handlePaletteKeydown(e) {
+    if (appElements.commandPalette.classList.contains('hidden')) return;
+    const entryCount = paletteMatches.length + 1; // Including "Manage prompt library…"
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + entryCount) % entryCount;
+        renderPalette();
+    } else if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+        selectPaletteItem(paletteIndex);
+    } else if (e.key === 'Escape') {
+        paletteDismissedFor = appElements.chatInput.value;
+        hidePalette();
+    } else {
+        return;
+    }
+    e.preventDefault();
+    e.stopImmediatePropagation();
+}
+
+/**
+ * Uses the palette entry at an index and clears the slash command from the input.
+ * @param {number} index - The entry's position.
+ */
+function selectPaletteItem(index) {
+    const template = paletteMatches[index];
+    appElements.chatInput.value = '';
+    UI.autoResizeChatInput();
+    hidePalette();
+    if (template) {
+        useTemplate(template);
+    } else {
+        openPromptLibrary();
+    }
+}
+
+// --- Variables form ---
+
+/**
+ * Opens the form for a template's variables.
+ * @param {Object} template - The template.
+ */
+function openTemplateForm(template) {
+    const modal = appElements.templateFormModal;
+    formTemplate = template;
+    modal.querySelector('#template-form-title').textContent = template.name;
+    modal.querySelector('#template-form-fields').innerHTML = extractVariables(template.text).map((name, index) => `
+        <div class="setting-item">
+            <label for="template-variable-${index}">${escapeHTML(name)}:</label>
+            <input type="text" id="template-variable-${index}" data-variable="${escapeHTML(name)}" maxlength="${MAX_TEMPLATE_LENGTH}">
+        </div>
+    `).join('');
+    updateFormPreview();
+    UI.showSettingsModal(modal);
+    modal.querySelector('#template-form-fields input')?.focus();
+}
+
+/**
+ * Reads the variable values of the form.
+ * @returns {Object<string, string>} Variable name -> trimmed value.
+ */
+function readFormValues() {
+    const values = {};
+    appElements.templateFormModal.querySelectorAll('#template-form-fields input').forEach(input => {
+        values[input.dataset.variable] = input.value.trim();
+    });
+    return values;
+}
+
+/**
+ * Shows the prompt as it will be sent.
+ */
+function updateFormPreview() {
+    appElements.templateFormModal.querySelector('#template-form-preview').textContent = fillTemplate(formTemplate.text, readFormValues());
+}
+
+/**
+ * Fills in the template and inserts or sends the prompt.
+ * @param {boolean} send - Send the prompt instead of only inserting it.
+ */
+function submitTemplateForm(send) {
+    const values = readFormValues();
+    const missing = Object.keys(values).filter(name => !values[name]);
+    if (missing.length > 0) {
+        showToast('warning', `Please fill in: ${missing.join(', ')}.`);
+        return;
+    }
+    UI.hideSettingsModal(appElements.templateFormModal);
+    insertPrompt(fillTemplate(formTemplate.text, values));
+    if (send) appElements.sendBtn.click();
+}
+
+// --- Library ---
+
+/**
+ * Opens the prompt library on its list.
+ */
+export function openPromptLibrary() {
+    showTemplateList();
+    UI.showSettingsModal(appElements.promptLibraryModal);
+}
+
+/**
+ * Checks whether a template can be changed by the current user.
+ * @param {Object} template - A template from listTemplates.
+ * @returns {boolean} True for personal templates, and shared ones for owners and admins.
+ */
+function canEditTemplate(template) {
+    return template.scope === 'personal' || (template.scope === 'shared' && Roles.can('editGlobalSettings'));
+}
+
+/**
+ * Shows the library's list of templates.
+ */
+function showTemplateList() {
+    const modal = appElements.promptLibraryModal;
+    const list = modal.querySelector('#template-list');
+    const templates = listTemplates();
+
+    modal.querySelector('#template-editor').classList.add('hidden');
+    modal.querySelector('#template-list-view').classList.remove('hidden');
+    list.innerHTML = templates.map((template, index) => `
+        <div class="template-item" data-index="${index}">
+            <div class="template-item-main">
+                <span class="template-item-name">${escapeHTML(template.name)}</span>
+                <span class="template-scope-badge">${SCOPE_LABELS[template.scope]}</span>
+                ${template.featured ? '<span class="template-scope-badge" title="Shown on the welcome screen">Welcome</span>' : ''}
+                <p class="template-item-text">${escapeHTML(truncateText(template.text, 160))}</p>
+            </div>
+            <div class="template-item-actions">
+                <button class="action-btn secondary-btn template-use-btn">Use</button>
+                ${canEditTemplate(template) ? `
+                <button class="action-btn secondary-btn template-edit-btn">Edit</button>
+                <button class="action-btn secondary-btn danger-btn template-delete-btn">Delete</button>` : ''}
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.template-item').forEach(item => {
+        const template = templates[Number(item.dataset.index)];
+        item.querySelector('.template-use-btn').addEventListener('click', () => {
+            UI.hideSettingsModal(modal);
+            useTemplate(template);
+        });
+        item.querySelector('.template-edit-btn')?.addEventListener('click', () => showTemplateEditor(template));
+        item.querySelector('.template-delete-btn')?.addEventListener('click', () => {
+            UI.showConfirmationModal(
+                'Delete Template',
+                `Delete the template "${template.name}"?${template.scope === 'shared' ? ' It is removed for everyone.' : ''}`,
+                () => deleteTemplate(template),
+            );
+        });
+    });
+}
+
+/**
+ * Shows the editor for a template.
+ * @param {Object|null} template - The template to edit, or null for a new one.
+ */
+function showTemplateEditor(template) {
+    const modal = appElements.promptLibraryModal;
+    const scopeSelect = modal.querySelector('#template-scope-select');
+    editingTemplate = template;
+
+    modal.querySelector('#template-list-view').classList.add('hidden');
+    modal.querySelector('#template-editor').classList.remove('hidden');
+    modal.querySelector('#template-name-input').value = template?.name || '';
+    modal.querySelector('#template-text-input').value = template?.text || '';
+    modal.querySelector('#template-featured-checkbox').checked = !!template?.featured;
+    scopeSelect.value = template?.scope || 'personal';
+    // Only owners and admins publish templates; the scope of an existing template stays as it is
+    scopeSelect.disabled = !!template || !Roles.can('editGlobalSettings');
+    updateVariablesHint();
+    modal.querySelector('#template-name-input').focus();
+}
+
+/**
+ * Lists the variables found in the editor's text.
+ */
+function updateVariablesHint() {
+    const modal = appElements.promptLibraryModal;
+    const variables = extractVariables(modal.querySelector('#template-text-input').value);
+    modal.querySelector('#template-variables-hint').textContent = variables.length > 0
+        ? `Asks for: ${variables.join(', ')}`
+        : 'Write {{name}} for each part to fill in when the template is used.';
+}
+
+/**
+ * Saves the template in the editor.
+ */
+async function saveTemplateFromEditor() {
+    const modal = appElements.promptLibraryModal;
+    const template = normalizeTemplate({
+        id: editingTemplate?.id,
+        name: modal.querySelector('#template-name-input').value,
+        text: modal.querySelector('#template-text-input').value,
+        icon: editingTemplate?.icon,
+        featured: modal.querySelector('#template-featured-checkbox').checked,
+    });
+    if (!template) {
+        showToast('warning', 'Please enter a name and a prompt.');
+        return;
+    }
+
+    const scope = modal.querySelector('#template-scope-select').value;
+    const replace = (templates) => editingTemplate
+        ? templates.map(existing => (existing.id === template.id ? template : existing))
+        : [...templates, template];
+    if (scope === 'shared') {
+        if (!await saveSharedTemplates(replace(getSharedTemplates()))) return;
+    } else {
+        savePersonalTemplates(replace(getPersonalTemplates()));
+        showToast('success', 'Template saved.');
+    }
+    renderSuggestionCards();
+    showTemplateList();
+}
+
+/**
+ * Deletes a template.
+ * @param {Object} template - A template from listTemplates.
+ */
+async function deleteTemplate(template) {
+    if (template.scope === 'shared') {
+        if (!await saveSharedTemplates(getSharedTemplates().filter(t => t.id !== template.id))) return;
+    } else {
+        savePersonalTemplates(getPersonalTemplates().filter(t => t.id !== template.id));
+        showToast('success', 'Template deleted.');
+    }
+    renderSuggestionCards();
+    showTemplateList();
+}
+
+/**
+ * Saves the personal templates on this device.
+ * @param {Object[]} templates - The templates.
+ */
+function savePersonalTemplates(templates) {
+    localStorage.setItem(PERSONAL_TEMPLATES_KEY, JSON.stringify(templates));
+}
+
+/**
+ * Publishes the shared templates with the cloud settings. Owners and admins only.
+ * @param {Object[]} templates - The templates.
+ * @returns {Promise<boolean>} True if the templates were saved.
+ */
+async function saveSharedTemplates(templates) {
+    if (!Roles.can('editGlobalSettings')) {
+        showToast('error', 'Only owners and admins can change shared templates.');
+        return false;
+    }
+    if (!Security.verifyCsrfToken('save_prompt_templates')) {
+        showToast('error', 'Security error: CSRF token mismatch. Please refresh and try again.');
+        return false;
+    }
+    STATE.settings.promptTemplates = templates;
+    await Cloud.saveCloudSettings(); // Shows its own success or error toast
+    Storage.saveLocalSettings();
+    return true;
+}
@@ -0,0 +1,417 @@
+// assets/modules/tools.js
+
+// Built-in tools the chat model can call (OpenAI-style function calling). chat.js sends the
+// definitions with each request, runs the calls the model makes and sends the results back
+// until the model answers in text. The calls and their results are kept on the AI message as
+// `toolCalls: [{ id, name, arguments, result, isError, round }]` and shown as cards above it.
+//
+// Tools run in the browser and only see what the user could see: the calculator parses its
+// expression itself (no eval), JavaScript runs in a throwaway Web Worker inside a sandboxed
+// iframe whose CSP blocks every connection and script load (eval-sandbox.html, eval-worker.js),
+// and the conversation search reads the local search index.
+
+import { STATE } from './state.js';
+import * as Models from './models.js';
+import * as Search from './search.js';
+import { showToast, truncateText } from './utils.js';
+
+const TOOLS_ENABLED_KEY = 'javagoat_tools_enabled';
+const MAX_RESULT_LENGTH = 4000; // Characters of a tool result sent back to the model
+const JAVASCRIPT_TIMEOUT_MS = 5000;
+const SANDBOX_URL = new URL('../eval-sandbox.html', import.meta.url);
+const EVAL_WORKER_URL = new URL('./eval-worker.js', import.meta.url);
+const SEARCH_DEFAULT_LIMIT = 5;
+const SEARCH_MAX_LIMIT = 10;
+
+const MATH_FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    log: Math.log10, ln: Math.log, log2: Math.log2, exp: Math.exp, min: Math.min, max: Math.max, pow: Math.pow,
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+let appElements; // Store references to common DOM elements
+let evalWorkerSourcePromise = null;
+
+/**
+ * Splits an arithmetic expression into tokens.
+ * @param {string} expression - The expression.
+ * @returns {{type: string, value: (string|number)}[]} The tokens.
+ * @throws {Error} On characters that are not part of an expression.
+ */
+function tokenizeExpression(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+    let index = 0;
+    while (index < expression.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(expression);
+        if (!match) {
+            if (!expression.slice(index).trim()) break;
+            throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}" in the expression.`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        else tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Evaluates an arithmetic expression: numbers, + - * / % ^ (or **), parentheses, the constants
+ * `pi` and `e` and the functions in MATH_FUNCTIONS. `log` is base 10, `ln` the natural logarithm.
+ * @param {string} expression - The expression, e.g. `sqrt(2) * (3 + 4)^2`.
+ * @returns {number} The result.
+ * @throws {Error} If the expression is invalid or the result is not a finite number.
+ */
+export function evaluateExpression(expression) {
+    const tokens = tokenizeExpression(String(expression || ''));
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) throw new Error(`Expected "${value}" in the expression.`);
+        position++;
+    };
+
+    // Grammar, lowest precedence first: sum -> product -> unary -> power -> primary
+    const parseSum = () => {
+        let value = parseProduct();
+        while (isOperator('+') || isOperator('-')) {
+            const operator = tokens[position++].value;
+            const right = parseProduct();
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    };
+    const parseProduct = () => {
+        let value = parseUnary();
+        while (isOperator('*') || isOperator('/') || isOperator('%')) {
+            const operator = tokens[position++].value;
+            const right = parseUnary();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+    const parseUnary = () => {
+        if (isOperator('-')) {
+            position++;
+            return -parseUnary();
+        }
+        if (isOperator('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (!isOperator('^')) return base;
+        position++;
+        return Math.pow(base, parseUnary()); // Right-associative: 2^3^2 = 2^9
+    };
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('The expression ends unexpectedly.');
+        if (token.type === 'number') return token.value;
+        if (token.type === 'operator' && token.value === '(') {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (Object.prototype.hasOwnProperty.call(MATH_CONSTANTS, token.value)) return MATH_CONSTANTS[token.value];
+            if (!Object.prototype.hasOwnProperty.call(MATH_FUNCTIONS, token.value)) {
+                throw new Error(`Unknown name "${token.value}". Known functions: ${Object.keys(MATH_FUNCTIONS).join(', ')}.`);
+            }
+            expect('(');
+            const args = [parseSum()];
+            while (isOperator(',')) {
+                position++;
+                args.push(parseSum());
+            }
+            expect(')');
+            return MATH_FUNCTIONS[token.value](...args);
+        }
+        throw new Error(`Unexpected "${token.value}" in the expression.`);
+    };
+
+    if (tokens.length === 0) throw new Error('The expression is empty.');
+    const result = parseSum();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}" in the expression.`);
+    if (!Number.isFinite(result)) throw new Error('The result is not a finite number.');
+    return Number(result.toPrecision(15)); // Hide floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+}
+
+/**
+ * Loads the source of the sandbox worker once. The sandbox cannot load it itself, since its CSP
+ * allows no connections.
+ * @returns {Promise<string>} The source of eval-worker.js.
+ * @throws {Error} If the file cannot be loaded.
+ */
+function loadEvalWorkerSource() {
+    if (!evalWorkerSourcePromise) {
+        evalWorkerSourcePromise = fetch(EVAL_WORKER_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`The JavaScript sandbox could not be loaded (status ${response.status}).`);
+                return response.text();
+            })
+            .catch(error => {
+                evalWorkerSourcePromise = null; // Allow a retry
+                throw error;
+            });
+    }
+    return evalWorkerSourcePromise;
+}
+
+/**
+ * Runs JavaScript in a fresh Web Worker inside a sandboxed iframe (see eval-sandbox.html).
+ * @param {string} code - The code; the value of its last expression is the result.
+ * @param {Object} [options] - Options.
+ * @param {AbortSignal} [options.signal] - Stops the worker when aborted.
+ * @returns {Promise<{result: string, console?: string[]}>} The result and any console output.
+ * @throws {Error} If the code throws, runs too long or the run is aborted.
+ */
+async function runJavaScript(code, { signal } = {}) {
+    const workerSource = await loadEvalWorkerSource();
+    return new Promise((resolve, reject) => {
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts'); // Without allow-same-origin: no access to the app
+        iframe.hidden = true;
+        iframe.src = SANDBOX_URL.href;
+        let timer;
+        const onAbort = () => finish(() => reject(new DOMException('The run was stopped.', 'AbortError')));
+        const onMessage = ({ data, source }) => {
+            if (source !== iframe.contentWindow) return;
+            finish(() => {
+                const output = data.logs?.length ? { console: data.logs } : {};
+                if (data.error) {
+                    reject(new Error(`${data.error}${data.logs?.length ? `\nConsole output:\n${data.logs.join('\n')}` : ''}`));
+                } else {
+                    resolve({ result: data.result, ...output });
+                }
+            });
+        };
+        const finish = (settle) => {
+            clearTimeout(timer);
+            window.removeEventListener('message', onMessage);
+            signal?.removeEventListener('abort', onAbort);
+            iframe.remove(); // Stops the worker
+            settle();
+        };
+
+        timer = setTimeout(() => {
+            finish(() => reject(new Error(`The code did not finish within ${JAVASCRIPT_TIMEOUT_MS / 1000} seconds.`)));
+        }, JAVASCRIPT_TIMEOUT_MS);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        window.addEventListener('message', onMessage);
+        iframe.addEventListener('load', () => {
+            iframe.contentWindow.postMessage({ workerSource, code: String(code || '') }, '*');
+        }, { once: true });
+        document.body.appendChild(iframe);
+    });
+}
+
+/**
+ * Describes the current date and time.
+ * @param {string} [timeZone] - An IANA time zone such as `Europe/Berlin`; defaults to the user's.
+ * @returns {Object} The date and time in several forms.
+ * @throws {RangeError} If the time zone is unknown.
+ */
+function getCurrentTime(timeZone) {
+    const now = new Date();
+    const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return {
+        iso: now.toISOString(),
+        local: now.toLocaleString('en-US', { timeZone: zone, dateStyle: 'full', timeStyle: 'long' }),
+        timeZone: zone,
+        unixTimestamp: Math.floor(now.getTime() / 1000),
+    };
+}
+
+/**
+ * Searches the user's conversations with the local search index.
+ * @param {string} query - The query (search.js syntax).
+ * @param {number} [limit] - Largest number of results.
+ * @returns {Object[]} `{ conversation, date, from, text }` for each matching message.
+ */
+function searchConversations(query, limit = SEARCH_DEFAULT_LIMIT) {
+    const count = Math.min(SEARCH_MAX_LIMIT, Math.max(1, Math.floor(Number(limit)) || SEARCH_DEFAULT_LIMIT));
+    return Search.searchMessages(query).slice(0, count).map(hit => {
+        const conversation = STATE.conversations.find(c => c.id === hit.conversationId);
+        return {
+            conversation: conversation?.title || 'Untitled',
+            date: conversation?.lastUpdated ? new Date(conversation.lastUpdated).toISOString().slice(0, 10) : null,
+            from: hit.role === 'ai' ? 'assistant' : hit.role,
+            text: `${hit.snippet.before}${hit.snippet.match}${hit.snippet.after}`,
+        };
+    });
+}
+
+// Name -> { label, description, parameters, summarize(args), run(args, { signal }) }
+const TOOLS = {
+    calculator: {
+        label: 'Calculator',
+        description: 'Evaluates an arithmetic expression exactly. Use it for any calculation instead of doing the math yourself. '
+            + 'Supports + - * / % ^, parentheses, pi, e and the functions ' + Object.keys(MATH_FUNCTIONS).join(', ') + ' (log is base 10, ln is natural).',
+        parameters: {
+            type: 'object',
+            properties: { expression: { type: 'string', description: 'The expression, e.g. "(3.5 + 4) * 2^10".' } },
+            required: ['expression'],
+        },
+        summarize: (args) => args.expression,
+        run: (args) => String(evaluateExpression(args.expression)),
+    },
+    get_current_time: {
+        label: 'Date & time',
+        description: 'Returns the current date and time, in the user\'s time zone or a given one.',
+        parameters: {
+            type: 'object',
+            properties: { timeZone: { type: 'string', description: 'Optional IANA time zone, e.g. "America/New_York".' } },
+        },
+        summarize: (args) => args.timeZone || 'local time',
+        run: (args) => getCurrentTime(args.timeZone),
+    },
+    run_javascript: {
+        label: 'JavaScript',
+        description: 'Runs JavaScript in a sandbox without network access and returns the value of the last expression and any console output. '
+            + `Use it for data processing, string manipulation or checking code. Runs are limited to ${JAVASCRIPT_TIMEOUT_MS / 1000} seconds; `
+            + 'wrap code that needs await in an async function and end with a call to it.',
+        parameters: {
+            type: 'object',
+            properties: { code: { type: 'string', description: 'The code to run.' } },
+            required: ['code'],
+        },
+        summarize: (args) => String(args.code || '').split('\n')[0],
+        run: (args, { signal }) => runJavaScript(args.code, { signal }),
+    },
+    search_conversations: {
+        label: 'Conversation search',
+        description: 'Searches the user\'s earlier conversations with this assistant. Use it when the user refers to something discussed before. '
+            + 'Every word must appear; use "quotes" for exact phrases and a trailing * for prefixes.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'The search words.' },
+                limit: { type: 'integer', description: `Maximum number of results (1-${SEARCH_MAX_LIMIT}, default ${SEARCH_DEFAULT_LIMIT}).` },
+            },
+            required: ['query'],
+        },
+        summarize: (args) => args.query,
+        run: (args) => searchConversations(args.query, args.limit),
+    },
+};
+
+/**
+ * Checks whether the user has tool use switched on (it is on unless switched off on this device).
+ * @returns {boolean} True if tools are offered to the model.
+ */
+export function isToolUseEnabled() {
+    return localStorage.getItem(TOOLS_ENABLED_KEY) !== 'false';
+}
+
+/**
+ * Returns the tool definitions to send with a chat request.
+ * @param {string} modelId - The model the request is for.
+ * @returns {Object[]} OpenAI-style function definitions; empty when tool use is off or the catalog says the model cannot call tools.
+ */
+export function getToolDefinitions(modelId) {
+    if (!isToolUseEnabled() || Models.supportsTools(modelId) === false) return [];
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+        type: 'function',
+        function: { name, description: tool.description, parameters: tool.parameters },
+    }));
+}
+
+/**
+ * Parses the JSON arguments of a tool call.
+ * @param {string} text - The arguments as sent by the model.
+ * @returns {Object} The arguments.
+ * @throws {Error} If they are not a JSON object.
+ */
+function parseArguments(text) {
+    let args;
+    try {
+        args = JSON.parse(text || '{}');
+    } catch (e) {
+        throw new Error('The arguments are not valid JSON.');
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        throw new Error('The arguments must be a JSON object.');
+    }
+    return args;
+}
+
+/**
+ * Returns the display name of a tool.
+ * @param {string} name - The tool's function name.
+ * @returns {string} The label, or the name for tools this version does not know.
+ */
+export function getToolLabel(name) {
+    return Object.prototype.hasOwnProperty.call(TOOLS, name) ? TOOLS[name].label : name;
+}
+
+/**
+ * Summarizes a tool call's input in one line for its card, e.g. the calculator's expression.
+ * @param {{name: string, arguments: string}} call - The tool call.
+ * @returns {string} The summary, or an empty string.
+ */
+export function summarizeToolCall(call) {
+    try {
+        const tool = Object.prototype.hasOwnProperty.call(TOOLS, call.name) ? TOOLS[call.name] : null;
+        return tool ? truncateText(String(tool.summarize(parseArguments(call.arguments)) || ''), 80) : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Runs a tool call. Failures are returned rather than thrown, so the model can read them and
+ * try again; only an abort is thrown.
+ * @param {{name: string, arguments: string}} call - The tool call.
+ * @param {Object} [options] - Options.
+ * @param {AbortSignal} [options.signal] - Abort signal for cancellation.
+ * @returns {Promise<{result: string, isError: boolean}>} The result text for the model.
+ */
+export async function runToolCall(call, { signal } = {}) {
+    try {
+        if (!Object.prototype.hasOwnProperty.call(TOOLS, call.name)) {
+            throw new Error(`There is no tool named "${call.name}".`);
+        }
+        const output = await TOOLS[call.name].run(parseArguments(call.arguments), { signal });
+        const text = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+        log('info', `Tool ${call.name} finished.`);
+        return { result: truncateText(text, MAX_RESULT_LENGTH), isError: false };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        log('warn', `Tool ${call.name} failed:`, error);
+        return { result: `Error: ${error.message}`, isError: true };
+    }
+}
+
+/**
+ * Sets up the composer's tool use toggle.
+ * @param {Object} elements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(elements) {
+    appElements = elements;
+    elements.toolsBtn.addEventListener('click', () => {
+        const enabled = !isToolUseEnabled();
+        localStorage.setItem(TOOLS_ENABLED_KEY, String(enabled));
+        updateToolsButton();
+        showToast('info', enabled ? 'Tools on: the model can calculate, check the time, run JavaScript and search your chats.' : 'Tools off.');
+    });
+    updateToolsButton();
+}
+
+/**
+ * Shows whether tool use is on in the composer.
+ */
+export function updateToolsButton() {
+    if (!appElements) return;
+    const enabled = isToolUseEnabled();
+    appElements.toolsBtn.classList.toggle('active', enabled);
+    appElements.toolsBtn.setAttribute('aria-pressed', String(enabled));
+    appElements.toolsBtn.title = enabled ? 'Tools are on (calculator, date & time, JavaScript, chat search)' : 'Tools are off';
+}
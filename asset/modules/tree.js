@@ -0,0 +1,188 @@
+// assets/modules/tree.js
+
+// Conversations are stored as a tree of messages so that editing an earlier prompt or
+// regenerating an answer creates a new branch instead of overwriting history.
+// Every message keeps `parentId` (null for the first turn) and `childIds`; each parent
+// remembers the branch last shown in `activeChildId`, and the conversation points at the
+// end of the displayed branch with `currentLeafId`.
+//
+// `schemaVersion` 2 introduced the tree; since version 3 prompts and titles are stored as typed
+// instead of HTML-escaped.
+
+import { decodeHTMLEntities } from './utils.js';
+
+export const TREE_SCHEMA_VERSION = 3;
+
+/**
+ * Returns the child IDs of a message.
+ * The Realtime Database drops empty arrays, so a missing `childIds` means no children.
+ * @param {Object} message - The message node.
+ * @returns {string[]} The child message IDs.
+ */
+function getChildIds(message) {
+    return message.childIds || [];
+}
+
+/**
+ * Upgrades a conversation saved by an older version: flat message lists become a linear tree,
+ * and HTML-escaped prompts and titles are decoded. Current conversations are left untouched.
+ * @param {Object} conversation - The conversation to migrate (modified in place).
+ * @returns {boolean} True if the conversation was migrated.
+ */
+export function migrateConversation(conversation) {
+    const version = conversation.schemaVersion || 1;
+    if (version >= TREE_SCHEMA_VERSION) return false;
+
+    const messages = conversation.messages || [];
+    if (version < 2) {
+        messages.forEach((message, index) => {
+            const next = messages[index + 1];
+            message.parentId = index > 0 ? messages[index - 1].id : null;
+            message.childIds = next ? [next.id] : [];
+            message.activeChildId = next ? next.id : null;
+        });
+        conversation.currentLeafId = messages.length > 0 ? messages[messages.length - 1].id : null;
+    }
+    if (version < 3) {
+        messages.forEach(message => {
+            if (message.role === 'user' && typeof message.content === 'string') message.content = decodeHTMLEntities(message.content);
+            if (typeof message.prompt === 'string') message.prompt = decodeHTMLEntities(message.prompt);
+        });
+        if (typeof conversation.title === 'string') conversation.title = decodeHTMLEntities(conversation.title);
+    }
+    conversation.messages = messages;
+    conversation.schemaVersion = TREE_SCHEMA_VERSION;
+    return true;
+}
+
+/**
+ * Finds a message in a conversation by ID.
+ * @param {Object} conversation - The conversation to search.
+ * @param {string} messageId - The message ID.
+ * @returns {Object|undefined} The message, if found.
+ */
+export function getMessage(conversation, messageId) {
+    return conversation.messages.find(m => m.id === messageId);
+}
+
+/**
+ * Returns the messages that share a parent with the given message, in creation order.
+ * @param {Object} conversation - The conversation.
+ * @param {string} messageId - The message whose siblings to list (the message itself is included).
+ * @returns {Object[]} The sibling messages.
+ */
+export function getSiblings(conversation, messageId) {
+    const message = getMessage(conversation, messageId);
+    if (!message) return [];
+
+    const parentId = message.parentId ?? null;
+    if (parentId === null) {
+        return conversation.messages.filter(m => (m.parentId ?? null) === null);
+    }
+    const parent = getMessage(conversation, parentId);
+    return parent ? getChildIds(parent).map(id => getMessage(conversation, id)).filter(Boolean) : [message];
+}
+
+/**
+ * Follows the remembered branch from a message down to its last descendant.
+ * @param {Object} conversation - The conversation.
+ * @param {string} messageId - The message to start from.
+ * @returns {string} The ID of the leaf message.
+ */
+export function getBranchLeafId(conversation, messageId) {
+    let current = getMessage(conversation, messageId);
+    while (current && getChildIds(current).length > 0) {
+        const childIds = getChildIds(current);
+        const nextId = childIds.includes(current.activeChildId) ? current.activeChildId : childIds[childIds.length - 1];
+        const next = getMessage(conversation, nextId);
+        if (!next) break;
+        current = next;
+    }
+    return current ? current.id : messageId;
+}
+
+/**
+ * Returns the messages on the currently displayed branch, from the first turn to the leaf.
+ * @param {Object} conversation - The conversation.
+ * @returns {Object[]} The active path.
+ */
+export function getActivePath(conversation) {
+    if (!conversation || conversation.messages.length === 0) return [];
+
+    let leaf = conversation.currentLeafId ? getMessage(conversation, conversation.currentLeafId) : null;
+    if (!leaf) {
+        // Recover from a dangling pointer by showing the newest root's branch
+        const roots = conversation.messages.filter(m => (m.parentId ?? null) === null);
+        if (roots.length === 0) return [];
+        leaf = getMessage(conversation, getBranchLeafId(conversation, roots[roots.length - 1].id));
+    }
+
+    const path = [];
+    const visited = new Set();
+    let current = leaf;
+    while (current && !visited.has(current.id)) {
+        visited.add(current.id);
+        path.unshift(current);
+        current = current.parentId ? getMessage(conversation, current.parentId) : null;
+    }
+    return path;
+}
+
+/**
+ * Adds a message to the tree and makes it the end of the displayed branch.
+ * @param {Object} conversation - The conversation (modified in place).
+ * @param {Object} message - The message to add (modified in place).
+ * @param {string|null} [parentId=conversation.currentLeafId] - Parent message ID, or null to start a new first turn.
+ */
+export function addMessage(conversation, message, parentId = conversation.currentLeafId ?? null) {
+    const parent = parentId ? getMessage(conversation, parentId) : null;
+
+    message.parentId = parent ? parent.id : null;
+    message.childIds = [];
+    message.activeChildId = null;
+    if (parent) {
+        parent.childIds = [...getChildIds(parent), message.id];
+        parent.activeChildId = message.id;
+    }
+
+    conversation.messages.push(message);
+    conversation.currentLeafId = message.id;
+    conversation.schemaVersion = TREE_SCHEMA_VERSION;
+}
+
+/**
+ * Makes the branch ending at (or passing through) a message the displayed one.
+ * @param {Object} conversation - The conversation (modified in place).
+ * @param {string} messageId - The message to display; its remembered descendants are shown too.
+ */
+export function selectBranch(conversation, messageId) {
+    const message = getMessage(conversation, messageId);
+    if (!message) return;
+
+    // Remember the choice on every ancestor so the path is restored when switching back
+    let child = message;
+    let parent = child.parentId ? getMessage(conversation, child.parentId) : null;
+    while (parent) {
+        parent.activeChildId = child.id;
+        child = parent;
+        parent = child.parentId ? getMessage(conversation, child.parentId) : null;
+    }
+    conversation.currentLeafId = getBranchLeafId(conversation, messageId);
+}
+
+/**
+ * Switches to the previous or next sibling version of a message.
+ * @param {Object} conversation - The conversation (modified in place).
+ * @param {string} messageId - The message currently shown.
+ * @param {number} offset - -1 for the previous version, 1 for the next one.
+ * @returns {boolean} True if the displayed branch changed.
+ */
+export function switchSibling(conversation, messageId, offset) {
+    const siblings = getSiblings(conversation, messageId);
+    const index = siblings.findIndex(m => m.id === messageId);
+    const target = siblings[index + offset];
+    if (index === -1 || !target) return false;
+
+    selectBranch(conversation, target.id);
+    return true;
+}
@@ -4,9 +4,28 @@ import { STATE, APP_CONSTANTS } from './state.js';
 import * as Chat from './chat.js';
 import * as Auth from './auth.js';
 import * as Storage from './storage.js';
-import { escapeHTML, truncateText, formatDate } from './utils.js';
+import * as Tree from './tree.js';
+import * as Models from './models.js';
+import * as Overrides from './overrides.js';
+import * as Search from './search.js';
+import * as Archive from './archive.js';
+import * as Security from './security.js';
+import * as Roles from './roles.js';
+import * as Sanitize from './sanitize.js';
+import * as StreamRenderer from './stream-renderer.js';
+import * as Attachments from './attachments.js';
+import * as ImageGen from './image.js';
+import * as ImageStore from './image-store.js';
+import * as ImageEdit from './image-edit.js';
+import * as Templates from './templates.js';
+import * as Personas from './personas.js';
+import * as Tools from './tools.js';
+import { escapeHTML, truncateText, formatDate, showToast } from './utils.js';
+
+const TOOL_STATUS_LABELS = { running: 'Running…', done: 'Done', error: 'Failed' };
 
 let appElements; // Store references to common DOM elements
+const streamRenderers = new Map(); // Message ID -> renderer of a reply being streamed
 
 /**
  * Sets up event listeners for general UI interactions.
@@ -21,6 +40,18 @@ export function setupEventListeners(elements) {
     appElements.menuToggleBtn.addEventListener('click', toggleSidebar);
     appElements.sidebarOverlay.addEventListener('click', toggleSidebar);
 
+    appElements.modelBadge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleModelMenu();
+    });
+    document.addEventListener('click', (e) => {
+        if (!appElements.modelMenu.contains(e.target)) toggleModelMenu(false);
+        if (!e.target.closest('.conversation-menu')) closeConversationMenus();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleModelMenu(false);
+    });
+
     // Initial render of conversation history
     renderConversationHistory(appElements.conversationHistory);
 }
@@ -82,11 +113,14 @@ export function updateUserProfile(elements) {
 }
 
 /**
- * Updates the admin badge visibility.
+ * Updates the role badge (shown for owners and admins) and the sidebar controls that depend on the role.
  * @param {Object} elements - DOM elements object.
  */
 export function updateAdminBadge(elements) {
-    elements.adminBadge.classList.toggle('hidden', !STATE.auth.isAdmin);
+    const role = Roles.getCurrentRole();
+    elements.adminBadge.textContent = Roles.ROLE_LABELS[role];
+    elements.adminBadge.classList.toggle('hidden', role !== 'owner' && role !== 'admin');
+    elements.clearAllChatsBtn.classList.toggle('hidden', !Roles.can('clearChats'));
 }
 
 /**
@@ -100,12 +134,17 @@ export function toggleSidebar() {
 
 /**
  * Renders the conversation history in the sidebar.
+ * With a search term, message matches are listed first and conversations are filtered by title.
  * @param {HTMLElement} container - The container element for conversation history.
  * @param {string} [searchTerm=''] - Optional search term to filter conversations.
  */
 export function renderConversationHistory(container, searchTerm = '') {
     container.innerHTML = ''; // Clear existing history
 
+    if (searchTerm.trim()) {
+        renderSearchResults(container, searchTerm);
+    }
+
     const filteredConversations = STATE.conversations.filter(conv =>
         conv.title.toLowerCase().includes(searchTerm.toLowerCase())
     );
@@ -141,16 +180,36 @@ export function renderConversationHistory(container, searchTerm = '') {
                 convItem.dataset.id = conv.id;
                 convItem.innerHTML = `
                     <span class="conversation-item-title">${escapeHTML(conv.title)}</span>
+                    <button class="conversation-menu-btn" title="More Actions">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="1"></circle><circle cx="19" cy="12" r="1"></circle><circle cx="5" cy="12" r="1"></circle></svg>
+                    </button>
+                    <div class="conversation-menu hidden">
+                        ${Object.entries(Archive.EXPORT_FORMATS).map(([format, { label }]) => `<button class="conversation-menu-item" data-format="${format}">Export as ${label}</button>`).join('')}
+                    </div>
                     <button class="delete-conversation-btn" title="Delete Conversation" data-id="${conv.id}">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>
                     </button>
                 `;
                 convItem.addEventListener('click', (e) => {
-                    if (!e.target.closest('.delete-conversation-btn')) {
+                    if (!e.target.closest('.delete-conversation-btn, .conversation-menu-btn, .conversation-menu')) {
                         Chat.loadConversation(conv.id);
                         toggleSidebar(); // Close sidebar on mobile after selection
                     }
                 });
+                convItem.querySelector('.conversation-menu-btn').addEventListener('click', (e) => {
+                    e.stopPropagation(); // Keep the document handler from closing the menu right away
+                    const menu = convItem.querySelector('.conversation-menu');
+                    const wasHidden = menu.classList.contains('hidden');
+                    closeConversationMenus();
+                    menu.classList.toggle('hidden', !wasHidden);
+                    convItem.classList.toggle('menu-open', wasHidden);
+                });
+                convItem.querySelectorAll('.conversation-menu-item').forEach(item => {
+                    item.addEventListener('click', () => {
+                        closeConversationMenus();
+                        Archive.exportConversations([conv], item.dataset.format);
+                    });
+                });
                 convItem.querySelector('.delete-conversation-btn').addEventListener('click', (e) => {
                     e.stopPropagation(); // Prevent conversation click event
                     const idToDelete = e.currentTarget.dataset.id;
@@ -174,6 +233,85 @@ export function renderConversationHistory(container, searchTerm = '') {
     log('info', 'Conversation history rendered.');
 }
 
+/**
+ * Closes every open conversation menu in the sidebar.
+ */
+function closeConversationMenus() {
+    appElements.conversationHistory.querySelectorAll('.conversation-menu').forEach(menu => menu.classList.add('hidden'));
+    appElements.conversationHistory.querySelectorAll('.conversation-item.menu-open').forEach(item => item.classList.remove('menu-open'));
+}
+
+/**
+ * Renders full-text message matches for a search query, grouped by conversation.
+ * @param {HTMLElement} container - The sidebar history container.
+ * @param {string} searchTerm - The search query.
+ */
+function renderSearchResults(container, searchTerm) {
+    const results = Search.searchMessages(searchTerm);
+    const groupHeader = document.createElement('h4');
+    groupHeader.textContent = results.length > 0 ? `Messages (${results.length})` : 'Messages: no matches';
+    container.appendChild(groupHeader);
+
+    results.forEach(result => {
+        const conversation = STATE.conversations.find(c => c.id === result.conversationId);
+        if (!conversation) return;
+
+        const resultItem = document.createElement('div');
+        resultItem.classList.add('search-result');
+        resultItem.innerHTML = `
+            <span class="search-result-title">${escapeHTML(conversation.title)}<span class="search-result-role">${result.role === 'ai' ? 'AI' : result.role}</span></span>
+            <span class="search-result-snippet">${escapeHTML(result.snippet.before)}<mark>${escapeHTML(result.snippet.match)}</mark>${escapeHTML(result.snippet.after)}</span>
+        `;
+        resultItem.addEventListener('click', () => {
+            Chat.openSearchResult(result.conversationId, result.messageId, result.terms);
+            toggleSidebar(); // Close sidebar on mobile after selection
+        });
+        container.appendChild(resultItem);
+    });
+}
+
+/**
+ * Scrolls to a message and highlights the given terms inside it.
+ * @param {string} messageId - The message to reveal (must be rendered).
+ * @param {string[]} terms - The matched text fragments to mark.
+ */
+export function highlightMessage(messageId, terms) {
+    const messageContainer = appElements.messageList.querySelector(`.message-container[data-id="${CSS.escape(messageId)}"]`);
+    if (!messageContainer) return;
+
+    const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const uniqueTerms = Array.from(new Set(terms.map(term => term.toLowerCase()))).sort((a, b) => b.length - a.length);
+    if (uniqueTerms.length > 0) {
+        const termPattern = new RegExp(uniqueTerms.map(escapeRegExp).join('|').replace(/\s+/g, '\\s+'), 'gi');
+        messageContainer.querySelectorAll('.message-bubble, .image-prompt').forEach(root => {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) textNodes.push(walker.currentNode);
+            textNodes.forEach(node => {
+                termPattern.lastIndex = 0;
+                if (!termPattern.test(node.nodeValue)) return;
+                const fragment = document.createDocumentFragment();
+                let lastIndex = 0;
+                node.nodeValue.replace(termPattern, (match, offset) => {
+                    fragment.append(node.nodeValue.substring(lastIndex, offset));
+                    const mark = document.createElement('mark');
+                    mark.classList.add('search-highlight');
+                    mark.textContent = match;
+                    fragment.append(mark);
+                    lastIndex = offset + match.length;
+                    return match;
+                });
+                fragment.append(node.nodeValue.substring(lastIndex));
+                node.replaceWith(fragment);
+            });
+        });
+    }
+
+    messageContainer.classList.add('search-hit');
+    (messageContainer.querySelector('.search-highlight') || messageContainer).scrollIntoView({ block: 'center', behavior: 'smooth' });
+    setTimeout(() => messageContainer.classList.remove('search-hit'), 2500);
+}
+
 /**
  * Renders the chat area, showing welcome screen or messages.
  */
@@ -182,14 +320,17 @@ export function renderChatArea() {
 
     appElements.messageList.innerHTML = ''; // Clear existing messages
     const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    appElements.typingIndicator.querySelector('.goat-emoji').textContent = Personas.getConversationPersona(activeConversation).avatar;
 
     if (!activeConversation || activeConversation.messages.length === 0) {
         appElements.welcomeScreen.classList.remove('hidden');
         appElements.messageList.classList.add('hidden');
+        Personas.renderPersonaPicker();
+        Templates.renderSuggestionCards(); // Shared templates may have changed since the last render
     } else {
         appElements.welcomeScreen.classList.add('hidden');
         appElements.messageList.classList.remove('hidden');
-        activeConversation.messages.forEach(message => {
+        Tree.getActivePath(activeConversation).forEach(message => {
             appendMessageToChat(message);
         });
         scrollToBottom();
@@ -199,6 +340,80 @@ export function renderChatArea() {
     log('info', 'Chat area rendered.');
 }
 
+/**
+ * Renders the text of a message as sanitized HTML.
+ * Prompts are stored as typed, so their HTML is escaped here; model output may use HTML.
+ * @param {Object} message - A text message.
+ * @returns {string} Safe HTML.
+ */
+function renderMessageText(message) {
+    return message.role === 'user' ? Sanitize.renderUserMarkdown(message.content) : Sanitize.renderMarkdown(message.content);
+}
+
+/**
+ * Renders the contents of a text message's bubble: the error notice for a failed reply, otherwise its text.
+ * @param {Object} message - A text message.
+ * @returns {string} The bubble's HTML.
+ */
+function renderMessageBubbleContent(message) {
+    return message.error
+        ? `<p class="error-message">${escapeHTML(message.errorMessage || 'An error occurred.')}</p>`
+        : renderMessageText(message);
+}
+
+/**
+ * Renders the tool calls of an AI message as collapsible cards.
+ * @param {Object} message - A text message.
+ * @returns {string} The cards' HTML, or an empty string if the message used no tools.
+ */
+function renderToolCalls(message) {
+    if (!message.toolCalls?.length) return '';
+    return `<div class="tool-calls">${message.toolCalls.map(call => {
+        const status = call.result === undefined ? 'running' : call.isError ? 'error' : 'done';
+        const summary = Tools.summarizeToolCall(call);
+        let input = call.arguments || '{}';
+        try {
+            input = JSON.stringify(JSON.parse(input), null, 2);
+        } catch (e) {
+            // Shown as sent; the tool reported the invalid arguments
+        }
+        return `
+            <details class="tool-call-card ${status}">
+                <summary>
+                    <span class="tool-call-name">${escapeHTML(Tools.getToolLabel(call.name))}</span>
+                    ${summary ? `<code class="tool-call-summary">${escapeHTML(summary)}</code>` : ''}
+                    <span class="tool-call-status">${TOOL_STATUS_LABELS[status]}</span>
+                </summary>
+                <div class="tool-call-body">
+                    <span class="tool-call-label">Input</span>
+                    <pre>${escapeHTML(input)}</pre>
+                    ${call.result !== undefined ? `<span class="tool-call-label">Result</span><pre>${escapeHTML(call.result)}</pre>` : ''}
+                </div>
+            </details>
+        `;
+    }).join('')}</div>`;
+}
+
+/**
+ * Updates the tool call cards of a displayed message while its reply is running.
+ * Cards the user opened stay open.
+ * @param {Object} message - The AI message.
+ */
+export function updateToolCalls(message) {
+    if (!appElements) return;
+    const messageContainer = appElements.messageList.querySelector(`.message-container[data-id="${CSS.escape(message.id)}"]`);
+    if (!messageContainer) return;
+
+    const previous = messageContainer.querySelector('.tool-calls');
+    const openCards = previous ? Array.from(previous.children, card => card.open) : [];
+    previous?.remove();
+    messageContainer.querySelector('.message-bubble').insertAdjacentHTML('beforebegin', renderToolCalls(message));
+    messageContainer.querySelectorAll('.tool-call-card').forEach((card, index) => {
+        card.open = !!openCards[index];
+    });
+    scrollToBottom();
+}
+
 /**
  * Appends a message to the chat display.
  * @param {Object} message - The message object to append.
@@ -209,11 +424,10 @@ export function appendMessageToChat(message, isStreaming = false) {
 
     let messageContainer;
     if (isStreaming && appElements.messageList.lastElementChild?.dataset.id === message.id) {
-        // Update existing streaming message
-        messageContainer = appElements.messageList.lastElementChild;
-        const messageBubble = messageContainer.querySelector('.message-bubble');
-        messageBubble.innerHTML = marked.parse(message.content);
-        addCodeCopyButtons(messageBubble);
+        // Update existing streaming message; the renderer throttles and handles scrolling
+        const messageBubble = appElements.messageList.lastElementChild.querySelector('.message-bubble');
+        getStreamRenderer(message.id, messageBubble).update(message.content);
+        return;
     } else {
         // Create new message container
         messageContainer = document.createElement('div');
@@ -221,29 +435,31 @@ export function appendMessageToChat(message, isStreaming = false) {
         messageContainer.dataset.id = message.id;
 
         const avatarSrc = message.role === 'user' ? (STATE.auth.user?.photoURL || `https://ui-avatars.com/api/?name=${encodeURIComponent(STATE.auth.user?.displayName || 'User')}&background=F59E0B&color=fff&size=40`) : '';
-        const avatarHtml = message.role === 'ai' ? `<span class="message-avatar goat-avatar">🐐</span>` : `<img src="${avatarSrc}" alt="${message.role} avatar" class="message-avatar">`;
+        const avatarHtml = message.role === 'ai'
+            ? `<span class="message-avatar goat-avatar">${escapeHTML(Personas.getConversationPersona(STATE.conversations.find(c => c.id === STATE.ui.activeConversationId)).avatar)}</span>`
+            : `<img src="${avatarSrc}" alt="${message.role} avatar" class="message-avatar">`;
 
         let contentHtml;
         if (message.type === 'image') {
-            contentHtml = `
-                <div class="image-card ${message.role}">
-                    <img src="${escapeHTML(message.content)}" alt="Generated Image" class="image-preview" loading="lazy">
-                    <p class="image-prompt">${escapeHTML(message.prompt || 'Generated Image')}</p>
-                    <div class="image-card-actions">
-                        <a href="${escapeHTML(message.content)}" download="javagoat_image_${Date.now()}.png" class="action-btn primary-btn">Download</a>
-                        <button class="action-btn secondary-btn copy-image-url-btn" data-url="${escapeHTML(message.content)}">Copy URL</button>
-                    </div>
-                </div>
-            `;
+            contentHtml = renderImageCard(message);
         } else {
             contentHtml = `
-                <div class="message-bubble">
-                    ${message.error ? `<p class="error-message">${escapeHTML(message.errorMessage || 'An error occurred.')}</p>` : marked.parse(message.content)}
+                ${message.contextOmitted > 0 ? `<p class="context-notice" title="Older messages were not sent so the request fits the model's context window.">${message.contextOmitted} earlier ${message.contextOmitted === 1 ? 'message was' : 'messages were'} left out of this request to fit the context window.</p>` : ''}
+                ${renderToolCalls(message)}
+                ${Attachments.renderAttachmentsHtml(message.attachments)}
+                <div class="message-bubble${!message.content && message.attachments?.length ? ' hidden' : ''}">
+                    ${renderMessageBubbleContent(message)}
                 </div>
+                ${message.queued ? '<p class="queued-notice" title="Written while offline. It is sent when the connection returns.">Waiting for a connection…</p>' : ''}
                 <div class="message-actions">
+                    ${renderBranchNav(message)}
                     <button class="message-action-btn copy-message-btn" title="Copy Message">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>
                     </button>
+                    ${message.role === 'user' ? `
+                    <button class="message-action-btn edit-message-btn" title="Edit Message">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                    </button>` : ''}
                     ${message.role === 'ai' ? `
                     <button class="message-action-btn regenerate-btn" title="Regenerate Response">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.84-4.32L21.5 2M22 12.5a10 10 0 0 1-18.84 4.32L2.5 22"></path></svg>
@@ -266,27 +482,239 @@ export function appendMessageToChat(message, isStreaming = false) {
             const messageBubble = messageContainer.querySelector('.message-bubble');
             addCodeCopyButtons(messageBubble);
 
+            ImageStore.hydrateImages(messageContainer); // Attached images stored on this device
+            messageContainer.querySelectorAll('.attachment-thumbnail').forEach(thumbnail => {
+                thumbnail.addEventListener('click', () => showFullscreenImageModal(thumbnail.src));
+            });
             messageContainer.querySelector('.copy-message-btn')?.addEventListener('click', () => {
                 copyToClipboard(message.content);
                 showToast('success', 'Message copied!');
             });
             messageContainer.querySelector('.regenerate-btn')?.addEventListener('click', () => {
-                Chat.regenerateResponse();
+                Chat.regenerateResponse(message.id);
+            });
+            messageContainer.querySelector('.edit-message-btn')?.addEventListener('click', () => {
+                showMessageEditor(messageContainer, message);
             });
         } else if (message.type === 'image') {
-            messageContainer.querySelector('.image-preview')?.addEventListener('click', (e) => {
-                showFullscreenImageModal(e.target.src);
+            const images = ImageGen.getMessageImages(message);
+            ImageStore.hydrateImages(messageContainer);
+            messageContainer.querySelectorAll('.image-preview').forEach((img, index) => {
+                img.addEventListener('click', () => showFullscreenImageModal(img.src, { image: images[index], prompt: message.prompt, messageId: message.id, index }));
+            });
+            messageContainer.querySelectorAll('.edit-image-btn').forEach(btn => {
+                btn.addEventListener('click', () => ImageEdit.openImageEditor(message.id, 0, btn.dataset.editMode));
+            });
+            messageContainer.querySelector('.image-source-link')?.addEventListener('click', () => {
+                Chat.openSearchResult(STATE.ui.activeConversationId, message.sourceImage.messageId, []);
+            });
+            messageContainer.querySelectorAll('.download-image-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const index = Number(btn.dataset.index);
+                    downloadImage(images[index], message.prompt, images.length > 1 ? index : undefined);
+                });
             });
             messageContainer.querySelector('.copy-image-url-btn')?.addEventListener('click', (e) => {
                 const imageUrl = e.currentTarget.dataset.url;
                 copyToClipboard(imageUrl);
                 showToast('success', 'Image URL copied!');
             });
+            messageContainer.querySelector('.regenerate-image-btn')?.addEventListener('click', () => {
+                ImageGen.regenerateImage(message.id);
+            });
+            messageContainer.querySelector('.vary-seed-btn')?.addEventListener('click', () => {
+                ImageGen.regenerateImage(message.id, { varySeed: true });
+            });
         }
+        messageContainer.querySelector('.branch-prev-btn')?.addEventListener('click', () => {
+            Chat.switchBranch(message.id, -1);
+        });
+        messageContainer.querySelector('.branch-next-btn')?.addEventListener('click', () => {
+            Chat.switchBranch(message.id, 1);
+        });
     }
     scrollToBottom();
 }
 
+/**
+ * Saves an image as a file named after its prompt, showing a toast if that fails.
+ * @param {Object} image - The image entry of a message.
+ * @param {string} prompt - The image prompt.
+ * @param {number} [index] - The image's position in a grid.
+ */
+function downloadImage(image, prompt, index) {
+    ImageStore.downloadImage(image, prompt, index).catch(error => {
+        log('error', 'Image download failed:', error);
+        showToast('error', `Download failed: ${error.message}`);
+    });
+}
+
+/**
+ * Builds the card of an image message: one image or a grid, the prompt, the parameters and actions.
+ * Stored images are loaded afterwards by ImageStore.hydrateImages.
+ * @param {Object} message - An image message.
+ * @returns {string} The card HTML.
+ */
+function renderImageCard(message) {
+    const images = ImageGen.getMessageImages(message);
+    const canVarySeed = images.some(image => image.seed !== null && image.seed !== undefined);
+    const downloadIcon = `<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`;
+    return `
+        <div class="image-card ${message.role}">
+            <div class="image-grid${images.length > 1 ? ' multiple' : ''}">
+                ${images.map((image, index) => `
+                <figure class="image-grid-item">
+                    <img ${image.imageId ? `data-image-id="${escapeHTML(image.imageId)}" data-remote-src="${escapeHTML(image.url)}"` : `src="${escapeHTML(image.url)}"`} alt="Generated Image${images.length > 1 ? ` ${index + 1}` : ''}" class="image-preview" loading="lazy">
+                    ${images.length > 1 ? `<button class="image-download-btn download-image-btn" data-index="${index}" title="Download">${downloadIcon}</button>` : ''}
+                </figure>`).join('')}
+            </div>
+            <p class="image-prompt">${escapeHTML(message.prompt || 'Generated Image')}</p>
+            ${message.sourceImage ? renderImageSourceLink(message.sourceImage) : ''}
+            ${message.imageParams ? `<p class="image-params">${escapeHTML(ImageGen.describeImageParams(message.imageParams))}</p>` : ''}
+            <div class="image-card-actions">
+                ${renderBranchNav(message)}
+                ${images.length === 1 ? `
+                <button class="action-btn primary-btn download-image-btn" data-index="0">Download</button>
+                <button class="action-btn secondary-btn copy-image-url-btn" data-url="${escapeHTML(images[0].url)}">Copy URL</button>
+                <button class="action-btn secondary-btn edit-image-btn" data-edit-mode="edit" title="Change this image with a prompt">Edit</button>
+                <button class="action-btn secondary-btn edit-image-btn" data-edit-mode="variation" title="Create new versions of this image">Variations</button>` : ''}
+                <button class="action-btn secondary-btn regenerate-image-btn" title="Generate again with the same parameters">Regenerate</button>
+                ${canVarySeed ? `<button class="action-btn secondary-btn vary-seed-btn" title="Generate again with a new seed">Vary Seed</button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Builds the link from an edited image to the image it was made from.
+ * @param {Object} sourceImage - The message's `sourceImage`.
+ * @returns {string} The link HTML.
+ */
+function renderImageSourceLink(sourceImage) {
+    const label = ImageGen.EDIT_MODES[sourceImage.mode]?.sourceLabel || 'Edited from';
+    return `
+        <button class="image-source-link" title="Show the source image">
+            <img ${sourceImage.imageId ? `data-image-id="${escapeHTML(sourceImage.imageId)}" data-thumbnail="true" data-remote-src="${escapeHTML(sourceImage.url)}"` : `src="${escapeHTML(sourceImage.url)}"`} alt="" class="image-source-thumbnail">
+            <span>${escapeHTML(label)} an earlier image</span>
+        </button>
+    `;
+}
+
+/**
+ * Returns the renderer of a reply being streamed, creating one for the message's current bubble.
+ * A new renderer is created when the chat was re-rendered and the bubble replaced.
+ * @param {string} messageId - The streamed message.
+ * @param {HTMLElement} messageBubble - The message's bubble element.
+ * @returns {Object} The stream renderer.
+ */
+function getStreamRenderer(messageId, messageBubble) {
+    let renderer = streamRenderers.get(messageId);
+    if (!renderer || renderer.target !== messageBubble) {
+        renderer = StreamRenderer.createStreamRenderer(messageBubble, {
+            scroller: appElements.chatArea,
+            decorate: addCodeCopyButtons,
+        });
+        streamRenderers.set(messageId, renderer);
+    }
+    return renderer;
+}
+
+/**
+ * Renders the final state of a streamed reply right away and releases its renderer. A reply that
+ * ended with an error shows the same error notice as when the chat is rendered again.
+ * @param {Object} message - The streamed message.
+ */
+export function finishStreamingMessage(message) {
+    const renderer = streamRenderers.get(message.id);
+    if (!renderer) return;
+    streamRenderers.delete(message.id);
+    if (!renderer.target.isConnected) return;
+    if (message.error) {
+        renderer.replace(renderMessageBubbleContent(message));
+    } else {
+        renderer.finish(message.content);
+    }
+}
+
+/**
+ * Builds the "< 2/3 >" control for stepping through sibling versions of a message.
+ * @param {Object} message - The message being rendered.
+ * @returns {string} The control's HTML, or an empty string if the message has no other versions.
+ */
+function renderBranchNav(message) {
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const siblings = activeConversation ? Tree.getSiblings(activeConversation, message.id) : [];
+    if (siblings.length < 2) return '';
+
+    const index = siblings.findIndex(m => m.id === message.id);
+    return `
+        <div class="branch-nav">
+            <button class="message-action-btn branch-prev-btn" title="Previous Version" ${index <= 0 ? 'disabled' : ''}>&lsaquo;</button>
+            <span class="branch-counter">${index + 1}/${siblings.length}</span>
+            <button class="message-action-btn branch-next-btn" title="Next Version" ${index >= siblings.length - 1 ? 'disabled' : ''}>&rsaquo;</button>
+        </div>
+    `;
+}
+
+/**
+ * Replaces a user message bubble with an editor; saving resends the edited prompt as a new branch.
+ * @param {HTMLElement} messageContainer - The message's container element.
+ * @param {Object} message - The user message being edited.
+ */
+function showMessageEditor(messageContainer, message) {
+    if (STATE.ui.isGenerating) {
+        showToast('warning', 'Please wait for the current generation to complete or stop it.');
+        return;
+    }
+
+    const messageBubble = messageContainer.querySelector('.message-bubble');
+    const messageActions = messageContainer.querySelector('.message-actions');
+    messageBubble.innerHTML = `
+        <div class="message-editor">
+            <textarea class="message-editor-input" rows="3"></textarea>
+            <div class="message-editor-actions">
+                <button class="action-btn secondary-btn cancel-edit-btn">Cancel</button>
+                <button class="action-btn primary-btn save-edit-btn">Save & Submit</button>
+            </div>
+        </div>
+    `;
+    messageBubble.classList.remove('hidden'); // Hidden for messages that only have attachments
+    messageActions.classList.add('hidden');
+
+    const editorInput = messageBubble.querySelector('.message-editor-input');
+    editorInput.value = message.content;
+    editorInput.focus();
+
+    messageBubble.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+        renderChatArea();
+    });
+    messageBubble.querySelector('.save-edit-btn').addEventListener('click', () => {
+        Chat.editMessage(message.id, editorInput.value);
+    });
+    editorInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            Chat.editMessage(message.id, editorInput.value);
+        } else if (e.key === 'Escape') {
+            renderChatArea();
+        }
+    });
+}
+
+/**
+ * Opens the editor of a user message shown in the chat (used by the Up-arrow shortcut).
+ * @param {string} messageId - The message; it must be on the displayed branch.
+ */
+export function editMessageInChat(messageId) {
+    const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const message = activeConversation && Tree.getMessage(activeConversation, messageId);
+    const messageContainer = Array.from(appElements.messageList.querySelectorAll('.message-container'))
+        .find(container => container.dataset.id === messageId);
+    if (!message || !messageContainer) return;
+    messageContainer.scrollIntoView({ block: 'nearest' });
+    showMessageEditor(messageContainer, message);
+}
+
 /**
  * Adds copy-to-clipboard buttons to code blocks within a given element.
  * @param {HTMLElement} parentElement - The element containing code blocks.
@@ -323,7 +751,7 @@ function addCodeCopyButtons(parentElement) {
  * Copies text to the clipboard.
  * @param {string} text - The text to copy.
  */
-function copyToClipboard(text) {
+export function copyToClipboard(text) {
     navigator.clipboard.writeText(text).catch(err => {
         log('error', 'Failed to copy text:', err);
         showToast('error', 'Failed to copy text.');
@@ -343,10 +771,79 @@ export function scrollToBottom() {
 export function updateChatHeader() {
     const activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
     appElements.chatTitle.textContent = activeConversation ? truncateText(activeConversation.title, APP_CONSTANTS.CONVERSATION_TITLE_MAX_LENGTH) : 'New Chat';
-    appElements.modelBadge.textContent = `${STATE.settings.modelId} `;
+    appElements.modelBadge.textContent = `${Overrides.getEffectiveChatSettings(activeConversation).modelId} `;
     const dot = document.createElement('span');
     dot.classList.add('pulsing-dot');
     appElements.modelBadge.appendChild(dot);
+    appElements.conversationSettingsBtn.classList.toggle('active', Overrides.hasActiveOverrides(activeConversation));
+}
+
+/**
+ * Opens or closes the header menu for switching between the models the admin allows.
+ * @param {boolean} [show] - Force the menu open or closed; toggles when omitted.
+ */
+export function toggleModelMenu(show = appElements.modelMenu.classList.contains('hidden')) {
+    appElements.modelMenu.classList.toggle('hidden', !show);
+    appElements.modelBadge.setAttribute('aria-expanded', String(show));
+    if (show) renderModelMenu();
+}
+
+/**
+ * Renders the allowed models into the header menu, with catalog details when cached.
+ * Picking a model changes this conversation's model override if it has one or its assistant sets
+ * a model, else the device default.
+ */
+function renderModelMenu() {
+    let activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+    const selectedModelId = Overrides.getEffectiveChatSettings(activeConversation).modelId;
+    const personaSetsModel = Overrides.getPersonaChatSettings(activeConversation).modelId !== Models.getSelectedModelId();
+    const overridesModel = (!!activeConversation?.overrides?.modelId || personaSetsModel) && !Overrides.isOverrideLocked('modelId');
+    const cachedModels = Models.getCachedModels();
+    appElements.modelMenu.innerHTML = '';
+
+    Models.getAllowedModelIds().forEach(modelId => {
+        const model = Models.findModel(cachedModels, modelId);
+        const item = document.createElement('li');
+        item.classList.add('model-menu-item');
+        item.classList.toggle('active', modelId === selectedModelId);
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(modelId === selectedModelId));
+
+        const name = document.createElement('span');
+        name.classList.add('model-menu-name');
+        name.textContent = model ? model.name : modelId;
+        item.appendChild(name);
+        if (model && model.contextLength) {
+            const details = document.createElement('span');
+            details.classList.add('model-menu-details');
+            details.textContent = `${Models.formatContextLength(model.contextLength)} context`;
+            item.appendChild(details);
+        }
+
+        item.addEventListener('click', () => {
+            if (overridesModel) {
+                if (!activeConversation) {
+                    Chat.startNewConversation(); // Keeps the assistant picked on the welcome screen
+                    activeConversation = STATE.conversations.find(c => c.id === STATE.ui.activeConversationId);
+                }
+                Overrides.setConversationOverrides(activeConversation, { ...activeConversation.overrides, modelId });
+            } else if (!Models.setSelectedModelId(modelId)) {
+                toggleModelMenu(false);
+                return;
+            }
+            updateChatHeader();
+            showToast('info', `Switched to ${model ? model.name : modelId}${overridesModel ? ' for this conversation' : ''}.`);
+            toggleModelMenu(false);
+        });
+        appElements.modelMenu.appendChild(item);
+    });
+
+    if (Models.getAllowedModelIds().length <= 1) {
+        const hint = document.createElement('li');
+        hint.classList.add('model-menu-hint');
+        hint.textContent = Roles.can('chooseModels') ? 'An admin can allow more models in Settings.' : 'Your role uses the default model.';
+        appElements.modelMenu.appendChild(hint);
+    }
 }
 
 /**
@@ -404,7 +901,14 @@ export function updateChatInputArea() {
     appElements.chatInput.disabled = disableInput;
     appElements.sendBtn.disabled = disableInput;
     appElements.imageModeBtn.disabled = disableInput;
+    appElements.imageModeBtn.classList.toggle('hidden', !Roles.can('generateImages'));
     appElements.chatModeBtn.disabled = disableInput;
+    appElements.attachBtn.disabled = disableInput;
+    appElements.attachBtn.classList.toggle('hidden', STATE.ui.mode !== 'chat');
+    appElements.toolsBtn.disabled = disableInput;
+    appElements.toolsBtn.classList.toggle('hidden', STATE.ui.mode !== 'chat');
+    appElements.imageOptions.classList.toggle('hidden', STATE.ui.mode !== 'image');
+    appElements.imageOptions.dataset.provider = ImageGen.usesLlmProviderForImages() ? 'provider' : 'pollinations';
 
     // Show/hide stop button
     appElements.stopBtn.classList.toggle('hidden', !STATE.ui.isGenerating);
@@ -420,6 +924,7 @@ export function updateChatInputArea() {
  * @param {HTMLElement} modalElement - The settings modal DOM element.
  */
 export function showSettingsModal(modalElement) {
+    modalElement.classList.remove('hidden');
     modalElement.classList.add('active');
 }
 
@@ -465,27 +970,39 @@ export function showConfirmationModal(title, message, onConfirm) {
     cancelBtn.addEventListener('click', cancelHandler);
     closeModalBtn.addEventListener('click', cancelHandler);
 
+    appElements.confirmationModal.classList.remove('hidden');
     appElements.confirmationModal.classList.add('active');
 }
 
 /**
  * Shows the fullscreen image modal.
- * @param {string} imageUrl - The URL of the image to display.
+ * @param {string} imageUrl - The URL of the image to display (may be a local object URL).
+ * @param {Object} [options] - Set for generated images.
+ * @param {Object} [options.image] - The image entry of the message; Download saves it and Copy URL copies its remote URL.
+ * @param {string} [options.prompt] - The image prompt, used for the file name.
+ * @param {string} [options.messageId] - The image message in the active conversation; enables Edit, Variations and Inpaint.
+ * @param {number} [options.index=0] - The image's position in the message.
  */
-export function showFullscreenImageModal(imageUrl) {
+export function showFullscreenImageModal(imageUrl, { image, prompt, messageId, index = 0 } = {}) {
     const fullscreenImage = appElements.fullscreenImageModal.querySelector('#fullscreen-image');
     const downloadLink = appElements.fullscreenImageModal.querySelector('#download-image-link');
     const copyUrlBtn = appElements.fullscreenImageModal.querySelector('#copy-image-url-btn');
+    const shareUrl = image?.url || imageUrl; // Object URLs only work in this tab
 
     fullscreenImage.src = imageUrl;
     downloadLink.href = imageUrl;
     downloadLink.download = `javagoat_image_${Date.now()}.png`; // Dynamic download name
+    downloadLink.onclick = image ? (e) => {
+        e.preventDefault();
+        downloadImage(image, prompt);
+    } : null;
 
-    copyUrlBtn.dataset.url = imageUrl;
+    copyUrlBtn.dataset.url = shareUrl;
     copyUrlBtn.onclick = () => {
-        copyToClipboard(imageUrl);
+        copyToClipboard(shareUrl);
         showToast('success', 'Image URL copied!');
     };
+    ImageEdit.prepareFullscreenModal(messageId ? { messageId, index } : null);
 
     appElements.fullscreenImageModal.classList.add('active');
 
@@ -0,0 +1,458 @@
+// assets/modules/usage.js
+
+// Per-user usage and quotas. Usage lives in `usage/{uid}/days/{YYYY-MM-DD}` (UTC days),
+// including the cost OpenRouter reports. It is recorded by the API proxy (server/usage.mjs)
+// from the upstream's replies; database.rules.json lets users read their own usage but not
+// write it, so it cannot be reset, skipped or moved to another day from the browser.
+// Quotas live in `quotas/roles/{role}` and `quotas/users/{emailKey}`; a user's own entry wins
+// over their role's, field by field, and 0 or empty means unlimited. Requests are checked in
+// the browser before they are sent, and again by the proxy (server/access.mjs), which is the
+// check that holds. Guests are not metered.
+
+import { STATE } from './state.js';
+import * as Firebase from './firebase.js';
+import * as Roles from './roles.js';
+import * as Security from './security.js';
+import { showToast } from './utils.js';
+
+const USAGE_PATH = 'usage';
+const QUOTAS_PATH = 'quotas';
+const COUNTER_FIELDS = ['promptTokens', 'completionTokens', 'totalTokens', 'cost', 'images', 'requests'];
+
+export const QUOTA_FIELDS = {
+    dailyTokens: { label: 'Tokens / day', metric: 'totalTokens', period: 'day' },
+    monthlyTokens: { label: 'Tokens / month', metric: 'totalTokens', period: 'month' },
+    dailyImages: { label: 'Images / day', metric: 'images', period: 'day' },
+    monthlyImages: { label: 'Images / month', metric: 'images', period: 'month' },
+};
+
+let elements; // Store references to the settings modal elements
+
+let monthRef = null;
+let trackedMonth = null;
+let ownDays = {}; // YYYY-MM-DD -> counters, current month only
+let roleQuotasRef = null;
+let userQuotaRef = null;
+let roleQuotas = {};
+let userQuota = {};
+
+/**
+ * Returns the UTC day key for a date.
+ * @param {Date} [date=new Date()] - The date.
+ * @returns {string} `YYYY-MM-DD`.
+ */
+export function getDayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the UTC month key for a date.
+ * @param {Date} [date=new Date()] - The date.
+ * @returns {string} `YYYY-MM`.
+ */
+export function getMonthKey(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Adds up daily counters.
+ * @param {Object[]} days - Daily counter objects.
+ * @returns {Object} The summed counters (every COUNTER_FIELDS key present).
+ */
+export function sumUsage(days) {
+    const totals = Object.fromEntries(COUNTER_FIELDS.map(field => [field, 0]));
+    days.forEach(day => {
+        COUNTER_FIELDS.forEach(field => {
+            totals[field] += Number(day?.[field]) || 0;
+        });
+    });
+    return totals;
+}
+
+/**
+ * Checks whether usage can be recorded for the current user.
+ * @returns {boolean} True for signed-in users with a database.
+ */
+function isMeteringAvailable() {
+    return STATE.auth.isLoggedIn && !STATE.auth.isGuest && !!STATE.auth.user?.uid && !!Firebase.getDatabase();
+}
+
+/**
+ * Starts following the current user's usage for this month and the quotas that apply to them.
+ */
+export function listenToUsage() {
+    stopListeningToUsage();
+    if (!isMeteringAvailable()) return;
+
+    const db = Firebase.getDatabase();
+    trackedMonth = getMonthKey();
+    monthRef = db.ref(`${USAGE_PATH}/${STATE.auth.user.uid}/days`).orderByKey().startAt(`${trackedMonth}-01`).endAt(`${trackedMonth}-31`);
+    monthRef.on('value', (snapshot) => {
+        ownDays = snapshot.val() || {};
+    }, (error) => log('error', 'Could not read usage:', error));
+
+    roleQuotasRef = db.ref(`${QUOTAS_PATH}/roles`);
+    roleQuotasRef.on('value', (snapshot) => {
+        roleQuotas = snapshot.val() || {};
+    }, (error) => log('error', 'Could not read role quotas:', error));
+
+    userQuotaRef = db.ref(`${QUOTAS_PATH}/users/${Roles.toEmailKey(STATE.auth.user.email)}`);
+    userQuotaRef.on('value', (snapshot) => {
+        userQuota = snapshot.val() || {};
+    }, (error) => log('error', 'Could not read user quota:', error));
+}
+
+/**
+ * Stops following usage and quotas and forgets them.
+ */
+export function stopListeningToUsage() {
+    [monthRef, roleQuotasRef, userQuotaRef].forEach(ref => ref && ref.off('value'));
+    monthRef = roleQuotasRef = userQuotaRef = null;
+    trackedMonth = null;
+    ownDays = {};
+    roleQuotas = {};
+    userQuota = {};
+}
+
+/**
+ * Returns the current user's usage today and this month.
+ * @returns {{today: Object, month: Object}} Summed counters.
+ */
+export function getOwnUsage() {
+    if (trackedMonth && trackedMonth !== getMonthKey()) {
+        listenToUsage(); // A new month started during the session
+    }
+    return {
+        today: sumUsage([ownDays[getDayKey()]]),
+        month: sumUsage(Object.values(ownDays)),
+    };
+}
+
+/**
+ * Returns the quotas that apply to the current user.
+ * @returns {Object} Limits keyed by QUOTA_FIELDS; 0 means unlimited.
+ */
+export function getEffectiveQuotas() {
+    const roleQuota = roleQuotas[Roles.getCurrentRole()] || {};
+    return Object.fromEntries(Object.keys(QUOTA_FIELDS).map(field => [
+        field,
+        Number(userQuota[field] ?? roleQuota[field]) || 0,
+    ]));
+}
+
+/**
+ * Checks a request against the current user's quotas.
+ * @param {'tokens'|'images'} kind - What the request consumes.
+ * @param {number} [amount=1] - Images requested (tokens are only known afterwards).
+ * @returns {string|null} Why the request is refused, or null if it may proceed.
+ */
+export function getQuotaError(kind, amount = 1) {
+    if (!isMeteringAvailable()) return null;
+
+    const usage = getOwnUsage();
+    const quotas = getEffectiveQuotas();
+    const metric = kind === 'images' ? 'images' : 'totalTokens';
+    const exceeded = Object.entries(QUOTA_FIELDS).find(([field, definition]) => {
+        if (definition.metric !== metric || !quotas[field]) return false;
+        const used = usage[definition.period === 'day' ? 'today' : 'month'][metric];
+        return kind === 'images' ? used + amount > quotas[field] : used >= quotas[field];
+    });
+    if (!exceeded) return null;
+
+    const [field, definition] = exceeded;
+    const periodName = definition.period === 'day' ? 'daily' : 'monthly';
+    const used = usage[definition.period === 'day' ? 'today' : 'month'][metric];
+    const resetsAt = definition.period === 'day' ? 'at midnight UTC' : 'at the start of next month (UTC)';
+    const problem = kind === 'images'
+        ? `This would go over your ${periodName} quota of ${quotas[field].toLocaleString()} images (${used.toLocaleString()} used).`
+        : `You have used your ${periodName} quota of ${quotas[field].toLocaleString()} tokens.`;
+    return `${problem} It resets ${resetsAt}; ask an admin if you need more.`;
+}
+
+/**
+ * Validates quota form values.
+ * @param {Object} values - Raw values keyed by QUOTA_FIELDS.
+ * @returns {Object} The quota; empty and 0 values are left out.
+ * @throws {Error} If a value is not a whole number of at least 0.
+ */
+export function parseQuota(values) {
+    const quota = {};
+    Object.entries(QUOTA_FIELDS).forEach(([field, definition]) => {
+        const rawValue = String(values[field] ?? '').trim();
+        if (rawValue === '') return;
+        const number = Number(rawValue);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`${definition.label} must be a whole number (0 or empty for no limit).`);
+        }
+        if (number > 0) quota[field] = number;
+    });
+    return quota;
+}
+
+/**
+ * Reads every user's usage for a month. Requires the `manageUsage` capability.
+ * @param {string} [monthKey=getMonthKey()] - The month.
+ * @returns {Promise<{uid: string, email: string, today: Object, month: Object}[]>} Rows, heaviest users first.
+ */
+export async function fetchAllUsage(monthKey = getMonthKey()) {
+    const snapshot = await Firebase.getDatabase().ref(USAGE_PATH).once('value');
+    const today = getDayKey();
+    return Object.entries(snapshot.val() || {})
+        .map(([uid, entry]) => {
+            const days = entry.days || {};
+            return {
+                uid,
+                email: entry.email || uid,
+                today: sumUsage([days[today]]),
+                month: sumUsage(Object.entries(days).filter(([day]) => day.startsWith(monthKey)).map(([, counters]) => counters)),
+            };
+        })
+        .sort((a, b) => b.month.totalTokens - a.month.totalTokens);
+}
+
+/**
+ * Reads all quotas. Requires the `manageUsage` capability.
+ * @returns {Promise<{roles: Object, users: Object}>} Quotas by role and by email key.
+ */
+export async function fetchQuotas() {
+    const snapshot = await Firebase.getDatabase().ref(QUOTAS_PATH).once('value');
+    const quotas = snapshot.val() || {};
+    return { roles: quotas.roles || {}, users: quotas.users || {} };
+}
+
+/**
+ * Saves or clears a role's quota.
+ * @param {string} role - One of Roles.ROLES.
+ * @param {Object} quota - The parsed quota (see parseQuota).
+ * @returns {Promise<void>} Resolves once saved.
+ */
+export function saveRoleQuota(role, quota) {
+    const ref = Firebase.getDatabase().ref(`${QUOTAS_PATH}/roles/${role}`);
+    return Object.keys(quota).length > 0 ? ref.set(quota) : ref.remove();
+}
+
+/**
+ * Saves or clears a user's own quota.
+ * @param {string} email - The user's email.
+ * @param {Object} quota - The parsed quota (see parseQuota).
+ * @returns {Promise<void>} Resolves once saved.
+ */
+export function saveUserQuota(email, quota) {
+    const ref = Firebase.getDatabase().ref(`${QUOTAS_PATH}/users/${Roles.toEmailKey(email)}`);
+    return Object.keys(quota).length > 0 ? ref.set({ ...quota, email: email.trim().toLowerCase() }) : ref.remove();
+}
+
+/**
+ * Formats a counter for display.
+ * @param {number} value - The value.
+ * @param {number} limit - The quota, or 0 for none.
+ * @returns {string} e.g. `1,234 / 50,000` or `1,234`.
+ */
+function formatUsage(value, limit) {
+    return limit ? `${value.toLocaleString()} / ${limit.toLocaleString()}` : value.toLocaleString();
+}
+
+/**
+ * Formats a cost in credits (USD).
+ * @param {number} cost - The cost.
+ * @returns {string} The formatted cost.
+ */
+function formatCost(cost) {
+    return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Sets up the usage section of the settings modal.
+ * @param {Object} domElements - Object containing references to relevant DOM elements.
+ */
+export function setupEventListeners(domElements) {
+    elements = domElements;
+
+    elements.settingsBtn.addEventListener('click', renderUsageSection);
+    elements.settingsModal.querySelector('#refresh-usage-btn').addEventListener('click', renderAdminUsage);
+    elements.settingsModal.querySelector('#save-role-quotas-btn').addEventListener('click', saveRoleQuotas);
+    elements.settingsModal.querySelector('#save-user-quota-btn').addEventListener('click', saveUserQuotaFromForm);
+}
+
+/**
+ * Renders the current user's usage and, for admins, everyone's usage and the quota editors.
+ */
+export function renderUsageSection() {
+    const ownUsage = elements.settingsModal.querySelector('#own-usage');
+    ownUsage.innerHTML = '';
+    if (!isMeteringAvailable()) {
+        ownUsage.textContent = 'Usage is tracked for signed-in users of the JavaGoat proxy server.';
+    } else {
+        const usage = getOwnUsage();
+        const quotas = getEffectiveQuotas();
+        const rows = [
+            ['Today', usage.today, quotas.dailyTokens, quotas.dailyImages],
+            ['This month', usage.month, quotas.monthlyTokens, quotas.monthlyImages],
+        ];
+        rows.forEach(([label, totals, tokenLimit, imageLimit]) => {
+            const row = document.createElement('p');
+            row.textContent = `${label}: ${formatUsage(totals.totalTokens, tokenLimit)} tokens, ${formatUsage(totals.images, imageLimit)} images, ${formatCost(totals.cost)}`;
+            ownUsage.appendChild(row);
+        });
+    }
+
+    const canManage = Roles.can('manageUsage');
+    elements.settingsModal.querySelector('#usage-admin').classList.toggle('hidden', !canManage);
+    if (canManage) renderAdminUsage();
+}
+
+/**
+ * Renders the usage table across users and the quota editors.
+ */
+async function renderAdminUsage() {
+    const usageTable = elements.settingsModal.querySelector('#all-usage');
+    usageTable.innerHTML = '<tr><td colspan="6" class="setting-hint">Loading...</td></tr>';
+
+    let rows;
+    let quotas;
+    try {
+        [rows, quotas] = await Promise.all([fetchAllUsage(), fetchQuotas()]);
+    } catch (error) {
+        log('error', 'Could not load usage:', error);
+        usageTable.innerHTML = '';
+        showToast('error', `Could not load usage: ${error.message}`);
+        return;
+    }
+
+    renderRoleQuotaTable(quotas.roles);
+
+    usageTable.innerHTML = '';
+    if (rows.length === 0) {
+        usageTable.innerHTML = '<tr><td colspan="6" class="setting-hint">Nobody has used the app this month.</td></tr>';
+        return;
+    }
+    rows.forEach(row => {
+        const userQuotaEntry = quotas.users[Roles.toEmailKey(row.email)] || {};
+        const tr = document.createElement('tr');
+        [
+            row.email,
+            formatUsage(row.today.totalTokens, userQuotaEntry.dailyTokens),
+            formatUsage(row.month.totalTokens, userQuotaEntry.monthlyTokens),
+            formatUsage(row.month.images, userQuotaEntry.monthlyImages),
+            formatCost(row.month.cost),
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        const actionCell = document.createElement('td');
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'action-btn secondary-btn';
+        editBtn.textContent = 'Set Quota';
+        editBtn.addEventListener('click', () => fillUserQuotaForm(row.email, userQuotaEntry));
+        actionCell.appendChild(editBtn);
+        tr.appendChild(actionCell);
+        usageTable.appendChild(tr);
+    });
+}
+
+/**
+ * Renders one row of quota inputs per role.
+ * @param {Object} quotasByRole - Saved quotas keyed by role.
+ */
+function renderRoleQuotaTable(quotasByRole) {
+    const body = elements.settingsModal.querySelector('#role-quotas');
+    body.innerHTML = '';
+    Roles.ROLES.forEach(role => {
+        const tr = document.createElement('tr');
+        tr.dataset.role = role;
+        const label = document.createElement('td');
+        label.textContent = Roles.ROLE_LABELS[role];
+        tr.appendChild(label);
+        Object.keys(QUOTA_FIELDS).forEach(field => {
+            const td = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '1';
+            input.placeholder = '∞';
+            input.dataset.field = field;
+            input.value = quotasByRole[role]?.[field] ?? '';
+            td.appendChild(input);
+            tr.appendChild(td);
+        });
+        body.appendChild(tr);
+    });
+}
+
+/**
+ * Reads quota inputs inside a container.
+ * @param {HTMLElement} container - Element holding inputs with `data-field`.
+ * @returns {Object} Raw values keyed by field.
+ */
+function readQuotaInputs(container) {
+    return Object.fromEntries(Array.from(container.querySelectorAll('input[data-field]')).map(input => [input.dataset.field, input.value]));
+}
+
+/**
+ * Saves the quota of every role from the role table.
+ */
+async function saveRoleQuotas() {
+    if (!Roles.can('manageUsage')) {
+        showToast('error', 'Only owners and admins can change quotas.');
+        return;
+    }
+    if (!Security.verifyCsrfToken('save_quotas')) {
+        showToast('error', 'Security error: CSRF token mismatch. Please refresh and try again.');
+        return;
+    }
+    try {
+        const rows = Array.from(elements.settingsModal.querySelectorAll('#role-quotas tr'));
+        const quotas = rows.map(row => [row.dataset.role, parseQuota(readQuotaInputs(row))]);
+        await Promise.all(quotas.map(([role, quota]) => saveRoleQuota(role, quota)));
+        showToast('success', 'Role quotas saved.');
+    } catch (error) {
+        log('error', 'Saving role quotas failed:', error);
+        showToast('error', `Quotas not saved: ${error.message}`);
+    }
+}
+
+/**
+ * Fills the per-user quota form.
+ * @param {string} email - The user's email.
+ * @param {Object} quota - The user's saved quota.
+ */
+function fillUserQuotaForm(email, quota) {
+    const form = elements.settingsModal.querySelector('#user-quota-form');
+    form.querySelector('#quota-user-email').value = email;
+    form.querySelectorAll('input[data-field]').forEach(input => {
+        input.value = quota[input.dataset.field] ?? '';
+    });
+    form.querySelector('#quota-user-email').focus();
+}
+
+/**
+ * Saves the per-user quota form; an empty form removes the user's own quota.
+ */
+async function saveUserQuotaFromForm() {
+    if (!Roles.can('manageUsage')) {
+        showToast('error', 'Only owners and admins can change quotas.');
+        return;
+    }
+    if (!Security.verifyCsrfToken('save_quotas')) {
+        showToast('error', 'Security error: CSRF token mismatch. Please refresh and try again.');
+        return;
+    }
+    const form = elements.settingsModal.querySelector('#user-quota-form');
+    const email = form.querySelector('#quota-user-email').value.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        showToast('error', 'Enter a valid email address.');
+        return;
+    }
+    try {
+        const quota = parseQuota(readQuotaInputs(form));
+        await saveUserQuota(email, quota);
+        showToast('success', Object.keys(quota).length > 0 ? `Quota saved for ${email}.` : `${email} now uses their role's quota.`);
+        renderAdminUsage();
+    } catch (error) {
+        log('error', 'Saving user quota failed:', error);
+        showToast('error', `Quota not saved: ${error.message}`);
+    }
+}
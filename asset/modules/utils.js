@@ -66,33 +66,17 @@ export function escapeHTML(str) {
 }
 
 /**
- * Sanitizes user input to prevent SQL injection patterns.
- * This is a client-side filter and should be complemented by server-side validation.
- * @param {string} input - The user input string.
- * @returns {string} The sanitized string.
- * @throws {Error} If a potential SQL injection pattern is detected.
+ * Decodes the HTML entities produced by `escapeHTML`, e.g. to restore prompts older versions stored escaped.
+ * @param {string} str - The escaped string.
+ * @returns {string} The decoded string.
  */
-export function sanitizeInput(input) {
-    // Common SQL injection patterns
-    const sqlInjectionPatterns = [
-        /(%27|')(\s*|\+|%2b)or(\s*|\+|%2b)/gmi, // ' or
-        /(--|#|\/\*|\*\/)/gmi, // SQL comments
-        /(union|select|insert|update|delete|drop|alter|create|truncate)\s+/gmi, // DDL/DML keywords
-        /(xp_cmdshell|exec|execute|sp_configure)/gmi, // Stored procedures/commands
-        /(\b(and|or)\b\s+.*\s*(=|<|>|like|in)\s*.*)/gmi, // Generic boolean-based
-        /(\bwaitfor\b|\bdelay\b)/gmi, // Time-based
-        /(benchmark|pg_sleep)/gmi, // Benchmark/sleep functions
-        /(\bcast\b|\bconvert\b)/gmi, // Type conversion functions
-        /(information_schema|sys.objects|sys.tables)/gmi, // Schema access
-    ];
-
-    for (const pattern of sqlInjectionPatterns) {
-        if (pattern.test(input)) {
-            log('warn', 'SQLi detected:', input);
-            throw new Error('Potential SQL injection attempt detected. Please remove suspicious characters.');
-        }
-    }
-    return input;
+export function decodeHTMLEntities(str) {
+    return str
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&#x27;/g, "'")
+        .replace(/&amp;/g, '&');
 }
 
 /**
@@ -108,6 +92,22 @@ export function truncateText(str, maxLength) {
     return str.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Formats a byte count for display (e.g. `1.5 MB`).
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? value : +value.toFixed(1)} ${units[unitIndex]}`;
+}
+
 /**
  * Formats a timestamp into a human-readable date.
  * @param {number} timestamp - Unix timestamp in milliseconds.
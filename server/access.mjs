@@ -0,0 +1,164 @@
+// server/access.mjs
+
+// Server-side copy of the checks the app runs before a request: usage quotas
+// (assets/modules/usage.js) and the model allowlist (assets/modules/models.js). The settings,
+// quotas, role and usage are read from the Realtime Database REST API with the user's own ID
+// token, so the database rules decide what the proxy may see and no service account is needed.
+// The usage read here is only written by the proxy itself (usage.mjs), never by the browser.
+
+import { httpError } from './http.mjs';
+
+const QUOTA_FIELDS = {
+    dailyTokens: { metric: 'totalTokens', period: 'day' },
+    monthlyTokens: { metric: 'totalTokens', period: 'month' },
+    dailyImages: { metric: 'images', period: 'day' },
+    monthlyImages: { metric: 'images', period: 'month' },
+};
+const DEFAULT_SIGNED_IN_ROLE = 'member';
+const ANY_MODEL_ROLES = ['owner', 'admin']; // May use any model, like `editGlobalSettings` in the app
+const CHOOSE_MODELS_ROLES = ['owner', 'admin', 'member'];
+const GENERATE_IMAGES_ROLES = ['owner', 'admin', 'member'];
+
+/**
+ * Converts an email into the database key its role and quota are stored under.
+ * @param {string} email - The email address.
+ * @returns {string} The key.
+ */
+function toEmailKey(email) {
+    return email.trim().toLowerCase().replace(/\./g, ',');
+}
+
+/**
+ * Creates the access checker.
+ * @param {Object} options - Checker options.
+ * @param {string} options.databaseUrl - Realtime Database URL, e.g. `https://my-project-default-rtdb.firebaseio.com`
+ *   (for the emulator `http://localhost:9000/?ns=my-project`).
+ * @param {string} [options.ownerEmail=''] - The built-in owner (`ADMIN_EMAIL` in auth.js), who may use any model.
+ * @returns {{check: Function}} The checker.
+ */
+export function createAccessChecker({ databaseUrl, ownerEmail = '' }) {
+    const baseUrl = new URL(databaseUrl);
+
+    /**
+     * Reads a database path as the user.
+     * @param {string} path - The path.
+     * @param {string} idToken - The user's ID token.
+     * @param {Object} [options] - Read options.
+     * @param {Object} [options.query={}] - REST query parameters (`orderBy`, `startAt`, ...), JSON-encoded where needed.
+     * @param {boolean} [options.optional=false] - Treat a permission error as no data.
+     * @returns {Promise<*>} The value, or null.
+     * @throws {Error} With status 503 if the database cannot be read.
+     */
+    const read = async (path, idToken, { query = {}, optional = false } = {}) => {
+        const url = new URL(baseUrl);
+        url.pathname = `${baseUrl.pathname.replace(/\/+$/, '')}/${path}.json`;
+        Object.entries({ ...query, auth: idToken }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw httpError(503, `Could not read ${path} to check your quota: ${error.message}`);
+        }
+        if (optional && (response.status === 401 || response.status === 403)) return null;
+        if (!response.ok) {
+            throw httpError(503, `Could not read ${path} to check your quota: HTTP ${response.status}`);
+        }
+        return response.json();
+    };
+
+    /**
+     * Loads what the checks need for one user.
+     * @param {{uid: string, email: (string|null)}} user - The verified user.
+     * @param {string} idToken - The user's ID token.
+     * @returns {Promise<{role: string, settings: Object, quotas: Object, today: Object, month: Object}>} The data.
+     */
+    const load = async (user, idToken) => {
+        const now = new Date().toISOString();
+        const day = now.slice(0, 10);
+        const month = now.slice(0, 7);
+        const emailKey = user.email ? toEmailKey(user.email) : null;
+        const [settings, roleEntry, roleQuotas, userQuota, days] = await Promise.all([
+            read('settings', idToken),
+            emailKey ? read(`roles/${emailKey}`, idToken, { optional: true }) : null,
+            read('quotas/roles', idToken),
+            emailKey ? read(`quotas/users/${emailKey}`, idToken, { optional: true }) : null,
+            read(`usage/${user.uid}/days`, idToken, {
+                query: { orderBy: '"$key"', startAt: `"${month}-01"`, endAt: `"${month}-31"` },
+            }),
+        ]);
+
+        const isOwner = !!ownerEmail && user.email?.toLowerCase() === ownerEmail.toLowerCase();
+        const role = isOwner ? 'owner' : roleEntry?.role || DEFAULT_SIGNED_IN_ROLE;
+        const roleQuota = roleQuotas?.[role] || {};
+        const quotas = Object.fromEntries(Object.keys(QUOTA_FIELDS).map(field => [
+            field,
+            Number(userQuota?.[field] ?? roleQuota[field]) || 0,
+        ]));
+        const sum = (entries, metric) => entries.reduce((total, counters) => total + (Number(counters?.[metric]) || 0), 0);
+        const monthDays = Object.values(days || {});
+        return {
+            role,
+            settings: settings || {},
+            quotas,
+            today: { totalTokens: sum([days?.[day]], 'totalTokens'), images: sum([days?.[day]], 'images') },
+            month: { totalTokens: sum(monthDays, 'totalTokens'), images: sum(monthDays, 'images') },
+        };
+    };
+
+    /**
+     * Returns the chat models a role may use: the default and image models, the models of team
+     * assistants and, for roles that choose models, the admin's allowlist.
+     * @param {string} role - The user's role.
+     * @param {Object} settings - The global settings.
+     * @returns {string[]} The model IDs.
+     */
+    const getAllowedChatModels = (role, settings) => [
+        settings.modelId,
+        settings.imageModel, // Image edits are sent as chat requests to the image model
+        ...Object.values(settings.personas || {}).map(persona => String(persona?.modelId || '').trim()),
+        ...(CHOOSE_MODELS_ROLES.includes(role) ? Object.values(settings.allowedModels || {}) : []),
+    ].filter(Boolean);
+
+    return {
+        /**
+         * Checks a request against the user's role, the model allowlist and their quotas.
+         * @param {{uid: string, email: (string|null)}} user - The verified user.
+         * @param {string} idToken - The user's ID token.
+         * @param {Object} request - What is requested.
+         * @param {'chat'|'image'} request.kind - Chat completion, or image generation (including chat requests for images).
+         * @param {string} request.model - The requested model.
+         * @param {number} [request.images=1] - Images requested.
+         * @returns {Promise<void>} Resolves if the request may be forwarded.
+         * @throws {Error} With status 403 for a model or action the user may not use, 429 when a quota is used up.
+         */
+        async check(user, idToken, { kind, model, images = 1 }) {
+            const { role, settings, quotas, today, month } = await load(user, idToken);
+
+            if (kind === 'image' && !GENERATE_IMAGES_ROLES.includes(role)) {
+                throw httpError(403, 'Your role cannot generate images.');
+            }
+            if (!ANY_MODEL_ROLES.includes(role)) {
+                const allowed = kind === 'image' ? [settings.imageModel] : getAllowedChatModels(role, settings);
+                if (!allowed.includes(model)) {
+                    throw httpError(403, `The model ${model} is not allowed. Ask an admin to add it to the model list.`);
+                }
+            }
+
+            const metric = kind === 'image' ? 'images' : 'totalTokens';
+            const exceeded = Object.entries(QUOTA_FIELDS).find(([field, definition]) => {
+                if (definition.metric !== metric || !quotas[field]) return false;
+                const used = (definition.period === 'day' ? today : month)[metric];
+                return kind === 'image' ? used + images > quotas[field] : used >= quotas[field];
+            });
+            if (exceeded) {
+                const [field, definition] = exceeded;
+                const periodName = definition.period === 'day' ? 'daily' : 'monthly';
+                const used = (definition.period === 'day' ? today : month)[metric];
+                throw httpError(429, kind === 'image'
+                    ? `This would go over your ${periodName} quota of ${quotas[field]} images (${used} used).`
+                    : `You have used your ${periodName} quota of ${quotas[field]} tokens.`);
+            }
+        },
+    };
+}
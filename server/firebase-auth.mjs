@@ -0,0 +1,115 @@
+// server/firebase-auth.mjs
+
+// Verifies Firebase ID tokens without the Admin SDK: the RS256 signature is checked against
+// Google's published certificates (cached for as long as their Cache-Control allows) and the
+// audience, issuer, subject and time claims are checked as Firebase documents.
+// Tokens issued by the Auth emulator are unsigned, so only their claims are checked when
+// `emulator` is set (the Admin SDK behaves the same with FIREBASE_AUTH_EMULATOR_HOST).
+
+import { X509Certificate, createVerify } from 'node:crypto';
+import { httpError } from './http.mjs';
+
+const CERTIFICATES_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CERTIFICATES_TTL_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+let certificateCache = { certificates: null, expiresAt: 0 };
+
+/**
+ * Returns Google's current token-signing certificates, keyed by key ID.
+ * @returns {Promise<Object<string, string>>} PEM certificates.
+ * @throws {Error} With status 503 if the certificates cannot be fetched.
+ */
+async function getCertificates() {
+    if (certificateCache.certificates && Date.now() < certificateCache.expiresAt) {
+        return certificateCache.certificates;
+    }
+
+    let response;
+    try {
+        response = await fetch(CERTIFICATES_URL);
+    } catch (error) {
+        throw httpError(503, `Could not fetch Firebase signing certificates: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw httpError(503, `Could not fetch Firebase signing certificates: HTTP ${response.status}`);
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    certificateCache = {
+        certificates: await response.json(),
+        expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_CERTIFICATES_TTL_MS),
+    };
+    return certificateCache.certificates;
+}
+
+/**
+ * Decodes a base64url-encoded JSON segment of a JWT.
+ * @param {string} segment - The segment.
+ * @returns {Object} The parsed JSON.
+ */
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies a Firebase ID token.
+ * @param {string} token - The ID token sent by the browser.
+ * @param {Object} options - Verification options.
+ * @param {string} options.projectId - The Firebase project ID the token must be issued for.
+ * @param {boolean} [options.emulator=false] - Accept unsigned tokens from the Auth emulator.
+ * @returns {Promise<{uid: string, email: (string|null), claims: Object}>} The verified user.
+ * @throws {Error} With status 401 if the token is invalid, or 503 if it cannot be checked.
+ */
+export async function verifyIdToken(token, { projectId, emulator = false }) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+        throw httpError(401, 'Malformed ID token.');
+    }
+
+    let header;
+    let payload;
+    try {
+        header = decodeSegment(parts[0]);
+        payload = decodeSegment(parts[1]);
+    } catch (error) {
+        throw httpError(401, 'Malformed ID token.');
+    }
+
+    if (!emulator) {
+        if (header.alg !== 'RS256') {
+            throw httpError(401, `ID token has an unexpected algorithm "${header.alg}".`);
+        }
+        const certificate = (await getCertificates())[header.kid];
+        if (!certificate) {
+            throw httpError(401, 'ID token was signed with an unknown key.');
+        }
+        const verifier = createVerify('RSA-SHA256');
+        verifier.update(`${parts[0]}.${parts[1]}`);
+        if (!verifier.verify(new X509Certificate(certificate).publicKey, Buffer.from(parts[2], 'base64url'))) {
+            throw httpError(401, 'ID token signature is invalid.');
+        }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.aud !== projectId) {
+        throw httpError(401, 'ID token was issued for another Firebase project.');
+    }
+    if (payload.iss !== `https://securetoken.google.com/${projectId}`) {
+        throw httpError(401, 'ID token has an unexpected issuer.');
+    }
+    if (typeof payload.sub !== 'string' || payload.sub.length === 0 || payload.sub.length > 128) {
+        throw httpError(401, 'ID token has no valid subject.');
+    }
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+        throw httpError(401, 'ID token has expired.');
+    }
+    if (typeof payload.iat !== 'number' || payload.iat - CLOCK_TOLERANCE_SECONDS > now) {
+        throw httpError(401, 'ID token was issued in the future.');
+    }
+    if (payload.auth_time !== undefined && payload.auth_time - CLOCK_TOLERANCE_SECONDS > now) {
+        throw httpError(401, 'ID token has an invalid authentication time.');
+    }
+
+    return { uid: payload.sub, email: payload.email || null, claims: payload };
+}
@@ -0,0 +1,91 @@
+// server/google-auth.mjs
+
+// OAuth access tokens for a Google service account, without the Admin SDK: a JWT signed with
+// the account's private key is exchanged at Google's token endpoint (the "JWT bearer" grant)
+// and the token is reused until shortly before it expires. The proxy uses it to write usage
+// to the Realtime Database as an administrator, past the database rules.
+
+import { createSign } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const DATABASE_SCOPES = [
+    'https://www.googleapis.com/auth/firebase.database',
+    'https://www.googleapis.com/auth/userinfo.email',
+];
+const ASSERTION_LIFETIME_SECONDS = 60 * 60;
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Reads a service account key file as downloaded from the Firebase console
+ * (Project settings → Service accounts → Generate new private key).
+ * @param {string} path - Path of the JSON key file.
+ * @returns {{client_email: string, private_key: string, token_uri: (string|undefined)}} The key.
+ * @throws {Error} If the file cannot be read or is not a service account key.
+ */
+export function readServiceAccount(path) {
+    const key = JSON.parse(readFileSync(path, 'utf8'));
+    if (!key.client_email || !key.private_key) {
+        throw new Error(`${path} is not a service account key (client_email and private_key are missing).`);
+    }
+    return key;
+}
+
+/**
+ * Creates a credential that hands out access tokens for the Realtime Database.
+ * @param {{client_email: string, private_key: string, token_uri: (string|undefined)}} serviceAccount - The service account key.
+ * @returns {{getAccessToken: Function}} The credential.
+ */
+export function createServiceAccountCredential(serviceAccount) {
+    const tokenUri = serviceAccount.token_uri || DEFAULT_TOKEN_URI;
+    let cached = { token: null, expiresAt: 0 };
+    let pending = null;
+
+    /**
+     * Signs the assertion and exchanges it for an access token.
+     * @returns {Promise<string>} The access token.
+     */
+    const fetchAccessToken = async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+            iss: serviceAccount.client_email,
+            scope: DATABASE_SCOPES.join(' '),
+            aud: tokenUri,
+            iat: now,
+            exp: now + ASSERTION_LIFETIME_SECONDS,
+        })}`;
+        const signature = createSign('RSA-SHA256').update(unsigned).sign(serviceAccount.private_key, 'base64url');
+
+        const response = await fetch(tokenUri, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion: `${unsigned}.${signature}`,
+            }),
+        });
+        if (!response.ok) {
+            throw new Error(`Could not get a service account access token: HTTP ${response.status}`);
+        }
+        const { access_token: token, expires_in: expiresIn } = await response.json();
+        cached = { token, expiresAt: Date.now() + Number(expiresIn) * 1000 - REFRESH_MARGIN_MS };
+        return token;
+    };
+
+    return {
+        /**
+         * Returns a valid access token, fetching a new one when the cached one is about to expire.
+         * @returns {Promise<string>} The access token.
+         * @throws {Error} If the token endpoint refuses the service account.
+         */
+        async getAccessToken() {
+            if (cached.token && Date.now() < cached.expiresAt) return cached.token;
+            // Concurrent requests share one token exchange
+            pending = pending || fetchAccessToken().finally(() => {
+                pending = null;
+            });
+            return pending;
+        },
+    };
+}
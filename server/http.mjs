@@ -0,0 +1,79 @@
+// server/http.mjs
+
+// Small helpers shared by the proxy and the mock upstream. Errors are answered in the
+// OpenAI format (`{ error: { message } }`) so the browser's provider adapters can read them.
+
+/**
+ * Creates an error carrying the HTTP status it should be answered with.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @returns {Error} The error, with a `status` property.
+ */
+export function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Writes a log line with a timestamp and level.
+ * @param {string} level - 'info', 'warn' or 'error'.
+ * @param {...*} args - Values to log.
+ */
+export function log(level, ...args) {
+    const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+    write(new Date().toISOString(), level.toUpperCase(), ...args);
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {Object} body - The JSON body.
+ * @param {Object} [headers={}] - Extra headers.
+ */
+export function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends an OpenAI-style error response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @param {Object} [headers={}] - Extra headers.
+ */
+export function sendError(res, status, message, headers = {}) {
+    sendJson(res, status, { error: { message, code: status } }, headers);
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {number} maxBytes - Largest accepted body.
+ * @returns {Promise<Object>} The parsed body.
+ * @throws {Error} With status 413 if the body is too large, or 400 if it is not a JSON object.
+ */
+export async function readJsonBody(req, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw httpError(413, `Request body exceeds ${maxBytes} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw httpError(400, 'Request body is not valid JSON.');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw httpError(400, 'Request body must be a JSON object.');
+    }
+    return body;
+}
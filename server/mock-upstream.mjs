@@ -0,0 +1,91 @@
+// server/mock-upstream.mjs
+
+// Stand-in for an OpenAI-compatible API, for trying the proxy without a real key or network.
+// Chat replies echo the last user message word by word (streamed as SSE when `stream` is set),
+// image requests return a 1x1 PNG and `/models` lists one chat and one image model.
+//
+//   MOCK_API_KEY=test node server/mock-upstream.mjs
+//   FIREBASE_PROJECT_ID=demo-javagoat FIREBASE_AUTH_EMULATOR_HOST=localhost:9099 \
+//     UPSTREAM_BASE_URL=http://localhost:8788/v1 UPSTREAM_API_KEY=test node server/proxy.mjs
+//
+// Environment:
+//   PORT           Port to listen on (default 8788)
+//   MOCK_API_KEY   If set, requests without `Authorization: Bearer <MOCK_API_KEY>` get a 401
+//   MOCK_DELAY_MS  Delay between streamed chunks (default 50)
+
+import http from 'node:http';
+import { log, readJsonBody, sendError, sendJson } from './http.mjs';
+
+const PORT = Number(process.env.PORT || 8788);
+const API_KEY = process.env.MOCK_API_KEY || '';
+const CHUNK_DELAY_MS = Number(process.env.MOCK_DELAY_MS ?? 50);
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const PIXEL_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const MODELS = [
+    { id: 'mock/echo', name: 'Mock Echo', context_length: 8192, architecture: { input_modalities: ['text'], output_modalities: ['text'] } },
+    { id: 'mock/pixel', name: 'Mock Pixel', architecture: { input_modalities: ['text'], output_modalities: ['image'] } },
+];
+
+/**
+ * Builds the reply text for a chat request.
+ * @param {Object[]} messages - The chat messages.
+ * @returns {string} The reply.
+ */
+function buildReply(messages) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const content = lastUserMessage?.content;
+    const text = Array.isArray(content) ? content.map(part => part.text || '').join(' ') : (content || '');
+    return `Echo: ${text}`;
+}
+
+/**
+ * Streams a chat reply as OpenAI-style SSE chunks.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} model - The requested model.
+ * @param {string} reply - The reply text.
+ */
+async function streamReply(res, model, reply) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const words = reply.split(/(?<=\s)/);
+    for (const word of words) {
+        if (res.destroyed) return;
+        send({ model, choices: [{ index: 0, delta: { content: word }, finish_reason: null }] });
+        await new Promise(resolve => setTimeout(resolve, CHUNK_DELAY_MS));
+    }
+    send({ model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 1, completion_tokens: words.length, total_tokens: words.length + 1 } });
+    res.end('data: [DONE]\n\n');
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        if (API_KEY && req.headers.authorization !== `Bearer ${API_KEY}`) {
+            sendError(res, 401, 'Invalid API key.');
+            return;
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+        log('info', `${req.method} ${path}`);
+        if (req.method === 'GET' && path === '/v1/models') {
+            sendJson(res, 200, { data: MODELS });
+        } else if (req.method === 'POST' && path === '/v1/chat/completions') {
+            const body = await readJsonBody(req, MAX_BODY_BYTES);
+            const reply = buildReply(body.messages || []);
+            if (body.stream) {
+                await streamReply(res, body.model, reply);
+            } else {
+                sendJson(res, 200, { model: body.model, choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }] });
+            }
+        } else if (req.method === 'POST' && path === '/v1/images/generations') {
+            const body = await readJsonBody(req, MAX_BODY_BYTES);
+            sendJson(res, 200, { data: Array.from({ length: body.n || 1 }, () => ({ b64_json: PIXEL_PNG_BASE64 })) });
+        } else {
+            sendError(res, 404, `No route for ${req.method} ${path}.`);
+        }
+    } catch (error) {
+        if (!res.headersSent) sendError(res, error.status || 500, error.message);
+    }
+});
+
+server.listen(PORT, () => log('info', `Mock upstream listening on port ${PORT}.`));
@@ -0,0 +1,297 @@
+// server/proxy.mjs
+
+// API proxy for JavaGoat. Browsers send their Firebase ID token instead of an API key; the
+// proxy verifies it, applies per-user rate limits, checks the model allowlist and usage quotas
+// (access.mjs) and forwards the request to an OpenAI-compatible upstream (OpenRouter by default)
+// with the key that only the server knows. Streaming responses are piped through unchanged and
+// metered on the way; the usage they report is recorded for the user (usage.mjs).
+//
+// Run with Node 18+ (no dependencies):
+//   FIREBASE_PROJECT_ID=my-project UPSTREAM_API_KEY=sk-or-... node server/proxy.mjs
+//
+// Environment:
+//   PORT                          Port to listen on (default 8787)
+//   FIREBASE_PROJECT_ID           Project whose ID tokens are accepted (required)
+//   FIREBASE_AUTH_EMULATOR_HOST   Accept unsigned tokens from the Auth emulator
+//   FIREBASE_DATABASE_URL         Realtime Database to read settings, roles, quotas and usage from;
+//                                 without it quotas and the model allowlist are only checked in the browser
+//   OWNER_EMAIL                   The app's built-in owner (ADMIN_EMAIL in auth.js), who may use any model
+//   FIREBASE_SERVICE_ACCOUNT      Path of a service account key file, used to record usage in the database
+//   FIREBASE_DATABASE_EMULATOR_HOST  Record usage in the Database emulator as its `owner` instead
+//   UPSTREAM_BASE_URL             OpenAI-compatible API base (default https://openrouter.ai/api/v1)
+//   UPSTREAM_API_KEY              Key sent upstream
+//   ALLOWED_ORIGINS               Comma-separated origins allowed by CORS (default: any)
+//   CHAT_RATE_LIMIT               Chat requests per user per minute (default 20, 0 = unlimited)
+//   IMAGE_RATE_LIMIT              Image requests per user per minute (default 5, 0 = unlimited)
+//   MAX_BODY_BYTES                Largest accepted request body (default 10 MB)
+
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { pathToFileURL } from 'node:url';
+import { createAccessChecker } from './access.mjs';
+import { verifyIdToken } from './firebase-auth.mjs';
+import { createServiceAccountCredential, readServiceAccount } from './google-auth.mjs';
+import { createRateLimiter } from './rate-limit.mjs';
+import { createUsageMeter, createUsageRecorder } from './usage.mjs';
+import { httpError, log, readJsonBody, sendError, sendJson } from './http.mjs';
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const APP_NAME = 'JavaGoat';
+
+/**
+ * Reads the proxy configuration from environment variables.
+ * @param {Object} [env=process.env] - The environment.
+ * @returns {Object} The configuration.
+ */
+export function readConfig(env = process.env) {
+    return {
+        port: Number(env.PORT || 8787),
+        firebaseProjectId: env.FIREBASE_PROJECT_ID || '',
+        emulatorAuth: !!env.FIREBASE_AUTH_EMULATOR_HOST,
+        databaseUrl: env.FIREBASE_DATABASE_URL || '',
+        ownerEmail: env.OWNER_EMAIL || '',
+        serviceAccountPath: env.FIREBASE_SERVICE_ACCOUNT || '',
+        emulatorDatabase: !!env.FIREBASE_DATABASE_EMULATOR_HOST,
+        upstreamBaseUrl: (env.UPSTREAM_BASE_URL || 'https://openrouter.ai/api/v1').replace(/\/+$/, ''),
+        upstreamApiKey: env.UPSTREAM_API_KEY || '',
+        allowedOrigins: (env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+        chatRateLimit: Number(env.CHAT_RATE_LIMIT ?? 20),
+        imageRateLimit: Number(env.IMAGE_RATE_LIMIT ?? 5),
+        maxBodyBytes: Number(env.MAX_BODY_BYTES || 10 * 1024 * 1024),
+    };
+}
+
+/**
+ * Creates the proxy server (not yet listening).
+ * @param {Object} config - The configuration (see readConfig).
+ * @returns {http.Server} The server.
+ */
+export function createProxyServer(config) {
+    if (!config.firebaseProjectId) {
+        throw new Error('FIREBASE_PROJECT_ID must be set.');
+    }
+    if (!config.upstreamApiKey) {
+        log('warn', 'UPSTREAM_API_KEY is not set; requests are forwarded without a key.');
+    }
+    if (config.emulatorAuth) {
+        log('warn', 'Accepting unsigned Auth emulator tokens. Never use this in production.');
+    }
+    if (!config.databaseUrl) {
+        log('warn', 'FIREBASE_DATABASE_URL is not set; quotas and the model allowlist are only checked in the browser and usage is not recorded.');
+    } else if (!config.serviceAccountPath && !config.emulatorDatabase) {
+        log('warn', 'FIREBASE_SERVICE_ACCOUNT is not set; usage is not recorded, so quotas are never reached.');
+    }
+
+    const access = config.databaseUrl ? createAccessChecker({ databaseUrl: config.databaseUrl, ownerEmail: config.ownerEmail }) : null;
+    let usage = null;
+    if (config.databaseUrl && (config.serviceAccountPath || config.emulatorDatabase)) {
+        // The Database emulator treats the token `owner` as an administrator
+        const credential = config.emulatorDatabase
+            ? { getAccessToken: async () => 'owner' }
+            : createServiceAccountCredential(readServiceAccount(config.serviceAccountPath));
+        usage = createUsageRecorder({ databaseUrl: config.databaseUrl, credential });
+    }
+
+    const limiters = {
+        chat: createRateLimiter({ limit: config.chatRateLimit, windowMs: RATE_LIMIT_WINDOW_MS }),
+        image: createRateLimiter({ limit: config.imageRateLimit, windowMs: RATE_LIMIT_WINDOW_MS }),
+    };
+
+    // Each route names the upstream path and the limiter it counts against
+    const routes = {
+        'POST /v1/chat/completions': { upstreamPath: '/chat/completions', limiter: 'chat' },
+        'POST /v1/images/generations': { upstreamPath: '/images/generations', limiter: 'image' },
+        'GET /v1/models': { upstreamPath: '/models', limiter: null },
+    };
+
+    /**
+     * Adds CORS headers for allowed origins.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @returns {boolean} False if the request comes from an origin that is not allowed.
+     */
+    const applyCors = (req, res) => {
+        const origin = req.headers.origin;
+        if (!origin) return true;
+        if (config.allowedOrigins.length > 0 && !config.allowedOrigins.includes(origin)) return false;
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Remaining');
+        return true;
+    };
+
+    /**
+     * Verifies the bearer token on a request.
+     * @param {http.IncomingMessage} req - The request.
+     * @returns {Promise<Object>} The verified user, with the `idToken` it was verified from.
+     */
+    const authenticate = async (req) => {
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        if (!match) {
+            throw httpError(401, 'Sign in to use the AI proxy (missing Firebase ID token).');
+        }
+        const user = await verifyIdToken(match[1], { projectId: config.firebaseProjectId, emulator: config.emulatorAuth });
+        return { ...user, idToken: match[1] };
+    };
+
+    /**
+     * Forwards a request upstream and pipes the response back, streaming included.
+     * The upstream request is aborted if the browser disconnects.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @param {string} upstreamPath - Path below the upstream base URL.
+     * @param {Object|null} body - JSON body to send, or null for GET.
+     * @param {Object} rateHeaders - Rate limit headers to add to the response.
+     * @param {Object|null} [meter=null] - Usage meter that watches a successful response (usage.mjs).
+     */
+    const forward = async (req, res, upstreamPath, body, rateHeaders, meter = null) => {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        const upstream = await fetch(`${config.upstreamBaseUrl}${upstreamPath}`, {
+            method: body ? 'POST' : 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(config.upstreamApiKey ? { 'Authorization': `Bearer ${config.upstreamApiKey}` } : {}),
+                'HTTP-Referer': req.headers.origin || '',
+                'X-Title': APP_NAME,
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+
+        res.writeHead(upstream.status, {
+            'Content-Type': upstream.headers.get('content-type') || 'application/json',
+            'Cache-Control': 'no-cache',
+            ...rateHeaders,
+        });
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        if (!meter || !upstream.ok) {
+            await pipeline(Readable.fromWeb(upstream.body), res);
+            return;
+        }
+        await pipeline(Readable.fromWeb(upstream.body), async function* (source) {
+            for await (const chunk of source) {
+                meter.observe(chunk);
+                yield chunk;
+            }
+        }, res);
+    };
+
+    /**
+     * Records what a forwarded response used. Failures are logged; the reply has already been sent.
+     * @param {Object} user - The verified user.
+     * @param {Object} meter - The response's usage meter.
+     */
+    const recordUsage = (user, meter) => {
+        const counters = meter.getCounters();
+        if (!counters) return;
+        usage.record(user, counters).catch(error => log('error', error.message));
+    };
+
+    /**
+     * Handles one request.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     */
+    const handleRequest = async (req, res) => {
+        if (!applyCors(req, res)) {
+            sendError(res, 403, 'Origin not allowed.');
+            return;
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+        if (req.method === 'GET' && path === '/health') {
+            sendJson(res, 200, { status: 'ok' });
+            return;
+        }
+        const route = routes[`${req.method} ${path}`];
+        if (!route) {
+            sendError(res, 404, `No route for ${req.method} ${path}.`);
+            return;
+        }
+
+        const user = await authenticate(req);
+
+        let rateHeaders = {};
+        if (route.limiter) {
+            const decision = limiters[route.limiter].consume(user.uid);
+            if (!decision.allowed) {
+                const retryAfterSeconds = Math.ceil(decision.retryAfterMs / 1000);
+                log('warn', `Rate limit hit: ${user.uid} (${route.limiter}).`);
+                sendError(res, 429, `Rate limit reached. Try again in ${retryAfterSeconds} seconds.`, { 'Retry-After': String(retryAfterSeconds) });
+                return;
+            }
+            rateHeaders = { 'X-RateLimit-Remaining': String(decision.remaining) };
+        }
+
+        let body = null;
+        let kind = null;
+        if (req.method === 'POST') {
+            body = await readJsonBody(req, config.maxBodyBytes);
+            if (route.limiter === 'chat' && (!body.model || !Array.isArray(body.messages))) {
+                throw httpError(400, 'Chat requests need a model and a messages array.');
+            }
+            if (route.limiter === 'image' && (!body.model || !body.prompt)) {
+                throw httpError(400, 'Image requests need a model and a prompt.');
+            }
+            // Image edits arrive as chat requests that ask for an image back
+            const wantsImages = route.limiter === 'image' || (Array.isArray(body.modalities) && body.modalities.includes('image'));
+            kind = wantsImages ? 'image' : 'chat';
+            if (access) {
+                await access.check(user, user.idToken, {
+                    kind,
+                    model: body.model,
+                    images: route.limiter === 'image' ? Number(body.n) || 1 : 1,
+                });
+            }
+            body.user = user.uid; // Lets the upstream attribute abuse to a user
+            if (usage && body.stream) {
+                // Streams only report token usage in their last chunk when asked to
+                body.stream_options = { ...body.stream_options, include_usage: true };
+            }
+        }
+
+        log('info', `${req.method} ${path} for ${user.uid}${body?.stream ? ' (stream)' : ''}.`);
+        const meter = usage && kind ? createUsageMeter({ kind, request: body }) : null;
+        try {
+            await forward(req, res, route.upstreamPath, body, rateHeaders, meter);
+        } finally {
+            // A reply the browser stopped still used tokens
+            if (meter) recordUsage(user, meter);
+        }
+    };
+
+    return http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            if (error.name === 'AbortError') return; // Browser went away
+            const status = error.status || 502;
+            log(status >= 500 ? 'error' : 'warn', `${req.method} ${req.url} failed (${status}):`, error.message);
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                sendError(res, status, status === 502 ? `Upstream request failed: ${error.message}` : error.message);
+            }
+        });
+    });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const config = readConfig();
+    createProxyServer(config).listen(config.port, () => {
+        log('info', `JavaGoat proxy listening on port ${config.port}, forwarding to ${config.upstreamBaseUrl}.`);
+    });
+}
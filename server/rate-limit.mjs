@@ -0,0 +1,51 @@
+// server/rate-limit.mjs
+
+// Sliding-window rate limiter kept in memory. Each key (a Firebase uid) may make `limit`
+// requests in any `windowMs` period. Limits reset when the process restarts, which is fine
+// for a single proxy instance; several instances would need a shared store.
+
+/**
+ * Creates a rate limiter.
+ * @param {Object} options - Limiter options.
+ * @param {number} options.limit - Requests allowed per window. 0 disables the limit.
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @returns {{consume: Function}} The limiter.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map(); // key -> request timestamps, oldest first
+    let lastSweep = Date.now();
+
+    /**
+     * Drops timestamps that have left the window, and keys with none left.
+     * @param {number} now - The current time.
+     */
+    const sweep = (now) => {
+        hits.forEach((timestamps, key) => {
+            while (timestamps.length > 0 && timestamps[0] <= now - windowMs) timestamps.shift();
+            if (timestamps.length === 0) hits.delete(key);
+        });
+        lastSweep = now;
+    };
+
+    return {
+        /**
+         * Records a request for a key if it is within the limit.
+         * @param {string} key - The key to limit (e.g. a uid).
+         * @param {number} [now=Date.now()] - The current time.
+         * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}} The decision.
+         */
+        consume(key, now = Date.now()) {
+            if (!limit) return { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+            if (now - lastSweep > windowMs) sweep(now);
+
+            const timestamps = hits.get(key) || [];
+            while (timestamps.length > 0 && timestamps[0] <= now - windowMs) timestamps.shift();
+            if (timestamps.length >= limit) {
+                return { allowed: false, remaining: 0, retryAfterMs: timestamps[0] + windowMs - now };
+            }
+            timestamps.push(now);
+            hits.set(key, timestamps);
+            return { allowed: true, remaining: limit - timestamps.length, retryAfterMs: 0 };
+        },
+    };
+}
@@ -0,0 +1,177 @@
+// server/usage.mjs
+
+// Usage metering on the proxy. The database rules let nobody but an administrator write
+// `usage/{uid}`, so the counters that quotas are checked against (access.mjs) are only ever
+// written here, from what the upstream actually answered:
+//   - a meter watches each forwarded response on its way to the browser and reads the token
+//     usage (and OpenRouter's cost) the upstream reports, or the images it returned;
+//   - without reported usage, e.g. when the browser stopped a reply, tokens are estimated
+//     from the text like assets/modules/context.js does;
+//   - the recorder adds the counters to `usage/{uid}/days/{YYYY-MM-DD}` for the server's UTC
+//     day with atomic increments over the REST API.
+
+const COUNTER_FIELDS = ['promptTokens', 'completionTokens', 'totalTokens', 'cost', 'images', 'requests'];
+const CHARS_PER_TOKEN = 4; // Same estimate as assets/modules/context.js
+const IMAGE_TOKENS = 1000;
+
+/**
+ * Estimates the tokens in a text.
+ * @param {string} text - The text.
+ * @returns {number} Estimated token count.
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    const nonLatinCount = (text.match(/[^\u0000-\u024F]/gu) || []).length;
+    return Math.ceil((text.length - nonLatinCount) / CHARS_PER_TOKEN) + nonLatinCount;
+}
+
+/**
+ * Estimates the prompt tokens of a chat request.
+ * @param {Object[]} messages - The request's messages.
+ * @returns {number} Estimated token count.
+ */
+function estimatePromptTokens(messages) {
+    return messages.reduce((total, message) => {
+        const content = message?.content;
+        if (!Array.isArray(content)) return total + estimateTokens(typeof content === 'string' ? content : '');
+        return total + content.reduce((sum, part) => sum + (part?.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part?.text || '')), 0);
+    }, 0);
+}
+
+/**
+ * Creates a meter for one forwarded response.
+ * @param {Object} options - Meter options.
+ * @param {'chat'|'image'} options.kind - Chat completion, or image generation (including chat requests for images).
+ * @param {Object} options.request - The request body that was sent upstream.
+ * @returns {{observe: Function, getCounters: Function}} The meter.
+ */
+export function createUsageMeter({ kind, request }) {
+    const streaming = !!request.stream;
+    const decoder = new TextDecoder('utf-8');
+    const chunks = [];
+    let buffer = '';
+    let observed = false;
+    let usage = null;
+    let completionText = '';
+    let images = 0;
+
+    /**
+     * Reads the usage, text and images of one response payload or stream chunk.
+     * @param {Object} payload - The parsed JSON.
+     */
+    const readPayload = (payload) => {
+        if (payload?.usage) usage = payload.usage;
+        if (Array.isArray(payload?.data)) images += payload.data.length; // /images/generations
+        const choice = payload?.choices?.[0];
+        const message = choice?.delta || choice?.message;
+        if (typeof message?.content === 'string') completionText += message.content;
+        if (Array.isArray(message?.images)) images += message.images.length;
+    };
+
+    /**
+     * Reads one line of an SSE stream.
+     * @param {string} line - The line, without its terminator.
+     */
+    const readLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+        try {
+            readPayload(JSON.parse(data));
+        } catch (error) {
+            // Not JSON; the browser reports it
+        }
+    };
+
+    return {
+        /**
+         * Watches a chunk of the response body.
+         * @param {Buffer} chunk - The chunk, as sent to the browser.
+         */
+        observe(chunk) {
+            observed = true;
+            if (!streaming) {
+                chunks.push(chunk);
+                return;
+            }
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(readLine);
+        },
+
+        /**
+         * Returns what the response used.
+         * @returns {Object|null} Counters keyed by COUNTER_FIELDS, or null if no response body arrived.
+         */
+        getCounters() {
+            if (!observed) return null;
+            if (streaming) {
+                readLine(buffer + decoder.decode());
+                buffer = '';
+            } else {
+                try {
+                    readPayload(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    // An unreadable body still counts as a request
+                }
+            }
+
+            const cost = Number(usage?.cost) || 0;
+            if (kind === 'image') return { images, cost, requests: 1 };
+            const promptTokens = usage?.prompt_tokens ?? estimatePromptTokens(request.messages || []);
+            const completionTokens = usage?.completion_tokens ?? estimateTokens(completionText);
+            return {
+                promptTokens,
+                completionTokens,
+                totalTokens: usage?.total_tokens ?? promptTokens + completionTokens,
+                cost,
+                requests: 1,
+            };
+        },
+    };
+}
+
+/**
+ * Creates the usage recorder.
+ * @param {Object} options - Recorder options.
+ * @param {string} options.databaseUrl - Realtime Database URL (see access.mjs).
+ * @param {{getAccessToken: Function}} options.credential - Administrator credential (google-auth.mjs), or
+ *   for the emulator one that returns `owner`.
+ * @returns {{record: Function}} The recorder.
+ */
+export function createUsageRecorder({ databaseUrl, credential }) {
+    const baseUrl = new URL(databaseUrl);
+
+    return {
+        /**
+         * Adds counters to today's usage of a user.
+         * @param {{uid: string, email: (string|null)}} user - The verified user.
+         * @param {Object} counters - Amounts to add, keyed by COUNTER_FIELDS.
+         * @returns {Promise<void>} Resolves once written.
+         * @throws {Error} If the database refuses the write.
+         */
+        async record(user, counters) {
+            const day = new Date().toISOString().slice(0, 10);
+            const updates = { [`days/${day}/updatedAt`]: { '.sv': 'timestamp' } };
+            if (user.email) updates.email = user.email;
+            COUNTER_FIELDS.forEach(field => {
+                if (counters[field]) updates[`days/${day}/${field}`] = { '.sv': { increment: counters[field] } };
+            });
+
+            const url = new URL(baseUrl);
+            url.pathname = `${baseUrl.pathname.replace(/\/+$/, '')}/usage/${user.uid}.json`;
+            const response = await fetch(url, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${await credential.getAccessToken()}`,
+                },
+                body: JSON.stringify(updates),
+            });
+            if (!response.ok) {
+                throw new Error(`Could not record usage for ${user.uid}: HTTP ${response.status}`);
+            }
+        },
+    };
+}
@@ -0,0 +1,159 @@
+// sw.js
+
+// Service worker that lets JavaGoat start without a connection. The app shell (index.html,
+// styles, every module) and the pinned vendor scripts (including pdf.js) are cached on install:
+//   - page loads try the network first and fall back to the cached index.html,
+//   - app files are served from the cache and refreshed in the background, so a deploy is
+//     picked up on the next load,
+//   - vendor scripts and fonts have versioned URLs and are served from the cache.
+// API requests (providers, Firebase, image hosts) are never cached; offline behavior for them
+// lives in the app (assets/modules/offline.js). Bump CACHE_VERSION when files are added or removed.
+
+const CACHE_VERSION = 'v4';
+const APP_CACHE = `javagoat-app-${CACHE_VERSION}`;
+const VENDOR_CACHE = `javagoat-vendor-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/styles.css',
+    'assets/app.js',
+    'assets/eval-sandbox.html',
+    'assets/icons/icon.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/apple-touch-icon.png',
+    ...[
+        'archive', 'attachments', 'auth', 'chat', 'cloud', 'context', 'eval-worker', 'firebase', 'gallery', 'idb',
+        'image-edit', 'image-store', 'image', 'models', 'offline', 'overrides', 'personas', 'policy', 'roles',
+        'sanitize', 'search', 'security', 'settings', 'shortcuts', 'sse', 'state', 'storage', 'stream-renderer',
+        'templates', 'tools', 'tree', 'ui', 'usage', 'utils',
+        'providers/index', 'providers/ollama', 'providers/openai-compatible', 'providers/openrouter', 'providers/proxy',
+    ].map(name => `assets/modules/${name}.js`),
+];
+
+// Must match the <script> and <link> tags in index.html, plus pdf.js, which attachments.js loads on demand
+const VENDOR_FILES = [
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-app-compat.js',
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-auth-compat.js',
+    'https://www.gstatic.com/firebasejs/10.8.0/firebase-database-compat.js',
+    'https://cdn.jsdelivr.net/npm/marked@9.1.6/lib/marked.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/marked-highlight@2.0.7/lib/index.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/python.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/javascript.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/java.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/html.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/languages/css.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/atom-one-dark.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/atom-one-light.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+];
+const VENDOR_HOSTS = ['www.gstatic.com', 'cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Caches files one at a time. `cache.addAll` fails as a whole when any file fails, so one missing
+ * module or unreachable CDN would keep the worker from installing; a file that cannot be cached
+ * now is cached on first use instead.
+ * @param {string} cacheName - The cache.
+ * @param {Request[]} requests - The files.
+ * @returns {Promise<void>} Resolves when every file has been tried.
+ */
+async function precache(cacheName, requests) {
+    const cache = await caches.open(cacheName);
+    for (const request of requests) {
+        try {
+            await cache.add(request);
+        } catch (error) {
+            console.warn('Service worker: could not cache', request.url, error);
+        }
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        await precache(APP_CACHE, APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+        await precache(VENDOR_CACHE, VENDOR_FILES.map(url => new Request(url, { mode: 'cors' })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('javagoat-') && name !== APP_CACHE && name !== VENDOR_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Loads a page from the network, falling back to the cached app shell when offline.
+ * @param {Request} request - The navigation request.
+ * @returns {Promise<Response>} The page.
+ */
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(APP_CACHE);
+            cache.put('index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('index.html')) || Response.error();
+    }
+}
+
+/**
+ * Serves an app file from the cache and refreshes the cached copy in the background.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The file.
+ */
+async function handleAppFile(event) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {})); // Offline: keep the cached copy
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Serves a vendor file (versioned URL) from the cache, caching it on first use.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The file.
+ */
+async function handleVendorFile(request) {
+    const cache = await caches.open(VENDOR_CACHE);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Stylesheets and fonts requested without CORS come back opaque (status 0); they are still usable
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // Frames (the JavaScript sandbox) are app files, not pages that fall back to index.html
+    if (request.mode === 'navigate' && request.destination === 'document' && url.origin === self.location.origin) {
+        event.respondWith(handleNavigation(request));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/__/')) {
+        event.respondWith(handleAppFile(event));
+    } else if (VENDOR_HOSTS.includes(url.hostname)) {
+        event.respondWith(handleVendorFile(request));
+    }
+    // Everything else (APIs, images, Firebase) goes to the network untouched
+});
@@ -0,0 +1,200 @@
+// test/sse.test.mjs
+
+// Unit tests for asset/modules/sse.js, run with `node --test` (Node 20 or later). The
+// fixtures are recorded OpenRouter streams, kept as string literals so their exact line endings
+// survive editors and git. Each one is replayed through a ReadableStream cut into chunks at the
+// awkward places a network can cut it: mid-line, mid-terminator and inside a multi-byte character.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSseParser, readSseStream, readChatCompletionStream } from '../asset/modules/sse.js';
+
+globalThis.log = () => {}; // Provided by the app at runtime
+
+const FIXTURES = {
+    // Plain completion with keep-alive comments, a usage chunk and the final marker
+    completion:
+        ': OPENROUTER PROCESSING\n\n' +
+        ': OPENROUTER PROCESSING\n\n' +
+        'data: {"id":"gen-1","model":"openai/gpt-4o-mini","choices":[{"index":0,"delta":{"role":"assistant","content":"Héllo"},"finish_reason":null}]}\n\n' +
+        'data: {"id":"gen-1","model":"openai/gpt-4o-mini","choices":[{"index":0,"delta":{"content":", wörld 👋"},"finish_reason":null}]}\n\n' +
+        'data: {"id":"gen-1","model":"openai/gpt-4o-mini","choices":[{"index":0,"delta":{"content":" — 日本語"},"finish_reason":"stop"}]}\n\n' +
+        'data: {"id":"gen-1","model":"openai/gpt-4o-mini","choices":[{"index":0,"delta":{},"finish_reason":null}],"usage":{"prompt_tokens":9,"completion_tokens":7,"total_tokens":16}}\n\n' +
+        'data: [DONE]\n\n',
+
+    // The same kind of stream from a server that terminates lines with CRLF
+    crlf:
+        ': OPENROUTER PROCESSING\r\n\r\n' +
+        'data: {"id":"gen-2","choices":[{"delta":{"content":"one"}}]}\r\n\r\n' +
+        'data: {"id":"gen-2","choices":[{"delta":{"content":" two"},"finish_reason":"stop"}]}\r\n\r\n' +
+        'data: [DONE]\r\n\r\n',
+
+    // Tool call sent in fragments
+    toolCall:
+        'data: {"id":"gen-3","choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_abc","type":"function","function":{"name":"get_current_time","arguments":""}}]}}]}\n\n' +
+        'data: {"id":"gen-3","choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"time"}}]}}]}\n\n' +
+        'data: {"id":"gen-3","choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"zone\\":\\"UTC\\"}"}}]}}]}\n\n' +
+        'data: {"id":"gen-3","choices":[{"delta":{},"finish_reason":"tool_calls"}]}\n\n' +
+        'data: [DONE]\n\n',
+
+    // Provider error reported after some content
+    midStreamError:
+        'data: {"id":"gen-4","choices":[{"delta":{"content":"Partial"}}]}\n\n' +
+        'data: {"error":{"code":502,"message":"Upstream provider went away"},"choices":[{"delta":{"content":""},"finish_reason":"error"}]}\n\n',
+
+    // Anything after [DONE] must be ignored
+    afterDone:
+        'data: {"choices":[{"delta":{"content":"kept"}}]}\n\n' +
+        'data: [DONE]\n\n' +
+        'data: {"choices":[{"delta":{"content":" ignored"}}]}\n\n',
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Creates a response-like body that delivers the given byte chunks one read at a time.
+ * @param {Uint8Array[]} chunks - The chunks.
+ * @returns {ReadableStream} The stream.
+ */
+function streamOf(chunks) {
+    return new ReadableStream({
+        pull(controller) {
+            if (chunks.length === 0) controller.close();
+            else controller.enqueue(chunks.shift());
+        },
+    });
+}
+
+/**
+ * Cuts a fixture into chunks of the given byte size, which splits lines, line terminators and
+ * multi-byte characters wherever they happen to fall.
+ * @param {string} text - The fixture.
+ * @param {number} size - Bytes per chunk.
+ * @returns {Uint8Array[]} The chunks.
+ */
+function splitBytes(text, size) {
+    const bytes = encoder.encode(text);
+    const chunks = [];
+    for (let start = 0; start < bytes.length; start += size) chunks.push(bytes.slice(start, start + size));
+    return chunks;
+}
+
+/**
+ * Feeds text to a parser in the given pieces and collects what it reports.
+ * @param {string[]} pieces - The text pieces.
+ * @returns {{events: Object[], comments: string[]}} The dispatched events and comments.
+ */
+function parsePieces(pieces) {
+    const events = [];
+    const comments = [];
+    const parser = createSseParser({ onEvent: event => events.push(event), onComment: comment => comments.push(comment) });
+    pieces.forEach(piece => parser.feed(piece));
+    parser.flush();
+    return { events, comments };
+}
+
+describe('createSseParser', () => {
+    test('joins a line split across chunks', () => {
+        const { events } = parsePieces(['da', 'ta: {"a"', ':1}', '\n', '\n']);
+        assert.deepEqual(events.map(event => event.data), ['{"a":1}']);
+    });
+
+    test('accepts LF, CRLF and CR line endings', () => {
+        const { events } = parsePieces(['data: lf\n\ndata: crlf\r\n\r\ndata: cr\r\r']);
+        assert.deepEqual(events.map(event => event.data), ['lf', 'crlf', 'cr']);
+    });
+
+    test('does not read a CRLF split between chunks as two line breaks', () => {
+        const { events } = parsePieces(['data: first\r', '\ndata: second\r', '\n\r', '\n']);
+        assert.deepEqual(events.map(event => event.data), ['first\nsecond']);
+    });
+
+    test('reports comment lines without dispatching them', () => {
+        const { events, comments } = parsePieces([': OPENROUTER PROCESSING\n\n:no space\n\ndata: x\n\n']);
+        assert.deepEqual(comments, ['OPENROUTER PROCESSING', 'no space']);
+        assert.deepEqual(events.map(event => event.data), ['x']);
+    });
+
+    test('joins multi-line data with newlines', () => {
+        const { events } = parsePieces(['data: line one\ndata:line two\ndata\ndata:  indented\n\n']);
+        assert.deepEqual(events.map(event => event.data), ['line one\nline two\n\n indented']);
+    });
+
+    test('reads event, id and retry fields and ignores unknown ones', () => {
+        const { events } = parsePieces(['event: ping\nid: 7\nretry: 3000\nfoo: bar\ndata: {}\n\ndata: next\n\n']);
+        assert.deepEqual(events, [
+            { event: 'ping', data: '{}', id: '7', retry: 3000 },
+            { event: 'message', data: 'next', id: '7', retry: 3000 },
+        ]);
+    });
+
+    test('dispatches a last event that has no closing blank line', () => {
+        const { events } = parsePieces(['data: one\n\ndata: two']);
+        assert.deepEqual(events.map(event => event.data), ['one', 'two']);
+    });
+});
+
+describe('readSseStream', () => {
+    test('keeps multi-byte characters split across reads', async () => {
+        const data = [];
+        // One byte per read splits every multi-byte character
+        await readSseStream(streamOf(splitBytes('data: é 👋 日本\n\n', 1)), { onEvent: event => data.push(event.data) });
+        assert.deepEqual(data, ['é 👋 日本']);
+    });
+});
+
+describe('readChatCompletionStream', () => {
+    // Chunk sizes that put the cuts mid-line, mid-terminator and mid-character in the fixtures
+    const CHUNK_SIZES = [1, 2, 3, 7, 64, 100000];
+
+    for (const size of CHUNK_SIZES) {
+        test(`assembles a recorded completion read ${size} bytes at a time`, async () => {
+            const deltas = [];
+            const keepAlives = [];
+            const result = await readChatCompletionStream(streamOf(splitBytes(FIXTURES.completion, size)), {
+                onDelta: delta => deltas.push(delta),
+                onKeepAlive: comment => keepAlives.push(comment),
+            });
+            assert.equal(result.content, 'Héllo, wörld 👋 — 日本語');
+            assert.deepEqual(deltas, ['Héllo', ', wörld 👋', ' — 日本語']);
+            assert.deepEqual(keepAlives, ['OPENROUTER PROCESSING', 'OPENROUTER PROCESSING']);
+            assert.equal(result.finishReason, 'stop');
+            assert.equal(result.id, 'gen-1');
+            assert.equal(result.model, 'openai/gpt-4o-mini');
+            assert.deepEqual(result.usage, { prompt_tokens: 9, completion_tokens: 7, total_tokens: 16 });
+        });
+
+        test(`reads a recorded CRLF stream ${size} bytes at a time`, async () => {
+            const result = await readChatCompletionStream(streamOf(splitBytes(FIXTURES.crlf, size)));
+            assert.equal(result.content, 'one two');
+            assert.equal(result.finishReason, 'stop');
+        });
+    }
+
+    test('assembles tool calls from fragments', async () => {
+        const result = await readChatCompletionStream(streamOf(splitBytes(FIXTURES.toolCall, 5)));
+        assert.equal(result.finishReason, 'tool_calls');
+        assert.deepEqual(result.toolCalls, [
+            { id: 'call_abc', type: 'function', function: { name: 'get_current_time', arguments: '{"timezone":"UTC"}' } },
+        ]);
+    });
+
+    test('throws a mid-stream error with its code', async () => {
+        const deltas = [];
+        await assert.rejects(
+            readChatCompletionStream(streamOf(splitBytes(FIXTURES.midStreamError, 16)), { onDelta: delta => deltas.push(delta) }),
+            { message: 'Upstream provider went away', code: 502 },
+        );
+        assert.deepEqual(deltas, ['Partial']);
+    });
+
+    test('ignores events after [DONE]', async () => {
+        const result = await readChatCompletionStream(streamOf(splitBytes(FIXTURES.afterDone, 4)));
+        assert.equal(result.content, 'kept');
+    });
+
+    test('skips an event that is not JSON', async () => {
+        const result = await readChatCompletionStream(streamOf([encoder.encode('data: {not json\n\ndata: {"choices":[{"delta":{"content":"ok"}}]}\n\n')]));
+        assert.equal(result.content, 'ok');
+    });
+});